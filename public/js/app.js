@@ -85,6 +85,41 @@ class InvoiceApp {
             }
         });
 
+        // Suggest catalog items while typing a line description
+        let catalogSearchTimeout;
+        document.addEventListener('input', (e) => {
+            if (!e.target.matches('.invoice-item input[name="description"]')) return;
+
+            const itemElement = e.target.closest('.invoice-item');
+            const dropdown = itemElement.querySelector('.catalog-dropdown');
+            const query = e.target.value.trim();
+
+            clearTimeout(catalogSearchTimeout);
+
+            // Clearing the description unlinks the line from the catalog
+            if (query.length === 0) {
+                itemElement.querySelector('input[name="catalogItemId"]').value = '';
+                itemElement.querySelector('input[name="taxCode"]').value = '';
+            }
+
+            if (query.length < 2) {
+                dropdown.classList.add('hidden');
+                return;
+            }
+
+            catalogSearchTimeout = setTimeout(() => {
+                this.searchCatalog(query, itemElement);
+            }, 300);
+        });
+
+        document.addEventListener('click', (e) => {
+            document.querySelectorAll('.catalog-dropdown').forEach(dropdown => {
+                if (!dropdown.parentElement.contains(e.target)) {
+                    dropdown.classList.add('hidden');
+                }
+            });
+        });
+
         // Remove item
         document.addEventListener('click', (e) => {
             if (e.target.matches('.remove-item, .remove-item *')) {
@@ -231,6 +266,14 @@ class InvoiceApp {
         }, 5000);
     }
 
+    formatMoney(amount, currency = 'USD') {
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+        } catch (error) {
+            return `${currency} ${Number(amount).toFixed(2)}`;
+        }
+    }
+
     async apiRequest(endpoint, options = {}) {
         const url = `${this.baseURL}/api${endpoint}`;
         const headers = {
@@ -371,9 +414,11 @@ class InvoiceApp {
 
             let invoices = [];
             let clients = [];
+            let stats = {};
 
             if (invoicesResponse.status === 'fulfilled') {
                 invoices = invoicesResponse.value.data || [];
+                stats = invoicesResponse.value.stats || {};
             }
             if (clientsResponse.status === 'fulfilled') {
                 clients = clientsResponse.value.data || [];
@@ -383,12 +428,10 @@ class InvoiceApp {
             document.getElementById('total-invoices').textContent = invoices.length;
             document.getElementById('total-clients').textContent = clients.length;
             
-            const totalRevenue = invoices
-                .filter(inv => inv.status === 'paid')
-                .reduce((sum, inv) => sum + inv.total, 0);
-            document.getElementById('total-revenue').textContent = `$${totalRevenue.toFixed(2)}`;
+            // Revenue is converted to the user's base currency by the API
+            document.getElementById('total-revenue').textContent = this.formatMoney(stats.paidAmount || 0, stats.baseCurrency);
             
-            const pendingInvoices = invoices.filter(inv => ['sent', 'overdue'].includes(inv.status)).length;
+            const pendingInvoices = invoices.filter(inv => ['sent', 'partially_paid', 'overdue', 'disputed'].includes(inv.status)).length;
             document.getElementById('pending-invoices').textContent = pendingInvoices;
 
         } catch (error) {
@@ -423,8 +466,10 @@ class InvoiceApp {
                 const statusColors = {
                     draft: 'bg-gray-100 text-gray-800',
                     sent: 'bg-blue-100 text-blue-800',
+                    partially_paid: 'bg-yellow-100 text-yellow-800',
                     paid: 'bg-green-100 text-green-800',
                     overdue: 'bg-red-100 text-red-800',
+                    disputed: 'bg-orange-100 text-orange-800',
                     cancelled: 'bg-gray-100 text-gray-800'
                 };
 
@@ -436,11 +481,11 @@ class InvoiceApp {
                         ${invoice.client ? invoice.client.name : 'Unknown'}
                     </td>
                     <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        $${invoice.total.toFixed(2)}
+                        ${this.formatMoney(invoice.total, invoice.currency)}
                     </td>
                     <td class="px-6 py-4 whitespace-nowrap">
                         <span class="inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusColors[invoice.status]}">
-                            ${invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1)}
+                            ${invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1).replace('_', ' ')}
                         </span>
                     </td>
                     <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
@@ -518,7 +563,7 @@ class InvoiceApp {
                         </div>
                         <div>
                             <p class="text-gray-500">Total Amount</p>
-                            <p class="font-semibold">$${(stats.totalAmount || 0).toFixed(2)}</p>
+                            <p class="font-semibold">${this.formatMoney(stats.totalAmount || 0, stats.baseCurrency)}</p>
                         </div>
                     </div>
                 `;
@@ -646,12 +691,16 @@ class InvoiceApp {
                 const description = item.querySelector('input[name="description"]').value;
                 const quantity = parseFloat(item.querySelector('input[name="quantity"]').value);
                 const rate = parseFloat(item.querySelector('input[name="rate"]').value);
+                const catalogItemId = item.querySelector('input[name="catalogItemId"]').value;
+                const taxCode = item.querySelector('input[name="taxCode"]').value;
                 
                 if (description && quantity && rate) {
                     items.push({
                         description,
                         quantity,
-                        rate
+                        rate,
+                        ...(catalogItemId && { catalogItemId }),
+                        ...(taxCode && { taxCodes: [taxCode] })
                     });
                 }
             });
@@ -694,8 +743,11 @@ class InvoiceApp {
         const newItem = document.createElement('div');
         newItem.className = 'invoice-item grid grid-cols-12 gap-2 mb-2';
         newItem.innerHTML = `
-            <div class="col-span-5">
-                <input type="text" name="description" placeholder="Description" required class="w-full px-3 py-2 border border-gray-300 rounded-md text-sm">
+            <div class="col-span-5 relative">
+                <input type="text" name="description" placeholder="Description or catalog item" required autocomplete="off" class="w-full px-3 py-2 border border-gray-300 rounded-md text-sm">
+                <input type="hidden" name="catalogItemId">
+                <input type="hidden" name="taxCode">
+                <div class="catalog-dropdown absolute z-10 w-full bg-white border border-gray-300 rounded-md shadow-lg hidden max-h-48 overflow-y-auto"></div>
             </div>
             <div class="col-span-2">
                 <input type="number" name="quantity" placeholder="Qty" min="1" value="1" required class="w-full px-3 py-2 border border-gray-300 rounded-md text-sm">
@@ -840,6 +892,77 @@ class InvoiceApp {
             dropdown.classList.add('hidden');
         }
     }
+
+    async searchCatalog(query, itemElement) {
+        try {
+            // With a client selected the rates come from their rate card
+            const params = new URLSearchParams({ q: query });
+            const clientId = document.getElementById('selected-client-id').value;
+            if (clientId) {
+                params.set('clientId', clientId);
+            }
+
+            const response = await this.apiRequest(`/catalog/search?${params}`);
+            this.displayCatalogResults(response.data || [], itemElement);
+        } catch (error) {
+            console.error('Failed to search catalog:', error);
+            this.displayCatalogResults([], itemElement);
+        }
+    }
+
+    displayCatalogResults(catalogItems, itemElement) {
+        const dropdown = itemElement.querySelector('.catalog-dropdown');
+
+        if (!dropdown) return;
+
+        dropdown.innerHTML = '';
+
+        // Free text is still allowed, so only show the dropdown with matches
+        if (catalogItems.length === 0) {
+            dropdown.classList.add('hidden');
+            return;
+        }
+
+        catalogItems.forEach(catalogItem => {
+            const option = document.createElement('div');
+            option.className = 'px-3 py-2 hover:bg-gray-50 cursor-pointer border-b last:border-b-0';
+            option.innerHTML = `
+                <div class="flex justify-between items-center">
+                    <div>
+                        <div class="font-medium text-gray-900">${catalogItem.name}</div>
+                        <div class="text-sm text-gray-500">
+                            ${catalogItem.sku ? `${catalogItem.sku} • ` : ''}per ${catalogItem.unit}
+                        </div>
+                    </div>
+                    <div class="text-xs text-gray-400">
+                        ${catalogItem.rate != null ? Number(catalogItem.rate).toFixed(2) : ''}
+                    </div>
+                </div>
+            `;
+
+            option.addEventListener('click', () => {
+                this.selectCatalogItem(catalogItem, itemElement);
+            });
+
+            dropdown.appendChild(option);
+        });
+
+        dropdown.classList.remove('hidden');
+    }
+
+    selectCatalogItem(catalogItem, itemElement) {
+        itemElement.querySelector('input[name="description"]').value = catalogItem.name;
+        itemElement.querySelector('input[name="catalogItemId"]').value = catalogItem.id;
+        itemElement.querySelector('input[name="taxCode"]').value = catalogItem.taxCode || '';
+
+        // Items without a rate in this currency leave the rate to be typed in
+        if (catalogItem.rate != null) {
+            itemElement.querySelector('input[name="rate"]').value = catalogItem.rate;
+            this.calculateItemTotal(itemElement);
+        }
+
+        itemElement.querySelector('.catalog-dropdown').classList.add('hidden');
+    }
 }
 
 // Initialize the application
@@ -38,6 +38,23 @@ export const testConnection = async () => {
   }
 };
 
+// Run a set of queries inside a single transaction on a dedicated client
+export const withTransaction = async (callback) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 // Initialize database tables
 export const initDatabase = async () => {
   const client = await pool.connect();
@@ -122,12 +139,529 @@ export const initDatabase = async () => {
       )
     `);
     
+    // Templates owned by a user are private; templates without a user are built-in
+    await client.query('ALTER TABLE templates ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE');
+    
+    // Payments table (ledger of partial/full payments per invoice)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        amount DECIMAL(10,2) NOT NULL,
+        payment_date DATE NOT NULL,
+        method VARCHAR(50) DEFAULT 'other',
+        reference VARCHAR(255),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Running balance on invoices, kept in sync with the payments ledger
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0');
+    
+    // When an invoice was moved to overdue by the overdue detection job
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS overdue_at TIMESTAMP');
+    
+    // Invoice numbers only need to be unique per user
+    await client.query('ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_invoice_number_key');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_user_invoice_number ON invoices(user_id, invoice_number)');
+    
+    // Gap-free per-user document number counters (one row per scope and reset period)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS number_sequences (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        scope VARCHAR(50) NOT NULL,
+        period_key VARCHAR(20) NOT NULL DEFAULT '',
+        last_value INTEGER NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (user_id, scope, period_key)
+      )
+    `);
+    
+    // Recurring invoice schedules (retainers etc.)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS recurring_invoices (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        name VARCHAR(255),
+        items JSONB NOT NULL DEFAULT '[]',
+        tax_rate DECIMAL(5,4) NOT NULL DEFAULT 0,
+        discount_amount DECIMAL(10,2) DEFAULT 0,
+        currency VARCHAR(10) DEFAULT 'USD',
+        payment_terms INTEGER DEFAULT 30,
+        notes TEXT,
+        template_id VARCHAR(100) DEFAULT 'default',
+        frequency VARCHAR(20) NOT NULL,
+        interval_count INTEGER NOT NULL DEFAULT 1,
+        day_of_month INTEGER,
+        start_date DATE NOT NULL,
+        next_run_date DATE,
+        end_date DATE,
+        max_occurrences INTEGER,
+        occurrences_count INTEGER NOT NULL DEFAULT 0,
+        status VARCHAR(20) DEFAULT 'active',
+        auto_send BOOLEAN DEFAULT FALSE,
+        last_run_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Link generated invoices back to the schedule that produced them
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS recurring_invoice_id UUID REFERENCES recurring_invoices(id) ON DELETE SET NULL');
+    
+    // Per-user payment reminder rules (offset in days relative to the due date)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reminder_rules (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        offset_days INTEGER NOT NULL,
+        subject_template TEXT NOT NULL,
+        body_template TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Every reminder send attempt; the unique key prevents duplicate sends
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reminder_log (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        rule_id UUID REFERENCES reminder_rules(id) ON DELETE SET NULL,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        rule_name VARCHAR(255),
+        recipients TEXT,
+        subject TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        message_id VARCHAR(255),
+        error TEXT,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (invoice_id, rule_id)
+      )
+    `);
+    
+    // Clients can opt out of automated reminders
+    await client.query('ALTER TABLE clients ADD COLUMN IF NOT EXISTS reminders_opt_out BOOLEAN DEFAULT FALSE');
+    
+    // Quotes/estimates, numbered separately from invoices
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS quotes (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        quote_number VARCHAR(100) NOT NULL,
+        status VARCHAR(50) DEFAULT 'draft',
+        issue_date DATE NOT NULL,
+        expiry_date DATE NOT NULL,
+        payment_terms INTEGER DEFAULT 30,
+        items JSONB NOT NULL DEFAULT '[]',
+        subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+        tax_rate DECIMAL(5,4) NOT NULL DEFAULT 0,
+        tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+        discount_amount DECIMAL(10,2) DEFAULT 0,
+        total DECIMAL(10,2) NOT NULL DEFAULT 0,
+        currency VARCHAR(10) DEFAULT 'USD',
+        notes TEXT,
+        template_id VARCHAR(100) DEFAULT 'default',
+        pdf_path VARCHAR(500),
+        sent_at TIMESTAMP,
+        accepted_at TIMESTAMP,
+        declined_at TIMESTAMP,
+        expired_at TIMESTAMP,
+        converted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Invoice created from a quote keeps a link back to it
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS quote_id UUID REFERENCES quotes(id) ON DELETE SET NULL');
+    
+    // Credit notes reduce the balance of the invoice they reference
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS credit_notes (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        credit_note_number VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'issued',
+        issue_date DATE NOT NULL,
+        reason TEXT,
+        items JSONB NOT NULL DEFAULT '[]',
+        subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+        tax_rate DECIMAL(5,4) NOT NULL DEFAULT 0,
+        tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+        discount_amount DECIMAL(10,2) DEFAULT 0,
+        total DECIMAL(10,2) NOT NULL DEFAULT 0,
+        currency VARCHAR(10) DEFAULT 'USD',
+        notes TEXT,
+        template_id VARCHAR(100) DEFAULT 'default',
+        pdf_path VARCHAR(500),
+        voided_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Sum of issued credit notes (stored positive), kept in sync like amount_paid
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_credited DECIMAL(10,2) NOT NULL DEFAULT 0');
+    
+    // Refunds are negative ledger entries, optionally tied to the credit note they pay out
+    await client.query("ALTER TABLE payments ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'payment'");
+    await client.query('ALTER TABLE payments ADD COLUMN IF NOT EXISTS credit_note_id UUID REFERENCES credit_notes(id) ON DELETE SET NULL');
+    
+    // Per-user exchange rates: 1 unit of currency = rate units of base_currency
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        currency VARCHAR(10) NOT NULL,
+        base_currency VARCHAR(10) NOT NULL,
+        rate DECIMAL(20,10) NOT NULL CHECK (rate > 0),
+        rate_date DATE NOT NULL,
+        source VARCHAR(20) DEFAULT 'manual',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, currency, base_currency, rate_date)
+      )
+    `);
+    
+    // Rate snapshot taken when the invoice is issued, for base-currency reporting
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS base_currency VARCHAR(10)');
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(20,10)');
+    
+    // Per-user tax registry; line items reference taxes by code
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tax_rates (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code VARCHAR(20) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        rate DECIMAL(7,6) NOT NULL CHECK (rate >= 0),
+        compound BOOLEAN NOT NULL DEFAULT FALSE,
+        registration_number VARCHAR(100),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, code)
+      )
+    `);
+    
+    // Per-tax totals, snapshotted from the registry when the document is saved
+    await client.query("ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_breakdown JSONB NOT NULL DEFAULT '[]'");
+    await client.query("ALTER TABLE quotes ADD COLUMN IF NOT EXISTS tax_breakdown JSONB NOT NULL DEFAULT '[]'");
+    await client.query("ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS tax_breakdown JSONB NOT NULL DEFAULT '[]'");
+    
+    // Document discount as entered; discount_amount holds the resulting amount.
+    // A NULL discount_value means a fixed discount saved before types existed.
+    for (const table of ['invoices', 'quotes', 'recurring_invoices']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS discount_type VARCHAR(10) NOT NULL DEFAULT 'fixed' CHECK (discount_type IN ('fixed', 'percent'))`);
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS discount_value DECIMAL(10,4)`);
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS discount_before_tax BOOLEAN NOT NULL DEFAULT FALSE`);
+    }
+    
+    // Tracked time, billed onto an invoice at most once. A running timer has
+    // timer_started_at set; stopping it adds the elapsed minutes to the duration.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS time_entries (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        project VARCHAR(255),
+        task VARCHAR(255),
+        entry_date DATE NOT NULL,
+        duration_minutes INTEGER NOT NULL DEFAULT 0 CHECK (duration_minutes >= 0),
+        description TEXT,
+        hourly_rate DECIMAL(10,2),
+        billable BOOLEAN NOT NULL DEFAULT TRUE,
+        timer_started_at TIMESTAMP,
+        invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Business expenses. Rebillable ones can be passed through to the client
+    // on an invoice (with markup); the receipt file itself is stored on disk.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS expenses (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_id UUID REFERENCES clients(id) ON DELETE SET NULL,
+        category VARCHAR(100) NOT NULL,
+        description TEXT,
+        expense_date DATE NOT NULL,
+        amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+        currency VARCHAR(10) DEFAULT 'USD',
+        base_currency VARCHAR(10),
+        exchange_rate DECIMAL(20,10),
+        rebillable BOOLEAN NOT NULL DEFAULT FALSE,
+        markup_percent DECIMAL(7,4) NOT NULL DEFAULT 0,
+        invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+        receipt_path VARCHAR(500),
+        receipt_filename VARCHAR(255),
+        receipt_content_type VARCHAR(100),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Client engagements with an optional budget in money or hours
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        billing_method VARCHAR(20) NOT NULL DEFAULT 'hourly' CHECK (billing_method IN ('fixed', 'hourly', 'milestone')),
+        budget_amount DECIMAL(10,2) CHECK (budget_amount >= 0),
+        budget_hours DECIMAL(8,2) CHECK (budget_hours >= 0),
+        hourly_rate DECIMAL(10,2),
+        currency VARCHAR(10) DEFAULT 'USD',
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        start_date DATE,
+        end_date DATE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Invoices and tracked time can belong to a project of the same client
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE time_entries ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL');
+    
+    // Billing schedule of a fixed-price project or accepted quote. Each
+    // milestone is a percentage of the contract value or a fixed amount.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS milestones (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+        quote_id UUID REFERENCES quotes(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL DEFAULT 0,
+        label VARCHAR(255) NOT NULL,
+        amount_type VARCHAR(20) NOT NULL CHECK (amount_type IN ('percent', 'fixed')),
+        value DECIMAL(10,2) NOT NULL CHECK (value > 0),
+        due_trigger VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (due_trigger IN ('signing', 'start', 'delivery', 'acceptance', 'date', 'manual')),
+        due_date DATE,
+        is_deposit BOOLEAN NOT NULL DEFAULT FALSE,
+        invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        CHECK ((project_id IS NULL) <> (quote_id IS NULL))
+      )
+    `);
+    
+    // Deposits deducted on a final milestone invoice, as net amounts
+    await client.query("ALTER TABLE invoices ADD COLUMN IF NOT EXISTS deposit_deductions JSONB NOT NULL DEFAULT '[]'");
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS deposit_amount DECIMAL(10,2) NOT NULL DEFAULT 0');
+    
+    // Reusable products and services that line items can be picked from.
+    // default_rates maps a currency code to the rate in that currency.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS items_catalog (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        unit VARCHAR(20) NOT NULL DEFAULT 'piece' CHECK (unit IN ('hour', 'day', 'piece')),
+        default_rates JSONB NOT NULL DEFAULT '{}',
+        tax_code VARCHAR(20),
+        sku VARCHAR(100),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Negotiated client pricing: an hourly rate for hourly catalog items and
+    // per-item overrides, both taking precedence over catalog default rates
+    await client.query('ALTER TABLE clients ADD COLUMN IF NOT EXISTS hourly_rate DECIMAL(10,2)');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS client_rates (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        catalog_item_id UUID NOT NULL REFERENCES items_catalog(id) ON DELETE CASCADE,
+        currency VARCHAR(10) NOT NULL,
+        rate DECIMAL(10,2) NOT NULL CHECK (rate > 0),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (client_id, catalog_item_id, currency)
+      )
+    `);
+    
+    // When the client first and last opened the invoice's portal link
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS first_viewed_at TIMESTAMP');
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS last_viewed_at TIMESTAMP');
+    
+    // Client acknowledgement from the portal, and line item disputes. An
+    // invoice with an open dispute is 'disputed'; resolving it restores the
+    // status the invoice had when the dispute was raised.
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS disputes (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        items JSONB NOT NULL DEFAULT '[]',
+        comment TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'credited', 'rejected')),
+        previous_status VARCHAR(50) NOT NULL,
+        resolution_note TEXT,
+        credit_note_id UUID REFERENCES credit_notes(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Payment gateway webhook events already processed, so a provider
+    // retrying a delivery never records the payment twice
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_events (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        provider VARCHAR(50) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(100) NOT NULL,
+        invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+        payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (provider, event_id)
+      )
+    `);
+    
+    // Transactions imported from bank statements. Credits are matched to open
+    // invoices and become payments once confirmed; the fingerprint stops the
+    // same transaction being imported twice from overlapping statements.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bank_transactions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        fingerprint VARCHAR(255) NOT NULL,
+        source_format VARCHAR(20) NOT NULL,
+        booking_date DATE NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        currency VARCHAR(3) NOT NULL,
+        reference TEXT,
+        counterparty VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'unmatched' CHECK (status IN ('unmatched', 'matched', 'reconciled', 'ignored')),
+        invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+        match_score INTEGER,
+        match_reasons JSONB NOT NULL DEFAULT '[]',
+        payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (user_id, fingerprint)
+      )
+    `);
+    
+    // Late fees. A client's policy overrides the user's settings.lateFees.
+    // Every fee applied to an overdue invoice is recorded, one per period
+    // (interest accrues monthly), so it can be waived and is never charged
+    // twice. Fees added as lines are summed into invoices.late_fee_amount
+    // and listed in invoices.late_fees; the others are billed on a separate
+    // late fee invoice.
+    await client.query('ALTER TABLE clients ADD COLUMN IF NOT EXISTS late_fee_policy JSONB');
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS late_fee_amount DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await client.query("ALTER TABLE invoices ADD COLUMN IF NOT EXISTS late_fees JSONB NOT NULL DEFAULT '[]'");
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS late_fees (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        period INTEGER NOT NULL DEFAULT 1,
+        fee_type VARCHAR(20) NOT NULL CHECK (fee_type IN ('flat', 'percent', 'interest')),
+        fee_value DECIMAL(10,4) NOT NULL,
+        mode VARCHAR(20) NOT NULL CHECK (mode IN ('line', 'invoice')),
+        description VARCHAR(255) NOT NULL,
+        basis_amount DECIMAL(10,2) NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        currency VARCHAR(3) NOT NULL,
+        fee_invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'applied' CHECK (status IN ('applied', 'waived')),
+        waive_reason TEXT,
+        waived_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (invoice_id, period)
+      )
+    `);
+    
+    // Structured payment terms. clients.terms holds the client's resolved
+    // terms (payment_terms keeps their due days); invoices snapshot the name
+    // and early payment discount, and record the discount once a payment
+    // inside the window settles the balance.
+    await client.query('ALTER TABLE clients ADD COLUMN IF NOT EXISTS terms JSONB');
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS terms_name VARCHAR(100)');
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS early_discount_percent DECIMAL(5,2) NOT NULL DEFAULT 0');
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS early_discount_days INTEGER NOT NULL DEFAULT 0');
+    await client.query('ALTER TABLE invoices ADD COLUMN IF NOT EXISTS early_discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0');
+    
+    // People at a client and which emails they receive; invoices and
+    // reminders go to the flagged contacts, falling back to clients.email
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS client_contacts (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        role VARCHAR(100),
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        receives_invoices BOOLEAN DEFAULT FALSE,
+        receives_reminders BOOLEAN DEFAULT FALSE,
+        is_primary BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
     // Indexes for better performance
     await client.query('CREATE INDEX IF NOT EXISTS idx_clients_user_id ON clients(user_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_invoices_user_id ON invoices(user_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_invoices_client_id ON invoices(client_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_invoices_issue_date ON invoices(issue_date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_invoices_due_date ON invoices(due_date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payments_invoice_id ON payments(invoice_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_invoices_recurring_invoice_id ON invoices(recurring_invoice_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_recurring_invoices_next_run ON recurring_invoices(status, next_run_date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reminder_rules_user_id ON reminder_rules(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_templates_user_id ON templates(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reminder_log_invoice_id ON reminder_log(invoice_id)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_quotes_user_quote_number ON quotes(user_id, quote_number)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_quotes_status_expiry ON quotes(status, expiry_date)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_quote_id ON invoices(quote_id) WHERE quote_id IS NOT NULL');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_notes_user_number ON credit_notes(user_id, credit_note_number)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice_id ON credit_notes(invoice_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_exchange_rates_lookup ON exchange_rates(user_id, currency, base_currency, rate_date DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_time_entries_user_client ON time_entries(user_id, client_id, entry_date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_time_entries_invoice_id ON time_entries(invoice_id)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running_timer ON time_entries(user_id) WHERE timer_started_at IS NOT NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_expenses_user_date ON expenses(user_id, expense_date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_expenses_invoice_id ON expenses(invoice_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_projects_user_client ON projects(user_id, client_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_invoices_project_id ON invoices(project_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_time_entries_project_id ON time_entries(project_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_milestones_project_id ON milestones(project_id, position)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_milestones_quote_id ON milestones(quote_id, position)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_milestones_invoice_id ON milestones(invoice_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_items_catalog_user_name ON items_catalog(user_id, name)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_items_catalog_user_sku ON items_catalog(user_id, sku) WHERE sku IS NOT NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_client_contacts_client_id ON client_contacts(client_id)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_client_contacts_primary ON client_contacts(client_id) WHERE is_primary');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_disputes_user_status ON disputes(user_id, status)');
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_disputes_open_invoice ON disputes(invoice_id) WHERE status = 'open'");
+    await client.query('CREATE INDEX IF NOT EXISTS idx_bank_transactions_user_status ON bank_transactions(user_id, status, booking_date)');
     
     // Triggers to update updated_at automatically
     await client.query(`
@@ -140,7 +674,7 @@ export const initDatabase = async () => {
       $$ language 'plpgsql';
     `);
     
-    const tables = ['users', 'clients', 'invoices', 'templates'];
+    const tables = ['users', 'clients', 'invoices', 'templates', 'payments', 'recurring_invoices', 'reminder_rules', 'exchange_rates', 'quotes', 'credit_notes', 'tax_rates', 'time_entries', 'expenses', 'projects', 'milestones', 'items_catalog', 'client_rates', 'client_contacts', 'disputes', 'bank_transactions', 'late_fees'];
     for (const table of tables) {
       await client.query(`
         DROP TRIGGER IF EXISTS update_${table}_updated_at ON ${table};
@@ -183,6 +717,12 @@ const insertDefaultTemplate = async (client) => {
       ]);
       
       logger.info('✅ Default template inserted');
+    } else {
+      // Built-in templates are read-only for users, so keep them in sync with the code
+      await client.query(
+        'UPDATE templates SET html_content = $1, css_content = $2 WHERE id = $3 AND user_id IS NULL',
+        [getDefaultTemplate().html, getDefaultTemplate().css, 'default']
+      );
     }
   } catch (error) {
     logger.error('Failed to insert default template:', error);
@@ -195,7 +735,7 @@ const getDefaultTemplate = () => ({
 <html>
 <head>
     <meta charset="utf-8">
-    <title>Invoice {{invoiceNumber}}</title>
+    <title>{{documentTitle}} {{invoiceNumber}}</title>
     <style>{{{css}}}</style>
 </head>
 <body>
@@ -207,14 +747,15 @@ const getDefaultTemplate = () => ({
                 <p>{{businessEmail}}</p>
             </div>
             <div class="invoice-info">
-                <h2>INVOICE</h2>
-                <p><strong>Invoice #:</strong> {{invoiceNumber}}</p>
+                <h2>{{documentTitle}}</h2>
+                <p><strong>{{numberLabel}}:</strong> {{invoiceNumber}}</p>
                 <p><strong>Date:</strong> {{issueDate}}</p>
-                <p><strong>Due Date:</strong> {{dueDate}}</p>
+                {{#if dueDate}}<p><strong>{{dueDateLabel}}:</strong> {{dueDate}}</p>{{/if}}
+                {{#if originalInvoiceNumber}}<p><strong>Original Invoice:</strong> {{originalInvoiceNumber}}</p>{{/if}}
             </div>
         </div>
         <div class="client-info">
-            <h3>Bill To:</h3>
+            <h3>{{#if isQuote}}Prepared For:{{else}}Bill To:{{/if}}</h3>
             <div>
                 <strong>{{client.name}}</strong><br>
                 {{#if client.company}}{{client.company}}<br>{{/if}}
@@ -238,10 +779,11 @@ const getDefaultTemplate = () => ({
                     <td>
                         <strong>{{this.description}}</strong>
                         {{#if this.details}}<br><small>{{this.details}}</small>{{/if}}
+                        {{#if this.discountLabel}}<br><small>Discount: {{this.discountLabel}}</small>{{/if}}
                     </td>
                     <td>{{this.quantity}}</td>
-                    <td>{{currency}}{{this.rate}}</td>
-                    <td>{{currency}}{{multiply this.quantity this.rate}}</td>
+                    <td>{{../currency}}{{this.rate}}</td>
+                    <td>{{../currency}}{{this.total}}</td>
                 </tr>
                 {{/each}}
             </tbody>
@@ -251,21 +793,53 @@ const getDefaultTemplate = () => ({
                 <span>Subtotal:</span>
                 <span>{{currency}}{{subtotal}}</span>
             </div>
-            {{#if discountAmount}}
+            {{#if hasDiscount}}{{#if discountBeforeTax}}
             <div class="totals-row">
-                <span>Discount:</span>
+                <span>{{discountLabel}}:</span>
                 <span>-{{currency}}{{discountAmount}}</span>
             </div>
-            {{/if}}
+            {{/if}}{{/if}}
+            {{#each deposits}}
+            <div class="totals-row">
+                <span>{{this.description}}:</span>
+                <span>-{{../currency}}{{this.amount}}</span>
+            </div>
+            {{/each}}
+            {{#each taxes}}
+            <div class="totals-row">
+                <span>{{this.name}} ({{this.rate}}%){{#if this.registrationNumber}} <small>Reg. {{this.registrationNumber}}</small>{{/if}}:</span>
+                <span>{{../currency}}{{this.amount}}</span>
+            </div>
+            {{/each}}
+            {{#if hasDiscount}}{{#unless discountBeforeTax}}
+            <div class="totals-row">
+                <span>{{discountLabel}}:</span>
+                <span>-{{currency}}{{discountAmount}}</span>
+            </div>
+            {{/unless}}{{/if}}
+            {{#each lateFees}}
             <div class="totals-row">
-                <span>Tax ({{multiply taxRate 100}}%):</span>
-                <span>{{currency}}{{taxAmount}}</span>
+                <span>{{this.description}}:</span>
+                <span>{{../currency}}{{this.amount}}</span>
             </div>
+            {{/each}}
+            {{#if earlyPaymentDiscount}}
+            <div class="totals-row">
+                <span>Early payment discount:</span>
+                <span>-{{currency}}{{earlyPaymentDiscount}}</span>
+            </div>
+            {{/if}}
             <div class="totals-row total">
                 <span><strong>Total:</strong></span>
                 <span><strong>{{currency}}{{total}}</strong></span>
             </div>
         </div>
+        {{#if reason}}
+        <div class="notes">
+            <h4>Reason:</h4>
+            <p>{{reason}}</p>
+        </div>
+        {{/if}}
         {{#if notes}}
         <div class="notes">
             <h4>Notes:</h4>
@@ -274,7 +848,14 @@ const getDefaultTemplate = () => ({
         {{/if}}
         <div class="footer">
             <p>Thank you for your business!</p>
-            <p>Payment Terms: {{paymentTerms}} days</p>
+            {{#if isQuote}}
+            <p>This quote is valid until {{dueDate}}.</p>
+            {{else if isCreditNote}}
+            <p>This credit note is applied to invoice {{originalInvoiceNumber}}.</p>
+            {{else}}
+            <p>Payment Terms: {{#if termsName}}{{termsName}}{{else}}{{paymentTerms}} days{{/if}}</p>
+            {{#if earlyPayment}}<p>Pay {{currency}}{{earlyPayment.amount}} by {{earlyPayment.deadline}} to save {{currency}}{{earlyPayment.savings}}.</p>{{/if}}
+            {{/if}}
         </div>
     </div>
 </body>
@@ -0,0 +1,253 @@
+import { logger } from '../utils/logger.js';
+import { CatalogItem, Client, ClientRate, TaxRate } from '../models/index.js';
+import { rateCardService } from '../services/rateCardService.js';
+
+export class CatalogController {
+  async getCatalogItems(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      logger.info('Fetching catalog items', { userId, query: req.query });
+
+      const catalogItems = await CatalogItem.findAll({
+        userId,
+        unit: req.query.unit,
+        search: req.query.search
+      });
+
+      res.json({
+        success: true,
+        data: catalogItems,
+        count: catalogItems.length
+      });
+    } catch (error) {
+      logger.error('Error fetching catalog items:', error);
+      next(error);
+    }
+  }
+
+  // Autocomplete for the line item form
+  async searchCatalogItems(req, res, next) {
+    try {
+      const { q: searchTerm, clientId, limit } = req.query;
+      const userId = req.user?.id;
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      logger.info('Searching catalog items', { userId, searchTerm });
+
+      const client = clientId ? await Client.findById(clientId) : null;
+      if (clientId && (!client || client.userId !== userId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      const currency = req.query.currency || client?.currency;
+      const clientRates = client ? await ClientRate.findByClient(client.id, currency) : [];
+      const catalogItems = await CatalogItem.findAll({ userId, search: searchTerm || undefined, limit });
+
+      // Return what a line item needs, with the rate in the requested
+      // currency from the client's rate card when there is a client
+      const suggestions = catalogItems.map(item => {
+        const rate = client
+          ? rateCardService.getEffectiveRate(item, client, clientRates, currency).rate
+          : (currency ? item.getRate(currency) : null);
+
+        return {
+          id: item.id,
+          name: item.name,
+          description: item.description,
+          unit: item.unit,
+          sku: item.sku,
+          taxCode: item.taxCode,
+          rate,
+          defaultRates: item.defaultRates
+        };
+      });
+
+      res.json({
+        success: true,
+        data: suggestions,
+        count: suggestions.length
+      });
+    } catch (error) {
+      logger.error('Error searching catalog items:', error);
+      next(error);
+    }
+  }
+
+  async getCatalogItemById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching catalog item by ID', { id });
+
+      const catalogItem = await CatalogItem.findById(id);
+      if (!catalogItem) {
+        return res.status(404).json({
+          success: false,
+          error: 'Catalog item not found'
+        });
+      }
+
+      // Verify catalog item belongs to user
+      if (req.user?.id && catalogItem.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: catalogItem
+      });
+    } catch (error) {
+      logger.error('Error fetching catalog item:', error);
+      next(error);
+    }
+  }
+
+  async createCatalogItem(req, res, next) {
+    try {
+      logger.info('Creating catalog item', { catalogItemData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      // The default tax code must come from the user's registry
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(userId, [{ taxCodes: req.body.taxCode ? [req.body.taxCode] : [] }]);
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+
+      const catalogItem = await CatalogItem.create({ ...req.body, userId });
+
+      logger.info('Catalog item created successfully', { catalogItemId: catalogItem.id });
+
+      res.status(201).json({
+        success: true,
+        data: catalogItem,
+        message: 'Catalog item created successfully'
+      });
+    } catch (error) {
+      // Unique (user_id, sku) violation
+      if (error.code === '23505') {
+        return res.status(400).json({
+          success: false,
+          error: 'SKU already exists'
+        });
+      }
+      logger.error('Error creating catalog item:', error);
+      next(error);
+    }
+  }
+
+  async updateCatalogItem(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Updating catalog item', { id, updateData: req.body });
+
+      const existingCatalogItem = await CatalogItem.findById(id);
+      if (!existingCatalogItem) {
+        return res.status(404).json({
+          success: false,
+          error: 'Catalog item not found'
+        });
+      }
+
+      // Verify catalog item belongs to user
+      if (req.user?.id && existingCatalogItem.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(
+        existingCatalogItem.userId,
+        [{ taxCodes: req.body.taxCode ? [req.body.taxCode] : [] }]
+      );
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+
+      const catalogItem = await CatalogItem.update(id, req.body);
+
+      logger.info('Catalog item updated successfully', { catalogItemId: id });
+
+      res.json({
+        success: true,
+        data: catalogItem,
+        message: 'Catalog item updated successfully'
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({
+          success: false,
+          error: 'SKU already exists'
+        });
+      }
+      logger.error('Error updating catalog item:', error);
+      next(error);
+    }
+  }
+
+  async deleteCatalogItem(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting catalog item', { id });
+
+      const catalogItem = await CatalogItem.findById(id);
+      if (!catalogItem) {
+        return res.status(404).json({
+          success: false,
+          error: 'Catalog item not found'
+        });
+      }
+
+      // Verify catalog item belongs to user
+      if (req.user?.id && catalogItem.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      await CatalogItem.delete(id);
+
+      logger.info('Catalog item deleted successfully', { catalogItemId: id });
+
+      res.json({
+        success: true,
+        message: 'Catalog item deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting catalog item:', error);
+      next(error);
+    }
+  }
+}
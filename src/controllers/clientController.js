@@ -1,5 +1,27 @@
 import { logger } from '../utils/logger.js';
-import { Client, Invoice } from '../models/index.js';
+import { Client, ClientContact, Invoice, CreditNote, CatalogItem, ClientRate } from '../models/index.js';
+import { currencyService } from '../services/currencyService.js';
+import { rateCardService } from '../services/rateCardService.js';
+import { paymentTermsService } from '../services/paymentTermsService.js';
+
+// Contacts flagged to receive invoices or reminders must have an email
+const isMissingEmail = (contact) => (contact.receivesInvoices || contact.receivesReminders) && !contact.email;
+
+// Per-client totals, converted to the user's base currency
+const buildClientStats = (invoices, baseCurrency) => {
+  const { base, byCurrency, unconverted } = currencyService.summarizeInvoices(invoices, baseCurrency);
+  return {
+    totalInvoices: invoices.length,
+    baseCurrency,
+    totalAmount: base.totalAmount,
+    creditedAmount: base.creditedAmount,
+    paidAmount: base.paidAmount,
+    outstandingAmount: base.outstandingAmount,
+    byCurrency,
+    unconverted,
+    lastInvoiceDate: invoices.length > 0 ? invoices[0].issueDate : null
+  };
+};
 
 export class ClientController {
   async getAllClients(req, res, next) {
@@ -8,24 +30,15 @@ export class ClientController {
       logger.info('Fetching all clients', { userId });
       
       const clients = await Client.findAll(userId);
+      const baseCurrency = await currencyService.getBaseCurrency(userId);
       
       // Add invoice count and total for each client
       const clientsWithStats = await Promise.all(clients.map(async (client) => {
         const invoices = await client.getInvoices();
-        const totalAmount = invoices.reduce((sum, invoice) => sum + invoice.total, 0);
-        const paidAmount = invoices
-          .filter(invoice => invoice.status === 'paid')
-          .reduce((sum, invoice) => sum + invoice.total, 0);
         
         return {
           ...client,
-          stats: {
-            totalInvoices: invoices.length,
-            totalAmount: totalAmount,
-            paidAmount: paidAmount,
-            outstandingAmount: totalAmount - paidAmount,
-            lastInvoiceDate: invoices.length > 0 ? invoices[0].issueDate : null
-          }
+          stats: buildClientStats(invoices, baseCurrency)
         };
       }));
       
@@ -55,20 +68,11 @@ export class ClientController {
       
       // Add client statistics
       const invoices = await client.getInvoices();
-      const totalAmount = invoices.reduce((sum, invoice) => sum + invoice.total, 0);
-      const paidAmount = invoices
-        .filter(invoice => invoice.status === 'paid')
-        .reduce((sum, invoice) => sum + invoice.total, 0);
+      const baseCurrency = await currencyService.getBaseCurrency(client.userId);
       
       const clientWithStats = {
         ...client,
-        stats: {
-          totalInvoices: invoices.length,
-          totalAmount: totalAmount,
-          paidAmount: paidAmount,
-          outstandingAmount: totalAmount - paidAmount,
-          lastInvoiceDate: invoices.length > 0 ? invoices[0].issueDate : null
-        }
+        stats: buildClientStats(invoices, baseCurrency)
       };
       
       res.json({
@@ -103,7 +107,21 @@ export class ClientController {
         });
       }
       
-      const client = await Client.create({ ...req.body, userId });
+      // Structured terms set the client's payment terms to their due days
+      const clientData = { ...req.body, userId };
+      if (req.body.terms) {
+        const { terms, error: termsError } = await paymentTermsService.resolveTerms(userId, req.body.terms);
+        if (termsError) {
+          return res.status(400).json({
+            success: false,
+            error: termsError
+          });
+        }
+        clientData.terms = terms;
+        clientData.paymentTerms = terms.dueDays;
+      }
+      
+      const client = await Client.create(clientData);
       
       logger.info('Client created successfully', { clientId: client.id });
       
@@ -151,7 +169,23 @@ export class ClientController {
         }
       }
       
-      const updatedClient = await Client.update(id, req.body);
+      const updateData = { ...req.body };
+      if (req.body.terms) {
+        const { terms, error: termsError } = await paymentTermsService.resolveTerms(existingClient.userId, req.body.terms);
+        if (termsError) {
+          return res.status(400).json({
+            success: false,
+            error: termsError
+          });
+        }
+        updateData.terms = terms;
+        updateData.paymentTerms = terms.dueDays;
+      } else if (req.body.paymentTerms !== undefined && req.body.terms === undefined) {
+        // A plain day count replaces the client's structured terms
+        updateData.terms = null;
+      }
+      
+      const updatedClient = await Client.update(id, updateData);
       
       logger.info('Client updated successfully', { clientId: id });
       
@@ -239,23 +273,20 @@ export class ClientController {
       }
       
       const invoices = await client.getInvoices();
+      const creditNotes = await CreditNote.findAll({ clientId: client.id });
       
       // Calculate client summary
-      const totalAmount = invoices.reduce((sum, invoice) => sum + invoice.total, 0);
-      const paidAmount = invoices
-        .filter(invoice => invoice.status === 'paid')
-        .reduce((sum, invoice) => sum + invoice.total, 0);
+      const baseCurrency = await currencyService.getBaseCurrency(client.userId);
       
       const summary = {
-        totalInvoices: invoices.length,
-        totalAmount: totalAmount,
-        paidAmount: paidAmount,
-        outstandingAmount: totalAmount - paidAmount,
+        ...buildClientStats(invoices, baseCurrency),
         statusBreakdown: {
           draft: invoices.filter(inv => inv.status === 'draft').length,
           sent: invoices.filter(inv => inv.status === 'sent').length,
+          partially_paid: invoices.filter(inv => inv.status === 'partially_paid').length,
           paid: invoices.filter(inv => inv.status === 'paid').length,
           overdue: invoices.filter(inv => inv.status === 'overdue').length,
+          disputed: invoices.filter(inv => inv.status === 'disputed').length,
           cancelled: invoices.filter(inv => inv.status === 'cancelled').length
         }
       };
@@ -270,6 +301,7 @@ export class ClientController {
             company: client.company
           },
           invoices: invoices,
+          creditNotes: creditNotes,
           summary: summary
         }
       });
@@ -308,7 +340,8 @@ export class ClientController {
         name: client.name,
         email: client.email,
         company: client.company,
-        paymentTerms: client.paymentTerms
+        paymentTerms: client.paymentTerms,
+        currency: client.currency
       }));
       
       res.json({
@@ -321,4 +354,299 @@ export class ClientController {
       next(error);
     }
   }
+
+  async getRateCard(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching client rate card', { id, query: req.query });
+
+      const client = await Client.findById(id);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      // Verify client belongs to user
+      if (req.user?.id && client.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const rateCard = await rateCardService.buildRateCard(client, req.query.currency || client.currency);
+
+      res.json({
+        success: true,
+        data: rateCard
+      });
+    } catch (error) {
+      logger.error('Error fetching client rate card:', error);
+      next(error);
+    }
+  }
+
+  async setClientRate(req, res, next) {
+    try {
+      const { id, catalogItemId } = req.params;
+      logger.info('Setting client rate', { id, catalogItemId, rateData: req.body });
+
+      const client = await Client.findById(id);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      // Verify client belongs to user
+      if (req.user?.id && client.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const catalogItem = await CatalogItem.findById(catalogItemId);
+      if (!catalogItem || catalogItem.userId !== client.userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Catalog item not found'
+        });
+      }
+
+      const clientRate = await ClientRate.upsert({
+        userId: client.userId,
+        clientId: client.id,
+        catalogItemId,
+        currency: req.body.currency || client.currency,
+        rate: req.body.rate
+      });
+
+      logger.info('Client rate saved successfully', { clientId: id, catalogItemId });
+
+      res.json({
+        success: true,
+        data: clientRate,
+        message: 'Client rate saved successfully'
+      });
+    } catch (error) {
+      logger.error('Error setting client rate:', error);
+      next(error);
+    }
+  }
+
+  async deleteClientRate(req, res, next) {
+    try {
+      const { id, catalogItemId } = req.params;
+      logger.info('Deleting client rate', { id, catalogItemId, query: req.query });
+
+      const client = await Client.findById(id);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      // Verify client belongs to user
+      if (req.user?.id && client.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const deleted = await ClientRate.delete(client.id, catalogItemId, req.query.currency || client.currency);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client rate not found'
+        });
+      }
+
+      logger.info('Client rate deleted successfully', { clientId: id, catalogItemId });
+
+      res.json({
+        success: true,
+        message: 'Client rate deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting client rate:', error);
+      next(error);
+    }
+  }
+
+  async getClientContacts(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching client contacts', { id });
+
+      const client = await Client.findById(id);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      // Verify client belongs to user
+      if (req.user?.id && client.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const contacts = await client.getContacts();
+
+      res.json({
+        success: true,
+        data: contacts,
+        count: contacts.length
+      });
+    } catch (error) {
+      logger.error('Error fetching client contacts:', error);
+      next(error);
+    }
+  }
+
+  async createClientContact(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Creating client contact', { id, contactData: req.body });
+
+      const client = await Client.findById(id);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      // Verify client belongs to user
+      if (req.user?.id && client.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (isMissingEmail(req.body)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Contacts that receive invoices or reminders need an email'
+        });
+      }
+
+      const contact = await ClientContact.create({ ...req.body, userId: client.userId, clientId: client.id });
+
+      logger.info('Client contact created successfully', { clientId: id, contactId: contact.id });
+
+      res.status(201).json({
+        success: true,
+        data: contact,
+        message: 'Client contact created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating client contact:', error);
+      next(error);
+    }
+  }
+
+  async updateClientContact(req, res, next) {
+    try {
+      const { id, contactId } = req.params;
+      logger.info('Updating client contact', { id, contactId, updateData: req.body });
+
+      const client = await Client.findById(id);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      // Verify client belongs to user
+      if (req.user?.id && client.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const existingContact = await ClientContact.findById(contactId);
+      if (!existingContact || existingContact.clientId !== client.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Contact not found'
+        });
+      }
+
+      if (isMissingEmail({ ...existingContact, ...req.body })) {
+        return res.status(400).json({
+          success: false,
+          error: 'Contacts that receive invoices or reminders need an email'
+        });
+      }
+
+      const contact = await ClientContact.update(contactId, req.body);
+
+      logger.info('Client contact updated successfully', { clientId: id, contactId });
+
+      res.json({
+        success: true,
+        data: contact,
+        message: 'Client contact updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating client contact:', error);
+      next(error);
+    }
+  }
+
+  async deleteClientContact(req, res, next) {
+    try {
+      const { id, contactId } = req.params;
+      logger.info('Deleting client contact', { id, contactId });
+
+      const client = await Client.findById(id);
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      // Verify client belongs to user
+      if (req.user?.id && client.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const contact = await ClientContact.findById(contactId);
+      if (!contact || contact.clientId !== client.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Contact not found'
+        });
+      }
+
+      await ClientContact.delete(contactId);
+
+      logger.info('Client contact deleted successfully', { clientId: id, contactId });
+
+      res.json({
+        success: true,
+        message: 'Client contact deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting client contact:', error);
+      next(error);
+    }
+  }
 }
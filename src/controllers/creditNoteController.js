@@ -0,0 +1,394 @@
+import { logger } from '../utils/logger.js';
+import { CreditNote, Invoice } from '../models/index.js';
+import { pdfService } from '../services/pdfService.js';
+import { creditNoteService } from '../services/creditNoteService.js';
+import { TemplateController } from './templateController.js';
+
+// Invoices that have been issued to the client and can be credited
+const CREDITABLE_STATUSES = ['sent', 'partially_paid', 'paid', 'overdue', 'disputed'];
+
+export class CreditNoteController {
+  async getAllCreditNotes(req, res, next) {
+    try {
+      logger.info('Fetching all credit notes', { query: req.query });
+
+      const creditNotes = await CreditNote.findAll({
+        userId: req.user?.id,
+        clientId: req.query.clientId,
+        invoiceId: req.query.invoiceId,
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        data: creditNotes,
+        count: creditNotes.length
+      });
+    } catch (error) {
+      logger.error('Error fetching credit notes:', error);
+      next(error);
+    }
+  }
+
+  async getCreditNoteById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching credit note by ID', { id });
+
+      const creditNote = await CreditNote.findById(id);
+      if (!creditNote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Credit note not found'
+        });
+      }
+
+      // Verify credit note belongs to user
+      if (req.user?.id && creditNote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const invoice = await creditNote.getInvoice();
+
+      res.json({
+        success: true,
+        data: {
+          ...creditNote,
+          invoice: invoice ? {
+            id: invoice.id,
+            invoiceNumber: invoice.invoiceNumber,
+            status: invoice.status,
+            balanceDue: invoice.balanceDue
+          } : null,
+          refundedAmount: await creditNote.getRefundedAmount(),
+          refundableAmount: invoice ? await creditNoteService.getRefundableAmount(creditNote, invoice) : 0
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching credit note:', error);
+      next(error);
+    }
+  }
+
+  async getInvoiceCreditNotes(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching credit notes for invoice', { id });
+
+      const invoice = await Invoice.findById(id);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      // Verify invoice belongs to user
+      if (req.user?.id && invoice.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const creditNotes = await invoice.getCreditNotes();
+
+      res.json({
+        success: true,
+        data: creditNotes,
+        count: creditNotes.length,
+        summary: {
+          total: invoice.total,
+          amountPaid: invoice.amountPaid,
+          amountCredited: invoice.amountCredited,
+          balanceDue: invoice.balanceDue,
+          status: invoice.status
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching invoice credit notes:', error);
+      next(error);
+    }
+  }
+
+  async createCreditNote(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Issuing credit note for invoice', { id, creditNoteData: req.body });
+
+      const invoice = await Invoice.findById(id);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      // Verify invoice belongs to user
+      if (req.user?.id && invoice.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (!CREDITABLE_STATUSES.includes(invoice.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot issue a credit note for a ${invoice.status} invoice`
+        });
+      }
+
+      const creditedQuantities = creditNoteService.getCreditedQuantities(await invoice.getCreditNotes());
+      const { items, error } = creditNoteService.buildCreditItems(invoice, req.body.items, creditedQuantities);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const creditNote = await creditNoteService.issueCreditNote(invoice, { ...req.body, items }, creditedQuantities);
+      if (!creditNote) {
+        return res.status(409).json({
+          success: false,
+          error: 'Credit note exceeds the amount left to credit on the invoice'
+        });
+      }
+
+      const updatedInvoice = await Invoice.findById(id);
+
+      logger.info('Credit note issued successfully', { creditNoteId: creditNote.id, invoiceId: id });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          creditNote,
+          invoice: {
+            id: updatedInvoice.id,
+            status: updatedInvoice.status,
+            total: updatedInvoice.total,
+            amountPaid: updatedInvoice.amountPaid,
+            amountCredited: updatedInvoice.amountCredited,
+            balanceDue: updatedInvoice.balanceDue
+          }
+        },
+        message: 'Credit note issued successfully'
+      });
+    } catch (error) {
+      logger.error('Error issuing credit note:', error);
+      next(error);
+    }
+  }
+
+  async voidCreditNote(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Voiding credit note', { id });
+
+      const creditNote = await CreditNote.findById(id);
+      if (!creditNote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Credit note not found'
+        });
+      }
+
+      // Verify credit note belongs to user
+      if (req.user?.id && creditNote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (creditNote.status !== 'issued') {
+        return res.status(400).json({
+          success: false,
+          error: 'Credit note is already void'
+        });
+      }
+
+      // Money already paid out can't be taken back by voiding
+      if (await creditNote.getRefundedAmount() > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot void a credit note that has been refunded'
+        });
+      }
+
+      const voidedCreditNote = await CreditNote.void(id);
+
+      logger.info('Credit note voided successfully', { creditNoteId: id });
+
+      res.json({
+        success: true,
+        data: voidedCreditNote,
+        message: 'Credit note voided successfully'
+      });
+    } catch (error) {
+      logger.error('Error voiding credit note:', error);
+      next(error);
+    }
+  }
+
+  async refundCreditNote(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Recording refund for credit note', { id, refundData: req.body });
+
+      const creditNote = await CreditNote.findById(id);
+      if (!creditNote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Credit note not found'
+        });
+      }
+
+      // Verify credit note belongs to user
+      if (req.user?.id && creditNote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (creditNote.status !== 'issued') {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot refund a void credit note'
+        });
+      }
+
+      const invoice = await creditNote.getInvoice();
+      const refundable = await creditNoteService.getRefundableAmount(creditNote, invoice);
+      const amount = req.body.amount ?? refundable;
+
+      if (refundable <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Nothing to refund: the invoice has no overpayment left from this credit note'
+        });
+      }
+
+      if (amount > refundable) {
+        return res.status(400).json({
+          success: false,
+          error: `Refund exceeds the refundable amount of ${refundable}`
+        });
+      }
+
+      const payment = await creditNoteService.recordRefund(creditNote, invoice, { ...req.body, amount });
+      const updatedInvoice = await Invoice.findById(invoice.id);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          refund: payment,
+          invoice: {
+            id: updatedInvoice.id,
+            status: updatedInvoice.status,
+            total: updatedInvoice.total,
+            amountPaid: updatedInvoice.amountPaid,
+            amountCredited: updatedInvoice.amountCredited,
+            balanceDue: updatedInvoice.balanceDue
+          }
+        },
+        message: 'Refund recorded successfully'
+      });
+    } catch (error) {
+      logger.error('Error recording refund:', error);
+      next(error);
+    }
+  }
+
+  async generatePDF(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { templateId, download } = req.query;
+      logger.info('Generating PDF for credit note', { id, templateId });
+
+      const creditNote = await CreditNote.findById(id);
+      if (!creditNote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Credit note not found'
+        });
+      }
+
+      // Verify credit note belongs to user
+      if (req.user?.id && creditNote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const pdfResult = await pdfService.getCreditNotePDFStream(id, templateId);
+
+      res.setHeader('Content-Type', pdfResult.contentType);
+      res.setHeader('Content-Disposition',
+        download === 'true'
+          ? `attachment; filename="${pdfResult.filename}"`
+          : `inline; filename="${pdfResult.filename}"`
+      );
+
+      res.send(pdfResult.stream);
+    } catch (error) {
+      logger.error('Error generating credit note PDF:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  async previewCreditNote(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { templateId } = req.query;
+      logger.info('Previewing credit note', { id, templateId });
+
+      const creditNote = await CreditNote.findById(id);
+      if (!creditNote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Credit note not found'
+        });
+      }
+
+      // Verify credit note belongs to user
+      if (req.user?.id && creditNote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const templateController = new TemplateController();
+      const htmlContent = await templateController.renderCreditNoteWithTemplate(id, templateId);
+
+      res.setHeader('Content-Type', 'text/html');
+      res.send(htmlContent);
+    } catch (error) {
+      logger.error('Error previewing credit note:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,160 @@
+import { logger } from '../utils/logger.js';
+import { Dispute } from '../models/index.js';
+import { disputeService } from '../services/disputeService.js';
+
+export class DisputeController {
+  async getDisputes(req, res, next) {
+    try {
+      logger.info('Fetching disputes', { query: req.query });
+
+      const disputes = await Dispute.findAll({
+        userId: req.user?.id,
+        clientId: req.query.clientId,
+        invoiceId: req.query.invoiceId,
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        data: disputes,
+        count: disputes.length
+      });
+    } catch (error) {
+      logger.error('Error fetching disputes:', error);
+      next(error);
+    }
+  }
+
+  async getDisputeById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching dispute by ID', { id });
+
+      const dispute = await Dispute.findById(id);
+      if (!dispute) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dispute not found'
+        });
+      }
+
+      // Verify dispute belongs to user
+      if (req.user?.id && dispute.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const invoice = await dispute.getInvoice();
+
+      res.json({
+        success: true,
+        data: {
+          ...dispute,
+          invoice: invoice ? {
+            id: invoice.id,
+            invoiceNumber: invoice.invoiceNumber,
+            status: invoice.status,
+            total: invoice.total,
+            balanceDue: invoice.balanceDue
+          } : null
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching dispute:', error);
+      next(error);
+    }
+  }
+
+  async creditDispute(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Crediting dispute', { id, creditData: req.body });
+
+      const dispute = await Dispute.findById(id);
+      if (!dispute) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dispute not found'
+        });
+      }
+
+      // Verify dispute belongs to user
+      if (req.user?.id && dispute.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (dispute.status !== 'open') {
+        return res.status(400).json({
+          success: false,
+          error: `Dispute has already been ${dispute.status}`
+        });
+      }
+
+      const invoice = await dispute.getInvoice();
+      const { dispute: resolvedDispute, creditNote, error } = await disputeService.creditDispute(dispute, invoice, req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          dispute: resolvedDispute,
+          creditNote
+        },
+        message: 'Dispute credited successfully'
+      });
+    } catch (error) {
+      logger.error('Error crediting dispute:', error);
+      next(error);
+    }
+  }
+
+  async rejectDispute(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Rejecting dispute', { id });
+
+      const dispute = await Dispute.findById(id);
+      if (!dispute) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dispute not found'
+        });
+      }
+
+      // Verify dispute belongs to user
+      if (req.user?.id && dispute.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const resolvedDispute = dispute.status === 'open' ? await disputeService.rejectDispute(dispute, req.body) : null;
+      if (!resolvedDispute) {
+        return res.status(400).json({
+          success: false,
+          error: 'Dispute has already been resolved'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: resolvedDispute,
+        message: 'Dispute rejected successfully'
+      });
+    } catch (error) {
+      logger.error('Error rejecting dispute:', error);
+      next(error);
+    }
+  }
+}
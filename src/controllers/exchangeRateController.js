@@ -0,0 +1,158 @@
+import { format } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { CURRENCIES } from '../utils/currencies.js';
+import { ExchangeRate, Invoice } from '../models/index.js';
+import { currencyService } from '../services/currencyService.js';
+
+export class ExchangeRateController {
+  async getCurrencies(req, res, next) {
+    try {
+      const currencies = Object.entries(CURRENCIES).map(([code, currency]) => ({ code, ...currency }));
+
+      res.json({
+        success: true,
+        data: currencies,
+        count: currencies.length
+      });
+    } catch (error) {
+      logger.error('Error fetching currencies:', error);
+      next(error);
+    }
+  }
+
+  async getRates(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      logger.info('Fetching exchange rates', { userId, query: req.query });
+
+      const rates = await ExchangeRate.findAll(userId, {
+        currency: req.query.currency,
+        baseCurrency: req.query.baseCurrency
+      });
+
+      res.json({
+        success: true,
+        data: rates,
+        count: rates.length,
+        baseCurrency: await currencyService.getBaseCurrency(userId)
+      });
+    } catch (error) {
+      logger.error('Error fetching exchange rates:', error);
+      next(error);
+    }
+  }
+
+  async createRate(req, res, next) {
+    try {
+      logger.info('Saving exchange rate', { rateData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      const baseCurrency = req.body.baseCurrency || await currencyService.getBaseCurrency(userId);
+      if (baseCurrency === req.body.currency) {
+        return res.status(400).json({
+          success: false,
+          error: 'Currency and base currency must differ'
+        });
+      }
+
+      const rate = await ExchangeRate.upsert({
+        userId,
+        currency: req.body.currency,
+        baseCurrency,
+        rate: req.body.rate,
+        rateDate: req.body.rateDate || format(new Date(), 'yyyy-MM-dd'),
+        source: 'manual'
+      });
+
+      // Invoices issued before a rate was available can now be converted
+      const invoicesUpdated = await Invoice.snapshotMissingExchangeRates(userId);
+
+      logger.info('Exchange rate saved successfully', { rateId: rate.id, invoicesUpdated });
+
+      res.status(201).json({
+        success: true,
+        data: rate,
+        invoicesUpdated,
+        message: 'Exchange rate saved successfully'
+      });
+    } catch (error) {
+      logger.error('Error saving exchange rate:', error);
+      next(error);
+    }
+  }
+
+  async importRates(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      logger.info('Importing exchange rates from CSV', { userId });
+
+      const result = await currencyService.importRatesCsv(userId, req.body.csv);
+
+      res.json({
+        success: result.imported > 0 || result.errors.length === 0,
+        data: result,
+        message: `${result.imported} exchange rate(s) imported`
+      });
+    } catch (error) {
+      logger.error('Error importing exchange rates:', error);
+      next(error);
+    }
+  }
+
+  async deleteRate(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting exchange rate', { id });
+
+      const rate = await ExchangeRate.findById(id);
+      if (!rate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Exchange rate not found'
+        });
+      }
+
+      // Verify rate belongs to user
+      if (req.user?.id && rate.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // Rates already snapshotted on invoices are not affected
+      await ExchangeRate.delete(id);
+
+      logger.info('Exchange rate deleted successfully', { rateId: id });
+
+      res.json({
+        success: true,
+        message: 'Exchange rate deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting exchange rate:', error);
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,427 @@
+import { logger } from '../utils/logger.js';
+import { Client, Expense, Invoice, TaxRate } from '../models/index.js';
+import { expenseService, RECEIPT_TYPES } from '../services/expenseService.js';
+
+export class ExpenseController {
+  async getExpenses(req, res, next) {
+    try {
+      logger.info('Fetching expenses', { query: req.query });
+
+      const expenses = await Expense.findAll({
+        userId: req.user?.id,
+        clientId: req.query.clientId,
+        category: req.query.category,
+        rebillable: req.query.rebillable,
+        billed: req.query.billed,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      });
+
+      res.json({
+        success: true,
+        data: expenses,
+        count: expenses.length
+      });
+    } catch (error) {
+      logger.error('Error fetching expenses:', error);
+      next(error);
+    }
+  }
+
+  async getExpenseById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching expense by ID', { id });
+
+      const expense = await Expense.findById(id);
+      if (!expense) {
+        return res.status(404).json({
+          success: false,
+          error: 'Expense not found'
+        });
+      }
+
+      // Verify expense belongs to user
+      if (req.user?.id && expense.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: expense
+      });
+    } catch (error) {
+      logger.error('Error fetching expense:', error);
+      next(error);
+    }
+  }
+
+  async createExpense(req, res, next) {
+    try {
+      logger.info('Creating expense', { expenseData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      if (req.body.clientId) {
+        const client = await Client.findById(req.body.clientId);
+        if (!client || client.userId !== userId) {
+          return res.status(400).json({
+            success: false,
+            error: 'Client not found'
+          });
+        }
+      }
+
+      const expense = await Expense.create({ ...req.body, userId });
+
+      logger.info('Expense created successfully', { expenseId: expense.id });
+
+      res.status(201).json({
+        success: true,
+        data: expense,
+        message: 'Expense created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating expense:', error);
+      next(error);
+    }
+  }
+
+  async updateExpense(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Updating expense', { id, updateData: req.body });
+
+      const existingExpense = await Expense.findById(id);
+      if (!existingExpense) {
+        return res.status(404).json({
+          success: false,
+          error: 'Expense not found'
+        });
+      }
+
+      // Verify expense belongs to user
+      if (req.user?.id && existingExpense.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // What was billed is fixed on the invoice; only bookkeeping fields can change
+      const billedFields = ['clientId', 'amount', 'currency', 'rebillable', 'markupPercent'];
+      if (existingExpense.invoiceId && billedFields.some(field => req.body[field] !== undefined)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot change the amount, client or billing of an expense that has been billed'
+        });
+      }
+
+      if (req.body.clientId && req.body.clientId !== existingExpense.clientId) {
+        const client = await Client.findById(req.body.clientId);
+        if (!client || client.userId !== existingExpense.userId) {
+          return res.status(400).json({
+            success: false,
+            error: 'Client not found'
+          });
+        }
+      }
+
+      const expense = await Expense.update(id, req.body);
+
+      logger.info('Expense updated successfully', { expenseId: id });
+
+      res.json({
+        success: true,
+        data: expense,
+        message: 'Expense updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating expense:', error);
+      next(error);
+    }
+  }
+
+  async deleteExpense(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting expense', { id });
+
+      const expense = await Expense.findById(id);
+      if (!expense) {
+        return res.status(404).json({
+          success: false,
+          error: 'Expense not found'
+        });
+      }
+
+      // Verify expense belongs to user
+      if (req.user?.id && expense.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (expense.invoiceId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot delete an expense that has been billed'
+        });
+      }
+
+      await Expense.delete(id);
+      if (expense.receiptPath) {
+        await expenseService.removeReceiptFile(expense.receiptPath);
+      }
+
+      logger.info('Expense deleted successfully', { expenseId: id });
+
+      res.json({
+        success: true,
+        message: 'Expense deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting expense:', error);
+      next(error);
+    }
+  }
+
+  async getInvoiceExpenses(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching expenses billed on invoice', { id });
+
+      const invoice = await Invoice.findById(id);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      // Verify invoice belongs to user
+      if (req.user?.id && invoice.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const expenses = await Expense.findAll({ invoiceId: id });
+
+      res.json({
+        success: true,
+        data: expenses,
+        count: expenses.length
+      });
+    } catch (error) {
+      logger.error('Error fetching invoice expenses:', error);
+      next(error);
+    }
+  }
+
+  async billExpensesToInvoice(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Billing expenses to invoice', { id, billingData: req.body });
+
+      const invoice = await Invoice.findById(id);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      // Verify invoice belongs to user
+      if (req.user?.id && invoice.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (invoice.status !== 'draft') {
+        return res.status(400).json({
+          success: false,
+          error: 'Expenses can only be added to draft invoices'
+        });
+      }
+
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(invoice.userId, [{ taxCodes: req.body.taxCodes }]);
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+
+      const { invoice: updatedInvoice, expenseIds, error } = await expenseService.billToInvoice(invoice, req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...updatedInvoice,
+          expenseIds
+        },
+        message: 'Expenses added to invoice'
+      });
+    } catch (error) {
+      logger.error('Error billing expenses to invoice:', error);
+      next(error);
+    }
+  }
+
+  async uploadReceipt(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Uploading receipt', { id, contentType: req.get('Content-Type') });
+
+      const expense = await Expense.findById(id);
+      if (!expense) {
+        return res.status(404).json({
+          success: false,
+          error: 'Expense not found'
+        });
+      }
+
+      // Verify expense belongs to user
+      if (req.user?.id && expense.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // The raw body parser only accepts the receipt content types
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Send the receipt file as the request body with a Content-Type of ${Object.keys(RECEIPT_TYPES).join(', ')}`
+        });
+      }
+
+      const contentType = req.get('Content-Type').split(';')[0].trim().toLowerCase();
+      const updatedExpense = await expenseService.saveReceipt(expense, req.body, contentType, req.query.filename);
+
+      res.json({
+        success: true,
+        data: updatedExpense,
+        message: 'Receipt uploaded successfully'
+      });
+    } catch (error) {
+      logger.error('Error uploading receipt:', error);
+      next(error);
+    }
+  }
+
+  async getReceipt(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { download } = req.query;
+      logger.info('Fetching receipt', { id });
+
+      const expense = await Expense.findById(id);
+      if (!expense) {
+        return res.status(404).json({
+          success: false,
+          error: 'Expense not found'
+        });
+      }
+
+      // Verify expense belongs to user
+      if (req.user?.id && expense.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (!expense.receiptPath) {
+        return res.status(404).json({
+          success: false,
+          error: 'Expense has no receipt'
+        });
+      }
+
+      const buffer = await expenseService.readReceipt(expense);
+
+      res.setHeader('Content-Type', expense.receiptContentType);
+      res.setHeader('Content-Disposition',
+        download === 'true'
+          ? `attachment; filename="${expense.receiptFilename}"`
+          : `inline; filename="${expense.receiptFilename}"`
+      );
+
+      res.send(buffer);
+    } catch (error) {
+      logger.error('Error fetching receipt:', error);
+
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({
+          success: false,
+          error: 'Receipt file not found'
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  async deleteReceipt(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting receipt', { id });
+
+      const expense = await Expense.findById(id);
+      if (!expense) {
+        return res.status(404).json({
+          success: false,
+          error: 'Expense not found'
+        });
+      }
+
+      // Verify expense belongs to user
+      if (req.user?.id && expense.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (!expense.receiptPath) {
+        return res.status(404).json({
+          success: false,
+          error: 'Expense has no receipt'
+        });
+      }
+
+      const updatedExpense = await expenseService.deleteReceipt(expense);
+
+      res.json({
+        success: true,
+        data: updatedExpense,
+        message: 'Receipt deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting receipt:', error);
+      next(error);
+    }
+  }
+}
@@ -1,8 +1,14 @@
+import { format } from 'date-fns';
 import { logger } from '../utils/logger.js';
-import { Invoice, Client, Template } from '../models/index.js';
+import { Invoice, Client, Template, TaxRate, Project, CatalogItem } from '../models/index.js';
 import { pdfService } from '../services/pdfService.js';
 import { emailService } from '../services/emailService.js';
 import { TemplateController } from './templateController.js';
+import { overdueInvoiceService } from '../services/overdueInvoiceService.js';
+import { currencyService } from '../services/currencyService.js';
+import { timeEntryService } from '../services/timeEntryService.js';
+import { rateCardService } from '../services/rateCardService.js';
+import { paymentTermsService } from '../services/paymentTermsService.js';
 
 export class InvoiceController {
   async getAllInvoices(req, res, next) {
@@ -11,6 +17,7 @@ export class InvoiceController {
       
       const filters = {
         clientId: req.query.clientId,
+        projectId: req.query.projectId,
         status: req.query.status
       };
       
@@ -46,23 +53,31 @@ export class InvoiceController {
       
       const paginatedInvoices = invoices.slice(startIndex, endIndex);
       
+      // Amounts are reported per currency and converted to the user's base
+      // currency with the rate snapshotted on each invoice
+      const baseCurrency = await currencyService.getBaseCurrency(userId);
+      const { base, byCurrency, unconverted } = currencyService.summarizeInvoices(invoices, baseCurrency);
+      
       // Calculate summary statistics
       const stats = {
         total: invoices.length,
-        totalAmount: invoices.reduce((sum, inv) => sum + inv.total, 0),
+        baseCurrency,
+        totalAmount: base.totalAmount,
+        creditedAmount: base.creditedAmount,
         statusBreakdown: {
           draft: invoices.filter(inv => inv.status === 'draft').length,
           sent: invoices.filter(inv => inv.status === 'sent').length,
+          partially_paid: invoices.filter(inv => inv.status === 'partially_paid').length,
           paid: invoices.filter(inv => inv.status === 'paid').length,
           overdue: invoices.filter(inv => inv.status === 'overdue').length,
+          disputed: invoices.filter(inv => inv.status === 'disputed').length,
           cancelled: invoices.filter(inv => inv.status === 'cancelled').length
         },
-        paidAmount: invoices
-          .filter(inv => inv.status === 'paid')
-          .reduce((sum, inv) => sum + inv.total, 0),
-        outstandingAmount: invoices
-          .filter(inv => ['sent', 'overdue'].includes(inv.status))
-          .reduce((sum, inv) => sum + inv.total, 0)
+        // Computed from the payments ledger rather than from status
+        paidAmount: base.paidAmount,
+        outstandingAmount: base.outstandingAmount,
+        byCurrency,
+        unconverted
       };
       
       res.json({
@@ -84,6 +99,33 @@ export class InvoiceController {
     }
   }
 
+  async getOverdueInvoices(req, res, next) {
+    try {
+      logger.info('Fetching overdue invoices', { query: req.query });
+      
+      const asOfDate = req.query.asOf ? new Date(`${req.query.asOf}T00:00:00`) : new Date();
+      const userId = req.user?.id;
+      
+      const invoices = await Invoice.findOverdue(
+        { userId, clientId: req.query.clientId },
+        format(asOfDate, 'yyyy-MM-dd')
+      );
+      
+      const clientIds = [...new Set(invoices.map(invoice => invoice.clientId))];
+      const clients = await Promise.all(clientIds.map(clientId => Client.findById(clientId)));
+      
+      const report = overdueInvoiceService.buildAgingReport(invoices, clients, asOfDate);
+      
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Error fetching overdue invoices:', error);
+      next(error);
+    }
+  }
+
   async getInvoiceById(req, res, next) {
     try {
       const { id } = req.params;
@@ -114,6 +156,21 @@ export class InvoiceController {
     }
   }
 
+  async getPaymentTermPresets(req, res, next) {
+    try {
+      const presets = await paymentTermsService.getPresets(req.user?.id);
+      
+      res.json({
+        success: true,
+        data: presets,
+        count: presets.length
+      });
+    } catch (error) {
+      logger.error('Error fetching payment terms presets:', error);
+      next(error);
+    }
+  }
+
   async createInvoice(req, res, next) {
     try {
       logger.info('Creating new invoice', { invoiceData: req.body });
@@ -127,18 +184,62 @@ export class InvoiceController {
         });
       }
       
+      if (req.body.projectId && !await Project.findForClient(req.body.projectId, client.userId, client.id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Project not found for this client'
+        });
+      }
+      
+      // Line items may only reference taxes from the user's registry
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(req.user?.id, req.body.items);
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+      
+      const unknownCatalogItems = await CatalogItem.findUnknownIds(req.user?.id, req.body.items);
+      if (unknownCatalogItems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown catalog item(s): ${unknownCatalogItems.join(', ')}`
+        });
+      }
+      
+      // Catalog lines are priced from the client's rate card
+      const { items, error: rateError } = await rateCardService.applyRates(client, req.body.currency, req.body.items);
+      if (rateError) {
+        return res.status(400).json({
+          success: false,
+          error: rateError
+        });
+      }
+      
+      // Presets are looked up here; without terms the invoice takes the
+      // client's or the user's default terms
+      const userId = req.user?.id;
+      const { terms, error: termsError } = await paymentTermsService.resolveTerms(userId, req.body.terms);
+      if (termsError) {
+        return res.status(400).json({
+          success: false,
+          error: termsError
+        });
+      }
+      
       // Process line items - calculate totals
-      const processedItems = req.body.items.map(item => ({
+      const processedItems = items.map(item => ({
         ...item,
-        total: item.quantity * item.rate
+        total: Invoice.calculateLineTotal(item)
       }));
       
       const invoiceData = {
         ...req.body,
+        terms: terms || undefined,
         items: processedItems
       };
       
-      const userId = req.user?.id;
       const invoice = await Invoice.create({ ...invoiceData, userId });
       
       // Add client information to response
@@ -155,11 +256,82 @@ export class InvoiceController {
         message: 'Invoice created successfully'
       });
     } catch (error) {
+      // Unique (user_id, invoice_number) violation from a manually entered number
+      if (error.code === '23505') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invoice number already exists'
+        });
+      }
       logger.error('Error creating invoice:', error);
       next(error);
     }
   }
 
+  async createInvoiceFromTimeEntries(req, res, next) {
+    try {
+      logger.info('Creating invoice from time entries', { invoiceData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      const client = await Client.findById(req.body.clientId);
+      if (!client || client.userId !== userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      const project = req.body.projectId ? await Project.findForClient(req.body.projectId, userId, client.id) : null;
+      if (req.body.projectId && !project) {
+        return res.status(400).json({
+          success: false,
+          error: 'Project not found for this client'
+        });
+      }
+
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(userId, [{ taxCodes: req.body.taxCodes }]);
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+
+      // The project's rate and currency apply where the request doesn't set them
+      const { invoice, timeEntryIds, error } = await timeEntryService.createInvoiceFromTimeEntries(client, {
+        ...req.body,
+        hourlyRate: req.body.hourlyRate ?? project?.hourlyRate,
+        currency: req.body.currency || project?.currency
+      });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...invoice,
+          client,
+          timeEntryIds
+        },
+        message: 'Invoice created from time entries'
+      });
+    } catch (error) {
+      logger.error('Error creating invoice from time entries:', error);
+      next(error);
+    }
+  }
+
   async updateInvoice(req, res, next) {
     try {
       const { id } = req.params;
@@ -184,12 +356,67 @@ export class InvoiceController {
         }
       }
       
+      // The project (new or kept) must belong to the invoice's client
+      const projectId = req.body.projectId !== undefined ? req.body.projectId : existingInvoice.projectId;
+      const clientId = req.body.clientId || existingInvoice.clientId;
+      if (projectId && !await Project.findForClient(projectId, existingInvoice.userId, clientId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Project not found for this client'
+        });
+      }
+      
+      // Line items may only reference taxes from the user's registry
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(existingInvoice.userId, req.body.items);
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+      
+      const unknownCatalogItems = await CatalogItem.findUnknownIds(existingInvoice.userId, req.body.items);
+      if (unknownCatalogItems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown catalog item(s): ${unknownCatalogItems.join(', ')}`
+        });
+      }
+      
       // Process line items if they're being updated
       let updateData = { ...req.body };
+      if (req.body.terms) {
+        const { terms, error: termsError } = await paymentTermsService.resolveTerms(existingInvoice.userId, req.body.terms);
+        if (termsError) {
+          return res.status(400).json({
+            success: false,
+            error: termsError
+          });
+        }
+        updateData.terms = terms;
+      } else if (req.body.paymentTerms !== undefined) {
+        // A plain day count replaces any structured terms and their discount
+        updateData.terms = { name: null, dueDays: req.body.paymentTerms, discountPercent: 0, discountDays: 0 };
+      }
+      
       if (req.body.items) {
-        updateData.items = req.body.items.map(item => ({
+        // Catalog lines are priced from the (new or kept) client's rate card
+        const client = await Client.findById(clientId);
+        const { items, error: rateError } = await rateCardService.applyRates(
+          client,
+          req.body.currency || existingInvoice.currency,
+          req.body.items
+        );
+        if (rateError) {
+          return res.status(400).json({
+            success: false,
+            error: rateError
+          });
+        }
+        
+        updateData.items = items.map(item => ({
           ...item,
-          total: item.quantity * item.rate
+          total: Invoice.calculateLineTotal(item)
         }));
       }
       
@@ -348,7 +575,7 @@ export class InvoiceController {
       const { id } = req.params;
       logger.info('Sending invoice email', { id, emailData: req.body });
       
-      const invoice = Invoice.findById(id);
+      const invoice = await Invoice.findById(id);
       if (!invoice) {
         return res.status(404).json({
           success: false,
@@ -393,7 +620,7 @@ export class InvoiceController {
       const { templateId, format } = req.query;
       logger.info('Previewing invoice', { id, templateId, format });
       
-      const invoice = Invoice.findById(id);
+      const invoice = await Invoice.findById(id);
       if (!invoice) {
         return res.status(404).json({
           success: false,
@@ -410,8 +637,16 @@ export class InvoiceController {
         res.send(htmlContent);
       } else {
         // Return JSON with rendered data for debugging
-        const client = invoice.getClient();
-        const template = templateId ? Template.findById(templateId) : Template.findById(invoice.templateId) || Template.findDefault();
+        const client = await invoice.getClient();
+        const template = templateId
+          ? await Template.findById(templateId)
+          : (await Template.findById(invoice.templateId)) || (await Template.findDefault(invoice.userId));
+        if (!template || !template.isAccessibleBy(invoice.userId)) {
+          return res.status(404).json({
+            success: false,
+            error: 'Template not found'
+          });
+        }
         
         const previewData = {
           invoice: {
@@ -0,0 +1,140 @@
+import { logger } from '../utils/logger.js';
+import { Invoice, LateFee } from '../models/index.js';
+import { lateFeeService } from '../services/lateFeeService.js';
+
+const summarizeInvoice = (invoice) => ({
+  id: invoice.id,
+  status: invoice.status,
+  total: invoice.total,
+  lateFeeAmount: invoice.lateFeeAmount,
+  amountPaid: invoice.amountPaid,
+  amountCredited: invoice.amountCredited,
+  balanceDue: invoice.balanceDue
+});
+
+export class LateFeeController {
+  async getInvoiceLateFees(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching late fees for invoice', { id });
+
+      const invoice = await Invoice.findById(id);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      // Verify invoice belongs to user
+      if (req.user?.id && invoice.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const lateFees = await invoice.getLateFees();
+
+      res.json({
+        success: true,
+        data: lateFees,
+        count: lateFees.length,
+        summary: summarizeInvoice(invoice)
+      });
+    } catch (error) {
+      logger.error('Error fetching invoice late fees:', error);
+      next(error);
+    }
+  }
+
+  // Charge any late fees that are due now instead of waiting for the
+  // scheduled job
+  async applyLateFees(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Applying late fees to invoice', { id });
+
+      const invoice = await Invoice.findById(id);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      // Verify invoice belongs to user
+      if (req.user?.id && invoice.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (invoice.status !== 'overdue') {
+        return res.status(400).json({
+          success: false,
+          error: 'Late fees can only be applied to overdue invoices'
+        });
+      }
+
+      const applied = await lateFeeService.applyInvoiceFees(invoice);
+      const updatedInvoice = await Invoice.findById(id);
+
+      res.json({
+        success: true,
+        data: {
+          lateFees: applied,
+          invoice: summarizeInvoice(updatedInvoice)
+        },
+        message: applied.length > 0 ? `${applied.length} late fee(s) applied` : 'No late fees are due'
+      });
+    } catch (error) {
+      logger.error('Error applying late fees:', error);
+      next(error);
+    }
+  }
+
+  async waiveLateFee(req, res, next) {
+    try {
+      const { id, lateFeeId } = req.params;
+      logger.info('Waiving late fee', { id, lateFeeId });
+
+      const lateFee = await LateFee.findById(lateFeeId);
+      if (!lateFee || lateFee.invoiceId !== id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Late fee not found'
+        });
+      }
+
+      // Verify late fee belongs to user
+      if (req.user?.id && lateFee.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const { lateFee: waivedFee, invoice, error } = await lateFeeService.waiveLateFee(lateFee, req.body.reason);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          lateFee: waivedFee,
+          invoice: summarizeInvoice(invoice)
+        },
+        message: 'Late fee waived successfully'
+      });
+    } catch (error) {
+      logger.error('Error waiving late fee:', error);
+      next(error);
+    }
+  }
+}
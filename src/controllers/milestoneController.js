@@ -0,0 +1,288 @@
+import { logger } from '../utils/logger.js';
+import { Client, Milestone, Project, Quote, TaxRate } from '../models/index.js';
+import { milestoneService } from '../services/milestoneService.js';
+
+// The project or quote a schedule belongs to, checked against the user.
+// Returns { source } or { status, error }.
+const loadSource = async (userId, { projectId, quoteId }) => {
+  const document = projectId ? await Project.findById(projectId) : await Quote.findById(quoteId);
+  if (!document) {
+    return { status: 404, error: projectId ? 'Project not found' : 'Quote not found' };
+  }
+
+  // Verify project or quote belongs to user
+  if (userId && document.userId !== userId) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  if (projectId && document.billingMethod === 'hourly') {
+    return { status: 400, error: 'Milestones are only available for fixed-price and milestone projects' };
+  }
+
+  const client = await Client.findById(document.clientId);
+  return { source: projectId ? { project: document, client } : { quote: document, client } };
+};
+
+export class MilestoneController {
+  async getMilestones(req, res, next) {
+    try {
+      logger.info('Fetching milestones', { query: req.query });
+
+      const { source, status, error } = await loadSource(req.user?.id, req.query);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      const milestones = await Milestone.findAll({ projectId: req.query.projectId, quoteId: req.query.quoteId });
+
+      res.json({
+        success: true,
+        data: milestoneService.buildSchedule(milestones, milestoneService.getContract(source))
+      });
+    } catch (error) {
+      logger.error('Error fetching milestones:', error);
+      next(error);
+    }
+  }
+
+  async getMilestoneById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching milestone by ID', { id });
+
+      const milestone = await Milestone.findById(id);
+      if (!milestone) {
+        return res.status(404).json({
+          success: false,
+          error: 'Milestone not found'
+        });
+      }
+
+      // Verify milestone belongs to user
+      if (req.user?.id && milestone.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: milestone
+      });
+    } catch (error) {
+      logger.error('Error fetching milestone:', error);
+      next(error);
+    }
+  }
+
+  async createMilestone(req, res, next) {
+    try {
+      logger.info('Creating milestone', { milestoneData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      const { source, status, error } = await loadSource(userId, req.body);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      const schedule = await Milestone.findAll({ projectId: req.body.projectId, quoteId: req.body.quoteId });
+      const scheduleError = milestoneService.checkSchedule([...schedule, req.body], milestoneService.getContract(source));
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          error: scheduleError
+        });
+      }
+
+      const milestone = await Milestone.create({ ...req.body, userId });
+
+      logger.info('Milestone created successfully', { milestoneId: milestone.id });
+
+      res.status(201).json({
+        success: true,
+        data: milestone,
+        message: 'Milestone created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating milestone:', error);
+      next(error);
+    }
+  }
+
+  async updateMilestone(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Updating milestone', { id, updateData: req.body });
+
+      const existingMilestone = await Milestone.findById(id);
+      if (!existingMilestone) {
+        return res.status(404).json({
+          success: false,
+          error: 'Milestone not found'
+        });
+      }
+
+      // Verify milestone belongs to user
+      if (req.user?.id && existingMilestone.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // An invoiced milestone is fixed on its invoice; delete the invoice to release it
+      if (existingMilestone.invoiceId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot edit a milestone that has been invoiced'
+        });
+      }
+
+      const { source, status, error } = await loadSource(existingMilestone.userId, existingMilestone);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+
+      const schedule = await Milestone.findAll({ projectId: existingMilestone.projectId, quoteId: existingMilestone.quoteId });
+      const updatedSchedule = schedule.map(milestone => (milestone.id === id ? { ...milestone, ...req.body } : milestone));
+      const scheduleError = milestoneService.checkSchedule(updatedSchedule, milestoneService.getContract(source));
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          error: scheduleError
+        });
+      }
+
+      const milestone = await Milestone.update(id, req.body);
+
+      logger.info('Milestone updated successfully', { milestoneId: id });
+
+      res.json({
+        success: true,
+        data: milestone,
+        message: 'Milestone updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating milestone:', error);
+      next(error);
+    }
+  }
+
+  async deleteMilestone(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting milestone', { id });
+
+      const milestone = await Milestone.findById(id);
+      if (!milestone) {
+        return res.status(404).json({
+          success: false,
+          error: 'Milestone not found'
+        });
+      }
+
+      // Verify milestone belongs to user
+      if (req.user?.id && milestone.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (milestone.invoiceId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot delete a milestone that has been invoiced'
+        });
+      }
+
+      await Milestone.delete(id);
+
+      logger.info('Milestone deleted successfully', { milestoneId: id });
+
+      res.json({
+        success: true,
+        message: 'Milestone deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting milestone:', error);
+      next(error);
+    }
+  }
+
+  async createMilestoneInvoice(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Creating invoice for milestone', { id, invoiceData: req.body });
+
+      const milestone = await Milestone.findById(id);
+      if (!milestone) {
+        return res.status(404).json({
+          success: false,
+          error: 'Milestone not found'
+        });
+      }
+
+      // Verify milestone belongs to user
+      if (req.user?.id && milestone.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const { source, status, error: sourceError } = await loadSource(milestone.userId, milestone);
+      if (sourceError) {
+        return res.status(status).json({
+          success: false,
+          error: sourceError
+        });
+      }
+
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(milestone.userId, [{ taxCodes: req.body.taxCodes }]);
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+
+      const { invoice, milestone: invoicedMilestone, error } = await milestoneService.createMilestoneInvoice(source, id, req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          ...invoice,
+          milestone: invoicedMilestone
+        },
+        message: 'Milestone invoice created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating milestone invoice:', error);
+      next(error);
+    }
+  }
+}
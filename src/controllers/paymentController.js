@@ -0,0 +1,169 @@
+import { logger } from '../utils/logger.js';
+import { Invoice, Payment } from '../models/index.js';
+
+export class PaymentController {
+  async getPayments(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching payments for invoice', { id });
+
+      const invoice = await Invoice.findById(id);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      // Verify invoice belongs to user
+      if (req.user?.id && invoice.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const payments = await invoice.getPayments();
+
+      res.json({
+        success: true,
+        data: payments,
+        count: payments.length,
+        summary: {
+          total: invoice.total,
+          amountPaid: invoice.amountPaid,
+          amountCredited: invoice.amountCredited,
+          balanceDue: invoice.balanceDue,
+          status: invoice.status
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching payments:', error);
+      next(error);
+    }
+  }
+
+  async createPayment(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Recording payment for invoice', { id, paymentData: req.body });
+
+      const invoice = await Invoice.findById(id);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      // Verify invoice belongs to user
+      if (req.user?.id && invoice.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (invoice.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot record a payment against a cancelled invoice'
+        });
+      }
+
+      const payment = await Payment.create({
+        ...req.body,
+        invoiceId: id,
+        userId: req.user?.id || invoice.userId
+      });
+
+      const updatedInvoice = await Invoice.findById(id);
+
+      if (!payment) {
+        return res.status(400).json({
+          success: false,
+          error: `Payment exceeds the balance due of ${updatedInvoice.balanceDue.toFixed(2)}`
+        });
+      }
+
+      logger.info('Payment recorded successfully', {
+        invoiceId: id,
+        paymentId: payment.id,
+        newStatus: updatedInvoice.status
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          payment,
+          invoice: {
+            id: updatedInvoice.id,
+            status: updatedInvoice.status,
+            total: updatedInvoice.total,
+            amountPaid: updatedInvoice.amountPaid,
+            amountCredited: updatedInvoice.amountCredited,
+            balanceDue: updatedInvoice.balanceDue
+          }
+        },
+        message: 'Payment recorded successfully'
+      });
+    } catch (error) {
+      logger.error('Error recording payment:', error);
+      next(error);
+    }
+  }
+
+  async deletePayment(req, res, next) {
+    try {
+      const { id, paymentId } = req.params;
+      logger.info('Deleting payment', { id, paymentId });
+
+      const invoice = await Invoice.findById(id);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      // Verify invoice belongs to user
+      if (req.user?.id && invoice.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const payment = await Payment.findById(paymentId);
+      if (!payment || payment.invoiceId !== id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Payment not found'
+        });
+      }
+
+      await Payment.delete(paymentId);
+      const updatedInvoice = await Invoice.findById(id);
+
+      logger.info('Payment deleted successfully', { invoiceId: id, paymentId });
+
+      res.json({
+        success: true,
+        data: {
+          invoice: {
+            id: updatedInvoice.id,
+            status: updatedInvoice.status,
+            total: updatedInvoice.total,
+            amountPaid: updatedInvoice.amountPaid,
+            amountCredited: updatedInvoice.amountCredited,
+            balanceDue: updatedInvoice.balanceDue
+          }
+        },
+        message: 'Payment deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting payment:', error);
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import { logger } from '../utils/logger.js';
+import { paymentGatewayService } from '../services/paymentGatewayService.js';
+import { portalService } from '../services/portalService.js';
+
+export class PaymentGatewayController {
+  async handlePaymentWebhook(req, res, next) {
+    try {
+      const { provider } = req.params;
+      logger.info('Received payment webhook', { provider });
+
+      const { status, payment, error, statusCode } = await paymentGatewayService.handleWebhook(provider, req.rawBody, req.headers);
+      if (error) {
+        return res.status(statusCode).json({
+          success: false,
+          error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          status,
+          paymentId: payment?.id || null
+        }
+      });
+    } catch (error) {
+      logger.error('Error handling payment webhook:', error);
+      next(error);
+    }
+  }
+
+  // Hosted checkout page of the fake provider
+  async showFakeCheckout(req, res, next) {
+    try {
+      const provider = paymentGatewayService.getProvider('fake');
+      const session = provider?.getSession(req.params.sessionId);
+      if (!session || session.status !== 'open') {
+        return res.status(404).send(portalService.buildMessagePage(
+          'Checkout unavailable',
+          'This checkout session has expired or was already paid.'
+        ));
+      }
+
+      res.setHeader('Content-Type', 'text/html');
+      res.send(provider.renderCheckoutPage(session));
+    } catch (error) {
+      logger.error('Error showing fake checkout:', error);
+      next(error);
+    }
+  }
+
+  // Pay a fake checkout session: deliver the signed webhook the provider
+  // would send, then return the client to the invoice
+  async completeFakeCheckout(req, res, next) {
+    try {
+      const provider = paymentGatewayService.getProvider('fake');
+      const session = provider?.getSession(req.params.sessionId);
+      if (!session || session.status !== 'open') {
+        return res.status(404).send(portalService.buildMessagePage(
+          'Checkout unavailable',
+          'This checkout session has expired or was already paid.'
+        ));
+      }
+
+      const rawBody = Buffer.from(JSON.stringify(provider.completeSession(session)));
+      const { error } = await paymentGatewayService.handleWebhook(provider.name, rawBody, {
+        'x-fake-signature': provider.sign(rawBody)
+      });
+      if (error) {
+        return res.status(400).send(portalService.buildMessagePage('Payment failed', error));
+      }
+
+      res.redirect(303, session.successUrl);
+    } catch (error) {
+      logger.error('Error completing fake checkout:', error);
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,150 @@
+import { logger } from '../utils/logger.js';
+import { Client, Dispute, Invoice } from '../models/index.js';
+import { TemplateController } from './templateController.js';
+import { pdfService } from '../services/pdfService.js';
+import { portalService } from '../services/portalService.js';
+import { disputeService } from '../services/disputeService.js';
+import { paymentGatewayService } from '../services/paymentGatewayService.js';
+import { disputeValidation } from '../validation/schemas.js';
+
+const LINK_UNAVAILABLE = [
+  'Invoice link unavailable',
+  'This invoice link is invalid or has expired. Please contact us for a new one.'
+];
+
+// Invoice pages for clients, reached through signed links
+export class PortalController {
+  async viewInvoice(req, res, next) {
+    try {
+      const { token } = req.params;
+
+      const invoice = await portalService.findInvoice(token);
+      if (!invoice) {
+        return res.status(404).send(portalService.buildMessagePage(...LINK_UNAVAILABLE));
+      }
+
+      logger.info('Client portal invoice view', { invoiceId: invoice.id });
+
+      const templateController = new TemplateController();
+      const invoiceHtml = await templateController.renderInvoiceWithTemplate(invoice.id);
+      const openInvoices = await portalService.getOpenInvoices(invoice);
+      const [dispute] = await Dispute.findAll({ invoiceId: invoice.id });
+
+      await Invoice.recordView(invoice.id);
+
+      res.setHeader('Content-Type', 'text/html');
+      res.send(portalService.buildInvoicePage(invoiceHtml, {
+        invoice,
+        token,
+        openInvoices,
+        dispute,
+        paymentSubmitted: req.query.paid === '1'
+      }));
+    } catch (error) {
+      logger.error('Error rendering portal invoice:', error);
+      next(error);
+    }
+  }
+
+  async acknowledgeInvoice(req, res, next) {
+    try {
+      const { token } = req.params;
+
+      const invoice = await portalService.findInvoice(token);
+      if (!invoice) {
+        return res.status(404).send(portalService.buildMessagePage(...LINK_UNAVAILABLE));
+      }
+
+      if (!portalService.canRespond(invoice)) {
+        return res.status(400).send(portalService.buildMessagePage(
+          'Invoice cannot be acknowledged',
+          `Invoice ${invoice.invoiceNumber} is ${invoice.status.replace('_', ' ')}.`
+        ));
+      }
+
+      await Invoice.acknowledge(invoice.id);
+
+      logger.info('Invoice acknowledged from client portal', { invoiceId: invoice.id });
+
+      res.redirect(303, `/portal/${token}`);
+    } catch (error) {
+      logger.error('Error acknowledging portal invoice:', error);
+      next(error);
+    }
+  }
+
+  async disputeInvoice(req, res, next) {
+    try {
+      const { token } = req.params;
+
+      const invoice = await portalService.findInvoice(token);
+      if (!invoice) {
+        return res.status(404).send(portalService.buildMessagePage(...LINK_UNAVAILABLE));
+      }
+
+      // Validated here rather than by validateRequest so the client sees a
+      // page instead of a JSON error
+      const { error: validationError, value } = disputeValidation.raise.validate(req.body, { stripUnknown: true });
+      if (validationError) {
+        return res.status(400).send(portalService.buildMessagePage('Dispute not sent', validationError.details[0].message));
+      }
+
+      const client = await Client.findById(invoice.clientId);
+      const { error } = await disputeService.raiseDispute(invoice, client, value);
+      if (error) {
+        return res.status(400).send(portalService.buildMessagePage('Dispute not sent', error));
+      }
+
+      res.redirect(303, `/portal/${token}`);
+    } catch (error) {
+      logger.error('Error disputing portal invoice:', error);
+      next(error);
+    }
+  }
+
+  // Send the client to the payment provider's checkout for the balance due
+  async payInvoice(req, res, next) {
+    try {
+      const { token } = req.params;
+
+      const invoice = await portalService.findInvoice(token);
+      if (!invoice) {
+        return res.status(404).send(portalService.buildMessagePage(...LINK_UNAVAILABLE));
+      }
+
+      const invoiceUrl = `${portalService.baseUrl}/portal/${token}`;
+      const { url, error } = await paymentGatewayService.createCheckout(invoice, {
+        successUrl: `${invoiceUrl}?paid=1`,
+        cancelUrl: invoiceUrl
+      });
+      if (error) {
+        return res.status(400).send(portalService.buildMessagePage('Payment unavailable', error));
+      }
+
+      res.redirect(303, url);
+    } catch (error) {
+      logger.error('Error starting portal payment:', error);
+      next(error);
+    }
+  }
+
+  async downloadInvoicePDF(req, res, next) {
+    try {
+      const invoice = await portalService.findInvoice(req.params.token);
+      if (!invoice) {
+        return res.status(404).send(portalService.buildMessagePage(...LINK_UNAVAILABLE));
+      }
+
+      logger.info('Client portal PDF download', { invoiceId: invoice.id });
+
+      const pdfResult = await pdfService.getPDFStream(invoice.id);
+
+      res.setHeader('Content-Type', pdfResult.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${pdfResult.filename}"`);
+      res.send(pdfResult.stream);
+    } catch (error) {
+      logger.error('Error generating portal PDF:', error);
+      next(error);
+    }
+  }
+}
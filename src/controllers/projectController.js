@@ -0,0 +1,219 @@
+import { logger } from '../utils/logger.js';
+import { Client, Project } from '../models/index.js';
+import { projectService } from '../services/projectService.js';
+
+export class ProjectController {
+  async getProjects(req, res, next) {
+    try {
+      logger.info('Fetching projects', { query: req.query });
+
+      const projects = await Project.findAll({
+        userId: req.user?.id,
+        clientId: req.query.clientId,
+        status: req.query.status
+      });
+
+      res.json({
+        success: true,
+        data: projects,
+        count: projects.length
+      });
+    } catch (error) {
+      logger.error('Error fetching projects:', error);
+      next(error);
+    }
+  }
+
+  async getProjectById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching project by ID', { id });
+
+      const project = await Project.findById(id);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      // Verify project belongs to user
+      if (req.user?.id && project.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const client = await project.getClient();
+
+      res.json({
+        success: true,
+        data: {
+          ...project,
+          client: client ? {
+            id: client.id,
+            name: client.name,
+            email: client.email,
+            company: client.company
+          } : null
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching project:', error);
+      next(error);
+    }
+  }
+
+  async getProjectSummary(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching project summary', { id });
+
+      const project = await Project.findById(id);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      // Verify project belongs to user
+      if (req.user?.id && project.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const summary = await projectService.buildSummary(project);
+
+      res.json({
+        success: true,
+        data: {
+          project: {
+            id: project.id,
+            name: project.name,
+            clientId: project.clientId,
+            status: project.status,
+            billingMethod: project.billingMethod
+          },
+          ...summary
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching project summary:', error);
+      next(error);
+    }
+  }
+
+  async createProject(req, res, next) {
+    try {
+      logger.info('Creating project', { projectData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      const client = await Client.findById(req.body.clientId);
+      if (!client || client.userId !== userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      const project = await Project.create({
+        ...req.body,
+        currency: req.body.currency || client.currency,
+        userId
+      });
+
+      logger.info('Project created successfully', { projectId: project.id });
+
+      res.status(201).json({
+        success: true,
+        data: project,
+        message: 'Project created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating project:', error);
+      next(error);
+    }
+  }
+
+  async updateProject(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Updating project', { id, updateData: req.body });
+
+      const existingProject = await Project.findById(id);
+      if (!existingProject) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      // Verify project belongs to user
+      if (req.user?.id && existingProject.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const project = await Project.update(id, req.body);
+
+      logger.info('Project updated successfully', { projectId: id });
+
+      res.json({
+        success: true,
+        data: project,
+        message: 'Project updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating project:', error);
+      next(error);
+    }
+  }
+
+  async deleteProject(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting project', { id });
+
+      const project = await Project.findById(id);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      // Verify project belongs to user
+      if (req.user?.id && project.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      await Project.delete(id);
+
+      logger.info('Project deleted successfully', { projectId: id });
+
+      res.json({
+        success: true,
+        message: 'Project deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting project:', error);
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,471 @@
+import { logger } from '../utils/logger.js';
+import { Quote, Invoice, Client, TaxRate, CatalogItem } from '../models/index.js';
+import { pdfService } from '../services/pdfService.js';
+import { quoteService } from '../services/quoteService.js';
+import { TemplateController } from './templateController.js';
+
+// Allowed manual status changes. Accepted quotes are final; declined or
+// expired quotes can be reopened as drafts for revision.
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'accepted', 'declined'],
+  sent: ['draft', 'accepted', 'declined', 'expired'],
+  accepted: [],
+  declined: ['draft'],
+  expired: ['draft']
+};
+
+const EDITABLE_STATUSES = ['draft', 'sent'];
+
+export class QuoteController {
+  async getAllQuotes(req, res, next) {
+    try {
+      logger.info('Fetching all quotes', { query: req.query });
+
+      const userId = req.user?.id;
+      const quotes = await Quote.findAll({
+        userId,
+        clientId: req.query.clientId,
+        status: req.query.status
+      });
+
+      // Add client information to each quote
+      const quotesWithClients = await Promise.all(quotes.map(async (quote) => {
+        const client = await quote.getClient();
+        return {
+          ...quote,
+          client: client ? {
+            id: client.id,
+            name: client.name,
+            email: client.email,
+            company: client.company
+          } : null
+        };
+      }));
+
+      res.json({
+        success: true,
+        data: quotesWithClients,
+        count: quotesWithClients.length
+      });
+    } catch (error) {
+      logger.error('Error fetching quotes:', error);
+      next(error);
+    }
+  }
+
+  async getQuoteById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching quote by ID', { id });
+
+      const quote = await Quote.findById(id);
+      if (!quote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quote not found'
+        });
+      }
+
+      // Verify quote belongs to user
+      if (req.user?.id && quote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const client = await quote.getClient();
+      const invoice = await quote.getInvoice();
+
+      res.json({
+        success: true,
+        data: {
+          ...quote,
+          client,
+          invoiceId: invoice?.id || null
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching quote:', error);
+      next(error);
+    }
+  }
+
+  async createQuote(req, res, next) {
+    try {
+      logger.info('Creating new quote', { quoteData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      // Verify client exists
+      const client = await Client.findById(req.body.clientId);
+      if (!client || client.userId !== userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      // Line items may only reference taxes from the user's registry
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(userId, req.body.items);
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+
+      const unknownCatalogItems = await CatalogItem.findUnknownIds(userId, req.body.items);
+      if (unknownCatalogItems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown catalog item(s): ${unknownCatalogItems.join(', ')}`
+        });
+      }
+
+      const items = req.body.items.map(item => ({
+        ...item,
+        total: Invoice.calculateLineTotal(item)
+      }));
+
+      const quote = await Quote.create({ ...req.body, items, userId });
+
+      logger.info('Quote created successfully', { quoteId: quote.id });
+
+      res.status(201).json({
+        success: true,
+        data: { ...quote, client },
+        message: 'Quote created successfully'
+      });
+    } catch (error) {
+      // Unique (user_id, quote_number) violation from a manually entered number
+      if (error.code === '23505') {
+        return res.status(400).json({
+          success: false,
+          error: 'Quote number already exists'
+        });
+      }
+      logger.error('Error creating quote:', error);
+      next(error);
+    }
+  }
+
+  async updateQuote(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Updating quote', { id, updateData: req.body });
+
+      const existingQuote = await Quote.findById(id);
+      if (!existingQuote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quote not found'
+        });
+      }
+
+      // Verify quote belongs to user
+      if (req.user?.id && existingQuote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (!EDITABLE_STATUSES.includes(existingQuote.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot edit a quote with status ${existingQuote.status}`
+        });
+      }
+
+      // If clientId is being updated, verify the new client exists
+      if (req.body.clientId && req.body.clientId !== existingQuote.clientId) {
+        const client = await Client.findById(req.body.clientId);
+        if (!client || client.userId !== existingQuote.userId) {
+          return res.status(400).json({
+            success: false,
+            error: 'Client not found'
+          });
+        }
+      }
+
+      // Line items may only reference taxes from the user's registry
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(existingQuote.userId, req.body.items);
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+
+      const unknownCatalogItems = await CatalogItem.findUnknownIds(existingQuote.userId, req.body.items);
+      if (unknownCatalogItems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown catalog item(s): ${unknownCatalogItems.join(', ')}`
+        });
+      }
+
+      const updateData = { ...req.body };
+      if (req.body.items) {
+        updateData.items = req.body.items.map(item => ({
+          ...item,
+          total: Invoice.calculateLineTotal(item)
+        }));
+      }
+
+      const quote = await Quote.update(id, updateData);
+
+      logger.info('Quote updated successfully', { quoteId: id });
+
+      res.json({
+        success: true,
+        data: quote,
+        message: 'Quote updated successfully'
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({
+          success: false,
+          error: 'Quote number already exists'
+        });
+      }
+      logger.error('Error updating quote:', error);
+      next(error);
+    }
+  }
+
+  async deleteQuote(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting quote', { id });
+
+      const quote = await Quote.findById(id);
+      if (!quote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quote not found'
+        });
+      }
+
+      // Verify quote belongs to user
+      if (req.user?.id && quote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // Keep the trail from invoice back to the quote it came from
+      if (quote.convertedAt) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot delete a quote that has been converted to an invoice'
+        });
+      }
+
+      await Quote.delete(id);
+
+      logger.info('Quote deleted successfully', { quoteId: id });
+
+      res.json({
+        success: true,
+        message: 'Quote deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting quote:', error);
+      next(error);
+    }
+  }
+
+  async updateStatus(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status } = req.body;
+      logger.info('Updating quote status', { id, status });
+
+      const quote = await Quote.findById(id);
+      if (!quote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quote not found'
+        });
+      }
+
+      // Verify quote belongs to user
+      if (req.user?.id && quote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (!STATUS_TRANSITIONS[quote.status].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot change quote status from ${quote.status} to ${status}`
+        });
+      }
+
+      if (status === 'accepted' && quote.isExpired()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Quote has expired and can no longer be accepted'
+        });
+      }
+
+      const updatedQuote = await quote.updateStatus(status);
+
+      logger.info('Quote status updated successfully', { quoteId: id, newStatus: status });
+
+      res.json({
+        success: true,
+        data: updatedQuote,
+        message: `Quote status updated to ${status}`
+      });
+    } catch (error) {
+      logger.error('Error updating quote status:', error);
+      next(error);
+    }
+  }
+
+  async convertQuote(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Converting quote to invoice', { id });
+
+      const quote = await Quote.findById(id);
+      if (!quote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quote not found'
+        });
+      }
+
+      // Verify quote belongs to user
+      if (req.user?.id && quote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (quote.status !== 'accepted') {
+        return res.status(400).json({
+          success: false,
+          error: 'Only accepted quotes can be converted to an invoice'
+        });
+      }
+
+      const invoice = await quoteService.convertToInvoice(quote, req.body);
+      if (!invoice) {
+        return res.status(409).json({
+          success: false,
+          error: 'Quote has already been converted to an invoice'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: invoice,
+        message: 'Quote converted to invoice successfully'
+      });
+    } catch (error) {
+      logger.error('Error converting quote:', error);
+      next(error);
+    }
+  }
+
+  async generatePDF(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { templateId, download } = req.query;
+      logger.info('Generating PDF for quote', { id, templateId });
+
+      const quote = await Quote.findById(id);
+      if (!quote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quote not found'
+        });
+      }
+
+      // Verify quote belongs to user
+      if (req.user?.id && quote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const pdfResult = await pdfService.getQuotePDFStream(id, templateId);
+
+      res.setHeader('Content-Type', pdfResult.contentType);
+      res.setHeader('Content-Disposition',
+        download === 'true'
+          ? `attachment; filename="${pdfResult.filename}"`
+          : `inline; filename="${pdfResult.filename}"`
+      );
+
+      res.send(pdfResult.stream);
+    } catch (error) {
+      logger.error('Error generating quote PDF:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  async previewQuote(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { templateId } = req.query;
+      logger.info('Previewing quote', { id, templateId });
+
+      const quote = await Quote.findById(id);
+      if (!quote) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quote not found'
+        });
+      }
+
+      // Verify quote belongs to user
+      if (req.user?.id && quote.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const templateController = new TemplateController();
+      const htmlContent = await templateController.renderQuoteWithTemplate(id, templateId);
+
+      res.setHeader('Content-Type', 'text/html');
+      res.send(htmlContent);
+    } catch (error) {
+      logger.error('Error previewing quote:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+}
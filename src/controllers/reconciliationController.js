@@ -0,0 +1,247 @@
+import { logger } from '../utils/logger.js';
+import { BankTransaction, Invoice } from '../models/index.js';
+import { reconciliationService } from '../services/reconciliationService.js';
+
+const summarizeInvoice = (invoice) => (invoice ? {
+  id: invoice.id,
+  invoiceNumber: invoice.invoiceNumber,
+  clientId: invoice.clientId,
+  status: invoice.status,
+  total: invoice.total,
+  balanceDue: invoice.balanceDue,
+  currency: invoice.currency
+} : null);
+
+export class ReconciliationController {
+  async importStatement(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      logger.info('Importing bank statement', { userId, format: req.body.format });
+
+      const result = await reconciliationService.importStatement(userId, req.body);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.json({
+        success: result.imported > 0 || result.errors.length === 0,
+        data: result,
+        message: `${result.imported} transaction(s) imported, ${result.matched} matched to invoices`
+      });
+    } catch (error) {
+      logger.error('Error importing bank statement:', error);
+      next(error);
+    }
+  }
+
+  // Transactions with the invoice each one is matched or reconciled to;
+  // status=matched lists suggestions awaiting confirmation and
+  // status=unmatched the queue for manual linking
+  async getTransactions(req, res, next) {
+    try {
+      logger.info('Fetching bank transactions', { query: req.query });
+
+      const transactions = await BankTransaction.findAll({
+        userId: req.user?.id,
+        status: req.query.status
+      });
+
+      const invoiceIds = [...new Set(transactions.map(transaction => transaction.invoiceId).filter(Boolean))];
+      const invoices = new Map((await Promise.all(invoiceIds.map(id => Invoice.findById(id))))
+        .filter(Boolean)
+        .map(invoice => [invoice.id, invoice]));
+
+      res.json({
+        success: true,
+        data: transactions.map(transaction => ({
+          ...transaction,
+          invoice: summarizeInvoice(invoices.get(transaction.invoiceId))
+        })),
+        count: transactions.length
+      });
+    } catch (error) {
+      logger.error('Error fetching bank transactions:', error);
+      next(error);
+    }
+  }
+
+  async confirmTransaction(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Confirming bank transaction', { id, invoiceId: req.body.invoiceId });
+
+      const transaction = await BankTransaction.findById(id);
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          error: 'Transaction not found'
+        });
+      }
+
+      // Verify transaction belongs to user
+      if (req.user?.id && transaction.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const result = await reconciliationService.confirmTransaction(transaction, req.body.invoiceId);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          transaction: result.transaction,
+          payment: result.payment,
+          invoice: summarizeInvoice(result.invoice)
+        },
+        message: 'Payment recorded from bank transaction'
+      });
+    } catch (error) {
+      logger.error('Error confirming bank transaction:', error);
+      next(error);
+    }
+  }
+
+  // Confirm several suggested matches at once. Each is confirmed on its
+  // own, so one failure doesn't hold back the rest.
+  async confirmTransactions(req, res, next) {
+    try {
+      const { ids } = req.body;
+      logger.info('Confirming bank transactions', { count: ids.length });
+
+      const confirmed = [];
+      const failed = [];
+
+      for (const id of ids) {
+        const transaction = await BankTransaction.findById(id);
+        if (!transaction || (req.user?.id && transaction.userId !== req.user.id)) {
+          failed.push({ id, error: 'Transaction not found' });
+          continue;
+        }
+
+        const result = await reconciliationService.confirmTransaction(transaction);
+        if (result.error) {
+          failed.push({ id, error: result.error });
+          continue;
+        }
+
+        confirmed.push({
+          transaction: result.transaction,
+          payment: result.payment,
+          invoice: summarizeInvoice(result.invoice)
+        });
+      }
+
+      res.json({
+        success: failed.length === 0,
+        data: {
+          confirmed,
+          failed
+        },
+        message: `${confirmed.length} payment(s) recorded from bank transactions`
+      });
+    } catch (error) {
+      logger.error('Error confirming bank transactions:', error);
+      next(error);
+    }
+  }
+
+  // Reject the suggested invoice and return the transaction to the queue
+  async unmatchTransaction(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Unmatching bank transaction', { id });
+
+      const transaction = await BankTransaction.findById(id);
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          error: 'Transaction not found'
+        });
+      }
+
+      // Verify transaction belongs to user
+      if (req.user?.id && transaction.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const updatedTransaction = await BankTransaction.setMatch(id, { invoiceId: null });
+      if (!updatedTransaction) {
+        return res.status(400).json({
+          success: false,
+          error: 'Reconciled transactions cannot be unmatched'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: updatedTransaction,
+        message: 'Transaction returned to the unmatched queue'
+      });
+    } catch (error) {
+      logger.error('Error unmatching bank transaction:', error);
+      next(error);
+    }
+  }
+
+  // Take a transaction that isn't an invoice payment out of the queue
+  async ignoreTransaction(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Ignoring bank transaction', { id });
+
+      const transaction = await BankTransaction.findById(id);
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          error: 'Transaction not found'
+        });
+      }
+
+      // Verify transaction belongs to user
+      if (req.user?.id && transaction.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const updatedTransaction = await BankTransaction.ignore(id);
+      if (!updatedTransaction) {
+        return res.status(400).json({
+          success: false,
+          error: `Transaction is already ${transaction.status}`
+        });
+      }
+
+      res.json({
+        success: true,
+        data: updatedTransaction,
+        message: 'Transaction ignored'
+      });
+    } catch (error) {
+      logger.error('Error ignoring bank transaction:', error);
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,359 @@
+import { format, parseISO } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { RecurringInvoice, Client, TaxRate, CatalogItem } from '../models/index.js';
+
+export class RecurringInvoiceController {
+  async getAllRecurringInvoices(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      logger.info('Fetching recurring invoices', { userId });
+
+      const schedules = await RecurringInvoice.findAll(userId);
+
+      res.json({
+        success: true,
+        data: schedules,
+        count: schedules.length
+      });
+    } catch (error) {
+      logger.error('Error fetching recurring invoices:', error);
+      next(error);
+    }
+  }
+
+  async getRecurringInvoiceById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching recurring invoice by ID', { id });
+
+      const schedule = await RecurringInvoice.findById(id);
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recurring invoice not found'
+        });
+      }
+
+      // Verify schedule belongs to user
+      if (req.user?.id && schedule.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const client = await Client.findById(schedule.clientId);
+
+      res.json({
+        success: true,
+        data: {
+          ...schedule,
+          client: client ? {
+            id: client.id,
+            name: client.name,
+            email: client.email,
+            company: client.company
+          } : null
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching recurring invoice:', error);
+      next(error);
+    }
+  }
+
+  async createRecurringInvoice(req, res, next) {
+    try {
+      logger.info('Creating recurring invoice', { scheduleData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      const client = await Client.findById(req.body.clientId);
+      if (!client || client.userId !== userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      // Line items may only reference taxes from the user's registry
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(userId, req.body.items);
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+
+      const unknownCatalogItems = await CatalogItem.findUnknownIds(userId, req.body.items);
+      if (unknownCatalogItems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown catalog item(s): ${unknownCatalogItems.join(', ')}`
+        });
+      }
+
+      const schedule = await RecurringInvoice.create({ ...req.body, userId });
+
+      logger.info('Recurring invoice created successfully', {
+        recurringInvoiceId: schedule.id,
+        nextRunDate: schedule.nextRunDate
+      });
+
+      res.status(201).json({
+        success: true,
+        data: schedule,
+        message: 'Recurring invoice created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating recurring invoice:', error);
+      next(error);
+    }
+  }
+
+  async updateRecurringInvoice(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Updating recurring invoice', { id, updateData: req.body });
+
+      const existing = await RecurringInvoice.findById(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recurring invoice not found'
+        });
+      }
+
+      // Verify schedule belongs to user
+      if (req.user?.id && existing.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (req.body.clientId && req.body.clientId !== existing.clientId) {
+        const client = await Client.findById(req.body.clientId);
+        if (!client || client.userId !== existing.userId) {
+          return res.status(400).json({
+            success: false,
+            error: 'Client not found'
+          });
+        }
+      }
+
+      // Line items may only reference taxes from the user's registry
+      const unknownTaxCodes = await TaxRate.findUnknownCodes(existing.userId, req.body.items);
+      if (unknownTaxCodes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tax code(s): ${unknownTaxCodes.join(', ')}`
+        });
+      }
+
+      const unknownCatalogItems = await CatalogItem.findUnknownIds(existing.userId, req.body.items);
+      if (unknownCatalogItems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown catalog item(s): ${unknownCatalogItems.join(', ')}`
+        });
+      }
+
+      const updateData = { ...req.body };
+
+      // A changed cadence restarts the schedule from today (or the new start date)
+      const cadenceChanged = ['frequency', 'interval', 'dayOfMonth', 'startDate']
+        .some(field => req.body[field] !== undefined);
+      if (cadenceChanged) {
+        const merged = { ...existing, ...req.body };
+        const today = format(new Date(), 'yyyy-MM-dd');
+        const from = merged.startDate > today ? merged.startDate : today;
+
+        updateData.dayOfMonth = merged.frequency === 'weekly'
+          ? null
+          : merged.dayOfMonth || parseISO(merged.startDate).getDate();
+        updateData.nextRunDate = RecurringInvoice.calculateFirstRunDate(from, {
+          ...merged,
+          dayOfMonth: updateData.dayOfMonth
+        });
+      }
+
+      const schedule = await RecurringInvoice.update(id, updateData);
+
+      logger.info('Recurring invoice updated successfully', { recurringInvoiceId: id });
+
+      res.json({
+        success: true,
+        data: schedule,
+        message: 'Recurring invoice updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating recurring invoice:', error);
+      next(error);
+    }
+  }
+
+  async deleteRecurringInvoice(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting recurring invoice', { id });
+
+      const schedule = await RecurringInvoice.findById(id);
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recurring invoice not found'
+        });
+      }
+
+      // Verify schedule belongs to user
+      if (req.user?.id && schedule.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // Generated invoices are kept; they simply lose the link to the schedule
+      await RecurringInvoice.delete(id);
+
+      logger.info('Recurring invoice deleted successfully', { recurringInvoiceId: id });
+
+      res.json({
+        success: true,
+        message: 'Recurring invoice deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting recurring invoice:', error);
+      next(error);
+    }
+  }
+
+  async pauseRecurringInvoice(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Pausing recurring invoice', { id });
+
+      const schedule = await RecurringInvoice.findById(id);
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recurring invoice not found'
+        });
+      }
+
+      // Verify schedule belongs to user
+      if (req.user?.id && schedule.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (schedule.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot pause a ${schedule.status} recurring invoice`
+        });
+      }
+
+      const updated = await RecurringInvoice.update(id, { status: 'paused' });
+
+      res.json({
+        success: true,
+        data: updated,
+        message: 'Recurring invoice paused'
+      });
+    } catch (error) {
+      logger.error('Error pausing recurring invoice:', error);
+      next(error);
+    }
+  }
+
+  async resumeRecurringInvoice(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Resuming recurring invoice', { id });
+
+      const schedule = await RecurringInvoice.findById(id);
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recurring invoice not found'
+        });
+      }
+
+      // Verify schedule belongs to user
+      if (req.user?.id && schedule.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (schedule.status !== 'paused') {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot resume a ${schedule.status} recurring invoice`
+        });
+      }
+
+      // Occurrences missed while paused are skipped rather than back-filled
+      const today = format(new Date(), 'yyyy-MM-dd');
+      const nextRunDate = schedule.nextRunDate < today
+        ? RecurringInvoice.calculateFirstRunDate(today, schedule)
+        : schedule.nextRunDate;
+
+      const updated = await RecurringInvoice.update(id, { status: 'active', nextRunDate });
+
+      res.json({
+        success: true,
+        data: updated,
+        message: 'Recurring invoice resumed'
+      });
+    } catch (error) {
+      logger.error('Error resuming recurring invoice:', error);
+      next(error);
+    }
+  }
+
+  async getGeneratedInvoices(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching invoices generated by recurring invoice', { id });
+
+      const schedule = await RecurringInvoice.findById(id);
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Recurring invoice not found'
+        });
+      }
+
+      // Verify schedule belongs to user
+      if (req.user?.id && schedule.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const invoices = await schedule.getInvoices();
+
+      res.json({
+        success: true,
+        data: invoices,
+        count: invoices.length
+      });
+    } catch (error) {
+      logger.error('Error fetching generated invoices:', error);
+      next(error);
+    }
+  }
+}
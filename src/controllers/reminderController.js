@@ -0,0 +1,211 @@
+import handlebars from 'handlebars';
+import { logger } from '../utils/logger.js';
+import { Invoice, ReminderRule } from '../models/index.js';
+
+export class ReminderController {
+  async getAllRules(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      logger.info('Fetching reminder rules', { userId });
+
+      const rules = await ReminderRule.findAll(userId);
+
+      res.json({
+        success: true,
+        data: rules,
+        count: rules.length
+      });
+    } catch (error) {
+      logger.error('Error fetching reminder rules:', error);
+      next(error);
+    }
+  }
+
+  async getRuleById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching reminder rule by ID', { id });
+
+      const rule = await ReminderRule.findById(id);
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reminder rule not found'
+        });
+      }
+
+      // Verify rule belongs to user
+      if (req.user?.id && rule.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: rule
+      });
+    } catch (error) {
+      logger.error('Error fetching reminder rule:', error);
+      next(error);
+    }
+  }
+
+  async createRule(req, res, next) {
+    try {
+      logger.info('Creating reminder rule', { ruleData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      // Validate Handlebars template syntax
+      try {
+        handlebars.precompile(req.body.subjectTemplate);
+        handlebars.precompile(req.body.bodyTemplate);
+      } catch (hbError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Handlebars template syntax',
+          details: hbError.message
+        });
+      }
+
+      const rule = await ReminderRule.create({ ...req.body, userId });
+
+      logger.info('Reminder rule created successfully', { ruleId: rule.id });
+
+      res.status(201).json({
+        success: true,
+        data: rule,
+        message: 'Reminder rule created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating reminder rule:', error);
+      next(error);
+    }
+  }
+
+  async updateRule(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Updating reminder rule', { id, updateData: req.body });
+
+      const existingRule = await ReminderRule.findById(id);
+      if (!existingRule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reminder rule not found'
+        });
+      }
+
+      // Verify rule belongs to user
+      if (req.user?.id && existingRule.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // Validate Handlebars template syntax if being updated
+      try {
+        if (req.body.subjectTemplate) handlebars.precompile(req.body.subjectTemplate);
+        if (req.body.bodyTemplate) handlebars.precompile(req.body.bodyTemplate);
+      } catch (hbError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Handlebars template syntax',
+          details: hbError.message
+        });
+      }
+
+      const rule = await ReminderRule.update(id, req.body);
+
+      logger.info('Reminder rule updated successfully', { ruleId: id });
+
+      res.json({
+        success: true,
+        data: rule,
+        message: 'Reminder rule updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating reminder rule:', error);
+      next(error);
+    }
+  }
+
+  async deleteRule(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting reminder rule', { id });
+
+      const rule = await ReminderRule.findById(id);
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reminder rule not found'
+        });
+      }
+
+      // Verify rule belongs to user
+      if (req.user?.id && rule.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // Reminder history is kept; log entries just lose the link to the rule
+      await ReminderRule.delete(id);
+
+      logger.info('Reminder rule deleted successfully', { ruleId: id });
+
+      res.json({
+        success: true,
+        message: 'Reminder rule deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting reminder rule:', error);
+      next(error);
+    }
+  }
+
+  async getInvoiceReminders(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching reminder history for invoice', { id });
+
+      const invoice = await Invoice.findById(id);
+      if (!invoice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Invoice not found'
+        });
+      }
+
+      // Verify invoice belongs to user
+      if (req.user?.id && invoice.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const reminders = await invoice.getReminders();
+
+      res.json({
+        success: true,
+        data: reminders,
+        count: reminders.length
+      });
+    } catch (error) {
+      logger.error('Error fetching invoice reminders:', error);
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,52 @@
+import { logger } from '../utils/logger.js';
+import { reportService } from '../services/reportService.js';
+
+export class ReportController {
+  async getProfitReport(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      logger.info('Building profit report', { userId, query: req.query });
+
+      const report = await reportService.buildProfitReport(userId, req.query);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Error building profit report:', error);
+      next(error);
+    }
+  }
+
+  async getRevenueByServiceReport(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      logger.info('Building revenue by service report', { userId, query: req.query });
+
+      const report = await reportService.buildRevenueByServiceReport(userId, req.query);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Error building revenue by service report:', error);
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,142 @@
+import { logger } from '../utils/logger.js';
+import { TaxRate } from '../models/index.js';
+
+export class TaxRateController {
+  async getTaxRates(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      logger.info('Fetching tax rates', { userId });
+
+      const taxRates = await TaxRate.findAll(userId);
+
+      res.json({
+        success: true,
+        data: taxRates,
+        count: taxRates.length
+      });
+    } catch (error) {
+      logger.error('Error fetching tax rates:', error);
+      next(error);
+    }
+  }
+
+  async createTaxRate(req, res, next) {
+    try {
+      logger.info('Creating tax rate', { taxRateData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      const taxRate = await TaxRate.create({ ...req.body, userId });
+
+      logger.info('Tax rate created successfully', { taxRateId: taxRate.id, code: taxRate.code });
+
+      res.status(201).json({
+        success: true,
+        data: taxRate,
+        message: 'Tax rate created successfully'
+      });
+    } catch (error) {
+      // Unique (user_id, code) violation
+      if (error.code === '23505') {
+        return res.status(400).json({
+          success: false,
+          error: 'Tax code already exists'
+        });
+      }
+      logger.error('Error creating tax rate:', error);
+      next(error);
+    }
+  }
+
+  async updateTaxRate(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Updating tax rate', { id, updateData: req.body });
+
+      const existingTaxRate = await TaxRate.findById(id);
+      if (!existingTaxRate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tax rate not found'
+        });
+      }
+
+      // Verify tax rate belongs to user
+      if (req.user?.id && existingTaxRate.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // Documents already saved keep the rate they were calculated with
+      const taxRate = await TaxRate.update(id, req.body);
+
+      logger.info('Tax rate updated successfully', { taxRateId: id });
+
+      res.json({
+        success: true,
+        data: taxRate,
+        message: 'Tax rate updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating tax rate:', error);
+      next(error);
+    }
+  }
+
+  async deleteTaxRate(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting tax rate', { id });
+
+      const taxRate = await TaxRate.findById(id);
+      if (!taxRate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tax rate not found'
+        });
+      }
+
+      // Verify tax rate belongs to user
+      if (req.user?.id && taxRate.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (await TaxRate.isInUse(taxRate.userId, taxRate.code)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Tax rate is used by draft invoices, open quotes, recurring invoices or catalog items'
+        });
+      }
+
+      await TaxRate.delete(id);
+
+      logger.info('Tax rate deleted successfully', { taxRateId: id });
+
+      res.json({
+        success: true,
+        message: 'Tax rate deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting tax rate:', error);
+      next(error);
+    }
+  }
+}
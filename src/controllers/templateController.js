@@ -1,14 +1,78 @@
 import { logger } from '../utils/logger.js';
-import { Template, Invoice, Client } from '../models/index.js';
+import { Template, Invoice, Client, Quote, CreditNote } from '../models/index.js';
 import handlebars from 'handlebars';
-import { format } from 'date-fns';
+import { format, parseISO } from 'date-fns';
+import { getCurrency, formatAmount } from '../utils/currencies.js';
+import * as money from '../utils/money.js';
+
+// Used by the default template for line amounts
+handlebars.registerHelper('multiply', (a, b) => money.formatDecimal(money.round(money.multiply(a, b), 2)));
+
+// Heading and labels per document type, exposed to templates
+const DOCUMENT_LABELS = {
+  invoice: { documentTitle: 'INVOICE', numberLabel: 'Invoice #', dueDateLabel: 'Due Date' },
+  quote: { documentTitle: 'QUOTE', numberLabel: 'Quote #', dueDateLabel: 'Valid Until' },
+  credit_note: { documentTitle: 'CREDIT NOTE', numberLabel: 'Credit Note #', dueDateLabel: 'Due Date' }
+};
+
+// Tax rows for the totals section. Documents saved before per-tax
+// breakdowns existed show their single document-level tax.
+const buildTaxRows = (document) => {
+  const taxes = document.taxBreakdown.length > 0
+    ? document.taxBreakdown
+    : (document.taxAmount ? [{ name: 'Tax', rate: document.taxRate, amount: document.taxAmount }] : []);
+
+  return taxes.map(tax => ({
+    name: tax.name,
+    rate: money.toNumber(money.multiply(tax.rate, 100)),
+    compound: tax.compound || false,
+    registrationNumber: tax.registrationNumber || '',
+    amount: formatAmount(tax.amount, document.currency)
+  }));
+};
+
+// Line items with display amounts and a label for any line discount.
+// Quantities show at most 2 decimals (billed hours are kept more precisely).
+const buildItemRows = (document) => {
+  const symbol = getCurrency(document.currency).symbol;
+
+  return document.items.map(item => {
+    let discountLabel = '';
+    if (item.discount?.value > 0) {
+      discountLabel = item.discount.type === 'percent'
+        ? `${item.discount.value}%`
+        : `${symbol}${formatAmount(item.discount.value, document.currency)}`;
+    }
+
+    return {
+      ...item,
+      quantity: money.toNumber(money.round(item.quantity, 2)),
+      rate: formatAmount(item.rate, document.currency),
+      total: formatAmount(item.total ?? Invoice.calculateLineTotal(item, { currency: document.currency }), document.currency),
+      discountLabel
+    };
+  });
+};
+
+// "Pay X by DATE to save Y" while the invoice's early payment discount is open
+const buildEarlyPayment = (invoice) => {
+  const offer = invoice.getEarlyPaymentOffer();
+  if (!offer) return null;
+
+  return {
+    amount: formatAmount(offer.amount, invoice.currency),
+    deadline: format(parseISO(offer.deadline), 'MMMM d, yyyy'),
+    savings: formatAmount(offer.savings, invoice.currency)
+  };
+};
 
 export class TemplateController {
   async getAllTemplates(req, res, next) {
     try {
-      logger.info('Fetching all templates');
+      const userId = req.user?.id;
+      logger.info('Fetching all templates', { userId });
       
-      const templates = Template.findAll();
+      const templates = await Template.findAll(userId);
       
       res.json({
         success: true,
@@ -26,8 +90,8 @@ export class TemplateController {
       const { id } = req.params;
       logger.info('Fetching template by ID', { id });
       
-      const template = Template.findById(id);
-      if (!template) {
+      const template = await Template.findById(id);
+      if (!template || !template.isAccessibleBy(req.user?.id)) {
         return res.status(404).json({
           success: false,
           error: 'Template not found'
@@ -48,8 +112,16 @@ export class TemplateController {
     try {
       logger.info('Creating new template', { templateData: req.body });
       
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+      
       // Check if template with same name already exists
-      const existingTemplate = Template.findAll().find(t => t.name === req.body.name);
+      const existingTemplate = (await Template.findAll(userId)).find(t => t.name === req.body.name);
       if (existingTemplate) {
         return res.status(400).json({
           success: false,
@@ -68,7 +140,7 @@ export class TemplateController {
         });
       }
       
-      const template = Template.create(req.body);
+      const template = await Template.create({ ...req.body, userId });
       
       logger.info('Template created successfully', { templateId: template.id });
       
@@ -88,17 +160,25 @@ export class TemplateController {
       const { id } = req.params;
       logger.info('Updating template', { id, updateData: req.body });
       
-      const existingTemplate = Template.findById(id);
-      if (!existingTemplate) {
+      const existingTemplate = await Template.findById(id);
+      if (!existingTemplate || !existingTemplate.isAccessibleBy(req.user?.id)) {
         return res.status(404).json({
           success: false,
           error: 'Template not found'
         });
       }
       
+      if (existingTemplate.isBuiltIn) {
+        return res.status(403).json({
+          success: false,
+          error: 'Built-in templates are read-only'
+        });
+      }
+      
       // Check if name is being updated and if it conflicts with another template
       if (req.body.name && req.body.name !== existingTemplate.name) {
-        const nameConflict = Template.findAll().find(t => t.id !== id && t.name === req.body.name);
+        const userTemplates = await Template.findAll(existingTemplate.userId);
+        const nameConflict = userTemplates.find(t => t.id !== id && t.name === req.body.name);
         if (nameConflict) {
           return res.status(400).json({
             success: false,
@@ -120,7 +200,7 @@ export class TemplateController {
         }
       }
       
-      const updatedTemplate = Template.update(id, req.body);
+      const updatedTemplate = await Template.update(id, req.body);
       
       logger.info('Template updated successfully', { templateId: id });
       
@@ -140,27 +220,24 @@ export class TemplateController {
       const { id } = req.params;
       logger.info('Deleting template', { id });
       
-      const template = Template.findById(id);
-      if (!template) {
+      const template = await Template.findById(id);
+      if (!template || !template.isAccessibleBy(req.user?.id)) {
         return res.status(404).json({
           success: false,
           error: 'Template not found'
         });
       }
       
-      // Prevent deletion of the default template if it's the only one
-      if (template.isDefault) {
-        const allTemplates = Template.findAll();
-        if (allTemplates.length === 1) {
-          return res.status(400).json({
-            success: false,
-            error: 'Cannot delete the only default template'
-          });
-        }
+      // Built-in templates are shared by every user and can't be removed
+      if (template.isBuiltIn) {
+        return res.status(403).json({
+          success: false,
+          error: 'Built-in templates are read-only'
+        });
       }
       
       // Check if any invoices are using this template
-      const invoicesUsingTemplate = Invoice.findAll().filter(inv => inv.templateId === id);
+      const invoicesUsingTemplate = await Invoice.findAll({ templateId: id });
       if (invoicesUsingTemplate.length > 0) {
         return res.status(400).json({
           success: false,
@@ -169,7 +246,7 @@ export class TemplateController {
         });
       }
       
-      const deleted = Template.delete(id);
+      const deleted = await Template.delete(id);
       if (!deleted) {
         return res.status(404).json({
           success: false,
@@ -194,8 +271,8 @@ export class TemplateController {
       const { id } = req.params;
       logger.info('Previewing template', { id });
       
-      const template = Template.findById(id);
-      if (!template) {
+      const template = await Template.findById(id);
+      if (!template || !template.isAccessibleBy(req.user?.id)) {
         return res.status(404).json({
           success: false,
           error: 'Template not found'
@@ -211,7 +288,11 @@ export class TemplateController {
         issueDate: format(new Date(), 'yyyy-MM-dd'),
         dueDate: format(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), 'yyyy-MM-dd'),
         paymentTerms: 30,
-        currency: process.env.CURRENCY || 'USD',
+        ...DOCUMENT_LABELS.invoice,
+        documentType: 'invoice',
+        isQuote: false,
+        currency: getCurrency(process.env.CURRENCY || 'USD').symbol,
+        currencyCode: process.env.CURRENCY || 'USD',
         taxRate: (parseFloat(process.env.TAX_RATE || '0.08') * 100).toFixed(0),
         client: {
           name: 'Sample Client',
@@ -243,6 +324,9 @@ export class TemplateController {
         subtotal: 4300,
         discountAmount: 0,
         taxAmount: 344,
+        taxes: [
+          { name: 'Tax', rate: parseFloat(process.env.TAX_RATE || '0.08') * 100, amount: '344.00' }
+        ],
         total: 4644,
         notes: 'Thank you for your business! Payment is due within 30 days of invoice date.'
       };
@@ -273,39 +357,104 @@ export class TemplateController {
 
   // Helper method to render an invoice with a specific template
   async renderInvoiceWithTemplate(invoiceId, templateId = null) {
-    const invoice = Invoice.findById(invoiceId);
+    const invoice = await Invoice.findById(invoiceId);
     if (!invoice) {
       throw new Error('Invoice not found');
     }
     
-    const client = invoice.getClient();
+    return await this.renderDocumentWithTemplate(invoice, 'invoice', {
+      invoiceNumber: invoice.invoiceNumber,
+      dueDate: invoice.dueDate,
+      termsName: invoice.termsName,
+      earlyPaymentDiscount: invoice.earlyDiscountAmount > 0
+        ? formatAmount(invoice.earlyDiscountAmount, invoice.currency)
+        : null,
+      earlyPayment: buildEarlyPayment(invoice)
+    }, templateId);
+  }
+
+  // Helper method to render a quote with a specific template
+  async renderQuoteWithTemplate(quoteId, templateId = null) {
+    const quote = await Quote.findById(quoteId);
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+    
+    return await this.renderDocumentWithTemplate(quote, 'quote', {
+      invoiceNumber: quote.quoteNumber,
+      dueDate: quote.expiryDate
+    }, templateId);
+  }
+
+  // Helper method to render a credit note with a specific template
+  async renderCreditNoteWithTemplate(creditNoteId, templateId = null) {
+    const creditNote = await CreditNote.findById(creditNoteId);
+    if (!creditNote) {
+      throw new Error('Credit note not found');
+    }
+    
+    const invoice = await creditNote.getInvoice();
+    
+    return await this.renderDocumentWithTemplate(creditNote, 'credit_note', {
+      invoiceNumber: creditNote.creditNoteNumber,
+      dueDate: null,
+      originalInvoiceNumber: invoice?.invoiceNumber || '',
+      reason: creditNote.reason
+    }, templateId);
+  }
+
+  // Invoices, quotes and credit notes share templates. Number and due date
+  // keep their invoice variable names so existing custom templates render all.
+  async renderDocumentWithTemplate(document, documentType, { invoiceNumber, dueDate, ...extraData }, templateId = null) {
+    const client = await Client.findById(document.clientId);
     if (!client) {
-      throw new Error('Client not found for invoice');
+      throw new Error('Client not found for document');
     }
     
-    const template = templateId ? Template.findById(templateId) : Template.findById(invoice.templateId) || Template.findDefault();
-    if (!template) {
+    const template = templateId
+      ? await Template.findById(templateId)
+      : (await Template.findById(document.templateId)) || (await Template.findDefault(document.userId));
+    if (!template || !template.isAccessibleBy(document.userId)) {
       throw new Error('Template not found');
     }
     
     // Prepare template data
     const templateData = {
+      ...DOCUMENT_LABELS[documentType],
+      documentType,
+      isQuote: documentType === 'quote',
+      isCreditNote: documentType === 'credit_note',
       businessName: process.env.BUSINESS_NAME || 'Your Business Name',
       businessAddress: process.env.BUSINESS_ADDRESS || 'Your Business Address',
       businessEmail: process.env.BUSINESS_EMAIL || 'your-email@example.com',
-      invoiceNumber: invoice.invoiceNumber,
-      issueDate: format(new Date(invoice.issueDate), 'MMMM d, yyyy'),
-      dueDate: format(new Date(invoice.dueDate), 'MMMM d, yyyy'),
-      paymentTerms: invoice.paymentTerms,
-      currency: invoice.currency === 'USD' ? '$' : invoice.currency,
-      taxRate: (invoice.taxRate * 100).toFixed(0),
+      invoiceNumber,
+      documentNumber: invoiceNumber,
+      issueDate: format(new Date(document.issueDate), 'MMMM d, yyyy'),
+      dueDate: dueDate ? format(new Date(dueDate), 'MMMM d, yyyy') : '',
+      paymentTerms: document.paymentTerms,
+      currency: getCurrency(document.currency).symbol,
+      currencyCode: document.currency,
+      taxRate: (document.taxRate * 100).toFixed(0),
       client: client,
-      items: invoice.items,
-      subtotal: invoice.subtotal.toFixed(2),
-      discountAmount: invoice.discountAmount.toFixed(2),
-      taxAmount: invoice.taxAmount.toFixed(2),
-      total: invoice.total.toFixed(2),
-      notes: invoice.notes,
+      items: buildItemRows(document),
+      subtotal: formatAmount(document.subtotal, document.currency),
+      hasDiscount: document.discountAmount !== 0,
+      discountBeforeTax: document.discountBeforeTax || false,
+      discountLabel: document.discountType === 'percent' ? `Discount (${document.discountValue}%)` : 'Discount',
+      discountAmount: formatAmount(Math.abs(document.discountAmount), document.currency),
+      deposits: (document.depositDeductions || []).map(deposit => ({
+        description: deposit.description,
+        amount: formatAmount(deposit.amount, document.currency)
+      })),
+      taxAmount: formatAmount(document.taxAmount, document.currency),
+      taxes: buildTaxRows(document),
+      lateFees: (document.lateFees || []).map(fee => ({
+        description: fee.description,
+        amount: formatAmount(fee.amount, document.currency)
+      })),
+      total: formatAmount(document.total, document.currency),
+      notes: document.notes,
+      ...extraData,
       css: template.cssContent
     };
     
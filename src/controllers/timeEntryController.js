@@ -0,0 +1,330 @@
+import { logger } from '../utils/logger.js';
+import { Client, Project, TimeEntry } from '../models/index.js';
+
+// Entries logged against a project take its name as their project label and
+// its hourly rate unless the request sets them
+const applyProjectDefaults = (data, project) => {
+  if (!project) return data;
+  return {
+    ...data,
+    project: data.project || project.name,
+    hourlyRate: data.hourlyRate !== undefined ? data.hourlyRate : project.hourlyRate
+  };
+};
+
+export class TimeEntryController {
+  async getTimeEntries(req, res, next) {
+    try {
+      logger.info('Fetching time entries', { query: req.query });
+
+      const timeEntries = await TimeEntry.findAll({
+        userId: req.user?.id,
+        clientId: req.query.clientId,
+        projectId: req.query.projectId,
+        project: req.query.project,
+        billable: req.query.billable,
+        billed: req.query.billed,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      });
+
+      res.json({
+        success: true,
+        data: timeEntries,
+        count: timeEntries.length,
+        summary: {
+          durationMinutes: timeEntries.reduce((sum, entry) => sum + entry.durationMinutes, 0)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching time entries:', error);
+      next(error);
+    }
+  }
+
+  async getTimeEntryById(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Fetching time entry by ID', { id });
+
+      const timeEntry = await TimeEntry.findById(id);
+      if (!timeEntry) {
+        return res.status(404).json({
+          success: false,
+          error: 'Time entry not found'
+        });
+      }
+
+      // Verify time entry belongs to user
+      if (req.user?.id && timeEntry.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: timeEntry
+      });
+    } catch (error) {
+      logger.error('Error fetching time entry:', error);
+      next(error);
+    }
+  }
+
+  async createTimeEntry(req, res, next) {
+    try {
+      logger.info('Creating time entry', { timeEntryData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      const client = await Client.findById(req.body.clientId);
+      if (!client || client.userId !== userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      const project = req.body.projectId ? await Project.findForClient(req.body.projectId, userId, client.id) : null;
+      if (req.body.projectId && !project) {
+        return res.status(400).json({
+          success: false,
+          error: 'Project not found for this client'
+        });
+      }
+
+      const timeEntry = await TimeEntry.create({ ...applyProjectDefaults(req.body, project), userId });
+
+      logger.info('Time entry created successfully', { timeEntryId: timeEntry.id });
+
+      res.status(201).json({
+        success: true,
+        data: timeEntry,
+        message: 'Time entry created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating time entry:', error);
+      next(error);
+    }
+  }
+
+  async updateTimeEntry(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Updating time entry', { id, updateData: req.body });
+
+      const existingTimeEntry = await TimeEntry.findById(id);
+      if (!existingTimeEntry) {
+        return res.status(404).json({
+          success: false,
+          error: 'Time entry not found'
+        });
+      }
+
+      // Verify time entry belongs to user
+      if (req.user?.id && existingTimeEntry.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // Billed time is part of an invoice; delete the invoice to release it
+      if (existingTimeEntry.invoiceId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot edit a time entry that has been billed'
+        });
+      }
+
+      if (req.body.clientId && req.body.clientId !== existingTimeEntry.clientId) {
+        const client = await Client.findById(req.body.clientId);
+        if (!client || client.userId !== existingTimeEntry.userId) {
+          return res.status(400).json({
+            success: false,
+            error: 'Client not found'
+          });
+        }
+      }
+
+      // The project (new or kept) must belong to the entry's client
+      const projectId = req.body.projectId !== undefined ? req.body.projectId : existingTimeEntry.projectId;
+      const clientId = req.body.clientId || existingTimeEntry.clientId;
+      const project = projectId ? await Project.findForClient(projectId, existingTimeEntry.userId, clientId) : null;
+      if (projectId && !project) {
+        return res.status(400).json({
+          success: false,
+          error: 'Project not found for this client'
+        });
+      }
+
+      const updateData = req.body.projectId ? { ...req.body, project: req.body.project || project.name } : req.body;
+      const timeEntry = await TimeEntry.update(id, updateData);
+
+      logger.info('Time entry updated successfully', { timeEntryId: id });
+
+      res.json({
+        success: true,
+        data: timeEntry,
+        message: 'Time entry updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating time entry:', error);
+      next(error);
+    }
+  }
+
+  async deleteTimeEntry(req, res, next) {
+    try {
+      const { id } = req.params;
+      logger.info('Deleting time entry', { id });
+
+      const timeEntry = await TimeEntry.findById(id);
+      if (!timeEntry) {
+        return res.status(404).json({
+          success: false,
+          error: 'Time entry not found'
+        });
+      }
+
+      // Verify time entry belongs to user
+      if (req.user?.id && timeEntry.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (timeEntry.invoiceId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot delete a time entry that has been billed'
+        });
+      }
+
+      await TimeEntry.delete(id);
+
+      logger.info('Time entry deleted successfully', { timeEntryId: id });
+
+      res.json({
+        success: true,
+        message: 'Time entry deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting time entry:', error);
+      next(error);
+    }
+  }
+
+  async getRunningTimer(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      const timeEntry = await TimeEntry.findRunning(userId);
+
+      res.json({
+        success: true,
+        data: timeEntry
+      });
+    } catch (error) {
+      logger.error('Error fetching running timer:', error);
+      next(error);
+    }
+  }
+
+  async startTimer(req, res, next) {
+    try {
+      logger.info('Starting timer', { timerData: req.body });
+
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      const client = await Client.findById(req.body.clientId);
+      if (!client || client.userId !== userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Client not found'
+        });
+      }
+
+      const project = req.body.projectId ? await Project.findForClient(req.body.projectId, userId, client.id) : null;
+      if (req.body.projectId && !project) {
+        return res.status(400).json({
+          success: false,
+          error: 'Project not found for this client'
+        });
+      }
+
+      const timeEntry = await TimeEntry.startTimer({ ...applyProjectDefaults(req.body, project), userId });
+
+      logger.info('Timer started', { timeEntryId: timeEntry.id });
+
+      res.status(201).json({
+        success: true,
+        data: timeEntry,
+        message: 'Timer started'
+      });
+    } catch (error) {
+      // Partial unique index allows one running timer per user
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A timer is already running; stop it first'
+        });
+      }
+      logger.error('Error starting timer:', error);
+      next(error);
+    }
+  }
+
+  async stopTimer(req, res, next) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: 'User authentication required'
+        });
+      }
+
+      const runningEntry = await TimeEntry.findRunning(userId);
+      const timeEntry = runningEntry ? await TimeEntry.stopTimer(runningEntry.id) : null;
+      if (!timeEntry) {
+        return res.status(400).json({
+          success: false,
+          error: 'No timer is running'
+        });
+      }
+
+      logger.info('Timer stopped', { timeEntryId: timeEntry.id, durationMinutes: timeEntry.durationMinutes });
+
+      res.json({
+        success: true,
+        data: timeEntry,
+        message: 'Timer stopped'
+      });
+    } catch (error) {
+      logger.error('Error stopping timer:', error);
+      next(error);
+    }
+  }
+}
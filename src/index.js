@@ -9,10 +9,34 @@ import invoiceRoutes from './routes/invoiceRoutes.js';
 import clientRoutes from './routes/clientRoutes.js';
 import templateRoutes from './routes/templateRoutes.js';
 import authRoutes from './routes/authRoutes.js';
+import recurringInvoiceRoutes from './routes/recurringInvoiceRoutes.js';
+import reminderRuleRoutes from './routes/reminderRuleRoutes.js';
+import exchangeRateRoutes from './routes/exchangeRateRoutes.js';
+import taxRateRoutes from './routes/taxRateRoutes.js';
+import quoteRoutes from './routes/quoteRoutes.js';
+import creditNoteRoutes from './routes/creditNoteRoutes.js';
+import disputeRoutes from './routes/disputeRoutes.js';
+import reconciliationRoutes from './routes/reconciliationRoutes.js';
+import projectRoutes from './routes/projectRoutes.js';
+import milestoneRoutes from './routes/milestoneRoutes.js';
+import catalogRoutes from './routes/catalogRoutes.js';
+import timeEntryRoutes from './routes/timeEntryRoutes.js';
+import expenseRoutes from './routes/expenseRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import portalRoutes from './routes/portalRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import fakeCheckoutRoutes from './routes/fakeCheckoutRoutes.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { logger } from './utils/logger.js';
 import { optionalAuthenticate } from './middleware/authMiddleware.js';
 import { testConnection, initDatabase } from './config/database.js';
+import { schedulerService } from './services/schedulerService.js';
+import { recurringInvoiceService } from './services/recurringInvoiceService.js';
+import { overdueInvoiceService } from './services/overdueInvoiceService.js';
+import { lateFeeService } from './services/lateFeeService.js';
+import { reminderService } from './services/reminderService.js';
+import { quoteService } from './services/quoteService.js';
+import { paymentGatewayService } from './services/paymentGatewayService.js';
 
 // Load environment variables
 dotenv.config();
@@ -30,7 +54,15 @@ app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Static files
@@ -83,14 +115,37 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Client portal (public; each link carries a signed invoice token)
+app.use('/portal', portalRoutes);
+
+// Checkout pages of the offline fake payment provider, only while it is enabled
+if (paymentGatewayService.getProvider('fake')) {
+  app.use('/payments/fake', fakeCheckoutRoutes);
+}
+
 // Add optional authentication to all API routes (for user context)
 app.use('/api', optionalAuthenticate);
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/invoices', invoiceRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/disputes', disputeRoutes);
 app.use('/api/clients', clientRoutes);
 app.use('/api/templates', templateRoutes);
+app.use('/api/recurring', recurringInvoiceRoutes);
+app.use('/api/reminder-rules', reminderRuleRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/milestones', milestoneRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/time-entries', timeEntryRoutes);
+app.use('/api/expenses', expenseRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -101,8 +156,24 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       invoices: '/api/invoices',
+      quotes: '/api/quotes',
+      creditNotes: '/api/credit-notes',
+      disputes: '/api/disputes',
       clients: '/api/clients',
-      templates: '/api/templates'
+      templates: '/api/templates',
+      recurring: '/api/recurring',
+      reminderRules: '/api/reminder-rules',
+      exchangeRates: '/api/exchange-rates',
+      taxRates: '/api/tax-rates',
+      projects: '/api/projects',
+      milestones: '/api/milestones',
+      catalog: '/api/catalog',
+      timeEntries: '/api/time-entries',
+      expenses: '/api/expenses',
+      reports: '/api/reports',
+      reconciliation: '/api/reconciliation',
+      webhooks: '/api/webhooks',
+      portal: '/portal/:token'
     },
     authEndpoints: {
       register: 'POST /api/auth/register',
@@ -144,6 +215,21 @@ app.get('*', (req, res) => {
   }
 });
 
+// Background jobs (only started once the database is ready)
+const startBackgroundJobs = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    logger.info('⏸️  Background scheduler disabled via SCHEDULER_ENABLED');
+    return;
+  }
+
+  schedulerService.register('recurring-invoices', () => recurringInvoiceService.processDueSchedules());
+  schedulerService.register('overdue-invoices', () => overdueInvoiceService.processOverdueInvoices());
+  schedulerService.register('late-fees', () => lateFeeService.processLateFees());
+  schedulerService.register('payment-reminders', () => reminderService.processDueReminders());
+  schedulerService.register('expired-quotes', () => quoteService.processExpiredQuotes());
+  schedulerService.start();
+};
+
 // Start server with database initialization and retry to avoid failing health checks
 app.listen(PORT, async () => {
   logger.info(`🚀 Freelance Invoice Generator server running on port ${PORT}`);
@@ -167,6 +253,7 @@ app.listen(PORT, async () => {
       await initDatabase();
       logger.info('💾 Database initialized successfully');
       initialized = true;
+      startBackgroundJobs();
       break;
     } catch (err) {
       logger.warn(`DB init attempt ${attempt} failed: ${err.message}`);
@@ -188,11 +275,13 @@ app.listen(PORT, async () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  schedulerService.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  schedulerService.stop();
   process.exit(0);
 });
 
@@ -1,10 +1,21 @@
 import { v4 as uuidv4 } from 'uuid';
-import { format } from 'date-fns';
-import { pool } from '../config/database.js';
+import { format, parseISO, addWeeks, addMonths, addYears, startOfMonth, setDate, getDaysInMonth } from 'date-fns';
+import { pool, withTransaction } from '../config/database.js';
 import { logger } from '../utils/logger.js';
+import { resolveNumberingConfig, getPeriodKey, formatDocumentNumber } from '../utils/documentNumbers.js';
+import { getBaseCurrency, getCurrency, roundMoney } from '../utils/currencies.js';
+import * as money from '../utils/money.js';
+import { resolvePaymentTerms, getEarlyPaymentDeadline, calculateEarlyPaymentDiscount } from '../utils/paymentTerms.js';
+import { STATEMENT_FORMATS } from '../utils/bankStatements.js';
 
 // PostgreSQL-backed models
 
+// Parse a DATE column value or yyyy-MM-dd string as a local calendar date
+const parseDateOnly = (value) => (value instanceof Date ? value : parseISO(String(value)));
+
+// Update fields that require invoice and quote totals to be recalculated
+const TOTALS_FIELDS = ['items', 'taxRate', 'discountAmount', 'discountType', 'discountValue', 'discountBeforeTax', 'currency'];
+
 // Client Model (PostgreSQL-backed)
 export class Client {
   constructor(data) {
@@ -19,6 +30,15 @@ export class Client {
     this.paymentTerms = data.payment_terms || data.paymentTerms || 30;
     this.currency = data.currency || 'USD';
     this.notes = data.notes || '';
+    this.remindersOptOut = data.reminders_opt_out ?? data.remindersOptOut ?? false;
+    // Negotiated rate for hourly catalog items, in the client's currency
+    const hourlyRate = data.hourly_rate ?? data.hourlyRate;
+    this.hourlyRate = hourlyRate !== null && hourlyRate !== undefined ? parseFloat(hourlyRate) : null;
+    // Overrides the user's late fee settings; null uses them
+    this.lateFeePolicy = data.late_fee_policy || data.lateFeePolicy || null;
+    // Structured payment terms ({ preset, name, dueDays, discountPercent, discountDays });
+    // paymentTerms holds the same due days
+    this.terms = data.terms || null;
     this.createdAt = data.created_at || data.createdAt;
     this.updatedAt = data.updated_at || data.updatedAt;
   }
@@ -79,8 +99,8 @@ export class Client {
   static async create(data) {
     try {
       const { rows } = await pool.query(
-        `INSERT INTO clients (user_id, name, email, phone, company, tax_id, address, payment_terms, currency, notes)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `INSERT INTO clients (user_id, name, email, phone, company, tax_id, address, payment_terms, currency, notes, reminders_opt_out, hourly_rate, late_fee_policy, terms)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
          RETURNING *`,
         [
           data.userId,
@@ -92,7 +112,11 @@ export class Client {
           JSON.stringify(data.address || {}),
           data.paymentTerms || 30,
           data.currency || 'USD',
-          data.notes || null
+          data.notes || null,
+          data.remindersOptOut || false,
+          data.hourlyRate ?? null,
+          data.lateFeePolicy ? JSON.stringify(data.lateFeePolicy) : null,
+          data.terms ? JSON.stringify(data.terms) : null
         ]
       );
       return new Client(rows[0]);
@@ -117,7 +141,16 @@ export class Client {
         address: data.address ? JSON.stringify(data.address) : undefined,
         payment_terms: data.paymentTerms,
         currency: data.currency,
-        notes: data.notes
+        notes: data.notes,
+        reminders_opt_out: data.remindersOptOut,
+        hourly_rate: data.hourlyRate,
+        // null clears the override
+        late_fee_policy: data.lateFeePolicy !== undefined
+          ? (data.lateFeePolicy ? JSON.stringify(data.lateFeePolicy) : null)
+          : undefined,
+        terms: data.terms !== undefined
+          ? (data.terms ? JSON.stringify(data.terms) : null)
+          : undefined
       };
 
       Object.entries(fields).forEach(([key, value]) => {
@@ -158,6 +191,10 @@ export class Client {
   async getInvoices() {
     return await Invoice.findByClientId(this.id);
   }
+
+  async getContacts() {
+    return await ClientContact.findByClient(this.id);
+  }
 }
 
 // Invoice Model (PostgreSQL-backed)
@@ -175,34 +212,59 @@ export class Invoice {
     this.subtotal = parseFloat(data.subtotal) || 0;
     this.taxRate = parseFloat(data.tax_rate || data.taxRate) || parseFloat(process.env.TAX_RATE || '0.08');
     this.taxAmount = parseFloat(data.tax_amount || data.taxAmount) || 0;
+    this.taxBreakdown = data.tax_breakdown || data.taxBreakdown || [];
     this.discountAmount = parseFloat(data.discount_amount || data.discountAmount) || 0;
+    this.discountType = data.discount_type || data.discountType || 'fixed';
+    // Rows saved before discount types existed only have the fixed amount
+    this.discountValue = parseFloat(data.discount_value ?? data.discountValue ?? this.discountAmount) || 0;
+    this.discountBeforeTax = data.discount_before_tax ?? data.discountBeforeTax ?? false;
+    // Deposit invoices deducted from a final milestone invoice
+    this.depositDeductions = data.deposit_deductions || data.depositDeductions || [];
+    this.depositAmount = parseFloat(data.deposit_amount || data.depositAmount) || 0;
+    // Late fees charged on the invoice itself, as { id, description, amount }
+    this.lateFees = data.late_fees || data.lateFees || [];
+    this.lateFeeAmount = parseFloat(data.late_fee_amount || data.lateFeeAmount) || 0;
+    // Payment terms snapshot; the discount amount is set once a payment in the window settles the invoice
+    this.termsName = data.terms_name || data.termsName || null;
+    this.earlyDiscountPercent = parseFloat(data.early_discount_percent || data.earlyDiscountPercent) || 0;
+    this.earlyDiscountDays = data.early_discount_days ?? data.earlyDiscountDays ?? 0;
+    this.earlyDiscountAmount = parseFloat(data.early_discount_amount || data.earlyDiscountAmount) || 0;
     this.total = parseFloat(data.total) || 0;
+    this.amountPaid = parseFloat(data.amount_paid || data.amountPaid) || 0;
+    this.amountCredited = parseFloat(data.amount_credited || data.amountCredited) || 0;
+    this.balanceDue = money.toNumber(money.subtract(money.subtract(this.total, this.amountPaid), this.amountCredited));
     this.currency = data.currency || process.env.CURRENCY || 'USD';
+    this.baseCurrency = data.base_currency || data.baseCurrency || null;
+    this.exchangeRate = data.exchange_rate != null || data.exchangeRate != null
+      ? parseFloat(data.exchange_rate ?? data.exchangeRate)
+      : null;
     this.notes = data.notes || '';
     this.templateId = data.template_id || data.templateId || 'default';
     this.pdfPath = data.pdf_path || data.pdfPath || '';
+    this.recurringInvoiceId = data.recurring_invoice_id || data.recurringInvoiceId || null;
+    this.quoteId = data.quote_id || data.quoteId || null;
+    this.projectId = data.project_id || data.projectId || null;
     this.sentAt = data.sent_at || data.sentAt;
     this.paidAt = data.paid_at || data.paidAt;
+    this.overdueAt = data.overdue_at || data.overdueAt || null;
+    // Client portal views
+    this.firstViewedAt = data.first_viewed_at || data.firstViewedAt || null;
+    this.lastViewedAt = data.last_viewed_at || data.lastViewedAt || null;
+    this.acknowledgedAt = data.acknowledged_at || data.acknowledgedAt || null;
     this.createdAt = data.created_at || data.createdAt;
     this.updatedAt = data.updated_at || data.updatedAt;
   }
 
-  static async generateInvoiceNumber() {
-    try {
-      const year = new Date().getFullYear();
-      const month = String(new Date().getMonth() + 1).padStart(2, '0');
-      
-      const { rows } = await pool.query(
-        'SELECT COUNT(*) as count FROM invoices WHERE invoice_number LIKE $1',
-        [`INV-${year}${month}-%`]
-      );
-      
-      const count = parseInt(rows[0].count) + 1;
-      return `INV-${year}${month}-${String(count).padStart(4, '0')}`;
-    } catch (error) {
-      // Fallback to timestamp-based number
-      return `INV-${Date.now()}`;
-    }
+  // Must run inside the transaction that inserts the invoice (see NumberSequence)
+  static async generateInvoiceNumber(db, data) {
+    return await NumberSequence.nextDocumentNumber(db, {
+      scope: 'invoice',
+      table: 'invoices',
+      column: 'invoice_number',
+      userId: data.userId,
+      clientId: data.clientId,
+      date: data.issueDate ? parseDateOnly(data.issueDate) : new Date()
+    });
   }
 
   static calculateDueDate(issueDate, paymentTerms) {
@@ -211,16 +273,235 @@ export class Invoice {
     return date.toISOString().split('T')[0];
   }
 
-  static calculateSubtotal(items) {
-    return items.reduce((sum, item) => sum + (parseFloat(item.quantity) * parseFloat(item.rate)), 0);
+  // Discount off an amount: { type: 'percent' | 'fixed', value }. Fixed
+  // discounts never exceed the amount and follow its sign, so negative
+  // credit note lines are discounted the same way as the original lines.
+  // Returns an unrounded decimal.
+  static calculateDiscount(amount, discount) {
+    const value = money.toDecimal(discount?.value || 0);
+    if (money.sign(value) <= 0) return money.ZERO;
+
+    if (discount.type === 'percent') {
+      return money.multiply(amount, money.multiply(money.min(value, 100), '0.01'));
+    }
+    return money.multiply(money.sign(amount), money.min(value, money.abs(amount)));
+  }
+
+  // Line amount after the line's own discount, rounded to the currency
+  static calculateLineTotal(item, { currency, rounding = money.DEFAULT_ROUNDING } = {}) {
+    return money.toNumber(this.calculateLineAmount(item, { currency, rounding }));
+  }
+
+  static calculateLineAmount(item, { currency, rounding = money.DEFAULT_ROUNDING } = {}) {
+    const amount = money.multiply(item.quantity, item.rate);
+    return roundMoney(money.subtract(amount, this.calculateDiscount(amount, item.discount)), currency, rounding.mode);
+  }
+
+  // Document-level discount from request data, falling back to the saved
+  // document. A bare `discountAmount` is a fixed discount, as it always was.
+  static resolveDiscount(data, current = {}) {
+    return {
+      type: data.discountType ?? current.discountType ?? 'fixed',
+      value: parseFloat(data.discountValue ?? data.discountAmount ?? current.discountValue ?? 0),
+      beforeTax: data.discountBeforeTax ?? current.discountBeforeTax ?? false
+    };
+  }
+
+  static calculateSubtotal(items, options = {}) {
+    return money.toNumber(money.sum(items.map(item => this.calculateLineAmount(item, options))));
+  }
+
+  // Per-tax totals for a set of lines. `taxRates` maps tax code to its
+  // registry entry. Lines without `taxCodes` are taxed at the document-level
+  // `taxRate`; an empty list marks the line exempt. Compound taxes are
+  // charged on the line total plus the line's non-compound taxes.
+  //
+  // A before-tax document discount scales every line by `discountRatio`
+  // ({ numerator, denominator }). Amounts are kept as exact numerators over
+  // the ratio's denominator and only divided when rounded: per line and tax
+  // with 'per-line' tax rounding, once per tax with 'per-invoice'.
+  static calculateTaxBreakdown(items, {
+    taxRate = 0,
+    taxRates = new Map(),
+    currency,
+    rounding = money.DEFAULT_ROUNDING,
+    discountRatio = { numerator: 1, denominator: 1 }
+  } = {}) {
+    const { numerator, denominator } = discountRatio;
+    const minorUnits = getCurrency(currency).minorUnits;
+    const perLine = rounding.taxRounding === 'per-line';
+    const documentTax = { code: null, name: 'Tax', rate: parseFloat(taxRate) || 0, compound: false };
+    const breakdown = new Map();
+
+    // Tax amounts as numerators over `denominator`; per-line rounding rounds
+    // them straight away and scales the result back up
+    const roundTax = (scaled) => (perLine
+      ? money.multiply(money.divide(scaled, denominator, minorUnits, rounding.mode), denominator)
+      : scaled);
+
+    const applyTax = (tax, taxable) => {
+      const key = tax.code ?? '';
+      if (!breakdown.has(key)) {
+        breakdown.set(key, {
+          code: tax.code,
+          name: tax.name,
+          rate: tax.rate,
+          compound: tax.compound,
+          registrationNumber: tax.registrationNumber || null,
+          taxableAmount: money.ZERO,
+          amount: money.ZERO
+        });
+      }
+
+      const amount = roundTax(money.multiply(taxable, tax.rate));
+      const entry = breakdown.get(key);
+      entry.taxableAmount = money.add(entry.taxableAmount, taxable);
+      entry.amount = money.add(entry.amount, amount);
+      return amount;
+    };
+
+    for (const item of items) {
+      const taxable = money.multiply(this.calculateLineAmount(item, { currency, rounding }), numerator);
+      const taxes = Array.isArray(item.taxCodes)
+        ? item.taxCodes.map(code => {
+          const tax = taxRates.get(code);
+          if (!tax) {
+            throw new Error(`Unknown tax code: ${code}`);
+          }
+          return tax;
+        })
+        : (documentTax.rate > 0 ? [documentTax] : []);
+
+      let lineTax = money.ZERO;
+      for (const tax of taxes.filter(tax => !tax.compound)) {
+        lineTax = money.add(lineTax, applyTax(tax, taxable));
+      }
+      for (const tax of taxes.filter(tax => tax.compound)) {
+        applyTax(tax, money.add(taxable, lineTax));
+      }
+    }
+
+    return [...breakdown.values()].map(entry => ({
+      ...entry,
+      taxableAmount: money.toNumber(money.divide(entry.taxableAmount, denominator, minorUnits, rounding.mode)),
+      amount: money.toNumber(money.divide(entry.amount, denominator, minorUnits, rounding.mode))
+    }));
+  }
+
+  // Each tax is rounded on its own so the rows on the document add up
+  static calculateTaxAmount(taxBreakdown) {
+    return money.toNumber(money.sum(taxBreakdown.map(tax => tax.amount)));
+  }
+
+  static calculateTotal(subtotal, taxAmount, discountAmount = 0, depositAmount = 0, lateFeeAmount = 0, earlyDiscountAmount = 0) {
+    const taxed = money.add(subtotal, taxAmount);
+    const net = money.subtract(money.subtract(taxed, discountAmount || 0), depositAmount || 0);
+    return money.toNumber(money.subtract(money.add(net, lateFeeAmount || 0), earlyDiscountAmount || 0));
+  }
+
+  // Sum two tax breakdowns by tax code
+  static mergeTaxBreakdowns(breakdown, other) {
+    const merged = new Map(breakdown.map(entry => [entry.code ?? '', { ...entry }]));
+    for (const entry of other) {
+      const existing = merged.get(entry.code ?? '');
+      if (existing) {
+        existing.taxableAmount = money.toNumber(money.add(existing.taxableAmount, entry.taxableAmount));
+        existing.amount = money.toNumber(money.add(existing.amount, entry.amount));
+      } else {
+        merged.set(entry.code ?? '', { ...entry });
+      }
+    }
+    return [...merged.values()];
+  }
+
+  // A document discount taken before tax reduces the taxable amounts;
+  // after tax it comes off the taxed total. Returns the items with their
+  // rounded line totals alongside the document totals.
+  //
+  // `deposits` ({ invoiceNumber, amount, taxCodes }) are deposit invoices
+  // deducted on a final invoice. Their net amounts come off after the
+  // discount, which never applies to them, and the tax they were charged
+  // is reversed so the final invoice only taxes what is still owed.
+  //
+  // `lateFeeAmount` is added last, untaxed and undiscounted, and an early
+  // payment discount already taken (`earlyDiscountAmount`) comes off after it.
+  static calculateTotals(items, {
+    taxRate,
+    taxRates,
+    discount,
+    deposits = [],
+    lateFeeAmount = 0,
+    earlyDiscountAmount = 0,
+    currency,
+    rounding = money.DEFAULT_ROUNDING
+  } = {}) {
+    const lineItems = items.map(item => ({ ...item, total: this.calculateLineTotal(item, { currency, rounding }) }));
+    const subtotal = this.calculateSubtotal(items, { currency, rounding });
+
+    let discountAmount;
+    let taxBreakdown;
+    if (discount?.beforeTax) {
+      discountAmount = money.toNumber(roundMoney(this.calculateDiscount(subtotal, discount), currency, rounding.mode));
+      const discountRatio = subtotal !== 0
+        ? { numerator: money.subtract(subtotal, discountAmount), denominator: subtotal }
+        : undefined;
+      taxBreakdown = this.calculateTaxBreakdown(items, { taxRate, taxRates, currency, rounding, discountRatio });
+    } else {
+      taxBreakdown = this.calculateTaxBreakdown(items, { taxRate, taxRates, currency, rounding });
+      const taxed = money.add(subtotal, this.calculateTaxAmount(taxBreakdown));
+      discountAmount = money.toNumber(roundMoney(this.calculateDiscount(taxed, discount), currency, rounding.mode));
+    }
+
+    const depositAmount = money.toNumber(money.sum(deposits.map(deposit => deposit.amount)));
+    if (deposits.length > 0) {
+      const depositLines = deposits.map(deposit => ({ quantity: 1, rate: -deposit.amount, taxCodes: deposit.taxCodes }));
+      taxBreakdown = this.mergeTaxBreakdowns(
+        taxBreakdown,
+        this.calculateTaxBreakdown(depositLines, { taxRate, taxRates, currency, rounding })
+      );
+    }
+
+    const taxAmount = this.calculateTaxAmount(taxBreakdown);
+
+    return {
+      items: lineItems,
+      subtotal,
+      taxAmount,
+      taxBreakdown,
+      discountAmount,
+      depositAmount,
+      lateFeeAmount,
+      earlyDiscountAmount,
+      total: this.calculateTotal(subtotal, taxAmount, discountAmount, depositAmount, lateFeeAmount, earlyDiscountAmount)
+    };
   }
 
-  static calculateTaxAmount(subtotal, taxRate) {
-    return subtotal * parseFloat(taxRate);
+  // User's rounding preferences for document totals
+  static async getRounding(userId) {
+    const user = userId ? await User.findById(userId) : null;
+    return money.resolveRounding(user?.settings);
   }
 
-  static calculateTotal(subtotal, taxAmount, discountAmount = 0) {
-    return subtotal + taxAmount - parseFloat(discountAmount || 0);
+  // Terms for a new invoice, in order: structured terms or a day count given
+  // for this invoice or carried over from its quote, schedule or contract,
+  // the client's terms, the user's default terms, the client's day count.
+  // A day count has no name and no discount.
+  static async resolveTerms(data) {
+    const plain = (dueDays) => ({ preset: null, name: null, dueDays, discountPercent: 0, discountDays: 0 });
+
+    if (data.terms) return data.terms;
+    if (data.paymentTerms !== undefined && data.paymentTerms !== null) return plain(data.paymentTerms);
+
+    const client = data.clientId ? await Client.findById(data.clientId) : null;
+    if (client?.terms) return client.terms;
+
+    const user = data.userId ? await User.findById(data.userId) : null;
+    const defaultTerms = user?.settings?.defaultTerms
+      ? resolvePaymentTerms(user.settings.defaultTerms, user.settings)
+      : null;
+    if (defaultTerms) return defaultTerms;
+
+    return plain(client?.paymentTerms ?? 30);
   }
 
   static async findAll(filters = {}) {
@@ -245,6 +526,26 @@ export class Invoice {
         values.push(filters.status);
       }
 
+      if (filters.recurringInvoiceId) {
+        conditions.push(`recurring_invoice_id = $${paramCount++}`);
+        values.push(filters.recurringInvoiceId);
+      }
+
+      if (filters.quoteId) {
+        conditions.push(`quote_id = $${paramCount++}`);
+        values.push(filters.quoteId);
+      }
+
+      if (filters.projectId) {
+        conditions.push(`project_id = $${paramCount++}`);
+        values.push(filters.projectId);
+      }
+
+      if (filters.templateId) {
+        conditions.push(`template_id = $${paramCount++}`);
+        values.push(filters.templateId);
+      }
+
       if (filters.dateRange) {
         conditions.push(`issue_date >= $${paramCount++} AND issue_date <= $${paramCount++}`);
         values.push(filters.dateRange.start, filters.dateRange.end);
@@ -264,9 +565,9 @@ export class Invoice {
     }
   }
 
-  static async findById(id) {
+  static async findById(id, db = pool) {
     try {
-      const { rows } = await pool.query(
+      const { rows } = await db.query(
         'SELECT * FROM invoices WHERE id = $1',
         [id]
       );
@@ -277,6 +578,21 @@ export class Invoice {
     }
   }
 
+  // Load the invoice and hold its row until the transaction ends, so
+  // concurrent payments see each other's effect on the balance
+  static async findByIdForUpdate(id, db) {
+    try {
+      const { rows } = await db.query(
+        'SELECT * FROM invoices WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      return rows.length > 0 ? new Invoice(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error locking invoice:', error);
+      throw error;
+    }
+  }
+
   static async findByUserId(userId) {
     return await this.findAll({ userId });
   }
@@ -285,43 +601,155 @@ export class Invoice {
     return await this.findAll({ clientId });
   }
 
-  static async create(data) {
+  // Unpaid invoices whose due date is before the given date, whether or not
+  // the overdue job has flipped their status yet
+  static async findOverdue(filters = {}, asOfDate) {
+    try {
+      const conditions = [
+        "status IN ('sent', 'partially_paid', 'overdue')",
+        'due_date < $1'
+      ];
+      const values = [asOfDate];
+      let paramCount = 2;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.clientId) {
+        conditions.push(`client_id = $${paramCount++}`);
+        values.push(filters.clientId);
+      }
+
+      const { rows } = await pool.query(
+        `SELECT * FROM invoices WHERE ${conditions.join(' AND ')} ORDER BY due_date ASC`,
+        values
+      );
+      return rows.map(row => new Invoice(row));
+    } catch (error) {
+      logger.error('Error finding overdue invoices:', error);
+      throw error;
+    }
+  }
+
+  // Stamp a client portal view; the first one is kept
+  static async recordView(id) {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE invoices SET first_viewed_at = COALESCE(first_viewed_at, NOW()), last_viewed_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [id]
+      );
+      return rows.length > 0 ? new Invoice(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error recording invoice view:', error);
+      throw error;
+    }
+  }
+
+  // The client confirmed receipt from the portal; the first time is kept
+  static async acknowledge(id) {
+    try {
+      const { rows } = await pool.query(
+        'UPDATE invoices SET acknowledged_at = COALESCE(acknowledged_at, NOW()) WHERE id = $1 RETURNING *',
+        [id]
+      );
+      return rows.length > 0 ? new Invoice(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error acknowledging invoice:', error);
+      throw error;
+    }
+  }
+
+  // Move sent and partially paid invoices past their due date to overdue
+  static async markOverdue(asOfDate) {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE invoices SET status = 'overdue', overdue_at = NOW()
+         WHERE status IN ('sent', 'partially_paid') AND due_date < $1
+         RETURNING *`,
+        [asOfDate]
+      );
+      return rows.map(row => new Invoice(row));
+    } catch (error) {
+      logger.error('Error marking invoices overdue:', error);
+      throw error;
+    }
+  }
+
+  static async create(data, db = null) {
+    // Numbering and insert share one transaction so numbers stay gap-free
+    if (!db) {
+      return await withTransaction(client => this.create(data, client));
+    }
+
     try {
+      const currency = data.currency || 'USD';
+      
       // Calculate totals
-      const subtotal = this.calculateSubtotal(data.items || []);
-      const taxAmount = this.calculateTaxAmount(subtotal, data.taxRate || 0.08);
-      const total = this.calculateTotal(subtotal, taxAmount, data.discountAmount);
+      const discount = this.resolveDiscount(data);
+      const deposits = data.depositDeductions || [];
+      const taxRates = await TaxRate.findByCodes(data.userId, TaxRate.collectCodes([...(data.items || []), ...deposits]), db);
+      const { items, subtotal, taxAmount, taxBreakdown, discountAmount, depositAmount, total } = this.calculateTotals(data.items || [], {
+        taxRate: data.taxRate ?? 0.08,
+        taxRates,
+        discount,
+        deposits,
+        currency,
+        rounding: await this.getRounding(data.userId)
+      });
       
       // Generate invoice number if not provided
-      const invoiceNumber = data.invoiceNumber || await this.generateInvoiceNumber();
+      const invoiceNumber = data.invoiceNumber || await this.generateInvoiceNumber(db, data);
       
-      // Calculate due date
-      const dueDate = data.dueDate || this.calculateDueDate(data.issueDate, data.paymentTerms || 30);
+      // Calculate due date from the resolved terms
+      const issueDate = data.issueDate || new Date().toISOString().split('T')[0];
+      const terms = await this.resolveTerms(data);
+      const dueDate = data.dueDate || this.calculateDueDate(issueDate, terms.dueDays);
+      
+      const { baseCurrency, exchangeRate } = await this.snapshotExchangeRate(data.userId, currency, issueDate, db);
 
-      const { rows } = await pool.query(
+      const { rows } = await db.query(
         `INSERT INTO invoices (
           user_id, client_id, invoice_number, status, issue_date, due_date, 
           payment_terms, items, subtotal, tax_rate, tax_amount, discount_amount, 
-          total, currency, notes, template_id
-         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          total, currency, notes, template_id, recurring_invoice_id, base_currency, exchange_rate, quote_id,
+          tax_breakdown, discount_type, discount_value, discount_before_tax, project_id,
+          deposit_deductions, deposit_amount, terms_name, early_discount_percent, early_discount_days
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30)
          RETURNING *`,
         [
           data.userId,
           data.clientId,
           invoiceNumber,
           data.status || 'draft',
-          data.issueDate || new Date().toISOString().split('T')[0],
+          issueDate,
           dueDate,
-          data.paymentTerms || 30,
-          JSON.stringify(data.items || []),
+          terms.dueDays,
+          JSON.stringify(items),
           subtotal,
-          data.taxRate || 0.08,
+          data.taxRate ?? 0.08,
           taxAmount,
-          data.discountAmount || 0,
+          discountAmount,
           total,
-          data.currency || 'USD',
+          currency,
           data.notes || null,
-          data.templateId || 'default'
+          data.templateId || 'default',
+          data.recurringInvoiceId || null,
+          baseCurrency,
+          exchangeRate,
+          data.quoteId || null,
+          JSON.stringify(taxBreakdown),
+          discount.type,
+          discount.value,
+          discount.beforeTax,
+          data.projectId || null,
+          JSON.stringify(deposits),
+          depositAmount,
+          terms.name || null,
+          terms.discountPercent || 0,
+          terms.discountDays || 0
         ]
       );
       return new Invoice(rows[0]);
@@ -331,55 +759,66 @@ export class Invoice {
     }
   }
 
-  static async update(id, data) {
+  static async update(id, data, db = pool) {
     try {
       const updates = [];
       const values = [];
       let paramCount = 1;
 
-      // Handle items update with recalculation
-      if (data.items) {
-        const subtotal = this.calculateSubtotal(data.items);
-        const taxRate = data.taxRate !== undefined ? parseFloat(data.taxRate) : undefined;
-        const taxAmount = taxRate !== undefined ? this.calculateTaxAmount(subtotal, taxRate) : undefined;
-        const discountAmount = data.discountAmount !== undefined ? parseFloat(data.discountAmount) : undefined;
-        
-        updates.push(`items = $${paramCount++}`);
-        values.push(JSON.stringify(data.items));
+      // Totals depend on items, tax rate, discount and currency together
+      if (TOTALS_FIELDS.some(field => data[field] !== undefined)) {
+        const currentInvoice = await this.findById(id, db);
+        if (!currentInvoice) return null;
         
-        updates.push(`subtotal = $${paramCount++}`);
-        values.push(subtotal);
-        
-        if (taxRate !== undefined) {
-          updates.push(`tax_rate = $${paramCount++}`);
-          values.push(taxRate);
-          
-          updates.push(`tax_amount = $${paramCount++}`);
-          values.push(taxAmount);
-        }
-        
-        if (discountAmount !== undefined) {
-          updates.push(`discount_amount = $${paramCount++}`);
-          values.push(discountAmount);
-        }
+        const taxRate = data.taxRate !== undefined ? parseFloat(data.taxRate) : currentInvoice.taxRate;
+        const discount = this.resolveDiscount(data, currentInvoice);
+        const deposits = currentInvoice.depositDeductions;
+        const taxRates = await TaxRate.findByCodes(
+          currentInvoice.userId,
+          TaxRate.collectCodes([...(data.items || currentInvoice.items), ...deposits]),
+          db
+        );
+        const { items, subtotal, taxAmount, taxBreakdown, discountAmount, lateFeeAmount, total } = this.calculateTotals(data.items || currentInvoice.items, {
+          taxRate,
+          taxRates,
+          discount,
+          deposits,
+          lateFeeAmount: currentInvoice.lateFeeAmount,
+          earlyDiscountAmount: currentInvoice.earlyDiscountAmount,
+          currency: data.currency || currentInvoice.currency,
+          rounding: await this.getRounding(currentInvoice.userId)
+        });
         
-        // Recalculate total (we'll need to fetch current values if not all provided)
-        const currentInvoice = await this.findById(id);
-        const currentTaxRate = taxRate !== undefined ? taxRate : currentInvoice.taxRate;
-        const currentDiscountAmount = discountAmount !== undefined ? discountAmount : currentInvoice.discountAmount;
-        const newTaxAmount = taxAmount !== undefined ? taxAmount : this.calculateTaxAmount(subtotal, currentTaxRate);
-        const total = this.calculateTotal(subtotal, newTaxAmount, currentDiscountAmount);
+        const totals = {
+          items: JSON.stringify(items),
+          subtotal,
+          tax_rate: taxRate,
+          tax_amount: taxAmount,
+          tax_breakdown: JSON.stringify(taxBreakdown),
+          discount_type: discount.type,
+          discount_value: discount.value,
+          discount_before_tax: discount.beforeTax,
+          discount_amount: discountAmount,
+          late_fee_amount: lateFeeAmount,
+          total
+        };
         
-        updates.push(`total = $${paramCount++}`);
-        values.push(total);
+        Object.entries(totals).forEach(([key, value]) => {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        });
       }
 
       const simpleFields = {
         client_id: data.clientId,
+        project_id: data.projectId,
         status: data.status,
         issue_date: data.issueDate,
         due_date: data.dueDate,
-        payment_terms: data.paymentTerms,
+        payment_terms: data.terms?.dueDays ?? data.paymentTerms,
+        terms_name: data.terms?.name,
+        early_discount_percent: data.terms?.discountPercent,
+        early_discount_days: data.terms?.discountDays,
         currency: data.currency,
         notes: data.notes,
         template_id: data.templateId,
@@ -395,21 +834,180 @@ export class Invoice {
         }
       });
 
+      // Re-snapshot the rate when the currency or issue date changes
+      if (data.currency !== undefined || data.issueDate !== undefined) {
+        const currentInvoice = await this.findById(id, db);
+        if (currentInvoice) {
+          const { baseCurrency, exchangeRate } = await this.snapshotExchangeRate(
+            currentInvoice.userId,
+            data.currency ?? currentInvoice.currency,
+            data.issueDate ?? currentInvoice.issueDate,
+            db
+          );
+          updates.push(`base_currency = $${paramCount++}`);
+          values.push(baseCurrency);
+          updates.push(`exchange_rate = $${paramCount++}`);
+          values.push(exchangeRate);
+        }
+      }
+
       if (updates.length === 0) return null;
 
       values.push(id);
-      const { rows } = await pool.query(
+      const { rows } = await db.query(
         `UPDATE invoices SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
         values
       );
       
-      return rows.length > 0 ? new Invoice(rows[0]) : null;
+      if (rows.length === 0) return null;
+      
+      // A new total changes the balance due, which may change the payment status
+      if (TOTALS_FIELDS.some(field => data[field] !== undefined)) {
+        return await this.refreshBalance(id, db);
+      }
+      
+      return new Invoice(rows[0]);
     } catch (error) {
       logger.error('Error updating invoice:', error);
       throw error;
     }
   }
 
+  // Rate from the invoice currency to the user's base currency as of the
+  // issue date. The rate is null when no matching exchange rate is stored yet.
+  static async snapshotExchangeRate(userId, currency, issueDate, db = pool) {
+    const user = await User.findById(userId);
+    const baseCurrency = getBaseCurrency(user?.settings);
+    const exchangeRate = await ExchangeRate.findRate(userId, currency, baseCurrency, issueDate, db);
+    return { baseCurrency, exchangeRate };
+  }
+
+  // Fill in rates for invoices that were created before a matching rate existed
+  static async snapshotMissingExchangeRates(userId) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM invoices WHERE user_id = $1 AND exchange_rate IS NULL',
+        [userId]
+      );
+
+      let updated = 0;
+      for (const row of rows) {
+        const invoice = new Invoice(row);
+        const { baseCurrency, exchangeRate } = await this.snapshotExchangeRate(userId, invoice.currency, invoice.issueDate);
+        if (exchangeRate === null) continue;
+
+        await pool.query(
+          'UPDATE invoices SET base_currency = $1, exchange_rate = $2 WHERE id = $3 AND exchange_rate IS NULL',
+          [baseCurrency, exchangeRate, invoice.id]
+        );
+        updated++;
+      }
+
+      return updated;
+    } catch (error) {
+      logger.error('Error snapshotting exchange rates:', error);
+      throw error;
+    }
+  }
+
+  // Refresh the balance, then take or give back the early payment discount
+  // so it matches the payments now on the invoice: deleting the payment
+  // that earned it restores the full total. Returns the refreshed invoice.
+  static async refreshEarlyPaymentDiscount(id, db = pool) {
+    try {
+      const invoice = await this.refreshBalance(id, db);
+      if (!invoice) return null;
+
+      const { rows } = await db.query(
+        "SELECT MAX(payment_date) AS last_payment_date FROM payments WHERE invoice_id = $1 AND kind = 'payment'",
+        [id]
+      );
+      const discount = invoice.getEarnedEarlyPaymentDiscount(rows[0]?.last_payment_date);
+      if (money.compare(discount, invoice.earlyDiscountAmount) === 0) {
+        return invoice;
+      }
+
+      await db.query(
+        `UPDATE invoices SET total = total + early_discount_amount - $1, early_discount_amount = $1
+         WHERE id = $2`,
+        [discount, id]
+      );
+      return await this.refreshBalance(id, db);
+    } catch (error) {
+      logger.error('Error refreshing early payment discount:', error);
+      throw error;
+    }
+  }
+
+  // Rebuild the late fee lines from the applied fees and move the total by
+  // the difference, then settle the balance against it
+  static async refreshLateFees(id, db = pool) {
+    try {
+      await db.query(
+        `WITH fees AS (
+           SELECT
+             COALESCE(SUM(amount), 0) AS amount,
+             COALESCE(
+               jsonb_agg(jsonb_build_object('id', id, 'description', description, 'amount', amount) ORDER BY period),
+               '[]'
+             ) AS lines
+           FROM late_fees WHERE invoice_id = $1 AND mode = 'line' AND status = 'applied'
+         )
+         UPDATE invoices SET
+           total = invoices.total - invoices.late_fee_amount + fees.amount,
+           late_fee_amount = fees.amount,
+           late_fees = fees.lines
+         FROM fees
+         WHERE invoices.id = $1`,
+        [id]
+      );
+      return await this.refreshBalance(id, db);
+    } catch (error) {
+      logger.error('Error refreshing invoice late fees:', error);
+      throw error;
+    }
+  }
+
+  // Recompute amount_paid from the payments ledger and amount_credited from
+  // issued credit notes, and move the invoice between sent, partially_paid
+  // and paid accordingly. Credits settle the balance just like payments.
+  // A disputed invoice stays disputed until it is settled in full.
+  static async refreshBalance(id, db = pool) {
+    try {
+      const { rows } = await db.query(
+        `WITH ledger AS (
+           SELECT COALESCE(SUM(amount), 0) AS paid FROM payments WHERE invoice_id = $1
+         ), credits AS (
+           SELECT COALESCE(-SUM(total), 0) AS credited FROM credit_notes WHERE invoice_id = $1 AND status = 'issued'
+         )
+         UPDATE invoices SET
+           amount_paid = ledger.paid,
+           amount_credited = credits.credited,
+           status = CASE
+             WHEN invoices.status = 'cancelled' THEN invoices.status
+             WHEN ledger.paid + credits.credited >= invoices.total AND invoices.total > 0 THEN 'paid'
+             WHEN invoices.status = 'disputed' THEN invoices.status
+             WHEN ledger.paid + credits.credited > 0 AND invoices.status = 'overdue' THEN 'overdue'
+             WHEN ledger.paid + credits.credited > 0 THEN 'partially_paid'
+             WHEN invoices.status IN ('paid', 'partially_paid') THEN 'sent'
+             ELSE invoices.status
+           END,
+           paid_at = CASE
+             WHEN ledger.paid + credits.credited >= invoices.total AND invoices.total > 0 THEN COALESCE(invoices.paid_at, NOW())
+             ELSE NULL
+           END
+         FROM ledger, credits
+         WHERE invoices.id = $1
+         RETURNING invoices.*`,
+        [id]
+      );
+      return rows.length > 0 ? new Invoice(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error refreshing invoice balance:', error);
+      throw error;
+    }
+  }
+
   static async delete(id) {
     try {
       const { rowCount } = await pool.query(
@@ -427,109 +1025,110 @@ export class Invoice {
     return await Client.findById(this.clientId);
   }
 
-  async updateStatus(status) {
-    const updateData = { status };
-    
-    if (status === 'sent' && !this.sentAt) {
-      updateData.sentAt = new Date().toISOString();
-    } else if (status === 'paid' && !this.paidAt) {
-      updateData.paidAt = new Date().toISOString();
-    }
-    
-    return await Invoice.update(this.id, updateData);
+  async getPayments() {
+    return await Payment.findByInvoiceId(this.id);
   }
-}
 
-// Template Model
-export class Template {
-  constructor(data) {
-    this.id = data.id || uuidv4();
-    this.name = data.name;
-    this.description = data.description || '';
-    this.htmlContent = data.htmlContent;
-    this.cssContent = data.cssContent || '';
-    this.isDefault = data.isDefault || false;
-    this.previewImage = data.previewImage || '';
-    this.createdAt = data.createdAt || new Date().toISOString();
-    this.updatedAt = data.updatedAt || new Date().toISOString();
+  async getCreditNotes() {
+    return await CreditNote.findAll({ invoiceId: this.id });
   }
 
-  static findAll() {
-    return db.templates;
+  async getLateFees() {
+    return await LateFee.findAll({ invoiceId: this.id });
   }
 
-  static findById(id) {
-    return db.templates.find(template => template.id === id);
-  }
+  // The early payment discount still open on `asOfDate`: pay `amount` by
+  // `deadline` (yyyy-MM-dd) to save `savings`. Null when the terms have no
+  // discount, it has been taken or the window has closed.
+  getEarlyPaymentOffer(asOfDate = new Date()) {
+    if (this.earlyDiscountPercent <= 0 || this.earlyDiscountAmount > 0 || !this.issueDate) {
+      return null;
+    }
+
+    const deadline = getEarlyPaymentDeadline(this.issueDate, this.earlyDiscountDays);
+    const asOf = asOfDate instanceof Date ? format(asOfDate, 'yyyy-MM-dd') : String(asOfDate).slice(0, 10);
+    if (asOf > deadline) return null;
 
-  static findDefault() {
-    return db.templates.find(template => template.isDefault) || db.templates[0];
+    const savings = calculateEarlyPaymentDiscount(this.total, this.earlyDiscountPercent, this.currency);
+    return {
+      deadline,
+      savings,
+      amount: money.toNumber(money.subtract(this.balanceDue, savings))
+    };
   }
 
-  static create(data) {
-    const template = new Template(data);
-    
-    // If this is set as default, unset others
-    if (template.isDefault) {
-      db.templates.forEach(t => t.isDefault = false);
+  // The early payment discount the payments so far have earned: what is left
+  // of the undiscounted balance when the latest payment (on lastPaymentDate)
+  // was made inside the window and leaves no more than the discount unpaid.
+  // Otherwise 0, and invoices paid in full keep their total.
+  getEarnedEarlyPaymentDiscount(lastPaymentDate) {
+    const undiscounted = new Invoice({
+      ...this,
+      total: money.toNumber(money.add(this.total, this.earlyDiscountAmount)),
+      earlyDiscountAmount: 0
+    });
+    const offer = lastPaymentDate ? undiscounted.getEarlyPaymentOffer(lastPaymentDate) : null;
+    if (!offer || undiscounted.balanceDue <= 0 || undiscounted.balanceDue > offer.savings) {
+      return 0;
     }
-    
-    db.templates.push(template);
-    return template;
+    return undiscounted.balanceDue;
   }
 
-  static update(id, data) {
-    const index = db.templates.findIndex(template => template.id === id);
-    if (index === -1) return null;
-    
-    const updatedTemplate = new Template({
-      ...db.templates[index],
-      ...data,
-      id,
-      updatedAt: new Date().toISOString()
-    });
-    
-    // If this is set as default, unset others
-    if (updatedTemplate.isDefault) {
-      db.templates.forEach((t, i) => {
-        if (i !== index) t.isDefault = false;
+  async getReminders() {
+    return await ReminderLog.findByInvoiceId(this.id);
+  }
+
+  async updateStatus(status) {
+    // Marking as paid settles the remaining balance in the payments ledger
+    // so that amountPaid and the stats stay consistent with the status
+    if (status === 'paid' && this.balanceDue > 0) {
+      await Payment.create({
+        userId: this.userId,
+        invoiceId: this.id,
+        amount: this.balanceDue,
+        notes: 'Recorded when the invoice was marked as paid'
       });
+      return await Invoice.findById(this.id);
     }
     
-    db.templates[index] = updatedTemplate;
-    return updatedTemplate;
-  }
-
-  static delete(id) {
-    const index = db.templates.findIndex(template => template.id === id);
-    if (index === -1) return false;
+    const updateData = { status };
+    
+    if (status === 'sent' && !this.sentAt) {
+      updateData.sentAt = new Date().toISOString();
+    } else if (status === 'paid' && !this.paidAt) {
+      updateData.paidAt = new Date().toISOString();
+    }
     
-    db.templates.splice(index, 1);
-    return true;
+    return await Invoice.update(this.id, updateData);
   }
 }
 
-// User Model (PostgreSQL-backed)
-export class User {
+// Payment Model (PostgreSQL-backed)
+export class Payment {
   constructor(data) {
     this.id = data.id;
-    this.email = data.email;
-    this.password = data.password_hash || data.password;
-    this.name = data.name;
-    this.businessInfo = data.business_info || data.businessInfo || {};
-    this.settings = data.settings || {};
+    this.userId = data.user_id || data.userId;
+    this.invoiceId = data.invoice_id || data.invoiceId;
+    this.amount = parseFloat(data.amount) || 0;
+    this.paymentDate = data.payment_date || data.paymentDate;
+    this.method = data.method || 'other';
+    this.kind = data.kind || 'payment';
+    this.creditNoteId = data.credit_note_id || data.creditNoteId || null;
+    this.reference = data.reference || '';
+    this.notes = data.notes || '';
     this.createdAt = data.created_at || data.createdAt;
     this.updatedAt = data.updated_at || data.updatedAt;
   }
 
-  static async findAll() {
+  static async findByInvoiceId(invoiceId) {
     try {
       const { rows } = await pool.query(
-        'SELECT * FROM users ORDER BY created_at DESC'
+        'SELECT * FROM payments WHERE invoice_id = $1 ORDER BY payment_date ASC, created_at ASC',
+        [invoiceId]
       );
-      return rows.map(row => new User(row));
+      return rows.map(row => new Payment(row));
     } catch (error) {
-      logger.error('Error finding all users:', error);
+      logger.error('Error finding payments:', error);
       throw error;
     }
   }
@@ -537,17 +1136,3491 @@ export class User {
   static async findById(id) {
     try {
       const { rows } = await pool.query(
-        'SELECT * FROM users WHERE id = $1',
+        'SELECT * FROM payments WHERE id = $1',
         [id]
       );
-      return rows.length > 0 ? new User(rows[0]) : null;
+      return rows.length > 0 ? new Payment(rows[0]) : null;
     } catch (error) {
-      logger.error('Error finding user by ID:', error);
+      logger.error('Error finding payment by ID:', error);
       throw error;
     }
   }
 
-  static async findByEmail(email) {
+  // Inserts the payment and refreshes the invoice balance in one transaction
+  // Returns null when a payment is more than the balance due. The invoice
+  // stays locked until the transaction ends, so concurrent payments can't
+  // both fit under the same balance. Refunds are not limited.
+  static async create(data, db = null) {
+    if (!db) {
+      return await withTransaction(client => this.create(data, client));
+    }
+
+    try {
+      if ((data.kind || 'payment') === 'payment') {
+        const invoice = await Invoice.findByIdForUpdate(data.invoiceId, db);
+        if (!invoice || money.compare(data.amount, invoice.balanceDue) > 0) return null;
+      }
+
+      const { rows } = await db.query(
+        `INSERT INTO payments (user_id, invoice_id, amount, payment_date, method, reference, notes, kind, credit_note_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          data.userId || null,
+          data.invoiceId,
+          data.amount,
+          data.paymentDate || new Date().toISOString().split('T')[0],
+          data.method || 'other',
+          data.reference || null,
+          data.notes || null,
+          data.kind || 'payment',
+          data.creditNoteId || null
+        ]
+      );
+      
+      const payment = new Payment(rows[0]);
+      await Invoice.refreshEarlyPaymentDiscount(data.invoiceId, db);
+      return payment;
+    } catch (error) {
+      logger.error('Error creating payment:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      return await withTransaction(async (db) => {
+        const { rows } = await db.query(
+          'DELETE FROM payments WHERE id = $1 RETURNING invoice_id',
+          [id]
+        );
+        
+        if (rows.length === 0) return false;
+        
+        await Invoice.refreshEarlyPaymentDiscount(rows[0].invoice_id, db);
+        return true;
+      });
+    } catch (error) {
+      logger.error('Error deleting payment:', error);
+      throw error;
+    }
+  }
+}
+
+// Payment Event Model (PostgreSQL-backed)
+// A payment gateway webhook event that has been processed, keyed by provider and event ID.
+export class PaymentEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.provider = data.provider;
+    this.eventId = data.event_id || data.eventId;
+    this.eventType = data.event_type || data.eventType;
+    this.invoiceId = data.invoice_id || data.invoiceId || null;
+    this.paymentId = data.payment_id || data.paymentId || null;
+    this.createdAt = data.created_at || data.createdAt;
+  }
+
+  // Record the event inside the transaction that processes it. Returns null
+  // when the event has been processed before.
+  static async claim(db, data) {
+    try {
+      const { rows } = await db.query(
+        `INSERT INTO payment_events (provider, event_id, event_type, invoice_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (provider, event_id) DO NOTHING
+         RETURNING *`,
+        [data.provider, data.eventId, data.eventType, data.invoiceId || null]
+      );
+      return rows.length > 0 ? new PaymentEvent(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error claiming payment event:', error);
+      throw error;
+    }
+  }
+
+  static async attachPayment(db, id, paymentId) {
+    try {
+      const { rows } = await db.query(
+        'UPDATE payment_events SET payment_id = $1 WHERE id = $2 RETURNING *',
+        [paymentId, id]
+      );
+      return rows.length > 0 ? new PaymentEvent(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error linking payment event:', error);
+      throw error;
+    }
+  }
+}
+
+// Quote Model (PostgreSQL-backed)
+// Estimates sent before invoicing; numbered separately from invoices.
+export class Quote {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.clientId = data.client_id || data.clientId;
+    this.quoteNumber = data.quote_number || data.quoteNumber;
+    this.status = data.status || 'draft';
+    this.issueDate = data.issue_date || data.issueDate;
+    this.expiryDate = data.expiry_date || data.expiryDate;
+    this.paymentTerms = data.payment_terms || data.paymentTerms || 30;
+    this.items = data.items || [];
+    this.subtotal = parseFloat(data.subtotal) || 0;
+    this.taxRate = parseFloat(data.tax_rate || data.taxRate) || 0;
+    this.taxAmount = parseFloat(data.tax_amount || data.taxAmount) || 0;
+    this.taxBreakdown = data.tax_breakdown || data.taxBreakdown || [];
+    this.discountAmount = parseFloat(data.discount_amount || data.discountAmount) || 0;
+    this.discountType = data.discount_type || data.discountType || 'fixed';
+    // Rows saved before discount types existed only have the fixed amount
+    this.discountValue = parseFloat(data.discount_value ?? data.discountValue ?? this.discountAmount) || 0;
+    this.discountBeforeTax = data.discount_before_tax ?? data.discountBeforeTax ?? false;
+    this.total = parseFloat(data.total) || 0;
+    this.currency = data.currency || process.env.CURRENCY || 'USD';
+    this.notes = data.notes || '';
+    this.templateId = data.template_id || data.templateId || 'default';
+    this.pdfPath = data.pdf_path || data.pdfPath || '';
+    this.sentAt = data.sent_at || data.sentAt || null;
+    this.acceptedAt = data.accepted_at || data.acceptedAt || null;
+    this.declinedAt = data.declined_at || data.declinedAt || null;
+    this.expiredAt = data.expired_at || data.expiredAt || null;
+    this.convertedAt = data.converted_at || data.convertedAt || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  // Must run inside the transaction that inserts the quote (see NumberSequence)
+  static async generateQuoteNumber(db, data) {
+    return await NumberSequence.nextDocumentNumber(db, {
+      scope: 'quote',
+      table: 'quotes',
+      column: 'quote_number',
+      userId: data.userId,
+      clientId: data.clientId,
+      date: data.issueDate ? parseDateOnly(data.issueDate) : new Date()
+    });
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM quotes';
+      const conditions = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.clientId) {
+        conditions.push(`client_id = $${paramCount++}`);
+        values.push(filters.clientId);
+      }
+
+      if (filters.status) {
+        conditions.push(`status = $${paramCount++}`);
+        values.push(filters.status);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const { rows } = await pool.query(query, values);
+      return rows.map(row => new Quote(row));
+    } catch (error) {
+      logger.error('Error finding quotes:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM quotes WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new Quote(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding quote by ID:', error);
+      throw error;
+    }
+  }
+
+  static async create(data, db = null) {
+    // Numbering and insert share one transaction so numbers stay gap-free
+    if (!db) {
+      return await withTransaction(client => this.create(data, client));
+    }
+
+    try {
+      const taxRate = data.taxRate ?? 0.08;
+      const discount = Invoice.resolveDiscount(data);
+      const taxRates = await TaxRate.findByCodes(data.userId, TaxRate.collectCodes(data.items || []), db);
+      const { items, subtotal, taxAmount, taxBreakdown, discountAmount, total } = Invoice.calculateTotals(data.items || [], {
+        taxRate,
+        taxRates,
+        discount,
+        currency: data.currency,
+        rounding: await Invoice.getRounding(data.userId)
+      });
+
+      const quoteNumber = data.quoteNumber || await this.generateQuoteNumber(db, data);
+      const issueDate = data.issueDate || new Date().toISOString().split('T')[0];
+      const expiryDate = data.expiryDate || Invoice.calculateDueDate(issueDate, data.validDays ?? 30);
+
+      const { rows } = await db.query(
+        `INSERT INTO quotes (
+          user_id, client_id, quote_number, status, issue_date, expiry_date,
+          payment_terms, items, subtotal, tax_rate, tax_amount, discount_amount,
+          total, currency, notes, template_id, tax_breakdown, discount_type, discount_value, discount_before_tax
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+         RETURNING *`,
+        [
+          data.userId,
+          data.clientId,
+          quoteNumber,
+          data.status || 'draft',
+          issueDate,
+          expiryDate,
+          data.paymentTerms || 30,
+          JSON.stringify(items),
+          subtotal,
+          taxRate,
+          taxAmount,
+          discountAmount,
+          total,
+          data.currency || 'USD',
+          data.notes || null,
+          data.templateId || 'default',
+          JSON.stringify(taxBreakdown),
+          discount.type,
+          discount.value,
+          discount.beforeTax
+        ]
+      );
+      return new Quote(rows[0]);
+    } catch (error) {
+      logger.error('Error creating quote:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      // Totals depend on items, tax rate, discount and currency together
+      if (TOTALS_FIELDS.some(field => data[field] !== undefined)) {
+        const currentQuote = await this.findById(id);
+        if (!currentQuote) return null;
+
+        const taxRate = data.taxRate !== undefined ? parseFloat(data.taxRate) : currentQuote.taxRate;
+        const discount = Invoice.resolveDiscount(data, currentQuote);
+        const taxRates = await TaxRate.findByCodes(currentQuote.userId, TaxRate.collectCodes(data.items || currentQuote.items));
+        const { items, subtotal, taxAmount, taxBreakdown, discountAmount, total } = Invoice.calculateTotals(data.items || currentQuote.items, {
+          taxRate,
+          taxRates,
+          discount,
+          currency: data.currency || currentQuote.currency,
+          rounding: await Invoice.getRounding(currentQuote.userId)
+        });
+
+        const totals = {
+          items: JSON.stringify(items),
+          subtotal,
+          tax_rate: taxRate,
+          tax_amount: taxAmount,
+          tax_breakdown: JSON.stringify(taxBreakdown),
+          discount_type: discount.type,
+          discount_value: discount.value,
+          discount_before_tax: discount.beforeTax,
+          discount_amount: discountAmount,
+          total
+        };
+
+        Object.entries(totals).forEach(([key, value]) => {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        });
+      }
+
+      const simpleFields = {
+        client_id: data.clientId,
+        quote_number: data.quoteNumber,
+        status: data.status,
+        issue_date: data.issueDate,
+        expiry_date: data.expiryDate,
+        payment_terms: data.paymentTerms,
+        currency: data.currency,
+        notes: data.notes,
+        template_id: data.templateId,
+        pdf_path: data.pdfPath,
+        sent_at: data.sentAt,
+        accepted_at: data.acceptedAt,
+        declined_at: data.declinedAt,
+        expired_at: data.expiredAt
+      };
+
+      Object.entries(simpleFields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (updates.length === 0) return null;
+
+      values.push(id);
+      const { rows } = await pool.query(
+        `UPDATE quotes SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+
+      return rows.length > 0 ? new Quote(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating quote:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM quotes WHERE id = $1',
+        [id]
+      );
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting quote:', error);
+      throw error;
+    }
+  }
+
+  // Expire every sent quote whose expiry date has passed
+  static async markExpired(asOfDate) {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE quotes SET status = 'expired', expired_at = NOW()
+         WHERE status = 'sent' AND expiry_date < $1
+         RETURNING *`,
+        [asOfDate]
+      );
+      return rows.map(row => new Quote(row));
+    } catch (error) {
+      logger.error('Error marking quotes as expired:', error);
+      throw error;
+    }
+  }
+
+  // Atomically mark an accepted quote as converted. Returns null if it is no
+  // longer accepted or was already converted by a concurrent request.
+  static async claimConversion(id, db = pool) {
+    try {
+      const { rows } = await db.query(
+        `UPDATE quotes SET converted_at = NOW()
+         WHERE id = $1 AND status = 'accepted' AND converted_at IS NULL
+         RETURNING *`,
+        [id]
+      );
+      return rows.length > 0 ? new Quote(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error claiming quote conversion:', error);
+      throw error;
+    }
+  }
+
+  isExpired(asOfDate = new Date()) {
+    return format(parseDateOnly(this.expiryDate), 'yyyy-MM-dd') < format(asOfDate, 'yyyy-MM-dd');
+  }
+
+  async getClient() {
+    return await Client.findById(this.clientId);
+  }
+
+  async getInvoice() {
+    const [invoice] = await Invoice.findAll({ quoteId: this.id });
+    return invoice || null;
+  }
+
+  async updateStatus(status) {
+    const updateData = { status };
+
+    if (status === 'sent' && !this.sentAt) {
+      updateData.sentAt = new Date().toISOString();
+    } else if (status === 'accepted') {
+      updateData.acceptedAt = new Date().toISOString();
+    } else if (status === 'declined') {
+      updateData.declinedAt = new Date().toISOString();
+    } else if (status === 'expired' && !this.expiredAt) {
+      updateData.expiredAt = new Date().toISOString();
+    }
+
+    return await Quote.update(this.id, updateData);
+  }
+}
+
+// Credit Note Model (PostgreSQL-backed)
+// Amounts are stored negative; `amount` is the positive value credited.
+export class CreditNote {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.clientId = data.client_id || data.clientId;
+    this.invoiceId = data.invoice_id || data.invoiceId;
+    this.creditNoteNumber = data.credit_note_number || data.creditNoteNumber;
+    this.status = data.status || 'issued';
+    this.issueDate = data.issue_date || data.issueDate;
+    this.reason = data.reason || '';
+    this.items = data.items || [];
+    this.subtotal = parseFloat(data.subtotal) || 0;
+    this.taxRate = parseFloat(data.tax_rate || data.taxRate) || 0;
+    this.taxAmount = parseFloat(data.tax_amount || data.taxAmount) || 0;
+    this.taxBreakdown = data.tax_breakdown || data.taxBreakdown || [];
+    this.discountAmount = parseFloat(data.discount_amount || data.discountAmount) || 0;
+    this.total = parseFloat(data.total) || 0;
+    this.amount = -this.total;
+    this.currency = data.currency || process.env.CURRENCY || 'USD';
+    this.notes = data.notes || '';
+    this.templateId = data.template_id || data.templateId || 'default';
+    this.pdfPath = data.pdf_path || data.pdfPath || '';
+    this.voidedAt = data.voided_at || data.voidedAt || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  // Must run inside the transaction that inserts the credit note (see NumberSequence)
+  static async generateCreditNoteNumber(db, data) {
+    return await NumberSequence.nextDocumentNumber(db, {
+      scope: 'credit_note',
+      table: 'credit_notes',
+      column: 'credit_note_number',
+      userId: data.userId,
+      clientId: data.clientId,
+      date: data.issueDate ? parseDateOnly(data.issueDate) : new Date()
+    });
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM credit_notes';
+      const conditions = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.clientId) {
+        conditions.push(`client_id = $${paramCount++}`);
+        values.push(filters.clientId);
+      }
+
+      if (filters.invoiceId) {
+        conditions.push(`invoice_id = $${paramCount++}`);
+        values.push(filters.invoiceId);
+      }
+
+      if (filters.status) {
+        conditions.push(`status = $${paramCount++}`);
+        values.push(filters.status);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY issue_date DESC, created_at DESC';
+
+      const { rows } = await pool.query(query, values);
+      return rows.map(row => new CreditNote(row));
+    } catch (error) {
+      logger.error('Error finding credit notes:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM credit_notes WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new CreditNote(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding credit note by ID:', error);
+      throw error;
+    }
+  }
+
+  // Issue a credit note and reduce the invoice balance in one transaction.
+  // The invoice row is locked so concurrent credit notes can't exceed its
+  // total; returns null if this one would.
+  static async create(data) {
+    try {
+      return await withTransaction(async (db) => {
+        const { rows: invoiceRows } = await db.query(
+          'SELECT total, amount_credited FROM invoices WHERE id = $1 FOR UPDATE',
+          [data.invoiceId]
+        );
+        if (invoiceRows.length === 0) return null;
+
+        const creditable = money.subtract(invoiceRows[0].total, invoiceRows[0].amount_credited);
+        if (money.compare(money.negate(data.total), creditable) > 0) return null;
+
+        const creditNoteNumber = await this.generateCreditNoteNumber(db, data);
+
+        const { rows } = await db.query(
+          `INSERT INTO credit_notes (
+            user_id, client_id, invoice_id, credit_note_number, issue_date, reason,
+            items, subtotal, tax_rate, tax_amount, discount_amount, total,
+            currency, notes, template_id, tax_breakdown
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+           RETURNING *`,
+          [
+            data.userId,
+            data.clientId,
+            data.invoiceId,
+            creditNoteNumber,
+            data.issueDate || new Date().toISOString().split('T')[0],
+            data.reason || null,
+            JSON.stringify(data.items || []),
+            data.subtotal,
+            data.taxRate || 0,
+            data.taxAmount,
+            data.discountAmount || 0,
+            data.total,
+            data.currency || 'USD',
+            data.notes || null,
+            data.templateId || 'default',
+            JSON.stringify(data.taxBreakdown || [])
+          ]
+        );
+
+        await Invoice.refreshBalance(data.invoiceId, db);
+        return new CreditNote(rows[0]);
+      });
+    } catch (error) {
+      logger.error('Error creating credit note:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      const simpleFields = {
+        reason: data.reason,
+        notes: data.notes,
+        template_id: data.templateId,
+        pdf_path: data.pdfPath
+      };
+
+      Object.entries(simpleFields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (updates.length === 0) return null;
+
+      values.push(id);
+      const { rows } = await pool.query(
+        `UPDATE credit_notes SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+
+      return rows.length > 0 ? new CreditNote(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating credit note:', error);
+      throw error;
+    }
+  }
+
+  // Voiding restores the invoice balance; the credit note itself is kept
+  static async void(id) {
+    try {
+      return await withTransaction(async (db) => {
+        const { rows } = await db.query(
+          `UPDATE credit_notes SET status = 'void', voided_at = NOW()
+           WHERE id = $1 AND status = 'issued'
+           RETURNING *`,
+          [id]
+        );
+
+        if (rows.length === 0) return null;
+
+        await Invoice.refreshBalance(rows[0].invoice_id, db);
+        return new CreditNote(rows[0]);
+      });
+    } catch (error) {
+      logger.error('Error voiding credit note:', error);
+      throw error;
+    }
+  }
+
+  async getRefundedAmount() {
+    try {
+      const { rows } = await pool.query(
+        'SELECT COALESCE(-SUM(amount), 0) AS refunded FROM payments WHERE credit_note_id = $1',
+        [this.id]
+      );
+      return parseFloat(rows[0].refunded) || 0;
+    } catch (error) {
+      logger.error('Error finding refunded amount:', error);
+      throw error;
+    }
+  }
+
+  async getInvoice() {
+    return await Invoice.findById(this.invoiceId);
+  }
+
+  async getClient() {
+    return await Client.findById(this.clientId);
+  }
+}
+
+// Exchange Rate Model (PostgreSQL-backed)
+// A rate converts one unit of `currency` into `baseCurrency`.
+export class ExchangeRate {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.currency = data.currency;
+    this.baseCurrency = data.base_currency || data.baseCurrency;
+    this.rate = parseFloat(data.rate);
+    this.rateDate = data.rate_date || data.rateDate;
+    this.source = data.source || 'manual';
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findAll(userId, filters = {}) {
+    try {
+      let query = 'SELECT * FROM exchange_rates WHERE user_id = $1';
+      const params = [userId];
+      let paramCount = 2;
+
+      if (filters.currency) {
+        query += ` AND currency = $${paramCount++}`;
+        params.push(filters.currency);
+      }
+      if (filters.baseCurrency) {
+        query += ` AND base_currency = $${paramCount++}`;
+        params.push(filters.baseCurrency);
+      }
+
+      query += ' ORDER BY rate_date DESC, currency ASC';
+
+      const { rows } = await pool.query(query, params);
+      return rows.map(row => new ExchangeRate(row));
+    } catch (error) {
+      logger.error('Error finding exchange rates:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM exchange_rates WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new ExchangeRate(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding exchange rate by ID:', error);
+      throw error;
+    }
+  }
+
+  // Most recent rate on or before the date. Falls back to the inverse of a
+  // stored base->currency rate; returns null when neither exists.
+  static async findRate(userId, currency, baseCurrency, date, db = pool) {
+    if (currency === baseCurrency) return 1;
+
+    try {
+      const { rows } = await db.query(
+        `SELECT currency, rate FROM exchange_rates
+         WHERE user_id = $1 AND rate_date <= $2
+           AND ((currency = $3 AND base_currency = $4) OR (currency = $4 AND base_currency = $3))
+         ORDER BY rate_date DESC, (currency = $3) DESC
+         LIMIT 1`,
+        [userId, date, currency, baseCurrency]
+      );
+
+      if (rows.length === 0) return null;
+
+      const rate = parseFloat(rows[0].rate);
+      return rows[0].currency === currency ? rate : parseFloat((1 / rate).toFixed(10));
+    } catch (error) {
+      logger.error('Error finding exchange rate:', error);
+      throw error;
+    }
+  }
+
+  // One rate per currency pair and day; re-entering a day replaces its rate
+  static async upsert(data, db = pool) {
+    try {
+      const { rows } = await db.query(
+        `INSERT INTO exchange_rates (user_id, currency, base_currency, rate, rate_date, source)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (user_id, currency, base_currency, rate_date) DO UPDATE
+           SET rate = EXCLUDED.rate, source = EXCLUDED.source
+         RETURNING *`,
+        [
+          data.userId,
+          data.currency,
+          data.baseCurrency,
+          data.rate,
+          data.rateDate,
+          data.source || 'manual'
+        ]
+      );
+      return new ExchangeRate(rows[0]);
+    } catch (error) {
+      logger.error('Error saving exchange rate:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM exchange_rates WHERE id = $1',
+        [id]
+      );
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting exchange rate:', error);
+      throw error;
+    }
+  }
+}
+
+// Tax Rate Model (PostgreSQL-backed)
+// Registry of named taxes a user can apply to line items by code.
+export class TaxRate {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.code = data.code;
+    this.name = data.name;
+    this.rate = parseFloat(data.rate) || 0;
+    this.compound = data.compound ?? false;
+    this.registrationNumber = data.registration_number || data.registrationNumber || '';
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  // Distinct tax codes referenced by a set of line items
+  static collectCodes(items = []) {
+    return [...new Set(items.flatMap(item => item.taxCodes || []))];
+  }
+
+  static async findAll(userId) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM tax_rates WHERE user_id = $1 ORDER BY code ASC',
+        [userId]
+      );
+      return rows.map(row => new TaxRate(row));
+    } catch (error) {
+      logger.error('Error finding tax rates:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM tax_rates WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new TaxRate(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding tax rate by ID:', error);
+      throw error;
+    }
+  }
+
+  // Map of code -> tax rate for the codes the user has registered
+  static async findByCodes(userId, codes, db = pool) {
+    if (codes.length === 0) return new Map();
+
+    try {
+      const { rows } = await db.query(
+        'SELECT * FROM tax_rates WHERE user_id = $1 AND code = ANY($2)',
+        [userId, codes]
+      );
+      return new Map(rows.map(row => [row.code, new TaxRate(row)]));
+    } catch (error) {
+      logger.error('Error finding tax rates by code:', error);
+      throw error;
+    }
+  }
+
+  static async findUnknownCodes(userId, items = []) {
+    const codes = this.collectCodes(items);
+    const taxRates = await this.findByCodes(userId, codes);
+    return codes.filter(code => !taxRates.has(code));
+  }
+
+  // Drafts, open quotes and recurring schedules recalculate from the
+  // registry later, so a code they reference must stay registered. So must
+  // a catalog item's default tax code.
+  static async isInUse(userId, code) {
+    try {
+      const { rows } = await pool.query(
+        `SELECT EXISTS (
+           SELECT 1 FROM invoices, jsonb_array_elements(items) AS item
+           WHERE user_id = $1 AND status = 'draft' AND item->'taxCodes' ? $2
+         ) OR EXISTS (
+           SELECT 1 FROM quotes, jsonb_array_elements(items) AS item
+           WHERE user_id = $1 AND status IN ('draft', 'sent') AND item->'taxCodes' ? $2
+         ) OR EXISTS (
+           SELECT 1 FROM recurring_invoices, jsonb_array_elements(items) AS item
+           WHERE user_id = $1 AND status <> 'completed' AND item->'taxCodes' ? $2
+         ) OR EXISTS (
+           SELECT 1 FROM items_catalog WHERE user_id = $1 AND tax_code = $2
+         ) AS in_use`,
+        [userId, code]
+      );
+      return rows[0].in_use;
+    } catch (error) {
+      logger.error('Error checking tax rate usage:', error);
+      throw error;
+    }
+  }
+
+  static async create(data) {
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO tax_rates (user_id, code, name, rate, compound, registration_number)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          data.userId,
+          data.code,
+          data.name,
+          data.rate,
+          data.compound ?? false,
+          data.registrationNumber || null
+        ]
+      );
+      return new TaxRate(rows[0]);
+    } catch (error) {
+      logger.error('Error creating tax rate:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      const fields = {
+        name: data.name,
+        rate: data.rate,
+        compound: data.compound,
+        registration_number: data.registrationNumber
+      };
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (updates.length === 0) return await this.findById(id);
+
+      values.push(id);
+      const { rows } = await pool.query(
+        `UPDATE tax_rates SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+      return rows.length > 0 ? new TaxRate(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating tax rate:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query('DELETE FROM tax_rates WHERE id = $1', [id]);
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting tax rate:', error);
+      throw error;
+    }
+  }
+}
+
+// Time Entry Model (PostgreSQL-backed)
+// Tracked time per client; billable entries are billed onto one invoice.
+export class TimeEntry {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.clientId = data.client_id || data.clientId;
+    this.projectId = data.project_id || data.projectId || null;
+    this.project = data.project || '';
+    this.task = data.task || '';
+    this.entryDate = data.entry_date || data.entryDate;
+    this.durationMinutes = data.duration_minutes ?? data.durationMinutes ?? 0;
+    this.hours = money.toNumber(money.divide(this.durationMinutes, 60, 2));
+    this.description = data.description || '';
+    this.hourlyRate = data.hourly_rate ?? data.hourlyRate ?? null;
+    if (this.hourlyRate !== null) this.hourlyRate = parseFloat(this.hourlyRate);
+    this.billable = data.billable ?? true;
+    this.timerStartedAt = data.timer_started_at || data.timerStartedAt || null;
+    this.isRunning = this.timerStartedAt !== null;
+    this.invoiceId = data.invoice_id || data.invoiceId || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM time_entries';
+      const conditions = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.clientId) {
+        conditions.push(`client_id = $${paramCount++}`);
+        values.push(filters.clientId);
+      }
+
+      if (filters.projectId) {
+        conditions.push(`project_id = $${paramCount++}`);
+        values.push(filters.projectId);
+      }
+
+      if (filters.project) {
+        conditions.push(`project = $${paramCount++}`);
+        values.push(filters.project);
+      }
+
+      if (filters.billable !== undefined) {
+        conditions.push(`billable = $${paramCount++}`);
+        values.push(filters.billable);
+      }
+
+      if (filters.billed !== undefined) {
+        conditions.push(filters.billed ? 'invoice_id IS NOT NULL' : 'invoice_id IS NULL');
+      }
+
+      if (filters.startDate) {
+        conditions.push(`entry_date >= $${paramCount++}`);
+        values.push(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        conditions.push(`entry_date <= $${paramCount++}`);
+        values.push(filters.endDate);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY entry_date DESC, created_at DESC';
+
+      const { rows } = await pool.query(query, values);
+      return rows.map(row => new TimeEntry(row));
+    } catch (error) {
+      logger.error('Error finding time entries:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM time_entries WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new TimeEntry(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding time entry by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findRunning(userId) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM time_entries WHERE user_id = $1 AND timer_started_at IS NOT NULL',
+        [userId]
+      );
+      return rows.length > 0 ? new TimeEntry(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding running timer:', error);
+      throw error;
+    }
+  }
+
+  // Unbilled, billable and stopped entries for a client, locked until the
+  // surrounding transaction ends so they can only be billed once
+  static async lockUnbilled(db, { userId, clientId, projectId, ids, startDate, endDate }) {
+    try {
+      const conditions = [
+        'user_id = $1',
+        'client_id = $2',
+        'invoice_id IS NULL',
+        'billable = TRUE',
+        'timer_started_at IS NULL',
+        'duration_minutes > 0'
+      ];
+      const values = [userId, clientId];
+      let paramCount = 3;
+
+      if (projectId) {
+        conditions.push(`project_id = $${paramCount++}`);
+        values.push(projectId);
+      }
+
+      if (ids) {
+        conditions.push(`id = ANY($${paramCount++})`);
+        values.push(ids);
+      }
+
+      if (startDate) {
+        conditions.push(`entry_date >= $${paramCount++}`);
+        values.push(startDate);
+      }
+
+      if (endDate) {
+        conditions.push(`entry_date <= $${paramCount++}`);
+        values.push(endDate);
+      }
+
+      const { rows } = await db.query(
+        `SELECT * FROM time_entries WHERE ${conditions.join(' AND ')}
+         ORDER BY entry_date ASC, created_at ASC
+         FOR UPDATE`,
+        values
+      );
+      return rows.map(row => new TimeEntry(row));
+    } catch (error) {
+      logger.error('Error locking unbilled time entries:', error);
+      throw error;
+    }
+  }
+
+  static async markBilled(db, ids, invoiceId) {
+    try {
+      const { rowCount } = await db.query(
+        'UPDATE time_entries SET invoice_id = $1 WHERE id = ANY($2) AND invoice_id IS NULL',
+        [invoiceId, ids]
+      );
+      return rowCount;
+    } catch (error) {
+      logger.error('Error marking time entries as billed:', error);
+      throw error;
+    }
+  }
+
+  static async create(data) {
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO time_entries (
+          user_id, client_id, project, task, entry_date, duration_minutes,
+          description, hourly_rate, billable, project_id
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          data.userId,
+          data.clientId,
+          data.project || null,
+          data.task || null,
+          data.entryDate || format(new Date(), 'yyyy-MM-dd'),
+          data.durationMinutes ?? 0,
+          data.description || null,
+          data.hourlyRate ?? null,
+          data.billable ?? true,
+          data.projectId || null
+        ]
+      );
+      return new TimeEntry(rows[0]);
+    } catch (error) {
+      logger.error('Error creating time entry:', error);
+      throw error;
+    }
+  }
+
+  // Start a timer as a new entry. Only one timer per user may run, so this
+  // fails with a unique violation (23505) while another one is running.
+  static async startTimer(data) {
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO time_entries (
+          user_id, client_id, project, task, entry_date, description,
+          hourly_rate, billable, project_id, timer_started_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+         RETURNING *`,
+        [
+          data.userId,
+          data.clientId,
+          data.project || null,
+          data.task || null,
+          data.entryDate || format(new Date(), 'yyyy-MM-dd'),
+          data.description || null,
+          data.hourlyRate ?? null,
+          data.billable ?? true,
+          data.projectId || null
+        ]
+      );
+      return new TimeEntry(rows[0]);
+    } catch (error) {
+      if (error.code !== '23505') {
+        logger.error('Error starting timer:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Add the elapsed time, rounded to the minute, and stop the timer.
+  // Returns null if the timer was not running.
+  static async stopTimer(id) {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE time_entries
+         SET duration_minutes = duration_minutes + ROUND(EXTRACT(EPOCH FROM (NOW() - timer_started_at)) / 60)::int,
+             timer_started_at = NULL
+         WHERE id = $1 AND timer_started_at IS NOT NULL
+         RETURNING *`,
+        [id]
+      );
+      return rows.length > 0 ? new TimeEntry(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error stopping timer:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      const fields = {
+        client_id: data.clientId,
+        project_id: data.projectId,
+        project: data.project,
+        task: data.task,
+        entry_date: data.entryDate,
+        duration_minutes: data.durationMinutes,
+        description: data.description,
+        hourly_rate: data.hourlyRate,
+        billable: data.billable
+      };
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (updates.length === 0) return await this.findById(id);
+
+      values.push(id);
+      const { rows } = await pool.query(
+        `UPDATE time_entries SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+      return rows.length > 0 ? new TimeEntry(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating time entry:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query('DELETE FROM time_entries WHERE id = $1', [id]);
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting time entry:', error);
+      throw error;
+    }
+  }
+
+  async getInvoice() {
+    return this.invoiceId ? await Invoice.findById(this.invoiceId) : null;
+  }
+}
+
+// Expense Model (PostgreSQL-backed)
+// Costs incurred by the user; rebillable ones are billed onto one invoice.
+export class Expense {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.clientId = data.client_id || data.clientId || null;
+    this.category = data.category;
+    this.description = data.description || '';
+    this.expenseDate = data.expense_date || data.expenseDate;
+    this.amount = parseFloat(data.amount) || 0;
+    this.currency = data.currency || 'USD';
+    this.baseCurrency = data.base_currency || data.baseCurrency || null;
+    const exchangeRate = data.exchange_rate ?? data.exchangeRate;
+    this.exchangeRate = exchangeRate !== null && exchangeRate !== undefined ? parseFloat(exchangeRate) : null;
+    this.rebillable = data.rebillable ?? false;
+    this.markupPercent = parseFloat(data.markup_percent ?? data.markupPercent) || 0;
+    this.invoiceId = data.invoice_id || data.invoiceId || null;
+    this.receiptPath = data.receipt_path || data.receiptPath || null;
+    this.receiptFilename = data.receipt_filename || data.receiptFilename || null;
+    this.receiptContentType = data.receipt_content_type || data.receiptContentType || null;
+    this.hasReceipt = this.receiptPath !== null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM expenses';
+      const conditions = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.clientId) {
+        conditions.push(`client_id = $${paramCount++}`);
+        values.push(filters.clientId);
+      }
+
+      if (filters.category) {
+        conditions.push(`category = $${paramCount++}`);
+        values.push(filters.category);
+      }
+
+      if (filters.invoiceId) {
+        conditions.push(`invoice_id = $${paramCount++}`);
+        values.push(filters.invoiceId);
+      }
+
+      if (filters.rebillable !== undefined) {
+        conditions.push(`rebillable = $${paramCount++}`);
+        values.push(filters.rebillable);
+      }
+
+      if (filters.billed !== undefined) {
+        conditions.push(filters.billed ? 'invoice_id IS NOT NULL' : 'invoice_id IS NULL');
+      }
+
+      if (filters.startDate) {
+        conditions.push(`expense_date >= $${paramCount++}`);
+        values.push(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        conditions.push(`expense_date <= $${paramCount++}`);
+        values.push(filters.endDate);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY expense_date DESC, created_at DESC';
+
+      const { rows } = await pool.query(query, values);
+      return rows.map(row => new Expense(row));
+    } catch (error) {
+      logger.error('Error finding expenses:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM expenses WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new Expense(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding expense by ID:', error);
+      throw error;
+    }
+  }
+
+  // Unbilled rebillable expenses, locked until the surrounding transaction
+  // ends so they can only be billed once
+  static async lockUnbilled(db, { userId, ids }) {
+    try {
+      const { rows } = await db.query(
+        `SELECT * FROM expenses
+         WHERE user_id = $1 AND id = ANY($2) AND rebillable = TRUE AND invoice_id IS NULL
+         ORDER BY expense_date ASC, created_at ASC
+         FOR UPDATE`,
+        [userId, ids]
+      );
+      return rows.map(row => new Expense(row));
+    } catch (error) {
+      logger.error('Error locking unbilled expenses:', error);
+      throw error;
+    }
+  }
+
+  // Link expenses to the invoice they were billed on, recording the markup
+  // that was charged
+  static async markBilled(db, ids, invoiceId, markupPercent) {
+    try {
+      const { rowCount } = await db.query(
+        `UPDATE expenses SET invoice_id = $1, markup_percent = COALESCE($3, markup_percent)
+         WHERE id = ANY($2) AND invoice_id IS NULL`,
+        [invoiceId, ids, markupPercent ?? null]
+      );
+      return rowCount;
+    } catch (error) {
+      logger.error('Error marking expenses as billed:', error);
+      throw error;
+    }
+  }
+
+  static async create(data) {
+    try {
+      const currency = data.currency || 'USD';
+      const expenseDate = data.expenseDate || format(new Date(), 'yyyy-MM-dd');
+      const { baseCurrency, exchangeRate } = await Invoice.snapshotExchangeRate(data.userId, currency, expenseDate);
+
+      const { rows } = await pool.query(
+        `INSERT INTO expenses (
+          user_id, client_id, category, description, expense_date, amount, currency,
+          base_currency, exchange_rate, rebillable, markup_percent
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          data.userId,
+          data.clientId || null,
+          data.category,
+          data.description || null,
+          expenseDate,
+          data.amount,
+          currency,
+          baseCurrency,
+          exchangeRate,
+          data.rebillable ?? false,
+          data.markupPercent ?? 0
+        ]
+      );
+      return new Expense(rows[0]);
+    } catch (error) {
+      logger.error('Error creating expense:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      const fields = {
+        client_id: data.clientId,
+        category: data.category,
+        description: data.description,
+        expense_date: data.expenseDate,
+        amount: data.amount,
+        currency: data.currency,
+        rebillable: data.rebillable,
+        markup_percent: data.markupPercent
+      };
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      // Re-snapshot the rate when the currency or date changes
+      if (data.currency !== undefined || data.expenseDate !== undefined) {
+        const currentExpense = await this.findById(id);
+        if (currentExpense) {
+          const { baseCurrency, exchangeRate } = await Invoice.snapshotExchangeRate(
+            currentExpense.userId,
+            data.currency ?? currentExpense.currency,
+            data.expenseDate ?? currentExpense.expenseDate
+          );
+          updates.push(`base_currency = $${paramCount++}`);
+          values.push(baseCurrency);
+          updates.push(`exchange_rate = $${paramCount++}`);
+          values.push(exchangeRate);
+        }
+      }
+
+      if (updates.length === 0) return await this.findById(id);
+
+      values.push(id);
+      const { rows } = await pool.query(
+        `UPDATE expenses SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+      return rows.length > 0 ? new Expense(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating expense:', error);
+      throw error;
+    }
+  }
+
+  // Pass null to clear the receipt
+  static async setReceipt(id, receipt) {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE expenses SET receipt_path = $1, receipt_filename = $2, receipt_content_type = $3
+         WHERE id = $4 RETURNING *`,
+        [receipt?.path ?? null, receipt?.filename ?? null, receipt?.contentType ?? null, id]
+      );
+      return rows.length > 0 ? new Expense(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating expense receipt:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query('DELETE FROM expenses WHERE id = $1', [id]);
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting expense:', error);
+      throw error;
+    }
+  }
+}
+
+// Project Model (PostgreSQL-backed)
+// An engagement for one client that invoices and tracked time can belong to.
+export class Project {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.clientId = data.client_id || data.clientId;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.billingMethod = data.billing_method || data.billingMethod || 'hourly';
+    const budgetAmount = data.budget_amount ?? data.budgetAmount;
+    this.budgetAmount = budgetAmount !== null && budgetAmount !== undefined ? parseFloat(budgetAmount) : null;
+    const budgetHours = data.budget_hours ?? data.budgetHours;
+    this.budgetHours = budgetHours !== null && budgetHours !== undefined ? parseFloat(budgetHours) : null;
+    const hourlyRate = data.hourly_rate ?? data.hourlyRate;
+    this.hourlyRate = hourlyRate !== null && hourlyRate !== undefined ? parseFloat(hourlyRate) : null;
+    this.currency = data.currency || 'USD';
+    this.status = data.status || 'active';
+    this.startDate = data.start_date || data.startDate || null;
+    this.endDate = data.end_date || data.endDate || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM projects';
+      const conditions = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.clientId) {
+        conditions.push(`client_id = $${paramCount++}`);
+        values.push(filters.clientId);
+      }
+
+      if (filters.status) {
+        conditions.push(`status = $${paramCount++}`);
+        values.push(filters.status);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const { rows } = await pool.query(query, values);
+      return rows.map(row => new Project(row));
+    } catch (error) {
+      logger.error('Error finding projects:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM projects WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new Project(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding project by ID:', error);
+      throw error;
+    }
+  }
+
+  // The project if it belongs to the user and client, otherwise null
+  static async findForClient(id, userId, clientId) {
+    const project = await this.findById(id);
+    return project && project.userId === userId && project.clientId === clientId ? project : null;
+  }
+
+  static async create(data) {
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO projects (
+          user_id, client_id, name, description, billing_method, budget_amount,
+          budget_hours, hourly_rate, currency, status, start_date, end_date
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          data.userId,
+          data.clientId,
+          data.name,
+          data.description || null,
+          data.billingMethod || 'hourly',
+          data.budgetAmount ?? null,
+          data.budgetHours ?? null,
+          data.hourlyRate ?? null,
+          data.currency || 'USD',
+          data.status || 'active',
+          data.startDate || null,
+          data.endDate || null
+        ]
+      );
+      return new Project(rows[0]);
+    } catch (error) {
+      logger.error('Error creating project:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      const fields = {
+        name: data.name,
+        description: data.description,
+        billing_method: data.billingMethod,
+        budget_amount: data.budgetAmount,
+        budget_hours: data.budgetHours,
+        hourly_rate: data.hourlyRate,
+        currency: data.currency,
+        status: data.status,
+        start_date: data.startDate,
+        end_date: data.endDate
+      };
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (updates.length === 0) return await this.findById(id);
+
+      values.push(id);
+      const { rows } = await pool.query(
+        `UPDATE projects SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+      return rows.length > 0 ? new Project(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating project:', error);
+      throw error;
+    }
+  }
+
+  // Invoices and time entries of the project are kept and unlinked
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query('DELETE FROM projects WHERE id = $1', [id]);
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting project:', error);
+      throw error;
+    }
+  }
+
+  async getClient() {
+    return await Client.findById(this.clientId);
+  }
+
+  async getInvoices() {
+    return await Invoice.findAll({ userId: this.userId, projectId: this.id });
+  }
+
+  async getTimeEntries() {
+    return await TimeEntry.findAll({ userId: this.userId, projectId: this.id });
+  }
+}
+
+// Milestone Model (PostgreSQL-backed)
+// One step of the billing schedule of a fixed-price project or accepted quote.
+export class Milestone {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.projectId = data.project_id || data.projectId || null;
+    this.quoteId = data.quote_id || data.quoteId || null;
+    this.position = data.position ?? 0;
+    this.label = data.label;
+    this.amountType = data.amount_type || data.amountType || 'percent';
+    this.value = parseFloat(data.value) || 0;
+    this.dueTrigger = data.due_trigger || data.dueTrigger || 'manual';
+    this.dueDate = data.due_date || data.dueDate || null;
+    this.isDeposit = data.is_deposit ?? data.isDeposit ?? false;
+    this.invoiceId = data.invoice_id || data.invoiceId || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM milestones';
+      const conditions = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.projectId) {
+        conditions.push(`project_id = $${paramCount++}`);
+        values.push(filters.projectId);
+      }
+
+      if (filters.quoteId) {
+        conditions.push(`quote_id = $${paramCount++}`);
+        values.push(filters.quoteId);
+      }
+
+      if (filters.invoiceId) {
+        conditions.push(`invoice_id = $${paramCount++}`);
+        values.push(filters.invoiceId);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY position ASC, created_at ASC';
+
+      const { rows } = await pool.query(query, values);
+      return rows.map(row => new Milestone(row));
+    } catch (error) {
+      logger.error('Error finding milestones:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM milestones WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new Milestone(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding milestone by ID:', error);
+      throw error;
+    }
+  }
+
+  // Lock the whole schedule of a project or quote, in schedule order, so
+  // two milestone invoices for it are never generated at the same time
+  static async lockSchedule(db, { projectId, quoteId }) {
+    try {
+      const { rows } = await db.query(
+        `SELECT * FROM milestones
+         WHERE ${projectId ? 'project_id' : 'quote_id'} = $1
+         ORDER BY position ASC, created_at ASC
+         FOR UPDATE`,
+        [projectId || quoteId]
+      );
+      return rows.map(row => new Milestone(row));
+    } catch (error) {
+      logger.error('Error locking milestone schedule:', error);
+      throw error;
+    }
+  }
+
+  static async markInvoiced(db, id, invoiceId) {
+    try {
+      const { rows } = await db.query(
+        'UPDATE milestones SET invoice_id = $1 WHERE id = $2 AND invoice_id IS NULL RETURNING *',
+        [invoiceId, id]
+      );
+      return rows.length > 0 ? new Milestone(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error marking milestone invoiced:', error);
+      throw error;
+    }
+  }
+
+  // Appended to the end of the schedule unless a position is given
+  static async create(data) {
+    try {
+      const column = data.projectId ? 'project_id' : 'quote_id';
+      const { rows } = await pool.query(
+        `INSERT INTO milestones (
+          user_id, project_id, quote_id, position, label, amount_type, value,
+          due_trigger, due_date, is_deposit
+         ) VALUES (
+          $1, $2, $3,
+          COALESCE($4::int, (SELECT COALESCE(MAX(position) + 1, 0) FROM milestones WHERE ${column} = $${data.projectId ? 2 : 3})),
+          $5, $6, $7, $8, $9, $10
+         )
+         RETURNING *`,
+        [
+          data.userId,
+          data.projectId || null,
+          data.quoteId || null,
+          data.position ?? null,
+          data.label,
+          data.amountType,
+          data.value,
+          data.dueTrigger || 'manual',
+          data.dueDate || null,
+          data.isDeposit || false
+        ]
+      );
+      return new Milestone(rows[0]);
+    } catch (error) {
+      logger.error('Error creating milestone:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      const fields = {
+        position: data.position,
+        label: data.label,
+        amount_type: data.amountType,
+        value: data.value,
+        due_trigger: data.dueTrigger,
+        due_date: data.dueDate,
+        is_deposit: data.isDeposit
+      };
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (updates.length === 0) return await this.findById(id);
+
+      values.push(id);
+      const { rows } = await pool.query(
+        `UPDATE milestones SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+      return rows.length > 0 ? new Milestone(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating milestone:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query('DELETE FROM milestones WHERE id = $1', [id]);
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting milestone:', error);
+      throw error;
+    }
+  }
+
+  async getInvoice() {
+    return this.invoiceId ? await Invoice.findById(this.invoiceId) : null;
+  }
+}
+
+// Catalog Item Model (PostgreSQL-backed)
+// A reusable product or service that invoice and quote lines can reference.
+export class CatalogItem {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.unit = data.unit || 'piece';
+    this.defaultRates = data.default_rates || data.defaultRates || {};
+    this.taxCode = data.tax_code || data.taxCode || null;
+    this.sku = data.sku || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  // Distinct catalog item IDs referenced by a set of line items
+  static collectIds(items = []) {
+    return [...new Set(items.map(item => item.catalogItemId).filter(Boolean))];
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM items_catalog';
+      const conditions = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.unit) {
+        conditions.push(`unit = $${paramCount++}`);
+        values.push(filters.unit);
+      }
+
+      if (filters.search) {
+        conditions.push(`(name ILIKE $${paramCount} OR sku ILIKE $${paramCount})`);
+        values.push(`%${filters.search}%`);
+        paramCount++;
+      }
+
+      if (filters.ids) {
+        conditions.push(`id = ANY($${paramCount++})`);
+        values.push(filters.ids);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY name ASC';
+
+      if (filters.limit) {
+        query += ` LIMIT $${paramCount++}`;
+        values.push(filters.limit);
+      }
+
+      const { rows } = await pool.query(query, values);
+      return rows.map(row => new CatalogItem(row));
+    } catch (error) {
+      logger.error('Error finding catalog items:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM items_catalog WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new CatalogItem(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding catalog item by ID:', error);
+      throw error;
+    }
+  }
+
+  // Catalog item IDs in the line items that aren't in the user's catalog
+  static async findUnknownIds(userId, items = []) {
+    const ids = this.collectIds(items);
+    if (ids.length === 0) return [];
+
+    const found = new Set((await this.findAll({ userId, ids })).map(item => item.id));
+    return ids.filter(id => !found.has(id));
+  }
+
+  static async create(data) {
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO items_catalog (user_id, name, description, unit, default_rates, tax_code, sku)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          data.userId,
+          data.name,
+          data.description || null,
+          data.unit || 'piece',
+          JSON.stringify(data.defaultRates || {}),
+          data.taxCode || null,
+          data.sku || null
+        ]
+      );
+      return new CatalogItem(rows[0]);
+    } catch (error) {
+      if (error.code !== '23505') {
+        logger.error('Error creating catalog item:', error);
+      }
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      const fields = {
+        name: data.name,
+        description: data.description,
+        unit: data.unit,
+        default_rates: data.defaultRates !== undefined ? JSON.stringify(data.defaultRates) : undefined,
+        tax_code: data.taxCode,
+        sku: data.sku
+      };
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (updates.length === 0) return await this.findById(id);
+
+      values.push(id);
+      const { rows } = await pool.query(
+        `UPDATE items_catalog SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+      return rows.length > 0 ? new CatalogItem(rows[0]) : null;
+    } catch (error) {
+      if (error.code !== '23505') {
+        logger.error('Error updating catalog item:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Lines that reference the item keep their own copy of its details
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query('DELETE FROM items_catalog WHERE id = $1', [id]);
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting catalog item:', error);
+      throw error;
+    }
+  }
+
+  // Default rate in a currency, or null when none is set for it
+  getRate(currency) {
+    const rate = this.defaultRates[currency];
+    return rate !== undefined ? parseFloat(rate) : null;
+  }
+}
+
+// Client Rate Model (PostgreSQL-backed)
+// A client's negotiated rate for one catalog item in one currency.
+export class ClientRate {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.clientId = data.client_id || data.clientId;
+    this.catalogItemId = data.catalog_item_id || data.catalogItemId;
+    this.currency = data.currency;
+    this.rate = parseFloat(data.rate) || 0;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findByClient(clientId, currency = null) {
+    try {
+      const { rows } = await pool.query(
+        `SELECT * FROM client_rates
+         WHERE client_id = $1 AND ($2::text IS NULL OR currency = $2)
+         ORDER BY created_at ASC`,
+        [clientId, currency]
+      );
+      return rows.map(row => new ClientRate(row));
+    } catch (error) {
+      logger.error('Error finding client rates:', error);
+      throw error;
+    }
+  }
+
+  // Create or replace the client's rate for the item in the currency
+  static async upsert(data) {
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO client_rates (user_id, client_id, catalog_item_id, currency, rate)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (client_id, catalog_item_id, currency) DO UPDATE SET rate = EXCLUDED.rate
+         RETURNING *`,
+        [data.userId, data.clientId, data.catalogItemId, data.currency, data.rate]
+      );
+      return new ClientRate(rows[0]);
+    } catch (error) {
+      logger.error('Error saving client rate:', error);
+      throw error;
+    }
+  }
+
+  static async delete(clientId, catalogItemId, currency) {
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM client_rates WHERE client_id = $1 AND catalog_item_id = $2 AND currency = $3',
+        [clientId, catalogItemId, currency]
+      );
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting client rate:', error);
+      throw error;
+    }
+  }
+}
+
+// Client Contact Model (PostgreSQL-backed)
+// A person at a client, flagged for the invoice and reminder emails they receive.
+export class ClientContact {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.clientId = data.client_id || data.clientId;
+    this.name = data.name;
+    this.role = data.role || '';
+    this.email = data.email || null;
+    this.phone = data.phone || '';
+    this.receivesInvoices = data.receives_invoices ?? data.receivesInvoices ?? false;
+    this.receivesReminders = data.receives_reminders ?? data.receivesReminders ?? false;
+    this.isPrimary = data.is_primary ?? data.isPrimary ?? false;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  // Primary contact first, then in the order they were added
+  static async findByClient(clientId) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM client_contacts WHERE client_id = $1 ORDER BY is_primary DESC, created_at ASC',
+        [clientId]
+      );
+      return rows.map(row => new ClientContact(row));
+    } catch (error) {
+      logger.error('Error finding client contacts:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM client_contacts WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new ClientContact(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding client contact by ID:', error);
+      throw error;
+    }
+  }
+
+  static async create(data) {
+    try {
+      return await withTransaction(async (db) => {
+        // A client has one primary contact
+        if (data.isPrimary) {
+          await db.query(
+            'UPDATE client_contacts SET is_primary = FALSE WHERE client_id = $1 AND is_primary = TRUE',
+            [data.clientId]
+          );
+        }
+
+        const { rows } = await db.query(
+          `INSERT INTO client_contacts (user_id, client_id, name, role, email, phone, receives_invoices, receives_reminders, is_primary)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [
+            data.userId,
+            data.clientId,
+            data.name,
+            data.role || null,
+            data.email || null,
+            data.phone || null,
+            data.receivesInvoices || false,
+            data.receivesReminders || false,
+            data.isPrimary || false
+          ]
+        );
+        return new ClientContact(rows[0]);
+      });
+    } catch (error) {
+      logger.error('Error creating client contact:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      return await withTransaction(async (db) => {
+        const updates = [];
+        const values = [];
+        let paramCount = 1;
+
+        const fields = {
+          name: data.name,
+          role: data.role,
+          email: data.email,
+          phone: data.phone,
+          receives_invoices: data.receivesInvoices,
+          receives_reminders: data.receivesReminders,
+          is_primary: data.isPrimary
+        };
+
+        Object.entries(fields).forEach(([key, value]) => {
+          if (value !== undefined) {
+            updates.push(`${key} = $${paramCount++}`);
+            values.push(value);
+          }
+        });
+
+        if (updates.length === 0) return await this.findById(id);
+
+        // Clear the old primary first so the one-primary index holds
+        if (data.isPrimary) {
+          await db.query(
+            `UPDATE client_contacts SET is_primary = FALSE
+             WHERE client_id = (SELECT client_id FROM client_contacts WHERE id = $1) AND id <> $1 AND is_primary = TRUE`,
+            [id]
+          );
+        }
+
+        values.push(id);
+        const { rows } = await db.query(
+          `UPDATE client_contacts SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+          values
+        );
+
+        return rows.length > 0 ? new ClientContact(rows[0]) : null;
+      });
+    } catch (error) {
+      logger.error('Error updating client contact:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM client_contacts WHERE id = $1',
+        [id]
+      );
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting client contact:', error);
+      throw error;
+    }
+  }
+}
+
+// Dispute Model (PostgreSQL-backed)
+// A client's objection to an invoice, or to some of its lines, raised from the portal.
+export class Dispute {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.clientId = data.client_id || data.clientId;
+    this.invoiceId = data.invoice_id || data.invoiceId;
+    // Disputed lines as { lineIndex, description, total }; empty for the whole invoice
+    this.items = data.items || [];
+    this.comment = data.comment;
+    this.status = data.status || 'open';
+    this.previousStatus = data.previous_status || data.previousStatus;
+    this.resolutionNote = data.resolution_note || data.resolutionNote || '';
+    this.creditNoteId = data.credit_note_id || data.creditNoteId || null;
+    this.resolvedAt = data.resolved_at || data.resolvedAt || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM disputes';
+      const conditions = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.clientId) {
+        conditions.push(`client_id = $${paramCount++}`);
+        values.push(filters.clientId);
+      }
+
+      if (filters.invoiceId) {
+        conditions.push(`invoice_id = $${paramCount++}`);
+        values.push(filters.invoiceId);
+      }
+
+      if (filters.status) {
+        conditions.push(`status = $${paramCount++}`);
+        values.push(filters.status);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const { rows } = await pool.query(query, values);
+      return rows.map(row => new Dispute(row));
+    } catch (error) {
+      logger.error('Error finding disputes:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM disputes WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new Dispute(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding dispute by ID:', error);
+      throw error;
+    }
+  }
+
+  // Record the dispute and move the invoice to disputed. Returns null when
+  // the invoice can no longer be disputed; the partial unique index rejects
+  // a second open dispute with 23505.
+  static async open(invoice, data) {
+    try {
+      return await withTransaction(async (db) => {
+        const { rows: invoiceRows } = await db.query(
+          `SELECT status FROM invoices
+           WHERE id = $1 AND status IN ('sent', 'partially_paid', 'overdue')
+           FOR UPDATE`,
+          [invoice.id]
+        );
+        if (invoiceRows.length === 0) return null;
+
+        await db.query("UPDATE invoices SET status = 'disputed' WHERE id = $1", [invoice.id]);
+
+        const { rows } = await db.query(
+          `INSERT INTO disputes (user_id, client_id, invoice_id, items, comment, previous_status)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [
+            invoice.userId,
+            invoice.clientId,
+            invoice.id,
+            JSON.stringify(data.items || []),
+            data.comment,
+            invoiceRows[0].status
+          ]
+        );
+        return new Dispute(rows[0]);
+      });
+    } catch (error) {
+      if (error.code !== '23505') logger.error('Error opening dispute:', error);
+      throw error;
+    }
+  }
+
+  // Close an open dispute as credited or rejected and give the invoice back
+  // the status it had, then let the ledger settle it (a credit may have paid
+  // it off). Returns null if the dispute was already resolved.
+  static async resolve(id, { status, resolutionNote, creditNoteId = null }) {
+    try {
+      return await withTransaction(async (db) => {
+        const { rows } = await db.query(
+          `UPDATE disputes SET status = $1, resolution_note = $2, credit_note_id = $3, resolved_at = NOW()
+           WHERE id = $4 AND status = 'open'
+           RETURNING *`,
+          [status, resolutionNote || null, creditNoteId, id]
+        );
+        if (rows.length === 0) return null;
+
+        const dispute = new Dispute(rows[0]);
+        await db.query(
+          "UPDATE invoices SET status = $1 WHERE id = $2 AND status = 'disputed'",
+          [dispute.previousStatus, dispute.invoiceId]
+        );
+        await Invoice.refreshBalance(dispute.invoiceId, db);
+
+        return dispute;
+      });
+    } catch (error) {
+      logger.error('Error resolving dispute:', error);
+      throw error;
+    }
+  }
+
+  async getInvoice() {
+    return await Invoice.findById(this.invoiceId);
+  }
+}
+
+// Bank Transaction Model (PostgreSQL-backed)
+// A line imported from a bank statement, waiting to be matched to an invoice and confirmed as a payment.
+export class BankTransaction {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.fingerprint = data.fingerprint;
+    this.sourceFormat = data.source_format || data.sourceFormat;
+    this.bookingDate = data.booking_date || data.bookingDate;
+    this.amount = parseFloat(data.amount) || 0;
+    this.currency = data.currency;
+    this.reference = data.reference || '';
+    this.counterparty = data.counterparty || '';
+    this.status = data.status || 'unmatched';
+    this.invoiceId = data.invoice_id || data.invoiceId || null;
+    this.matchScore = data.match_score ?? data.matchScore ?? null;
+    // Why the suggested invoice was picked, e.g. ['invoice_number', 'amount']
+    this.matchReasons = data.match_reasons || data.matchReasons || [];
+    this.paymentId = data.payment_id || data.paymentId || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM bank_transactions';
+      const conditions = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.status) {
+        conditions.push(`status = $${paramCount++}`);
+        values.push(filters.status);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY booking_date DESC, created_at DESC';
+
+      const { rows } = await pool.query(query, values);
+      return rows.map(row => new BankTransaction(row));
+    } catch (error) {
+      logger.error('Error finding bank transactions:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM bank_transactions WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new BankTransaction(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding bank transaction by ID:', error);
+      throw error;
+    }
+  }
+
+  // Returns null when a transaction with the same fingerprint was imported before
+  static async create(data, db = pool) {
+    try {
+      const { rows } = await db.query(
+        `INSERT INTO bank_transactions (
+          user_id, fingerprint, source_format, booking_date, amount, currency,
+          reference, counterparty, status, invoice_id, match_score, match_reasons
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        ON CONFLICT (user_id, fingerprint) DO NOTHING
+        RETURNING *`,
+        [
+          data.userId,
+          data.fingerprint,
+          data.sourceFormat,
+          data.bookingDate,
+          data.amount,
+          data.currency,
+          data.reference || null,
+          data.counterparty || null,
+          data.invoiceId ? 'matched' : 'unmatched',
+          data.invoiceId || null,
+          data.matchScore ?? null,
+          JSON.stringify(data.matchReasons || [])
+        ]
+      );
+      return rows.length > 0 ? new BankTransaction(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error creating bank transaction:', error);
+      throw error;
+    }
+  }
+
+  // Suggest an invoice for the transaction, or clear the suggestion when
+  // invoiceId is null. Returns null once the transaction is reconciled.
+  static async setMatch(id, { invoiceId = null, matchScore = null, matchReasons = [] } = {}) {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE bank_transactions
+         SET status = $1, invoice_id = $2, match_score = $3, match_reasons = $4
+         WHERE id = $5 AND status IN ('unmatched', 'matched', 'ignored')
+         RETURNING *`,
+        [
+          invoiceId ? 'matched' : 'unmatched',
+          invoiceId,
+          invoiceId ? matchScore : null,
+          JSON.stringify(invoiceId ? matchReasons : []),
+          id
+        ]
+      );
+      return rows.length > 0 ? new BankTransaction(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error matching bank transaction:', error);
+      throw error;
+    }
+  }
+
+  static async ignore(id) {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE bank_transactions
+         SET status = 'ignored', invoice_id = NULL, match_score = NULL, match_reasons = '[]'
+         WHERE id = $1 AND status IN ('unmatched', 'matched')
+         RETURNING *`,
+        [id]
+      );
+      return rows.length > 0 ? new BankTransaction(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error ignoring bank transaction:', error);
+      throw error;
+    }
+  }
+
+  // Record the transaction as a bank transfer payment against the invoice
+  // and mark it reconciled, in one transaction. Returns null if the
+  // transaction was reconciled or ignored in the meantime, and a null
+  // payment if it is more than the invoice's balance due.
+  static async reconcile(id, invoice) {
+    try {
+      return await withTransaction(async (db) => {
+        const { rows: locked } = await db.query(
+          `SELECT * FROM bank_transactions
+           WHERE id = $1 AND status IN ('unmatched', 'matched')
+           FOR UPDATE`,
+          [id]
+        );
+        if (locked.length === 0) return null;
+
+        const transaction = new BankTransaction(locked[0]);
+        // Online payments the gateway couldn't apply are queued under the
+        // provider's name rather than a statement format
+        const online = !STATEMENT_FORMATS.includes(transaction.sourceFormat);
+        const payment = await Payment.create({
+          userId: transaction.userId,
+          invoiceId: invoice.id,
+          amount: locked[0].amount,
+          paymentDate: format(new Date(transaction.bookingDate), 'yyyy-MM-dd'),
+          method: online ? 'card' : 'bank_transfer',
+          reference: transaction.reference ? transaction.reference.slice(0, 255) : null,
+          notes: online
+            ? `Paid online via ${transaction.sourceFormat}`
+            : transaction.counterparty ? `Bank transfer from ${transaction.counterparty}` : 'Bank transfer'
+        }, db);
+        if (!payment) return { transaction, payment: null };
+
+        const { rows } = await db.query(
+          `UPDATE bank_transactions
+           SET status = 'reconciled', invoice_id = $1, payment_id = $2
+           WHERE id = $3
+           RETURNING *`,
+          [invoice.id, payment.id, id]
+        );
+
+        return { transaction: new BankTransaction(rows[0]), payment };
+      });
+    } catch (error) {
+      logger.error('Error reconciling bank transaction:', error);
+      throw error;
+    }
+  }
+
+  async getInvoice() {
+    return this.invoiceId ? await Invoice.findById(this.invoiceId) : null;
+  }
+}
+
+// Late Fee Model (PostgreSQL-backed)
+// A late fee or month of interest charged on an overdue invoice, kept so it can be waived.
+export class LateFee {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.invoiceId = data.invoice_id || data.invoiceId;
+    // 1 for one-off fees, the month number for interest
+    this.period = data.period || 1;
+    this.feeType = data.fee_type || data.feeType;
+    this.feeValue = parseFloat(data.fee_value ?? data.feeValue) || 0;
+    this.mode = data.mode || 'line';
+    this.description = data.description;
+    this.basisAmount = parseFloat(data.basis_amount ?? data.basisAmount) || 0;
+    this.amount = parseFloat(data.amount) || 0;
+    this.currency = data.currency;
+    this.feeInvoiceId = data.fee_invoice_id || data.feeInvoiceId || null;
+    this.status = data.status || 'applied';
+    this.waiveReason = data.waive_reason || data.waiveReason || '';
+    this.waivedAt = data.waived_at || data.waivedAt || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findAll(filters = {}) {
+    try {
+      let query = 'SELECT * FROM late_fees';
+      const conditions = [];
+      const values = [];
+      let paramCount = 1;
+
+      if (filters.userId) {
+        conditions.push(`user_id = $${paramCount++}`);
+        values.push(filters.userId);
+      }
+
+      if (filters.invoiceId) {
+        conditions.push(`invoice_id = $${paramCount++}`);
+        values.push(filters.invoiceId);
+      }
+
+      if (filters.status) {
+        conditions.push(`status = $${paramCount++}`);
+        values.push(filters.status);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY period ASC, created_at ASC';
+
+      const { rows } = await pool.query(query, values);
+      return rows.map(row => new LateFee(row));
+    } catch (error) {
+      logger.error('Error finding late fees:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM late_fees WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new LateFee(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding late fee by ID:', error);
+      throw error;
+    }
+  }
+
+  // Record the fee and charge it: as a line on the invoice, or on a new
+  // invoice built from data.feeInvoice. Returns null when the invoice is no
+  // longer overdue or the period has already been charged (or waived).
+  static async apply(invoice, data) {
+    try {
+      return await withTransaction(async (db) => {
+        const { rows: invoiceRows } = await db.query(
+          "SELECT id FROM invoices WHERE id = $1 AND status = 'overdue' FOR UPDATE",
+          [invoice.id]
+        );
+        if (invoiceRows.length === 0) return null;
+
+        const { rows } = await db.query(
+          `INSERT INTO late_fees (
+            user_id, invoice_id, period, fee_type, fee_value, mode, description, basis_amount, amount, currency
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          ON CONFLICT (invoice_id, period) DO NOTHING
+          RETURNING *`,
+          [
+            invoice.userId,
+            invoice.id,
+            data.period,
+            data.feeType,
+            data.feeValue,
+            data.mode,
+            data.description,
+            data.basisAmount,
+            data.amount,
+            invoice.currency
+          ]
+        );
+        if (rows.length === 0) return null;
+
+        if (data.mode === 'line') {
+          await Invoice.refreshLateFees(invoice.id, db);
+          return new LateFee(rows[0]);
+        }
+
+        const feeInvoice = await Invoice.create(data.feeInvoice, db);
+        const { rows: linked } = await db.query(
+          'UPDATE late_fees SET fee_invoice_id = $1 WHERE id = $2 RETURNING *',
+          [feeInvoice.id, rows[0].id]
+        );
+        return new LateFee(linked[0]);
+      });
+    } catch (error) {
+      logger.error('Error applying late fee:', error);
+      throw error;
+    }
+  }
+
+  // Waive an applied fee: take the line off the invoice, or cancel the late
+  // fee invoice. The period stays recorded so the fee isn't charged again.
+  // Returns null if the fee was already waived.
+  static async waive(id, reason = null) {
+    try {
+      return await withTransaction(async (db) => {
+        const { rows } = await db.query(
+          `UPDATE late_fees SET status = 'waived', waive_reason = $1, waived_at = NOW()
+           WHERE id = $2 AND status = 'applied'
+           RETURNING *`,
+          [reason || null, id]
+        );
+        if (rows.length === 0) return null;
+
+        const fee = new LateFee(rows[0]);
+        if (fee.mode === 'line') {
+          await Invoice.refreshLateFees(fee.invoiceId, db);
+        } else if (fee.feeInvoiceId) {
+          await db.query(
+            "UPDATE invoices SET status = 'cancelled' WHERE id = $1 AND status <> 'paid'",
+            [fee.feeInvoiceId]
+          );
+        }
+
+        return fee;
+      });
+    } catch (error) {
+      logger.error('Error waiving late fee:', error);
+      throw error;
+    }
+  }
+}
+
+// Number Sequence Model (PostgreSQL-backed)
+// Per-user, per-document-type counters used to build gap-free document numbers.
+export class NumberSequence {
+  // Increment (or create) the counter for the period and return the new value.
+  // The upsert takes a row lock that is held until the surrounding transaction
+  // ends, so concurrent creates for the same user are serialized.
+  static async next(db, { userId, scope, periodKey, startNumber = 1 }) {
+    try {
+      const { rows } = await db.query(
+        `INSERT INTO number_sequences (user_id, scope, period_key, last_value)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, scope, period_key) DO UPDATE
+           SET last_value = GREATEST(number_sequences.last_value + 1, EXCLUDED.last_value),
+               updated_at = NOW()
+         RETURNING last_value`,
+        [userId, scope, periodKey, startNumber]
+      );
+      return rows[0].last_value;
+    } catch (error) {
+      logger.error('Error advancing number sequence:', error);
+      throw error;
+    }
+  }
+
+  // Build the next document number from the user's numbering settings,
+  // skipping numbers already taken (manually numbered or older documents)
+  static async nextDocumentNumber(db, { scope, table, column, userId, clientId, date }) {
+    const user = await User.findById(userId);
+    const config = resolveNumberingConfig(user?.settings, scope);
+    const client = config.pattern.includes('{CLIENT}') && clientId ? await Client.findById(clientId) : null;
+    const periodKey = getPeriodKey(config.resetPolicy, date);
+
+    for (;;) {
+      const sequence = await this.next(db, {
+        userId,
+        scope,
+        periodKey,
+        startNumber: config.startNumber
+      });
+      const number = formatDocumentNumber(config.pattern, {
+        prefix: config.prefix,
+        sequence,
+        date,
+        client
+      });
+
+      const { rows } = await db.query(
+        `SELECT 1 FROM ${table} WHERE user_id = $1 AND ${column} = $2`,
+        [userId, number]
+      );
+      if (rows.length === 0) return number;
+    }
+  }
+}
+
+// Recurring Invoice Model (PostgreSQL-backed)
+export class RecurringInvoice {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.clientId = data.client_id || data.clientId;
+    this.name = data.name || '';
+    this.items = data.items || [];
+    this.taxRate = parseFloat(data.tax_rate ?? data.taxRate) || 0;
+    this.discountAmount = parseFloat(data.discount_amount || data.discountAmount) || 0;
+    this.discountType = data.discount_type || data.discountType || 'fixed';
+    // Rows saved before discount types existed only have the fixed amount
+    this.discountValue = parseFloat(data.discount_value ?? data.discountValue ?? this.discountAmount) || 0;
+    this.discountBeforeTax = data.discount_before_tax ?? data.discountBeforeTax ?? false;
+    this.currency = data.currency || 'USD';
+    this.paymentTerms = data.payment_terms ?? data.paymentTerms ?? 30;
+    this.notes = data.notes || '';
+    this.templateId = data.template_id || data.templateId || 'default';
+    this.frequency = data.frequency;
+    this.interval = data.interval_count || data.interval || 1;
+    this.dayOfMonth = data.day_of_month || data.dayOfMonth || null;
+    this.startDate = RecurringInvoice.toDateString(data.start_date || data.startDate);
+    this.nextRunDate = RecurringInvoice.toDateString(data.next_run_date || data.nextRunDate);
+    this.endDate = RecurringInvoice.toDateString(data.end_date || data.endDate);
+    this.maxOccurrences = data.max_occurrences || data.maxOccurrences || null;
+    this.occurrencesCount = data.occurrences_count || data.occurrencesCount || 0;
+    this.status = data.status || 'active';
+    this.autoSend = data.auto_send ?? data.autoSend ?? false;
+    this.lastRunAt = data.last_run_at || data.lastRunAt || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static toDateString(value) {
+    if (!value) return null;
+    return value instanceof Date ? format(value, 'yyyy-MM-dd') : String(value).split('T')[0];
+  }
+
+  // Move a date to the requested day of month, clamped to the month length
+  static applyDayOfMonth(date, dayOfMonth) {
+    if (!dayOfMonth) return date;
+    return setDate(date, Math.min(dayOfMonth, getDaysInMonth(date)));
+  }
+
+  // Advance a run date by one period of the schedule's cadence
+  static calculateNextRunDate(fromDate, schedule) {
+    const interval = schedule.interval || 1;
+    const date = parseISO(this.toDateString(fromDate));
+    let next;
+
+    switch (schedule.frequency) {
+      case 'weekly':
+        return format(addWeeks(date, interval), 'yyyy-MM-dd');
+      case 'monthly':
+        next = addMonths(startOfMonth(date), interval);
+        break;
+      case 'quarterly':
+        next = addMonths(startOfMonth(date), 3 * interval);
+        break;
+      case 'yearly':
+        next = addYears(startOfMonth(date), interval);
+        break;
+      default:
+        throw new Error(`Unsupported frequency: ${schedule.frequency}`);
+    }
+
+    return format(this.applyDayOfMonth(next, schedule.dayOfMonth || date.getDate()), 'yyyy-MM-dd');
+  }
+
+  // First run on or after the given date that matches the cadence
+  static calculateFirstRunDate(startDate, schedule) {
+    const start = parseISO(this.toDateString(startDate));
+    if (schedule.frequency === 'weekly' || !schedule.dayOfMonth) {
+      return format(start, 'yyyy-MM-dd');
+    }
+
+    const candidate = this.applyDayOfMonth(start, schedule.dayOfMonth);
+    if (candidate >= start) {
+      return format(candidate, 'yyyy-MM-dd');
+    }
+    return this.calculateNextRunDate(candidate, schedule);
+  }
+
+  static async findAll(userId = null) {
+    try {
+      let query = 'SELECT * FROM recurring_invoices';
+      const params = [];
+
+      if (userId) {
+        query += ' WHERE user_id = $1';
+        params.push(userId);
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const { rows } = await pool.query(query, params);
+      return rows.map(row => new RecurringInvoice(row));
+    } catch (error) {
+      logger.error('Error finding recurring invoices:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM recurring_invoices WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new RecurringInvoice(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding recurring invoice by ID:', error);
+      throw error;
+    }
+  }
+
+  // Active schedules whose next run date has been reached
+  static async findDue(asOfDate) {
+    try {
+      const { rows } = await pool.query(
+        `SELECT * FROM recurring_invoices
+         WHERE status = 'active' AND next_run_date <= $1
+         ORDER BY next_run_date ASC`,
+        [this.toDateString(asOfDate)]
+      );
+      return rows.map(row => new RecurringInvoice(row));
+    } catch (error) {
+      logger.error('Error finding due recurring invoices:', error);
+      throw error;
+    }
+  }
+
+  static async create(data) {
+    try {
+      const startDate = data.startDate || format(new Date(), 'yyyy-MM-dd');
+      // Pin month-based cadences to a day so short months don't shift later runs
+      const dayOfMonth = data.frequency === 'weekly'
+        ? null
+        : data.dayOfMonth || parseISO(startDate).getDate();
+      const nextRunDate = this.calculateFirstRunDate(startDate, { ...data, dayOfMonth });
+
+      const { rows } = await pool.query(
+        `INSERT INTO recurring_invoices (
+          user_id, client_id, name, items, tax_rate, discount_amount, currency,
+          payment_terms, notes, template_id, frequency, interval_count, day_of_month,
+          start_date, next_run_date, end_date, max_occurrences, auto_send,
+          discount_type, discount_value, discount_before_tax
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+         RETURNING *`,
+        [
+          data.userId,
+          data.clientId,
+          data.name || null,
+          JSON.stringify(data.items || []),
+          data.taxRate ?? 0.08,
+          data.discountAmount || 0,
+          data.currency || 'USD',
+          data.paymentTerms ?? 30,
+          data.notes || null,
+          data.templateId || 'default',
+          data.frequency,
+          data.interval || 1,
+          dayOfMonth,
+          startDate,
+          nextRunDate,
+          data.endDate || null,
+          data.maxOccurrences || null,
+          data.autoSend || false,
+          data.discountType || 'fixed',
+          data.discountValue ?? data.discountAmount ?? 0,
+          data.discountBeforeTax || false
+        ]
+      );
+      return new RecurringInvoice(rows[0]);
+    } catch (error) {
+      logger.error('Error creating recurring invoice:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      const fields = {
+        client_id: data.clientId,
+        name: data.name,
+        items: data.items ? JSON.stringify(data.items) : undefined,
+        tax_rate: data.taxRate,
+        discount_amount: data.discountAmount,
+        discount_type: data.discountType,
+        discount_value: data.discountValue ?? data.discountAmount,
+        discount_before_tax: data.discountBeforeTax,
+        currency: data.currency,
+        payment_terms: data.paymentTerms,
+        notes: data.notes,
+        template_id: data.templateId,
+        frequency: data.frequency,
+        interval_count: data.interval,
+        day_of_month: data.dayOfMonth,
+        start_date: data.startDate,
+        next_run_date: data.nextRunDate,
+        end_date: data.endDate,
+        max_occurrences: data.maxOccurrences,
+        status: data.status,
+        auto_send: data.autoSend
+      };
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (updates.length === 0) return null;
+
+      values.push(id);
+      const { rows } = await pool.query(
+        `UPDATE recurring_invoices SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+
+      return rows.length > 0 ? new RecurringInvoice(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating recurring invoice:', error);
+      throw error;
+    }
+  }
+
+  // Atomically consume the current occurrence and advance the schedule.
+  // Returns null if another worker already claimed this run.
+  static async claimRun(schedule, db = pool) {
+    try {
+      const runDate = schedule.nextRunDate;
+      const occurrencesCount = schedule.occurrencesCount + 1;
+      const nextRunDate = this.calculateNextRunDate(runDate, schedule);
+      const finished = (schedule.maxOccurrences && occurrencesCount >= schedule.maxOccurrences) ||
+        (schedule.endDate && nextRunDate > schedule.endDate);
+
+      const { rows } = await db.query(
+        `UPDATE recurring_invoices
+         SET next_run_date = $1, occurrences_count = $2, status = $3, last_run_at = NOW()
+         WHERE id = $4 AND status = 'active' AND next_run_date = $5
+         RETURNING *`,
+        [nextRunDate, occurrencesCount, finished ? 'completed' : 'active', schedule.id, runDate]
+      );
+
+      return rows.length > 0 ? new RecurringInvoice(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error claiming recurring invoice run:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM recurring_invoices WHERE id = $1',
+        [id]
+      );
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting recurring invoice:', error);
+      throw error;
+    }
+  }
+
+  async getInvoices() {
+    return await Invoice.findAll({ recurringInvoiceId: this.id });
+  }
+}
+
+// Reminder Rule Model (PostgreSQL-backed)
+export class ReminderRule {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.name = data.name;
+    this.offsetDays = data.offset_days ?? data.offsetDays ?? 0;
+    this.subjectTemplate = data.subject_template || data.subjectTemplate;
+    this.bodyTemplate = data.body_template || data.bodyTemplate;
+    this.isActive = data.is_active ?? data.isActive ?? true;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findAll(userId = null) {
+    try {
+      let query = 'SELECT * FROM reminder_rules';
+      const params = [];
+
+      if (userId) {
+        query += ' WHERE user_id = $1';
+        params.push(userId);
+      }
+
+      query += ' ORDER BY offset_days ASC';
+
+      const { rows } = await pool.query(query, params);
+      return rows.map(row => new ReminderRule(row));
+    } catch (error) {
+      logger.error('Error finding reminder rules:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM reminder_rules WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new ReminderRule(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding reminder rule by ID:', error);
+      throw error;
+    }
+  }
+
+  // Invoice/rule pairs whose reminder date has been reached within the
+  // catch-up window and that haven't been (or aren't being) sent yet
+  static async findDueReminders(asOfDate, catchUpDays = 7) {
+    try {
+      const { rows } = await pool.query(
+        `SELECT i.id AS invoice_id, r.id AS rule_id
+         FROM reminder_rules r
+         JOIN invoices i ON i.user_id = r.user_id
+         JOIN clients c ON c.id = i.client_id
+         WHERE r.is_active = TRUE
+           AND i.status IN ('sent', 'partially_paid', 'overdue')
+           AND COALESCE(c.reminders_opt_out, FALSE) = FALSE
+           AND i.due_date + r.offset_days <= $1::date
+           AND i.due_date + r.offset_days > $1::date - $2::int
+           AND NOT EXISTS (
+             SELECT 1 FROM reminder_log l
+             WHERE l.invoice_id = i.id AND l.rule_id = r.id AND l.status IN ('pending', 'sent')
+           )
+         ORDER BY i.due_date ASC, r.offset_days ASC`,
+        [asOfDate, catchUpDays]
+      );
+      return rows.map(row => ({ invoiceId: row.invoice_id, ruleId: row.rule_id }));
+    } catch (error) {
+      logger.error('Error finding due reminders:', error);
+      throw error;
+    }
+  }
+
+  static async create(data) {
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO reminder_rules (user_id, name, offset_days, subject_template, body_template, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          data.userId,
+          data.name,
+          data.offsetDays,
+          data.subjectTemplate,
+          data.bodyTemplate,
+          data.isActive ?? true
+        ]
+      );
+      return new ReminderRule(rows[0]);
+    } catch (error) {
+      logger.error('Error creating reminder rule:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      const updates = [];
+      const values = [];
+      let paramCount = 1;
+
+      const fields = {
+        name: data.name,
+        offset_days: data.offsetDays,
+        subject_template: data.subjectTemplate,
+        body_template: data.bodyTemplate,
+        is_active: data.isActive
+      };
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) {
+          updates.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (updates.length === 0) return null;
+
+      values.push(id);
+      const { rows } = await pool.query(
+        `UPDATE reminder_rules SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+
+      return rows.length > 0 ? new ReminderRule(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating reminder rule:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM reminder_rules WHERE id = $1',
+        [id]
+      );
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting reminder rule:', error);
+      throw error;
+    }
+  }
+}
+
+// Reminder Log Model (PostgreSQL-backed)
+export class ReminderLog {
+  constructor(data) {
+    this.id = data.id;
+    this.invoiceId = data.invoice_id || data.invoiceId;
+    this.ruleId = data.rule_id || data.ruleId || null;
+    this.userId = data.user_id || data.userId;
+    this.ruleName = data.rule_name || data.ruleName || '';
+    this.recipients = data.recipients || '';
+    this.subject = data.subject || '';
+    this.status = data.status;
+    this.messageId = data.message_id || data.messageId || null;
+    this.error = data.error || null;
+    this.sentAt = data.sent_at || data.sentAt || null;
+    this.createdAt = data.created_at || data.createdAt;
+  }
+
+  static async findByInvoiceId(invoiceId) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM reminder_log WHERE invoice_id = $1 ORDER BY created_at ASC',
+        [invoiceId]
+      );
+      return rows.map(row => new ReminderLog(row));
+    } catch (error) {
+      logger.error('Error finding reminder log:', error);
+      throw error;
+    }
+  }
+
+  // Reserve the (invoice, rule) slot before sending. Failed attempts may be
+  // re-claimed; pending or sent ones may not, so a reminder is never sent twice.
+  static async claim(invoice, rule) {
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO reminder_log (invoice_id, rule_id, user_id, rule_name, status)
+         VALUES ($1, $2, $3, $4, 'pending')
+         ON CONFLICT (invoice_id, rule_id) DO UPDATE
+           SET status = 'pending', error = NULL, created_at = NOW()
+           WHERE reminder_log.status = 'failed'
+         RETURNING *`,
+        [invoice.id, rule.id, invoice.userId, rule.name]
+      );
+      return rows.length > 0 ? new ReminderLog(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error claiming reminder:', error);
+      throw error;
+    }
+  }
+
+  static async markSent(id, { recipients, subject, messageId }) {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE reminder_log
+         SET status = 'sent', recipients = $1, subject = $2, message_id = $3, sent_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [recipients, subject, messageId || null, id]
+      );
+      return rows.length > 0 ? new ReminderLog(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating reminder log:', error);
+      throw error;
+    }
+  }
+
+  static async markFailed(id, errorMessage) {
+    try {
+      const { rows } = await pool.query(
+        `UPDATE reminder_log SET status = 'failed', error = $1 WHERE id = $2 RETURNING *`,
+        [errorMessage, id]
+      );
+      return rows.length > 0 ? new ReminderLog(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating reminder log:', error);
+      throw error;
+    }
+  }
+
+  // Release a claim without recording an attempt (e.g. invoice got paid meanwhile)
+  static async release(id) {
+    try {
+      await pool.query('DELETE FROM reminder_log WHERE id = $1', [id]);
+    } catch (error) {
+      logger.error('Error releasing reminder claim:', error);
+      throw error;
+    }
+  }
+}
+
+// Template Model (PostgreSQL-backed)
+// Templates without a user_id are built-in: visible to everyone and read-only.
+export class Template {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId || null;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.htmlContent = data.html_content || data.htmlContent;
+    this.cssContent = data.css_content || data.cssContent || '';
+    this.isDefault = data.is_default ?? data.isDefault ?? false;
+    this.isBuiltIn = !this.userId;
+    this.previewImage = data.preview_image || data.previewImage || '';
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  // Built-in templates plus the user's own templates
+  static async findAll(userId = null) {
+    try {
+      const { rows } = await pool.query(
+        `SELECT * FROM templates
+         WHERE user_id IS NULL OR user_id = $1
+         ORDER BY user_id NULLS FIRST, created_at ASC`,
+        [userId]
+      );
+      return rows.map(row => new Template(row));
+    } catch (error) {
+      logger.error('Error finding templates:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM templates WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new Template(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding template by ID:', error);
+      throw error;
+    }
+  }
+
+  // The user's own default template, falling back to the built-in default
+  static async findDefault(userId = null) {
+    try {
+      const { rows } = await pool.query(
+        `SELECT * FROM templates
+         WHERE user_id = $1 OR user_id IS NULL
+         ORDER BY (user_id IS NOT NULL AND is_default) DESC, is_default DESC, created_at ASC
+         LIMIT 1`,
+        [userId]
+      );
+      return rows.length > 0 ? new Template(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding default template:', error);
+      throw error;
+    }
+  }
+
+  static async create(data) {
+    try {
+      return await withTransaction(async (db) => {
+        // If this is set as default, unset the user's other defaults
+        if (data.isDefault) {
+          await db.query(
+            'UPDATE templates SET is_default = FALSE WHERE user_id = $1 AND is_default = TRUE',
+            [data.userId]
+          );
+        }
+
+        const { rows } = await db.query(
+          `INSERT INTO templates (id, user_id, name, description, html_content, css_content, is_default, preview_image)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+          [
+            data.id || uuidv4(),
+            data.userId,
+            data.name,
+            data.description || null,
+            data.htmlContent,
+            data.cssContent || '',
+            data.isDefault || false,
+            data.previewImage || null
+          ]
+        );
+        return new Template(rows[0]);
+      });
+    } catch (error) {
+      logger.error('Error creating template:', error);
+      throw error;
+    }
+  }
+
+  static async update(id, data) {
+    try {
+      return await withTransaction(async (db) => {
+        const updates = [];
+        const values = [];
+        let paramCount = 1;
+
+        const fields = {
+          name: data.name,
+          description: data.description,
+          html_content: data.htmlContent,
+          css_content: data.cssContent,
+          is_default: data.isDefault,
+          preview_image: data.previewImage
+        };
+
+        Object.entries(fields).forEach(([key, value]) => {
+          if (value !== undefined) {
+            updates.push(`${key} = $${paramCount++}`);
+            values.push(value);
+          }
+        });
+
+        if (updates.length === 0) return null;
+
+        values.push(id);
+        const { rows } = await db.query(
+          `UPDATE templates SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+          values
+        );
+
+        if (rows.length === 0) return null;
+
+        // If this is set as default, unset the user's other defaults
+        if (data.isDefault) {
+          await db.query(
+            'UPDATE templates SET is_default = FALSE WHERE user_id = $1 AND id <> $2 AND is_default = TRUE',
+            [rows[0].user_id, id]
+          );
+        }
+
+        return new Template(rows[0]);
+      });
+    } catch (error) {
+      logger.error('Error updating template:', error);
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rowCount } = await pool.query(
+        'DELETE FROM templates WHERE id = $1 AND user_id IS NOT NULL',
+        [id]
+      );
+      return rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting template:', error);
+      throw error;
+    }
+  }
+
+  isAccessibleBy(userId) {
+    return this.isBuiltIn || !userId || this.userId === userId;
+  }
+}
+
+// User Model (PostgreSQL-backed)
+export class User {
+  constructor(data) {
+    this.id = data.id;
+    this.email = data.email;
+    this.password = data.password_hash || data.password;
+    this.name = data.name;
+    this.businessInfo = data.business_info || data.businessInfo || {};
+    this.settings = data.settings || {};
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static async findAll() {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM users ORDER BY created_at DESC'
+      );
+      return rows.map(row => new User(row));
+    } catch (error) {
+      logger.error('Error finding all users:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const { rows } = await pool.query(
+        'SELECT * FROM users WHERE id = $1',
+        [id]
+      );
+      return rows.length > 0 ? new User(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding user by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByEmail(email) {
     try {
       const { rows } = await pool.query(
         'SELECT * FROM users WHERE email = $1',
@@ -645,233 +4718,4 @@ export class User {
   async getClients() {
     return await Client.findByUserId(this.id);
   }
-}
-
-// Initialize with default template if empty
-if (db.templates.length === 0) {
-  Template.create({
-    id: 'default',
-    name: 'Modern Professional',
-    description: 'A clean, professional invoice template suitable for most businesses',
-    isDefault: true,
-    htmlContent: `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <title>Invoice {{invoiceNumber}}</title>
-    <style>
-        {{{css}}}
-    </style>
-</head>
-<body>
-    <div class="invoice-container">
-        <div class="header">
-            <div class="business-info">
-                <h1>{{businessName}}</h1>
-                <p>{{businessAddress}}</p>
-                <p>{{businessEmail}}</p>
-            </div>
-            <div class="invoice-info">
-                <h2>INVOICE</h2>
-                <p><strong>Invoice #:</strong> {{invoiceNumber}}</p>
-                <p><strong>Date:</strong> {{issueDate}}</p>
-                <p><strong>Due Date:</strong> {{dueDate}}</p>
-            </div>
-        </div>
-
-        <div class="client-info">
-            <h3>Bill To:</h3>
-            <div>
-                <strong>{{client.name}}</strong><br>
-                {{#if client.company}}{{client.company}}<br>{{/if}}
-                {{#if client.address.street}}{{client.address.street}}<br>{{/if}}
-                {{#if client.address.city}}{{client.address.city}}, {{client.address.state}} {{client.address.zip}}<br>{{/if}}
-                {{client.email}}
-            </div>
-        </div>
-
-        <table class="items-table">
-            <thead>
-                <tr>
-                    <th>Description</th>
-                    <th>Quantity</th>
-                    <th>Rate</th>
-                    <th>Amount</th>
-                </tr>
-            </thead>
-            <tbody>
-                {{#each items}}
-                <tr>
-                    <td>
-                        <strong>{{this.description}}</strong>
-                        {{#if this.details}}<br><small>{{this.details}}</small>{{/if}}
-                    </td>
-                    <td>{{this.quantity}}</td>
-                    <td>{{currency}}{{this.rate}}</td>
-                    <td>{{currency}}{{this.total}}</td>
-                </tr>
-                {{/each}}
-            </tbody>
-        </table>
-
-        <div class="totals">
-            <div class="totals-row">
-                <span>Subtotal:</span>
-                <span>{{currency}}{{subtotal}}</span>
-            </div>
-            {{#if discountAmount}}
-            <div class="totals-row">
-                <span>Discount:</span>
-                <span>-{{currency}}{{discountAmount}}</span>
-            </div>
-            {{/if}}
-            <div class="totals-row">
-                <span>Tax ({{taxRate}}%):</span>
-                <span>{{currency}}{{taxAmount}}</span>
-            </div>
-            <div class="totals-row total">
-                <span><strong>Total:</strong></span>
-                <span><strong>{{currency}}{{total}}</strong></span>
-            </div>
-        </div>
-
-        {{#if notes}}
-        <div class="notes">
-            <h4>Notes:</h4>
-            <p>{{notes}}</p>
-        </div>
-        {{/if}}
-
-        <div class="footer">
-            <p>Thank you for your business!</p>
-            <p>Payment Terms: {{paymentTerms}} days</p>
-        </div>
-    </div>
-</body>
-</html>
-    `,
-    cssContent: `
-        body {
-            font-family: 'Helvetica Neue', Arial, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-        }
-
-        .invoice-container {
-            background: white;
-            padding: 40px;
-            border-radius: 10px;
-            box-shadow: 0 0 20px rgba(0,0,0,0.1);
-        }
-
-        .header {
-            display: flex;
-            justify-content: space-between;
-            align-items: flex-start;
-            margin-bottom: 40px;
-            padding-bottom: 20px;
-            border-bottom: 2px solid #eee;
-        }
-
-        .business-info h1 {
-            color: #2c3e50;
-            margin: 0 0 10px 0;
-            font-size: 28px;
-        }
-
-        .invoice-info {
-            text-align: right;
-        }
-
-        .invoice-info h2 {
-            color: #3498db;
-            margin: 0 0 15px 0;
-            font-size: 36px;
-            font-weight: 300;
-        }
-
-        .client-info {
-            margin-bottom: 30px;
-            padding: 20px;
-            background: #f8f9fa;
-            border-radius: 5px;
-        }
-
-        .client-info h3 {
-            margin: 0 0 15px 0;
-            color: #2c3e50;
-        }
-
-        .items-table {
-            width: 100%;
-            border-collapse: collapse;
-            margin-bottom: 30px;
-            background: white;
-        }
-
-        .items-table th {
-            background: #3498db;
-            color: white;
-            padding: 15px;
-            text-align: left;
-            font-weight: 600;
-        }
-
-        .items-table td {
-            padding: 15px;
-            border-bottom: 1px solid #eee;
-        }
-
-        .items-table tr:hover {
-            background: #f8f9fa;
-        }
-
-        .totals {
-            margin-left: auto;
-            width: 300px;
-            background: #f8f9fa;
-            padding: 20px;
-            border-radius: 5px;
-        }
-
-        .totals-row {
-            display: flex;
-            justify-content: space-between;
-            margin-bottom: 10px;
-            padding: 5px 0;
-        }
-
-        .totals-row.total {
-            border-top: 2px solid #3498db;
-            margin-top: 15px;
-            padding-top: 15px;
-            font-size: 18px;
-        }
-
-        .notes {
-            margin: 30px 0;
-            padding: 20px;
-            background: #fff3cd;
-            border-left: 4px solid #ffc107;
-            border-radius: 5px;
-        }
-
-        .footer {
-            text-align: center;
-            margin-top: 40px;
-            padding-top: 20px;
-            border-top: 1px solid #eee;
-            color: #666;
-        }
-
-        @media print {
-            body { margin: 0; padding: 0; }
-            .invoice-container { box-shadow: none; }
-        }
-    `
-  });
-}
+}
\ No newline at end of file
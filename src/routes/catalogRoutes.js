@@ -0,0 +1,45 @@
+import express from 'express';
+import { CatalogController } from '../controllers/catalogController.js';
+import { validateRequest, validateParams, validateQuery, catalogValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const catalogController = new CatalogController();
+
+// GET /api/catalog - Get catalog items
+router.get('/', 
+  validateQuery(catalogValidation.query),
+  catalogController.getCatalogItems
+);
+
+// GET /api/catalog/search - Autocomplete catalog items for line items
+router.get('/search', 
+  validateQuery(catalogValidation.search),
+  catalogController.searchCatalogItems
+);
+
+// GET /api/catalog/:id - Get specific catalog item
+router.get('/:id', 
+  validateParams(catalogValidation.params),
+  catalogController.getCatalogItemById
+);
+
+// POST /api/catalog - Create new catalog item
+router.post('/', 
+  validateRequest(catalogValidation.create),
+  catalogController.createCatalogItem
+);
+
+// PUT /api/catalog/:id - Update catalog item
+router.put('/:id', 
+  validateParams(catalogValidation.params),
+  validateRequest(catalogValidation.update),
+  catalogController.updateCatalogItem
+);
+
+// DELETE /api/catalog/:id - Delete catalog item (lines that used it keep their details)
+router.delete('/:id', 
+  validateParams(catalogValidation.params),
+  catalogController.deleteCatalogItem
+);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { ClientController } from '../controllers/clientController.js';
-import { validateRequest, validateParams, clientValidation } from '../validation/schemas.js';
+import { validateRequest, validateParams, validateQuery, clientValidation } from '../validation/schemas.js';
 
 const router = express.Router();
 const clientController = new ClientController();
@@ -42,4 +42,51 @@ router.get('/:id/invoices',
   clientController.getClientInvoices
 );
 
+// GET /api/clients/:id/rate-card - Effective rate of every catalog item for the client
+router.get('/:id/rate-card', 
+  validateParams(clientValidation.params),
+  validateQuery(clientValidation.rateCardQuery),
+  clientController.getRateCard
+);
+
+// PUT /api/clients/:id/rates/:catalogItemId - Set the client's rate for a catalog item
+router.put('/:id/rates/:catalogItemId', 
+  validateParams(clientValidation.rateParams),
+  validateRequest(clientValidation.rate),
+  clientController.setClientRate
+);
+
+// DELETE /api/clients/:id/rates/:catalogItemId - Remove the client's rate (?currency, defaults to the client's)
+router.delete('/:id/rates/:catalogItemId', 
+  validateParams(clientValidation.rateParams),
+  validateQuery(clientValidation.rateCardQuery),
+  clientController.deleteClientRate
+);
+
+// GET /api/clients/:id/contacts - Get the client's contacts
+router.get('/:id/contacts', 
+  validateParams(clientValidation.params),
+  clientController.getClientContacts
+);
+
+// POST /api/clients/:id/contacts - Add a contact to the client
+router.post('/:id/contacts', 
+  validateParams(clientValidation.params),
+  validateRequest(clientValidation.contact),
+  clientController.createClientContact
+);
+
+// PUT /api/clients/:id/contacts/:contactId - Update a client contact
+router.put('/:id/contacts/:contactId', 
+  validateParams(clientValidation.contactParams),
+  validateRequest(clientValidation.contactUpdate),
+  clientController.updateClientContact
+);
+
+// DELETE /api/clients/:id/contacts/:contactId - Delete a client contact
+router.delete('/:id/contacts/:contactId', 
+  validateParams(clientValidation.contactParams),
+  clientController.deleteClientContact
+);
+
 export default router;
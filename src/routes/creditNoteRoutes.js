@@ -0,0 +1,45 @@
+import express from 'express';
+import { CreditNoteController } from '../controllers/creditNoteController.js';
+import { validateRequest, validateParams, validateQuery, creditNoteValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const creditNoteController = new CreditNoteController();
+
+// GET /api/credit-notes - Get all credit notes
+router.get('/', 
+  validateQuery(creditNoteValidation.query),
+  creditNoteController.getAllCreditNotes
+);
+
+// GET /api/credit-notes/:id - Get specific credit note
+router.get('/:id', 
+  validateParams(creditNoteValidation.params),
+  creditNoteController.getCreditNoteById
+);
+
+// POST /api/credit-notes/:id/void - Void credit note and restore the invoice balance
+router.post('/:id/void', 
+  validateParams(creditNoteValidation.params),
+  creditNoteController.voidCreditNote
+);
+
+// POST /api/credit-notes/:id/refund - Pay out credit to the client
+router.post('/:id/refund', 
+  validateParams(creditNoteValidation.params),
+  validateRequest(creditNoteValidation.refund),
+  creditNoteController.refundCreditNote
+);
+
+// POST /api/credit-notes/:id/generate-pdf - Generate PDF for credit note
+router.post('/:id/generate-pdf', 
+  validateParams(creditNoteValidation.params),
+  creditNoteController.generatePDF
+);
+
+// GET /api/credit-notes/:id/preview - Preview credit note as HTML
+router.get('/:id/preview', 
+  validateParams(creditNoteValidation.params),
+  creditNoteController.previewCreditNote
+);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import { DisputeController } from '../controllers/disputeController.js';
+import { validateRequest, validateParams, validateQuery, disputeValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const disputeController = new DisputeController();
+
+// GET /api/disputes - Get all disputes
+router.get('/', 
+  validateQuery(disputeValidation.query),
+  disputeController.getDisputes
+);
+
+// GET /api/disputes/:id - Get specific dispute
+router.get('/:id', 
+  validateParams(disputeValidation.params),
+  disputeController.getDisputeById
+);
+
+// POST /api/disputes/:id/credit - Resolve by issuing a credit note for the disputed lines
+router.post('/:id/credit', 
+  validateParams(disputeValidation.params),
+  validateRequest(disputeValidation.credit),
+  disputeController.creditDispute
+);
+
+// POST /api/disputes/:id/reject - Reject the dispute and restore the invoice status
+router.post('/:id/reject', 
+  validateParams(disputeValidation.params),
+  validateRequest(disputeValidation.reject),
+  disputeController.rejectDispute
+);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import { ExchangeRateController } from '../controllers/exchangeRateController.js';
+import { validateRequest, validateQuery, validateParams, exchangeRateValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const exchangeRateController = new ExchangeRateController();
+
+// GET /api/exchange-rates/currencies - Supported ISO 4217 currencies
+router.get('/currencies', exchangeRateController.getCurrencies);
+
+// GET /api/exchange-rates - Get stored exchange rates for the user
+router.get('/', 
+  validateQuery(exchangeRateValidation.query),
+  exchangeRateController.getRates
+);
+
+// POST /api/exchange-rates - Enter a rate manually
+router.post('/', 
+  validateRequest(exchangeRateValidation.create),
+  exchangeRateController.createRate
+);
+
+// POST /api/exchange-rates/import - Import rates from CSV
+router.post('/import', 
+  validateRequest(exchangeRateValidation.import),
+  exchangeRateController.importRates
+);
+
+// DELETE /api/exchange-rates/:id - Delete exchange rate
+router.delete('/:id', 
+  validateParams(exchangeRateValidation.params),
+  exchangeRateController.deleteRate
+);
+
+export default router;
@@ -0,0 +1,60 @@
+import express from 'express';
+import { ExpenseController } from '../controllers/expenseController.js';
+import { RECEIPT_TYPES } from '../services/expenseService.js';
+import { validateRequest, validateParams, validateQuery, expenseValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const expenseController = new ExpenseController();
+
+// GET /api/expenses - Get expenses
+router.get('/', 
+  validateQuery(expenseValidation.query),
+  expenseController.getExpenses
+);
+
+// GET /api/expenses/:id - Get specific expense
+router.get('/:id', 
+  validateParams(expenseValidation.params),
+  expenseController.getExpenseById
+);
+
+// POST /api/expenses - Record expense
+router.post('/', 
+  validateRequest(expenseValidation.create),
+  expenseController.createExpense
+);
+
+// PUT /api/expenses/:id - Update expense
+router.put('/:id', 
+  validateParams(expenseValidation.params),
+  validateRequest(expenseValidation.update),
+  expenseController.updateExpense
+);
+
+// DELETE /api/expenses/:id - Delete unbilled expense and its receipt
+router.delete('/:id', 
+  validateParams(expenseValidation.params),
+  expenseController.deleteExpense
+);
+
+// PUT /api/expenses/:id/receipt - Upload receipt (raw file body, ?filename= optional)
+router.put('/:id/receipt', 
+  validateParams(expenseValidation.params),
+  validateQuery(expenseValidation.receiptQuery),
+  express.raw({ type: Object.keys(RECEIPT_TYPES), limit: '10mb' }),
+  expenseController.uploadReceipt
+);
+
+// GET /api/expenses/:id/receipt - Download receipt
+router.get('/:id/receipt', 
+  validateParams(expenseValidation.params),
+  expenseController.getReceipt
+);
+
+// DELETE /api/expenses/:id/receipt - Delete receipt
+router.delete('/:id/receipt', 
+  validateParams(expenseValidation.params),
+  expenseController.deleteReceipt
+);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { PaymentGatewayController } from '../controllers/paymentGatewayController.js';
+
+// Checkout pages of the offline fake payment provider
+const router = express.Router();
+const paymentGatewayController = new PaymentGatewayController();
+
+// GET /payments/fake/:sessionId - Checkout page for a session
+router.get('/:sessionId', paymentGatewayController.showFakeCheckout);
+
+// POST /payments/fake/:sessionId/pay - Pay the session and return to the invoice
+router.post('/:sessionId/pay', paymentGatewayController.completeFakeCheckout);
+
+export default router;
@@ -1,9 +1,19 @@
 import express from 'express';
 import { InvoiceController } from '../controllers/invoiceController.js';
-import { validateRequest, validateParams, validateQuery, invoiceValidation, emailValidation } from '../validation/schemas.js';
+import { PaymentController } from '../controllers/paymentController.js';
+import { ReminderController } from '../controllers/reminderController.js';
+import { CreditNoteController } from '../controllers/creditNoteController.js';
+import { ExpenseController } from '../controllers/expenseController.js';
+import { LateFeeController } from '../controllers/lateFeeController.js';
+import { validateRequest, validateParams, validateQuery, invoiceValidation, emailValidation, paymentValidation, lateFeeValidation, creditNoteValidation, expenseValidation } from '../validation/schemas.js';
 
 const router = express.Router();
 const invoiceController = new InvoiceController();
+const paymentController = new PaymentController();
+const reminderController = new ReminderController();
+const creditNoteController = new CreditNoteController();
+const expenseController = new ExpenseController();
+const lateFeeController = new LateFeeController();
 
 // GET /api/invoices - Get all invoices
 router.get('/', 
@@ -11,6 +21,15 @@ router.get('/',
   invoiceController.getAllInvoices
 );
 
+// GET /api/invoices/overdue - Overdue invoices with aging buckets per client
+router.get('/overdue', 
+  validateQuery(invoiceValidation.overdueQuery),
+  invoiceController.getOverdueInvoices
+);
+
+// GET /api/invoices/payment-terms - Payment terms presets, built-in and the user's own
+router.get('/payment-terms', invoiceController.getPaymentTermPresets);
+
 // GET /api/invoices/:id - Get specific invoice
 router.get('/:id', 
   validateParams(invoiceValidation.params),
@@ -23,6 +42,12 @@ router.post('/',
   invoiceController.createInvoice
 );
 
+// POST /api/invoices/from-time-entries - Bill unbilled time entries on a new draft invoice
+router.post('/from-time-entries', 
+  validateRequest(invoiceValidation.fromTimeEntries),
+  invoiceController.createInvoiceFromTimeEntries
+);
+
 // PUT /api/invoices/:id - Update invoice
 router.put('/:id', 
   validateParams(invoiceValidation.params),
@@ -62,4 +87,74 @@ router.get('/:id/preview',
   invoiceController.previewInvoice
 );
 
+// GET /api/invoices/:id/payments - List payments recorded against an invoice
+router.get('/:id/payments', 
+  validateParams(paymentValidation.params),
+  paymentController.getPayments
+);
+
+// POST /api/invoices/:id/payments - Record a (partial) payment
+router.post('/:id/payments', 
+  validateParams(paymentValidation.params),
+  validateRequest(paymentValidation.create),
+  paymentController.createPayment
+);
+
+// DELETE /api/invoices/:id/payments/:paymentId - Remove a recorded payment
+router.delete('/:id/payments/:paymentId', 
+  validateParams(paymentValidation.params),
+  paymentController.deletePayment
+);
+
+// GET /api/invoices/:id/late-fees - Late fees charged on an invoice, including waived ones
+router.get('/:id/late-fees', 
+  validateParams(lateFeeValidation.params),
+  lateFeeController.getInvoiceLateFees
+);
+
+// POST /api/invoices/:id/late-fees - Apply the late fees due on an overdue invoice now
+router.post('/:id/late-fees', 
+  validateParams(lateFeeValidation.params),
+  lateFeeController.applyLateFees
+);
+
+// POST /api/invoices/:id/late-fees/:lateFeeId/waive - Waive a late fee
+router.post('/:id/late-fees/:lateFeeId/waive', 
+  validateParams(lateFeeValidation.params),
+  validateRequest(lateFeeValidation.waive),
+  lateFeeController.waiveLateFee
+);
+
+// GET /api/invoices/:id/credit-notes - Credit notes issued against an invoice
+router.get('/:id/credit-notes', 
+  validateParams(invoiceValidation.params),
+  creditNoteController.getInvoiceCreditNotes
+);
+
+// POST /api/invoices/:id/credit-notes - Credit some or all of an invoice's lines
+router.post('/:id/credit-notes', 
+  validateParams(invoiceValidation.params),
+  validateRequest(creditNoteValidation.create),
+  creditNoteController.createCreditNote
+);
+
+// GET /api/invoices/:id/expenses - Expenses billed on an invoice
+router.get('/:id/expenses', 
+  validateParams(invoiceValidation.params),
+  expenseController.getInvoiceExpenses
+);
+
+// POST /api/invoices/:id/expenses - Add rebillable expenses to a draft invoice
+router.post('/:id/expenses', 
+  validateParams(invoiceValidation.params),
+  validateRequest(expenseValidation.bill),
+  expenseController.billExpensesToInvoice
+);
+
+// GET /api/invoices/:id/reminders - Reminder history for an invoice
+router.get('/:id/reminders', 
+  validateParams(invoiceValidation.params),
+  reminderController.getInvoiceReminders
+);
+
 export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import { MilestoneController } from '../controllers/milestoneController.js';
+import { validateRequest, validateParams, validateQuery, milestoneValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const milestoneController = new MilestoneController();
+
+// GET /api/milestones - Get the schedule of a project or quote with amounts
+router.get('/', 
+  validateQuery(milestoneValidation.query),
+  milestoneController.getMilestones
+);
+
+// GET /api/milestones/:id - Get specific milestone
+router.get('/:id', 
+  validateParams(milestoneValidation.params),
+  milestoneController.getMilestoneById
+);
+
+// POST /api/milestones - Add a milestone to a project or quote
+router.post('/', 
+  validateRequest(milestoneValidation.create),
+  milestoneController.createMilestone
+);
+
+// POST /api/milestones/:id/invoice - Create the draft invoice for a milestone
+router.post('/:id/invoice', 
+  validateParams(milestoneValidation.params),
+  validateRequest(milestoneValidation.invoice),
+  milestoneController.createMilestoneInvoice
+);
+
+// PUT /api/milestones/:id - Update milestone
+router.put('/:id', 
+  validateParams(milestoneValidation.params),
+  validateRequest(milestoneValidation.update),
+  milestoneController.updateMilestone
+);
+
+// DELETE /api/milestones/:id - Delete milestone
+router.delete('/:id', 
+  validateParams(milestoneValidation.params),
+  milestoneController.deleteMilestone
+);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import { PortalController } from '../controllers/portalController.js';
+
+// Public routes: the signed token in the path is the only credential
+const router = express.Router();
+const portalController = new PortalController();
+
+// GET /portal/:token - Read-only invoice page with the client's other open invoices
+router.get('/:token', portalController.viewInvoice);
+
+// GET /portal/:token/pdf - Download the invoice PDF
+router.get('/:token/pdf', portalController.downloadInvoicePDF);
+
+// GET /portal/:token/pay - Pay the balance due through the payment provider
+router.get('/:token/pay', portalController.payInvoice);
+
+// POST /portal/:token/acknowledge - Client confirms receipt of the invoice
+router.post('/:token/acknowledge', portalController.acknowledgeInvoice);
+
+// POST /portal/:token/dispute - Client disputes the invoice or some of its lines
+router.post('/:token/dispute', portalController.disputeInvoice);
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import { ProjectController } from '../controllers/projectController.js';
+import { validateRequest, validateParams, validateQuery, projectValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const projectController = new ProjectController();
+
+// GET /api/projects - Get projects
+router.get('/', 
+  validateQuery(projectValidation.query),
+  projectController.getProjects
+);
+
+// GET /api/projects/:id - Get specific project
+router.get('/:id', 
+  validateParams(projectValidation.params),
+  projectController.getProjectById
+);
+
+// GET /api/projects/:id/summary - Billed, paid, outstanding and remaining budget
+router.get('/:id/summary', 
+  validateParams(projectValidation.params),
+  projectController.getProjectSummary
+);
+
+// POST /api/projects - Create new project
+router.post('/', 
+  validateRequest(projectValidation.create),
+  projectController.createProject
+);
+
+// PUT /api/projects/:id - Update project
+router.put('/:id', 
+  validateParams(projectValidation.params),
+  validateRequest(projectValidation.update),
+  projectController.updateProject
+);
+
+// DELETE /api/projects/:id - Delete project (its invoices and time are kept)
+router.delete('/:id', 
+  validateParams(projectValidation.params),
+  projectController.deleteProject
+);
+
+export default router;
@@ -0,0 +1,65 @@
+import express from 'express';
+import { QuoteController } from '../controllers/quoteController.js';
+import { validateRequest, validateParams, validateQuery, quoteValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const quoteController = new QuoteController();
+
+// GET /api/quotes - Get all quotes
+router.get('/', 
+  validateQuery(quoteValidation.query),
+  quoteController.getAllQuotes
+);
+
+// GET /api/quotes/:id - Get specific quote
+router.get('/:id', 
+  validateParams(quoteValidation.params),
+  quoteController.getQuoteById
+);
+
+// POST /api/quotes - Create new quote
+router.post('/', 
+  validateRequest(quoteValidation.create),
+  quoteController.createQuote
+);
+
+// PUT /api/quotes/:id - Update quote
+router.put('/:id', 
+  validateParams(quoteValidation.params),
+  validateRequest(quoteValidation.update),
+  quoteController.updateQuote
+);
+
+// DELETE /api/quotes/:id - Delete quote
+router.delete('/:id', 
+  validateParams(quoteValidation.params),
+  quoteController.deleteQuote
+);
+
+// PATCH /api/quotes/:id/status - Update quote status
+router.patch('/:id/status', 
+  validateParams(quoteValidation.params),
+  validateRequest(quoteValidation.statusUpdate),
+  quoteController.updateStatus
+);
+
+// POST /api/quotes/:id/convert - Create an invoice from an accepted quote
+router.post('/:id/convert', 
+  validateParams(quoteValidation.params),
+  validateRequest(quoteValidation.convert),
+  quoteController.convertQuote
+);
+
+// POST /api/quotes/:id/generate-pdf - Generate PDF for quote
+router.post('/:id/generate-pdf', 
+  validateParams(quoteValidation.params),
+  quoteController.generatePDF
+);
+
+// GET /api/quotes/:id/preview - Preview quote as HTML
+router.get('/:id/preview', 
+  validateParams(quoteValidation.params),
+  quoteController.previewQuote
+);
+
+export default router;
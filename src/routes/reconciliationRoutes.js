@@ -0,0 +1,45 @@
+import express from 'express';
+import { ReconciliationController } from '../controllers/reconciliationController.js';
+import { validateRequest, validateParams, validateQuery, reconciliationValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const reconciliationController = new ReconciliationController();
+
+// POST /api/reconciliation/import - Import a CSV, OFX or CAMT.053 bank statement and match its payments
+router.post('/import', 
+  validateRequest(reconciliationValidation.import),
+  reconciliationController.importStatement
+);
+
+// GET /api/reconciliation/transactions - Get imported bank transactions
+router.get('/transactions', 
+  validateQuery(reconciliationValidation.query),
+  reconciliationController.getTransactions
+);
+
+// POST /api/reconciliation/transactions/confirm - Confirm several suggested matches
+router.post('/transactions/confirm', 
+  validateRequest(reconciliationValidation.confirmMany),
+  reconciliationController.confirmTransactions
+);
+
+// POST /api/reconciliation/transactions/:id/confirm - Record the transaction as a payment, optionally linking another invoice
+router.post('/transactions/:id/confirm', 
+  validateParams(reconciliationValidation.params),
+  validateRequest(reconciliationValidation.confirm),
+  reconciliationController.confirmTransaction
+);
+
+// POST /api/reconciliation/transactions/:id/unmatch - Drop the suggested invoice and requeue the transaction
+router.post('/transactions/:id/unmatch', 
+  validateParams(reconciliationValidation.params),
+  reconciliationController.unmatchTransaction
+);
+
+// POST /api/reconciliation/transactions/:id/ignore - Remove a transaction from the queue
+router.post('/transactions/:id/ignore', 
+  validateParams(reconciliationValidation.params),
+  reconciliationController.ignoreTransaction
+);
+
+export default router;
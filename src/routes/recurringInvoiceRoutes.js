@@ -0,0 +1,54 @@
+import express from 'express';
+import { RecurringInvoiceController } from '../controllers/recurringInvoiceController.js';
+import { validateRequest, validateParams, recurringInvoiceValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const recurringInvoiceController = new RecurringInvoiceController();
+
+// GET /api/recurring - Get all recurring invoice schedules
+router.get('/', recurringInvoiceController.getAllRecurringInvoices);
+
+// GET /api/recurring/:id - Get specific schedule
+router.get('/:id', 
+  validateParams(recurringInvoiceValidation.params),
+  recurringInvoiceController.getRecurringInvoiceById
+);
+
+// POST /api/recurring - Create new schedule
+router.post('/', 
+  validateRequest(recurringInvoiceValidation.create),
+  recurringInvoiceController.createRecurringInvoice
+);
+
+// PUT /api/recurring/:id - Update schedule
+router.put('/:id', 
+  validateParams(recurringInvoiceValidation.params),
+  validateRequest(recurringInvoiceValidation.update),
+  recurringInvoiceController.updateRecurringInvoice
+);
+
+// DELETE /api/recurring/:id - Delete schedule
+router.delete('/:id', 
+  validateParams(recurringInvoiceValidation.params),
+  recurringInvoiceController.deleteRecurringInvoice
+);
+
+// POST /api/recurring/:id/pause - Pause schedule
+router.post('/:id/pause', 
+  validateParams(recurringInvoiceValidation.params),
+  recurringInvoiceController.pauseRecurringInvoice
+);
+
+// POST /api/recurring/:id/resume - Resume schedule
+router.post('/:id/resume', 
+  validateParams(recurringInvoiceValidation.params),
+  recurringInvoiceController.resumeRecurringInvoice
+);
+
+// GET /api/recurring/:id/invoices - History of generated invoices
+router.get('/:id/invoices', 
+  validateParams(recurringInvoiceValidation.params),
+  recurringInvoiceController.getGeneratedInvoices
+);
+
+export default router;
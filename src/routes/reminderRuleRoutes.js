@@ -0,0 +1,36 @@
+import express from 'express';
+import { ReminderController } from '../controllers/reminderController.js';
+import { validateRequest, validateParams, reminderRuleValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const reminderController = new ReminderController();
+
+// GET /api/reminder-rules - Get all reminder rules for the user
+router.get('/', reminderController.getAllRules);
+
+// GET /api/reminder-rules/:id - Get specific reminder rule
+router.get('/:id', 
+  validateParams(reminderRuleValidation.params),
+  reminderController.getRuleById
+);
+
+// POST /api/reminder-rules - Create new reminder rule
+router.post('/', 
+  validateRequest(reminderRuleValidation.create),
+  reminderController.createRule
+);
+
+// PUT /api/reminder-rules/:id - Update reminder rule
+router.put('/:id', 
+  validateParams(reminderRuleValidation.params),
+  validateRequest(reminderRuleValidation.update),
+  reminderController.updateRule
+);
+
+// DELETE /api/reminder-rules/:id - Delete reminder rule
+router.delete('/:id', 
+  validateParams(reminderRuleValidation.params),
+  reminderController.deleteRule
+);
+
+export default router;
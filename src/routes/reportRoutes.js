@@ -0,0 +1,20 @@
+import express from 'express';
+import { ReportController } from '../controllers/reportController.js';
+import { validateQuery, reportValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const reportController = new ReportController();
+
+// GET /api/reports/profit - Revenue against expenses in the base currency
+router.get('/profit', 
+  validateQuery(reportValidation.period),
+  reportController.getProfitReport
+);
+
+// GET /api/reports/revenue-by-service - Revenue per catalog item in the base currency
+router.get('/revenue-by-service', 
+  validateQuery(reportValidation.period),
+  reportController.getRevenueByServiceReport
+);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import { TaxRateController } from '../controllers/taxRateController.js';
+import { validateRequest, validateParams, taxRateValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const taxRateController = new TaxRateController();
+
+// GET /api/tax-rates - Get the user's tax registry
+router.get('/', taxRateController.getTaxRates);
+
+// POST /api/tax-rates - Register a tax
+router.post('/', 
+  validateRequest(taxRateValidation.create),
+  taxRateController.createTaxRate
+);
+
+// PUT /api/tax-rates/:id - Update tax rate
+router.put('/:id', 
+  validateParams(taxRateValidation.params),
+  validateRequest(taxRateValidation.update),
+  taxRateController.updateTaxRate
+);
+
+// DELETE /api/tax-rates/:id - Delete tax rate
+router.delete('/:id', 
+  validateParams(taxRateValidation.params),
+  taxRateController.deleteTaxRate
+);
+
+export default router;
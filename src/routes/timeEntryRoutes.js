@@ -0,0 +1,51 @@
+import express from 'express';
+import { TimeEntryController } from '../controllers/timeEntryController.js';
+import { validateRequest, validateParams, validateQuery, timeEntryValidation } from '../validation/schemas.js';
+
+const router = express.Router();
+const timeEntryController = new TimeEntryController();
+
+// GET /api/time-entries - Get time entries
+router.get('/', 
+  validateQuery(timeEntryValidation.query),
+  timeEntryController.getTimeEntries
+);
+
+// GET /api/time-entries/timer - Get the running timer, if any
+router.get('/timer', timeEntryController.getRunningTimer);
+
+// POST /api/time-entries/timer/start - Start a timer as a new time entry
+router.post('/timer/start', 
+  validateRequest(timeEntryValidation.startTimer),
+  timeEntryController.startTimer
+);
+
+// POST /api/time-entries/timer/stop - Stop the running timer
+router.post('/timer/stop', timeEntryController.stopTimer);
+
+// GET /api/time-entries/:id - Get specific time entry
+router.get('/:id', 
+  validateParams(timeEntryValidation.params),
+  timeEntryController.getTimeEntryById
+);
+
+// POST /api/time-entries - Log time
+router.post('/', 
+  validateRequest(timeEntryValidation.create),
+  timeEntryController.createTimeEntry
+);
+
+// PUT /api/time-entries/:id - Update unbilled time entry
+router.put('/:id', 
+  validateParams(timeEntryValidation.params),
+  validateRequest(timeEntryValidation.update),
+  timeEntryController.updateTimeEntry
+);
+
+// DELETE /api/time-entries/:id - Delete unbilled time entry
+router.delete('/:id', 
+  validateParams(timeEntryValidation.params),
+  timeEntryController.deleteTimeEntry
+);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { PaymentGatewayController } from '../controllers/paymentGatewayController.js';
+
+// Called by payment providers; requests are authenticated by their signature
+const router = express.Router();
+const paymentGatewayController = new PaymentGatewayController();
+
+// POST /api/webhooks/payments/:provider - Record a payment reported by a payment provider
+router.post('/payments/:provider', paymentGatewayController.handlePaymentWebhook);
+
+export default router;
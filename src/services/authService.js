@@ -149,21 +149,29 @@ export class AuthService {
     try {
       logger.info('Updating user profile', { userId });
 
-      const user = User.findById(userId);
+      const user = await User.findById(userId);
       if (!user) {
         throw new Error('User not found');
       }
 
       // If email is being updated, check for conflicts
       if (updateData.email && updateData.email !== user.email) {
-        const existingUser = User.findByEmail(updateData.email);
+        const existingUser = await User.findByEmail(updateData.email);
         if (existingUser) {
           throw new Error('Email already in use by another account');
         }
       }
 
+      // Settings are updated partially so one setting doesn't wipe the others
+      if (updateData.settings) {
+        updateData = {
+          ...updateData,
+          settings: { ...user.settings, ...updateData.settings }
+        };
+      }
+
       // Update user
-      const updatedUser = User.update(userId, updateData);
+      const updatedUser = await User.update(userId, updateData);
 
       logger.info('User profile updated successfully', { userId });
 
@@ -0,0 +1,157 @@
+import { logger } from '../utils/logger.js';
+import { roundCurrency } from '../utils/currencies.js';
+import * as money from '../utils/money.js';
+import { CreditNote, Invoice, Payment } from '../models/index.js';
+
+export class CreditNoteService {
+  // Quantity already credited per invoice line across issued credit notes
+  getCreditedQuantities(creditNotes) {
+    const credited = new Map();
+
+    for (const creditNote of creditNotes) {
+      if (creditNote.status !== 'issued') continue;
+
+      for (const item of creditNote.items) {
+        credited.set(item.lineIndex, money.toNumber(money.add(credited.get(item.lineIndex) || 0, item.quantity)));
+      }
+    }
+
+    return credited;
+  }
+
+  // Copy the requested invoice lines (or every line with quantity left to
+  // credit) as negative credit note lines. Returns { error } when a line is
+  // unknown or asks for more than is left to credit. Line totals are filled
+  // in by calculateTotals.
+  buildCreditItems(invoice, requestedLines, creditedQuantities) {
+    const lines = requestedLines?.length
+      ? requestedLines
+      : invoice.items.map((item, lineIndex) => ({ lineIndex }));
+
+    const items = [];
+    for (const { lineIndex, quantity } of lines) {
+      const source = invoice.items[lineIndex];
+      if (!source) {
+        return { error: `Invoice has no line ${lineIndex}` };
+      }
+
+      const remaining = money.toNumber(money.subtract(source.quantity, creditedQuantities.get(lineIndex) || 0));
+      const creditQuantity = quantity ?? remaining;
+
+      if (creditQuantity <= 0 && !requestedLines?.length) continue;
+      if (creditQuantity <= 0 || money.compare(creditQuantity, remaining) > 0) {
+        return { error: `Line ${lineIndex} has only ${Math.max(remaining, 0)} left to credit` };
+      }
+
+      // A fixed line discount is credited in proportion to the quantity
+      const discount = source.discount?.type === 'fixed'
+        ? {
+          type: 'fixed',
+          value: money.toNumber(money.divide(money.multiply(source.discount.value, creditQuantity), source.quantity, 10))
+        }
+        : source.discount;
+
+      items.push({
+        lineIndex,
+        description: source.description,
+        details: source.details || '',
+        quantity: creditQuantity,
+        rate: -parseFloat(source.rate),
+        ...(discount && { discount }),
+        ...(source.taxCodes && { taxCodes: source.taxCodes }),
+        ...(source.catalogItemId && { catalogItemId: source.catalogItemId })
+      });
+    }
+
+    if (items.length === 0) {
+      return { error: 'Invoice has been fully credited' };
+    }
+
+    return { items };
+  }
+
+  // Totals mirror the invoice: each line keeps its taxes at the rates
+  // snapshotted on the invoice, and the invoice discount is applied as the
+  // same share of the amount it was taken from. When the credit covers
+  // everything left on the invoice, the remainder is used so rounding can't
+  // leave a few cents behind.
+  calculateTotals(invoice, items, creditedQuantities, rounding = money.DEFAULT_ROUNDING) {
+    const taxRates = new Map(invoice.taxBreakdown.filter(tax => tax.code).map(tax => [tax.code, tax]));
+    const discountBase = invoice.discountBeforeTax ? invoice.subtotal : money.add(invoice.subtotal, invoice.taxAmount);
+    const totals = Invoice.calculateTotals(items, {
+      taxRate: invoice.taxRate,
+      taxRates,
+      discount: {
+        type: 'percent',
+        value: money.sign(discountBase) > 0
+          ? money.toNumber(money.divide(money.multiply(invoice.discountAmount, 100), discountBase, 10))
+          : 0,
+        beforeTax: invoice.discountBeforeTax
+      },
+      currency: invoice.currency,
+      rounding
+    });
+
+    const creditsEverything = invoice.items.every((source, lineIndex) => {
+      const requested = money.sum(items.filter(item => item.lineIndex === lineIndex).map(item => item.quantity));
+      return money.compare(money.add(creditedQuantities.get(lineIndex) || 0, requested), source.quantity) >= 0;
+    });
+    if (creditsEverything) {
+      totals.total = money.toNumber(money.subtract(invoice.amountCredited, invoice.total));
+    }
+
+    return totals;
+  }
+
+  // A refund pays out credit the client already paid for: limited by what is
+  // left on the credit note and by how much the invoice is overpaid
+  async getRefundableAmount(creditNote, invoice) {
+    const refunded = await creditNote.getRefundedAmount();
+    const remaining = money.subtract(creditNote.amount, refunded);
+    const overpaid = money.negate(invoice.balanceDue);
+    const refundable = money.min(remaining, overpaid);
+    return money.sign(refundable) > 0 ? roundCurrency(refundable, invoice.currency) : 0;
+  }
+
+  async recordRefund(creditNote, invoice, data) {
+    const payment = await Payment.create({
+      ...data,
+      amount: -data.amount,
+      kind: 'refund',
+      creditNoteId: creditNote.id,
+      invoiceId: invoice.id,
+      userId: invoice.userId
+    });
+
+    logger.info('Refund recorded for credit note', {
+      creditNoteId: creditNote.id,
+      invoiceId: invoice.id,
+      paymentId: payment.id,
+      amount: data.amount
+    });
+
+    return payment;
+  }
+
+  async issueCreditNote(invoice, data, creditedQuantities) {
+    const rounding = await Invoice.getRounding(invoice.userId);
+    const totals = this.calculateTotals(invoice, data.items, creditedQuantities, rounding);
+
+    // totals carries the items with their rounded line totals
+    return await CreditNote.create({
+      userId: invoice.userId,
+      clientId: invoice.clientId,
+      invoiceId: invoice.id,
+      issueDate: data.issueDate,
+      reason: data.reason,
+      taxRate: invoice.taxRate,
+      currency: invoice.currency,
+      notes: data.notes,
+      templateId: invoice.templateId,
+      ...totals
+    });
+  }
+}
+
+// Export a singleton instance
+export const creditNoteService = new CreditNoteService();
@@ -0,0 +1,139 @@
+import { logger } from '../utils/logger.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { CURRENCIES, getBaseCurrency, roundCurrency } from '../utils/currencies.js';
+import * as money from '../utils/money.js';
+import { ExchangeRate, Invoice, User } from '../models/index.js';
+
+const OUTSTANDING_STATUSES = ['sent', 'partially_paid', 'overdue', 'disputed'];
+const TOTAL_FIELDS = ['totalAmount', 'creditedAmount', 'paidAmount', 'outstandingAmount'];
+
+const emptyTotals = () => Object.fromEntries(TOTAL_FIELDS.map(field => [field, money.ZERO]));
+
+const addTotals = (totals, amounts, rate = 1) => {
+  for (const field of TOTAL_FIELDS) {
+    totals[field] = money.add(totals[field], money.multiply(amounts[field], rate));
+  }
+};
+
+const roundTotals = (totals, currency) => {
+  for (const field of TOTAL_FIELDS) {
+    totals[field] = roundCurrency(totals[field], currency);
+  }
+};
+
+export class CurrencyService {
+  async getBaseCurrency(userId) {
+    const user = userId ? await User.findById(userId) : null;
+    return getBaseCurrency(user?.settings);
+  }
+
+  // Rate snapshotted on the invoice, or null if it can't be converted to
+  // the requested base currency
+  getInvoiceRate(invoice, baseCurrency) {
+    if (invoice.currency === baseCurrency) return 1;
+    if (invoice.baseCurrency === baseCurrency && invoice.exchangeRate) return invoice.exchangeRate;
+    return null;
+  }
+
+  // Invoice amounts per currency plus totals converted to the base currency.
+  // Invoices without a usable rate are left out of the base totals and
+  // reported under `unconverted`.
+  summarizeInvoices(invoices, baseCurrency) {
+    const byCurrency = {};
+    const base = { currency: baseCurrency, ...emptyTotals() };
+    const unconverted = { count: 0, currencies: [] };
+
+    for (const invoice of invoices) {
+      const isCancelled = invoice.status === 'cancelled';
+      const isOutstanding = OUTSTANDING_STATUSES.includes(invoice.status);
+
+      if (!byCurrency[invoice.currency]) {
+        byCurrency[invoice.currency] = { count: 0, ...emptyTotals() };
+      }
+
+      // Credit notes reduce what was billed rather than counting as payments
+      const amounts = {
+        totalAmount: money.subtract(invoice.total, invoice.amountCredited),
+        creditedAmount: invoice.amountCredited,
+        paidAmount: isCancelled ? 0 : invoice.amountPaid,
+        outstandingAmount: isOutstanding ? invoice.balanceDue : 0
+      };
+
+      const summary = byCurrency[invoice.currency];
+      summary.count += 1;
+      addTotals(summary, amounts);
+
+      const rate = this.getInvoiceRate(invoice, baseCurrency);
+      if (rate === null) {
+        unconverted.count += 1;
+        if (!unconverted.currencies.includes(invoice.currency)) {
+          unconverted.currencies.push(invoice.currency);
+        }
+        continue;
+      }
+
+      addTotals(base, amounts, rate);
+    }
+
+    // Sums stay exact until the final rounding to each currency's minor unit
+    for (const [currency, summary] of Object.entries(byCurrency)) {
+      roundTotals(summary, currency);
+    }
+    roundTotals(base, baseCurrency);
+
+    return { base, byCurrency, unconverted };
+  }
+
+  // Import rates from CSV with columns date, currency, rate and an optional
+  // base_currency (defaults to the user's base currency). Valid rows are
+  // saved even if other rows fail.
+  async importRatesCsv(userId, csv) {
+    const baseCurrency = await this.getBaseCurrency(userId);
+    const records = parseCsvRecords(csv);
+    const errors = [];
+    let imported = 0;
+
+    for (const record of records) {
+      const currency = (record.currency || '').toUpperCase();
+      const recordBase = (record.base_currency || baseCurrency).toUpperCase();
+      const rate = parseFloat(record.rate);
+      const rateDate = record.date || record.rate_date;
+
+      if (!CURRENCIES[currency] || !CURRENCIES[recordBase]) {
+        errors.push({ row: record.row, error: 'Unknown currency code' });
+        continue;
+      }
+      if (currency === recordBase) {
+        errors.push({ row: record.row, error: 'Currency and base currency must differ' });
+        continue;
+      }
+      if (!Number.isFinite(rate) || rate <= 0) {
+        errors.push({ row: record.row, error: 'Rate must be a positive number' });
+        continue;
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(rateDate || '') || Number.isNaN(Date.parse(rateDate))) {
+        errors.push({ row: record.row, error: 'Date must be in YYYY-MM-DD format' });
+        continue;
+      }
+
+      await ExchangeRate.upsert({
+        userId,
+        currency,
+        baseCurrency: recordBase,
+        rate,
+        rateDate,
+        source: 'csv'
+      });
+      imported++;
+    }
+
+    const invoicesUpdated = imported > 0 ? await Invoice.snapshotMissingExchangeRates(userId) : 0;
+
+    logger.info('Exchange rates imported', { userId, imported, errors: errors.length, invoicesUpdated });
+
+    return { imported, invoicesUpdated, errors };
+  }
+}
+
+// Export a singleton instance
+export const currencyService = new CurrencyService();
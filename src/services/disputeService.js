@@ -0,0 +1,102 @@
+import { logger } from '../utils/logger.js';
+import { Dispute } from '../models/index.js';
+import { creditNoteService } from './creditNoteService.js';
+import { emailService } from './emailService.js';
+
+export class DisputeService {
+  // Snapshot the disputed lines so the dispute still reads correctly if the
+  // invoice is edited. Returns { items } or { error }.
+  buildDisputeItems(invoice, lineIndexes = []) {
+    const items = [];
+    for (const lineIndex of lineIndexes) {
+      const line = invoice.items[lineIndex];
+      if (!line) {
+        return { error: `Invoice has no line ${lineIndex}` };
+      }
+      items.push({ lineIndex, description: line.description, total: line.total });
+    }
+    return { items };
+  }
+
+  // Open a dispute from the portal and let the owner know. A failed
+  // notification is logged but doesn't undo the dispute.
+  // Returns { dispute } or { error }.
+  async raiseDispute(invoice, client, data) {
+    const { items, error } = this.buildDisputeItems(invoice, data.lineIndexes);
+    if (error) {
+      return { error };
+    }
+
+    let dispute;
+    try {
+      dispute = await Dispute.open(invoice, { items, comment: data.comment });
+    } catch (openError) {
+      // Partial unique index allows one open dispute per invoice
+      if (openError.code === '23505') {
+        return { error: 'This invoice already has an open dispute' };
+      }
+      throw openError;
+    }
+    if (!dispute) {
+      return { error: `A ${invoice.status} invoice can't be disputed` };
+    }
+
+    logger.info('Invoice disputed', { disputeId: dispute.id, invoiceId: invoice.id, lineCount: items.length });
+
+    try {
+      await emailService.sendDisputeNotification(dispute, invoice, client);
+    } catch (notifyError) {
+      logger.warn('Dispute recorded without owner notification', { disputeId: dispute.id, error: notifyError.message });
+    }
+
+    return { dispute };
+  }
+
+  // Resolve in the client's favour: credit the disputed lines (or the lines
+  // given) in full unless quantities are given, then close the dispute.
+  // Returns { dispute, creditNote } or { error }.
+  async creditDispute(dispute, invoice, data) {
+    const lines = data.items?.length
+      ? data.items
+      : dispute.items.map(item => ({ lineIndex: item.lineIndex }));
+
+    const creditedQuantities = creditNoteService.getCreditedQuantities(await invoice.getCreditNotes());
+    const { items, error } = creditNoteService.buildCreditItems(invoice, lines, creditedQuantities);
+    if (error) {
+      return { error };
+    }
+
+    const creditNote = await creditNoteService.issueCreditNote(invoice, {
+      ...data,
+      items,
+      reason: data.reason || `Dispute: ${dispute.comment}`
+    }, creditedQuantities);
+    if (!creditNote) {
+      return { error: 'Credit note exceeds the amount left to credit on the invoice' };
+    }
+
+    const resolved = await Dispute.resolve(dispute.id, {
+      status: 'credited',
+      resolutionNote: data.resolutionNote,
+      creditNoteId: creditNote.id
+    });
+
+    logger.info('Dispute resolved with a credit note', { disputeId: dispute.id, creditNoteId: creditNote.id });
+
+    return { dispute: resolved, creditNote };
+  }
+
+  async rejectDispute(dispute, data) {
+    const resolved = await Dispute.resolve(dispute.id, {
+      status: 'rejected',
+      resolutionNote: data.resolutionNote
+    });
+
+    logger.info('Dispute rejected', { disputeId: dispute.id });
+
+    return resolved;
+  }
+}
+
+// Export a singleton instance
+export const disputeService = new DisputeService();
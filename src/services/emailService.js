@@ -1,7 +1,11 @@
 import nodemailer from 'nodemailer';
+import handlebars from 'handlebars';
+import { format, parseISO } from 'date-fns';
 import { logger } from '../utils/logger.js';
+import { getCurrency, formatCurrency } from '../utils/currencies.js';
 import { pdfService } from './pdfService.js';
-import { Invoice } from '../models/index.js';
+import { portalService } from './portalService.js';
+import { Invoice, User } from '../models/index.js';
 
 export class EmailService {
   constructor() {
@@ -58,12 +62,12 @@ export class EmailService {
         await this.initialize();
       }
 
-      const invoice = Invoice.findById(invoiceId);
+      const invoice = await Invoice.findById(invoiceId);
       if (!invoice) {
         throw new Error('Invoice not found');
       }
 
-      const client = invoice.getClient();
+      const client = await invoice.getClient();
       if (!client) {
         throw new Error('Client not found for invoice');
       }
@@ -86,9 +90,11 @@ export class EmailService {
         }
       }
 
-      // Prepare email recipients
-      const recipients = this.prepareRecipients(emailOptions.to || client.email);
-      const ccRecipients = emailOptions.cc ? this.prepareRecipients(emailOptions.cc) : [];
+      // Prepare email recipients, defaulting to the client's invoice contacts
+      const defaults = emailOptions.to ? { to: emailOptions.to, cc: [] } : await this.getClientRecipients(client, 'invoices');
+      const recipients = this.prepareRecipients(defaults.to);
+      const cc = [...defaults.cc, ...[].concat(emailOptions.cc || [])];
+      const ccRecipients = cc.length > 0 ? this.prepareRecipients(cc) : [];
       const bccRecipients = emailOptions.bcc ? this.prepareRecipients(emailOptions.bcc) : [];
 
       // Prepare email content
@@ -114,8 +120,7 @@ export class EmailService {
       
       // Update invoice status
       if (invoice.status === 'draft') {
-        invoice.updateStatus('sent');
-        Invoice.update(invoiceId, invoice);
+        await invoice.updateStatus('sent');
       }
 
       logger.info('Invoice email sent successfully', {
@@ -130,6 +135,7 @@ export class EmailService {
         success: true,
         messageId: result.messageId,
         recipients: recipients,
+        cc: ccRecipients,
         attachmentCount: attachments.length,
         invoiceId: invoiceId
       };
@@ -148,6 +154,22 @@ export class EmailService {
     }
   }
 
+  // Default to and cc for a client's invoice or reminder emails: the
+  // contacts flagged to receive them, addressed to the primary one (or the
+  // first added) with the rest copied. Without flagged contacts the email
+  // goes to the client's own address.
+  async getClientRecipients(client, purpose) {
+    const flag = purpose === 'reminders' ? 'receivesReminders' : 'receivesInvoices';
+    const contacts = (await client.getContacts()).filter(contact => contact[flag] && contact.email);
+    if (contacts.length === 0) {
+      return { to: client.email, cc: [] };
+    }
+
+    // Contacts come primary first
+    const [recipient, ...copied] = contacts;
+    return { to: recipient.email, cc: copied.map(contact => contact.email) };
+  }
+
   prepareRecipients(recipients) {
     if (typeof recipients === 'string') {
       return recipients;
@@ -158,28 +180,110 @@ export class EmailService {
     return '';
   }
 
+  // Variables available to the default email and to reminder templates
+  getEmailTemplateVariables(invoice, client) {
+    const offer = invoice.getEarlyPaymentOffer();
+    return {
+      clientName: client.name,
+      invoiceNumber: invoice.invoiceNumber,
+      issueDate: format(new Date(invoice.issueDate), 'MMMM d, yyyy'),
+      dueDate: format(new Date(invoice.dueDate), 'MMMM d, yyyy'),
+      currency: getCurrency(invoice.currency).symbol,
+      amount: formatCurrency(invoice.total, invoice.currency),
+      balanceDue: formatCurrency(invoice.balanceDue, invoice.currency),
+      paymentTerms: invoice.termsName || `${invoice.paymentTerms} days`,
+      // "Pay X by DATE to save Y" while the early payment discount is open
+      earlyPaymentOffer: offer
+        ? `Pay ${formatCurrency(offer.amount, invoice.currency)} by ${format(parseISO(offer.deadline), 'MMMM d, yyyy')} to save ${formatCurrency(offer.savings, invoice.currency)}.`
+        : '',
+      notes: invoice.notes,
+      invoiceUrl: portalService.getInvoiceUrl(invoice),
+      paymentUrl: portalService.getPaymentUrl(invoice),
+      businessName: process.env.BUSINESS_NAME || 'Your Business',
+      businessEmail: process.env.BUSINESS_EMAIL || '',
+      businessAddress: process.env.BUSINESS_ADDRESS || ''
+    };
+  }
+
   generateDefaultEmailContent(invoice, client) {
-    return `Dear ${client.name},
+    const vars = this.getEmailTemplateVariables(invoice, client);
+    
+    return `Dear ${vars.clientName},
 
-Please find attached your invoice ${invoice.invoiceNumber} for the amount of ${invoice.currency === 'USD' ? '$' : invoice.currency}${invoice.total.toFixed(2)}.
+Please find attached your invoice ${vars.invoiceNumber} for the amount of ${vars.amount}.
 
 Invoice Details:
-- Invoice Number: ${invoice.invoiceNumber}
-- Issue Date: ${invoice.issueDate}
-- Due Date: ${invoice.dueDate}
-- Amount Due: ${invoice.currency === 'USD' ? '$' : invoice.currency}${invoice.total.toFixed(2)}
+- Invoice Number: ${vars.invoiceNumber}
+- Issue Date: ${vars.issueDate}
+- Due Date: ${vars.dueDate}
+- Amount Due: ${vars.amount}
+- Payment Terms: ${vars.paymentTerms}
+${vars.earlyPaymentOffer ? `\n${vars.earlyPaymentOffer}\n` : ''}
+View your invoice online: ${vars.invoiceUrl}
+Pay now: ${vars.paymentUrl}
 
-${invoice.notes ? `\nNotes:\n${invoice.notes}` : ''}
+${vars.notes ? `\nNotes:\n${vars.notes}` : ''}
 
 Thank you for your business!
 
 Best regards,
-${process.env.BUSINESS_NAME || 'Your Business'}
-${process.env.BUSINESS_EMAIL || ''}
-${process.env.BUSINESS_ADDRESS || ''}`;
+${vars.businessName}
+${vars.businessEmail}
+${vars.businessAddress}`;
+  }
+
+  // Render a user-supplied subject/body template (plain text, no HTML escaping)
+  renderEmailTemplate(template, invoice, client) {
+    const compiled = handlebars.compile(template, { noEscape: true });
+    return compiled(this.getEmailTemplateVariables(invoice, client));
+  }
+
+  async sendReminderEmail(invoice, client, rule, emailOptions = {}) {
+    try {
+      if (!this.transporter) {
+        await this.initialize();
+      }
+
+      const defaults = emailOptions.to ? { to: emailOptions.to, cc: [] } : await this.getClientRecipients(client, 'reminders');
+      const recipients = this.prepareRecipients(defaults.to);
+      const cc = [...defaults.cc, ...[].concat(emailOptions.cc || [])];
+      const ccRecipients = cc.length > 0 ? this.prepareRecipients(cc) : [];
+      const subject = this.renderEmailTemplate(rule.subjectTemplate, invoice, client);
+      const message = this.renderEmailTemplate(rule.bodyTemplate, invoice, client);
+
+      const mailOptions = {
+        from: `\"${process.env.BUSINESS_NAME || 'Your Business'}\" <${process.env.BUSINESS_EMAIL || 'noreply@yourbusiness.com'}>`,
+        to: recipients,
+        cc: ccRecipients,
+        subject: subject,
+        text: message,
+        html: this.generateEmailHTML(invoice, client, message)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info('Reminder email sent successfully', {
+        invoiceId: invoice.id,
+        ruleId: rule.id,
+        messageId: result.messageId,
+        recipients: recipients
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        recipients: recipients,
+        cc: ccRecipients,
+        subject: subject
+      };
+    } catch (error) {
+      logger.error('Failed to send reminder email:', error);
+      throw error;
+    }
   }
 
   generateEmailHTML(invoice, client, textMessage) {
+    const vars = this.getEmailTemplateVariables(invoice, client);
     const lines = textMessage.split('\n');
     const htmlLines = lines.map(line => {
       if (line.trim() === '') return '<br>';
@@ -218,9 +322,11 @@ ${process.env.BUSINESS_ADDRESS || ''}`;
 
             <div class="invoice-summary">
                 <h3>Quick Summary</h3>
-                <p><strong>Amount Due:</strong> ${invoice.currency === 'USD' ? '$' : invoice.currency}${invoice.total.toFixed(2)}</p>
+                <p><strong>Amount Due:</strong> ${formatCurrency(invoice.total, invoice.currency)}</p>
                 <p><strong>Due Date:</strong> ${invoice.dueDate}</p>
-                <p><strong>Payment Terms:</strong> ${invoice.paymentTerms} days</p>
+                <p><strong>Payment Terms:</strong> ${vars.paymentTerms}</p>
+                ${vars.earlyPaymentOffer ? `<p><strong>Early payment:</strong> ${vars.earlyPaymentOffer}</p>` : ''}
+                <p><a href="${portalService.getInvoiceUrl(invoice)}">View invoice online</a> | <a href="${portalService.getPaymentUrl(invoice)}">Pay now</a></p>
             </div>
 
             <div class="footer">
@@ -271,6 +377,58 @@ ${process.env.BUSINESS_ADDRESS || ''}`;
     }
   }
 
+  // Tell the invoice owner a client disputed an invoice from the portal
+  async sendDisputeNotification(dispute, invoice, client) {
+    try {
+      if (!this.transporter) {
+        await this.initialize();
+      }
+
+      const owner = await User.findById(invoice.userId);
+      if (!owner) {
+        throw new Error('Invoice owner not found');
+      }
+
+      const lines = dispute.items.length > 0
+        ? dispute.items.map(item => `- ${item.description} (${formatCurrency(item.total, invoice.currency)})`)
+        : ['- The whole invoice'];
+      const message = `${client.name} disputed invoice ${invoice.invoiceNumber} (${formatCurrency(invoice.total, invoice.currency)}).
+
+Disputed:
+${lines.join('\n')}
+
+Comment:
+${dispute.comment}
+
+Reminders for this invoice are paused until you credit or reject the dispute.`;
+
+      const mailOptions = {
+        from: `\"${process.env.BUSINESS_NAME || 'Your Business'}\" <${process.env.BUSINESS_EMAIL || 'noreply@yourbusiness.com'}>`,
+        to: owner.email,
+        subject: `Invoice ${invoice.invoiceNumber} disputed by ${client.name}`,
+        text: message,
+        html: `<pre style="font-family: Arial, sans-serif; white-space: pre-wrap;">${handlebars.escapeExpression(message)}</pre>`
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info('Dispute notification sent', {
+        disputeId: dispute.id,
+        invoiceId: invoice.id,
+        messageId: result.messageId
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        recipient: owner.email
+      };
+    } catch (error) {
+      logger.error('Failed to send dispute notification:', error);
+      throw error;
+    }
+  }
+
   async sendTestEmail(recipient) {
     try {
       if (!this.transporter) {
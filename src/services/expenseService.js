@@ -0,0 +1,138 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { format, parseISO } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { withTransaction } from '../config/database.js';
+import { Expense, Invoice } from '../models/index.js';
+import { roundCurrency } from '../utils/currencies.js';
+import * as money from '../utils/money.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// DATE columns come back as local dates; request data uses yyyy-MM-dd strings
+const toDate = (value) => (value instanceof Date ? value : parseISO(String(value)));
+
+// Receipt content types and the extension they are stored with
+export const RECEIPT_TYPES = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/heic': '.heic'
+};
+
+export class ExpenseService {
+  constructor() {
+    this.receiptPath = path.join(__dirname, '../../receipts');
+    this.ensureReceiptDirectory();
+  }
+
+  async ensureReceiptDirectory() {
+    try {
+      await fs.mkdir(this.receiptPath, { recursive: true });
+    } catch (error) {
+      logger.error('Error creating receipt directory:', error);
+    }
+  }
+
+  // Store the uploaded file as the expense's receipt, replacing any previous one
+  async saveReceipt(expense, buffer, contentType, filename) {
+    const storedName = `${expense.id}-${Date.now()}${RECEIPT_TYPES[contentType]}`;
+    const filepath = path.join(this.receiptPath, storedName);
+
+    await fs.writeFile(filepath, buffer);
+
+    const updatedExpense = await Expense.setReceipt(expense.id, {
+      path: filepath,
+      filename: String(filename || storedName).replace(/[^\w.-]+/g, '_'),
+      contentType
+    });
+
+    if (expense.receiptPath) {
+      await this.removeReceiptFile(expense.receiptPath);
+    }
+
+    logger.info('Receipt stored', { expenseId: expense.id, size: buffer.length });
+    return updatedExpense;
+  }
+
+  async readReceipt(expense) {
+    return await fs.readFile(expense.receiptPath);
+  }
+
+  async deleteReceipt(expense) {
+    const updatedExpense = await Expense.setReceipt(expense.id, null);
+    await this.removeReceiptFile(expense.receiptPath);
+    return updatedExpense;
+  }
+
+  async removeReceiptFile(filepath) {
+    try {
+      await fs.unlink(filepath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error removing receipt file:', error);
+      }
+    }
+  }
+
+  // Amount charged to the client for an expense, in the expense currency
+  getRebilledAmount(expense, markupPercent = expense.markupPercent) {
+    const factor = money.add(1, money.divide(markupPercent, 100, 6));
+    return roundCurrency(money.multiply(expense.amount, factor), expense.currency);
+  }
+
+  // One line per expense; the markup is folded into the rate rather than
+  // shown to the client
+  buildInvoiceItems(expenses, options = {}) {
+    return expenses.map(expense => ({
+      description: expense.description || expense.category,
+      details: `${expense.category}, ${format(toDate(expense.expenseDate), 'MMM d, yyyy')}`,
+      quantity: 1,
+      rate: this.getRebilledAmount(expense, options.markupPercent),
+      ...(options.taxCodes && { taxCodes: options.taxCodes })
+    }));
+  }
+
+  // Append rebillable expenses to a draft invoice and link them to it in one
+  // transaction. Returns { error } if an expense can't be billed there.
+  async billToInvoice(invoice, data) {
+    const result = await withTransaction(async (db) => {
+      const expenses = await Expense.lockUnbilled(db, { userId: invoice.userId, ids: data.expenseIds });
+
+      if (expenses.length !== data.expenseIds.length) {
+        const found = new Set(expenses.map(expense => expense.id));
+        const unavailable = data.expenseIds.filter(id => !found.has(id));
+        return { error: `Expenses are already billed, not rebillable or not found: ${unavailable.join(', ')}` };
+      }
+
+      const otherClient = expenses.find(expense => expense.clientId && expense.clientId !== invoice.clientId);
+      if (otherClient) {
+        return { error: `Expense ${otherClient.id} belongs to a different client` };
+      }
+
+      const otherCurrency = expenses.find(expense => expense.currency !== invoice.currency);
+      if (otherCurrency) {
+        return { error: `Expense ${otherCurrency.id} is in ${otherCurrency.currency}, the invoice is in ${invoice.currency}` };
+      }
+
+      const items = [...invoice.items, ...this.buildInvoiceItems(expenses, data)];
+      const updatedInvoice = await Invoice.update(invoice.id, { items }, db);
+
+      await Expense.markBilled(db, expenses.map(expense => expense.id), invoice.id, data.markupPercent);
+
+      return { invoice: updatedInvoice, expenseIds: expenses.map(expense => expense.id) };
+    });
+
+    if (result.invoice) {
+      logger.info('Expenses billed to invoice', { invoiceId: invoice.id, expenseCount: result.expenseIds.length });
+    }
+
+    return result;
+  }
+}
+
+// Export a singleton instance
+export const expenseService = new ExpenseService();
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import handlebars from 'handlebars';
+import { v4 as uuidv4 } from 'uuid';
+import { formatCurrency } from '../utils/currencies.js';
+
+const checkoutPage = handlebars.compile(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Test checkout</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 420px; margin: 80px auto; color: #374151;">
+  <p style="background: #fef3c7; padding: 8px 12px; border-radius: 4px;">Test payment provider &ndash; no money is moved.</p>
+  <h1 style="font-size: 22px;">{{description}}</h1>
+  <p style="font-size: 28px; margin: 16px 0;">{{amount}}</p>
+  <form method="post" action="/payments/fake/{{id}}/pay" style="display: inline;">
+    <button type="submit">Pay</button>
+  </form>
+  <a href="{{cancelUrl}}" style="margin-left: 12px;">Cancel</a>
+</body>
+</html>`);
+
+// Offline stand-in for a hosted checkout provider. Sessions are kept in
+// memory and paid from a local checkout page, which delivers the same signed
+// webhook a real provider would, so the whole flow works without network
+// access and tests can sign their own events with sign().
+export class FakePaymentProvider {
+  constructor({ webhookSecret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET } = {}) {
+    this.name = 'fake';
+    this.webhookSecret = webhookSecret || null;
+    this.sessions = new Map();
+  }
+
+  async createCheckoutSession({ invoiceId, amount, currency, description, successUrl, cancelUrl }) {
+    const session = {
+      id: `fcs_${uuidv4()}`,
+      invoiceId,
+      amount,
+      currency,
+      description,
+      successUrl,
+      cancelUrl,
+      status: 'open'
+    };
+    this.sessions.set(session.id, session);
+
+    return { sessionId: session.id, url: `/payments/fake/${session.id}` };
+  }
+
+  getSession(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  renderCheckoutPage(session) {
+    return checkoutPage({ ...session, amount: formatCurrency(session.amount, session.currency) });
+  }
+
+  // The event sent when the client pays a session
+  completeSession(session) {
+    session.status = 'complete';
+    return {
+      id: `fevt_${uuidv4()}`,
+      type: 'checkout.completed',
+      created: new Date().toISOString(),
+      data: {
+        sessionId: session.id,
+        paymentId: `fpay_${uuidv4()}`,
+        invoiceId: session.invoiceId,
+        amount: session.amount,
+        currency: session.currency
+      }
+    };
+  }
+
+  sign(rawBody) {
+    if (!this.webhookSecret) {
+      throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is not set');
+    }
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    const signature = headers['x-fake-signature'];
+    if (!this.webhookSecret || !signature) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(rawBody));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // Only completed checkouts move money; other events map to no payment
+  mapEvent(rawBody) {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const isPayment = event.type === 'checkout.completed';
+
+    return {
+      eventId: event.id,
+      eventType: event.type,
+      invoiceId: event.data?.invoiceId || null,
+      payment: isPayment
+        ? {
+          amount: event.data.amount,
+          currency: event.data.currency,
+          paymentDate: event.created.split('T')[0],
+          method: 'card',
+          reference: event.data.paymentId
+        }
+        : null
+    };
+  }
+}
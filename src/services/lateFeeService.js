@@ -0,0 +1,159 @@
+import { format } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { Client, Invoice, LateFee, User } from '../models/index.js';
+import { resolveLateFeePolicy, countDuePeriods, calculateLateFee, describeLateFee } from '../utils/lateFees.js';
+import * as money from '../utils/money.js';
+import { overdueInvoiceService } from './overdueInvoiceService.js';
+
+export class LateFeeService {
+  // The invoice billing a late fee on its own, untaxed. It is left as a
+  // draft for the owner to review and send.
+  buildFeeInvoice(invoice, client, { description, amount }, asOfDate) {
+    return {
+      userId: invoice.userId,
+      clientId: invoice.clientId,
+      projectId: invoice.projectId,
+      status: 'draft',
+      issueDate: format(asOfDate, 'yyyy-MM-dd'),
+      paymentTerms: client?.paymentTerms ?? invoice.paymentTerms,
+      currency: invoice.currency,
+      taxRate: 0,
+      templateId: invoice.templateId,
+      items: [{
+        description: `${description} on invoice ${invoice.invoiceNumber}`,
+        quantity: 1,
+        rate: amount,
+        taxCodes: []
+      }],
+      notes: `Late fee for invoice ${invoice.invoiceNumber}, due ${format(new Date(invoice.dueDate), 'yyyy-MM-dd')}.`
+    };
+  }
+
+  // Charge every fee the policy makes due and that hasn't been charged or
+  // waived yet. Only overdue invoices take fees, so disputed invoices are
+  // left alone until the dispute is resolved. Returns the applied fees.
+  async applyDueFees(invoice, { client, settings, rounding, asOfDate = new Date() } = {}) {
+    if (invoice.status !== 'overdue') return [];
+
+    const policy = resolveLateFeePolicy(settings, client);
+    if (!policy) return [];
+
+    const due = countDuePeriods(policy, overdueInvoiceService.getDaysOverdue(invoice.dueDate, asOfDate));
+    if (due === 0) return [];
+
+    const charged = new Set((await LateFee.findAll({ invoiceId: invoice.id })).map(fee => fee.period));
+
+    // Fees are charged on what is owed for the work, not on earlier fees
+    const principal = money.subtract(invoice.balanceDue, invoice.lateFeeAmount);
+    const basisAmount = policy.mode === 'line'
+      ? (money.sign(principal) > 0 ? money.toNumber(principal) : 0)
+      : invoice.balanceDue;
+    const amount = calculateLateFee(policy, basisAmount, { currency: invoice.currency, rounding });
+    if (amount <= 0) return [];
+
+    const applied = [];
+    for (let period = 1; period <= due; period++) {
+      if (charged.has(period)) continue;
+
+      const description = describeLateFee(policy, period);
+      const fee = await LateFee.apply(invoice, {
+        period,
+        feeType: policy.type,
+        feeValue: policy.value,
+        mode: policy.mode,
+        description,
+        basisAmount,
+        amount,
+        feeInvoice: policy.mode === 'invoice'
+          ? this.buildFeeInvoice(invoice, client, { description, amount }, asOfDate)
+          : undefined
+      });
+      if (fee) applied.push(fee);
+    }
+
+    if (applied.length > 0) {
+      logger.info('Late fees applied', {
+        invoiceId: invoice.id,
+        mode: policy.mode,
+        periods: applied.map(fee => fee.period),
+        amount: money.toNumber(money.sum(applied.map(fee => fee.amount)))
+      });
+    }
+
+    return applied;
+  }
+
+  // Look up the policy and rounding for a single invoice and charge its fees
+  async applyInvoiceFees(invoice, asOfDate = new Date()) {
+    const [client, user] = await Promise.all([
+      Client.findById(invoice.clientId),
+      User.findById(invoice.userId)
+    ]);
+
+    return await this.applyDueFees(invoice, {
+      client,
+      settings: user?.settings,
+      rounding: money.resolveRounding(user?.settings),
+      asOfDate
+    });
+  }
+
+  // Scheduled job: charge due fees on every overdue invoice. A failure on
+  // one invoice is logged and doesn't stop the others.
+  async processLateFees(asOfDate = new Date()) {
+    const invoices = await Invoice.findAll({ status: 'overdue' });
+    const users = new Map();
+    const clients = new Map();
+    let count = 0;
+
+    for (const invoice of invoices) {
+      try {
+        if (!users.has(invoice.userId)) {
+          users.set(invoice.userId, await User.findById(invoice.userId));
+        }
+        if (!clients.has(invoice.clientId)) {
+          clients.set(invoice.clientId, await Client.findById(invoice.clientId));
+        }
+
+        const settings = users.get(invoice.userId)?.settings;
+        const applied = await this.applyDueFees(invoice, {
+          client: clients.get(invoice.clientId),
+          settings,
+          rounding: money.resolveRounding(settings),
+          asOfDate
+        });
+        count += applied.length;
+      } catch (error) {
+        logger.error(`Failed to apply late fees to invoice ${invoice.id}:`, error);
+      }
+    }
+
+    return count;
+  }
+
+  // Returns { lateFee, invoice } or { error }
+  async waiveLateFee(lateFee, reason) {
+    if (lateFee.status === 'waived') {
+      return { error: 'Late fee has already been waived' };
+    }
+
+    if (lateFee.feeInvoiceId) {
+      const feeInvoice = await Invoice.findById(lateFee.feeInvoiceId);
+      if (feeInvoice && (feeInvoice.amountPaid > 0 || feeInvoice.amountCredited > 0)) {
+        return { error: `Late fee invoice ${feeInvoice.invoiceNumber} has already been paid or credited; issue a credit note instead` };
+      }
+    }
+
+    const waived = await LateFee.waive(lateFee.id, reason);
+    if (!waived) {
+      return { error: 'Late fee has already been waived' };
+    }
+
+    logger.info('Late fee waived', { lateFeeId: waived.id, invoiceId: waived.invoiceId, amount: waived.amount });
+
+    return { lateFee: waived, invoice: await Invoice.findById(waived.invoiceId) };
+  }
+}
+
+// Export a singleton instance
+export const lateFeeService = new LateFeeService();
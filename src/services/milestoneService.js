@@ -0,0 +1,221 @@
+import { format } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { withTransaction } from '../config/database.js';
+import { CreditNote, Invoice, Milestone, Quote } from '../models/index.js';
+import { roundMoney } from '../utils/currencies.js';
+import * as money from '../utils/money.js';
+
+// The tax codes every line shares, or undefined when the lines differ (the
+// milestone line then falls back to the document tax rate)
+const commonTaxCodes = (items) => {
+  const codes = items.map(item => JSON.stringify([...(item.taxCodes || [])].sort()));
+  if (items.length === 0 || items.some(item => !Array.isArray(item.taxCodes)) || new Set(codes).size > 1) {
+    return undefined;
+  }
+  return items[0].taxCodes;
+};
+
+export class MilestoneService {
+  // What a schedule bills against: a project's budget amount or the net
+  // (excluding tax) total of a quote
+  getContract({ project, quote }) {
+    if (project) {
+      return {
+        name: project.name,
+        clientId: project.clientId,
+        value: project.budgetAmount,
+        currency: project.currency,
+        projectId: project.id
+      };
+    }
+
+    return {
+      name: `Quote ${quote.quoteNumber}`,
+      clientId: quote.clientId,
+      value: money.toNumber(money.subtract(quote.total, quote.taxAmount)),
+      currency: quote.currency,
+      paymentTerms: quote.paymentTerms,
+      taxRate: quote.taxRate,
+      taxCodes: commonTaxCodes(quote.items),
+      templateId: quote.templateId
+    };
+  }
+
+  // Percentages are of the contract value, rounded to the currency
+  calculateAmount(milestone, contract) {
+    if (milestone.amountType === 'fixed') {
+      return money.toNumber(milestone.value);
+    }
+    return money.toNumber(roundMoney(
+      money.multiply(contract.value, money.multiply(milestone.value, '0.01')),
+      contract.currency
+    ));
+  }
+
+  // Returns an error message if the milestones don't fit the contract value
+  checkSchedule(milestones, contract) {
+    const hasPercent = milestones.some(milestone => milestone.amountType === 'percent');
+    if (hasPercent && contract.value === null) {
+      return 'Set a budget amount on the project to use percentage milestones';
+    }
+
+    const percent = money.sum(milestones.filter(m => m.amountType === 'percent').map(m => m.value));
+    if (money.compare(percent, 100) > 0) {
+      return 'Milestone percentages add up to more than 100%';
+    }
+
+    if (contract.value !== null) {
+      const scheduled = money.sum(milestones.map(milestone => this.calculateAmount(milestone, contract)));
+      if (money.compare(scheduled, contract.value) > 0) {
+        return 'Milestones add up to more than the contract value';
+      }
+    }
+
+    return null;
+  }
+
+  // The schedule with each milestone's amount. The last milestone is the
+  // final one and deducts the deposits, unless it is a deposit itself.
+  buildSchedule(milestones, contract) {
+    const finalMilestone = milestones[milestones.length - 1];
+    const scheduled = milestones.map(milestone => ({
+      ...milestone,
+      amount: contract.value === null && milestone.amountType === 'percent'
+        ? null
+        : this.calculateAmount(milestone, contract),
+      isFinal: milestone === finalMilestone && !milestone.isDeposit
+    }));
+
+    return {
+      contractValue: contract.value,
+      currency: contract.currency,
+      scheduledAmount: money.toNumber(money.sum(scheduled.map(milestone => milestone.amount || 0))),
+      milestones: scheduled
+    };
+  }
+
+  // Net amount billed on a deposit invoice, less any credit notes against it
+  async getDepositDeduction(milestone) {
+    const invoice = await Invoice.findById(milestone.invoiceId);
+    const creditNotes = await CreditNote.findAll({ invoiceId: invoice.id, status: 'issued' });
+
+    // Credit note amounts are negative, so adding them nets the invoice down
+    const documents = [invoice, ...creditNotes];
+    return {
+      invoice,
+      deduction: {
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        description: `Less deposit received (${invoice.invoiceNumber})`,
+        amount: money.toNumber(money.sum(documents.map(document => money.subtract(document.total, document.taxAmount)))),
+        taxCodes: commonTaxCodes(invoice.items)
+      }
+    };
+  }
+
+  // Create the draft invoice for one milestone. The final milestone bills
+  // its own amount plus the deposits, then deducts the deposit invoices as
+  // "less deposit received" lines, so tax ends up on the full contract.
+  // Returns { invoice, milestone } or { error }.
+  async createMilestoneInvoice(source, milestoneId, data = {}) {
+    const contract = this.getContract(source);
+
+    if (source.quote) {
+      if (source.quote.status !== 'accepted') {
+        return { error: 'Only accepted quotes can be billed by milestone' };
+      }
+      if (await source.quote.getInvoice()) {
+        return { error: 'Quote has already been converted to an invoice' };
+      }
+    }
+
+    const result = await withTransaction(async (db) => {
+      const schedule = await Milestone.lockSchedule(db, {
+        projectId: source.project?.id,
+        quoteId: source.quote?.id
+      });
+
+      const milestone = schedule.find(item => item.id === milestoneId);
+      if (!milestone) {
+        return { error: 'Milestone not found' };
+      }
+      if (milestone.invoiceId) {
+        return { error: 'Milestone has already been invoiced' };
+      }
+
+      const scheduleError = this.checkSchedule(schedule, contract);
+      if (scheduleError) {
+        return { error: scheduleError };
+      }
+
+      let lineAmount = this.calculateAmount(milestone, contract);
+      const deposits = [];
+
+      const isFinal = milestone === schedule[schedule.length - 1] && !milestone.isDeposit;
+      if (isFinal) {
+        for (const deposit of schedule.filter(item => item.isDeposit)) {
+          // Deposits never invoiced are simply billed in full on the final invoice
+          if (!deposit.invoiceId) {
+            lineAmount = money.toNumber(money.add(lineAmount, this.calculateAmount(deposit, contract)));
+            continue;
+          }
+
+          const { invoice, deduction } = await this.getDepositDeduction(deposit);
+          if (invoice.status === 'draft') {
+            return { error: `Send or delete the draft deposit invoice ${invoice.invoiceNumber} first` };
+          }
+          if (invoice.status === 'cancelled' || money.isZero(deduction.amount)) {
+            lineAmount = money.toNumber(money.add(lineAmount, this.calculateAmount(deposit, contract)));
+            continue;
+          }
+
+          lineAmount = money.toNumber(money.add(lineAmount, deduction.amount));
+          deposits.push(deduction);
+        }
+      }
+
+      // The first milestone invoice of a quote stops it being converted in full
+      if (source.quote) {
+        await Quote.claimConversion(source.quote.id, db);
+      }
+
+      const taxCodes = data.taxCodes ?? contract.taxCodes;
+      const invoice = await Invoice.create({
+        userId: milestone.userId,
+        clientId: contract.clientId,
+        projectId: contract.projectId,
+        issueDate: data.issueDate || format(new Date(), 'yyyy-MM-dd'),
+        paymentTerms: data.paymentTerms ?? contract.paymentTerms,
+        items: [{
+          description: `${contract.name}: ${milestone.label}`,
+          quantity: 1,
+          rate: lineAmount,
+          ...(taxCodes !== undefined ? { taxCodes } : {})
+        }],
+        taxRate: data.taxRate ?? contract.taxRate,
+        depositDeductions: deposits,
+        currency: contract.currency,
+        notes: data.notes,
+        templateId: data.templateId || contract.templateId,
+        status: 'draft'
+      }, db);
+
+      const invoicedMilestone = await Milestone.markInvoiced(db, milestone.id, invoice.id);
+
+      return { invoice, milestone: invoicedMilestone };
+    });
+
+    if (result.invoice) {
+      logger.info('Invoice created for milestone', {
+        invoiceId: result.invoice.id,
+        milestoneId,
+        depositCount: result.invoice.depositDeductions.length
+      });
+    }
+
+    return result;
+  }
+}
+
+// Export a singleton instance
+export const milestoneService = new MilestoneService();
@@ -0,0 +1,103 @@
+import { format, differenceInCalendarDays, parseISO } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { Invoice } from '../models/index.js';
+import * as money from '../utils/money.js';
+
+export const AGING_BUCKETS = ['1-30', '31-60', '61-90', '90+'];
+
+// Add a balance to an aging group without floating-point drift
+const addAmount = (group, bucket, amount) => {
+  group.amount = money.toNumber(money.add(group.amount, amount));
+  group.buckets[bucket] = money.toNumber(money.add(group.buckets[bucket], amount));
+};
+
+export class OverdueInvoiceService {
+  // Flip every sent/partially paid invoice past its due date to overdue
+  async processOverdueInvoices(asOfDate = new Date()) {
+    const today = format(asOfDate, 'yyyy-MM-dd');
+    const invoices = await Invoice.markOverdue(today);
+
+    if (invoices.length > 0) {
+      logger.info('Invoices marked as overdue', {
+        count: invoices.length,
+        invoiceIds: invoices.map(invoice => invoice.id)
+      });
+    }
+
+    return invoices;
+  }
+
+  getDaysOverdue(dueDate, asOfDate = new Date()) {
+    const due = dueDate instanceof Date ? dueDate : parseISO(String(dueDate));
+    return Math.max(differenceInCalendarDays(asOfDate, due), 0);
+  }
+
+  getAgingBucket(daysOverdue) {
+    if (daysOverdue <= 30) return '1-30';
+    if (daysOverdue <= 60) return '31-60';
+    if (daysOverdue <= 90) return '61-90';
+    return '90+';
+  }
+
+  emptyBuckets() {
+    return Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0]));
+  }
+
+  // Group overdue invoices per client with the outstanding balance split
+  // into aging buckets
+  buildAgingReport(invoices, clients, asOfDate = new Date()) {
+    const clientsById = new Map(clients.filter(Boolean).map(client => [client.id, client]));
+    const groups = new Map();
+    const totals = { count: 0, amount: 0, buckets: this.emptyBuckets() };
+
+    for (const invoice of invoices) {
+      const daysOverdue = this.getDaysOverdue(invoice.dueDate, asOfDate);
+      const bucket = this.getAgingBucket(daysOverdue);
+
+      if (!groups.has(invoice.clientId)) {
+        const client = clientsById.get(invoice.clientId);
+        groups.set(invoice.clientId, {
+          client: client ? {
+            id: client.id,
+            name: client.name,
+            email: client.email,
+            company: client.company
+          } : { id: invoice.clientId },
+          count: 0,
+          amount: 0,
+          buckets: this.emptyBuckets(),
+          invoices: []
+        });
+      }
+
+      const group = groups.get(invoice.clientId);
+      group.count += 1;
+      addAmount(group, bucket, invoice.balanceDue);
+      group.invoices.push({
+        id: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        status: invoice.status,
+        issueDate: invoice.issueDate,
+        dueDate: invoice.dueDate,
+        overdueAt: invoice.overdueAt,
+        daysOverdue,
+        bucket,
+        total: invoice.total,
+        balanceDue: invoice.balanceDue,
+        currency: invoice.currency
+      });
+
+      totals.count += 1;
+      addAmount(totals, bucket, invoice.balanceDue);
+    }
+
+    return {
+      asOf: format(asOfDate, 'yyyy-MM-dd'),
+      totals,
+      clients: [...groups.values()].sort((a, b) => b.amount - a.amount)
+    };
+  }
+}
+
+// Export a singleton instance
+export const overdueInvoiceService = new OverdueInvoiceService();
@@ -0,0 +1,178 @@
+import { logger } from '../utils/logger.js';
+import { withTransaction } from '../config/database.js';
+import { BankTransaction, Invoice, Payment, PaymentEvent } from '../models/index.js';
+import { FakePaymentProvider } from './fakePaymentProvider.js';
+
+const PAYABLE_STATUSES = ['sent', 'partially_paid', 'overdue', 'disputed'];
+
+// Online payments through a hosted checkout provider. A provider is an
+// object with:
+//   name
+//   createCheckoutSession({ invoiceId, amount, currency, description, successUrl, cancelUrl })
+//     -> { sessionId, url }
+//   verifyWebhookSignature(rawBody, headers) -> boolean
+//   mapEvent(rawBody) -> { eventId, eventType, invoiceId, payment }, where payment
+//     is { amount, currency, paymentDate, method, reference } or null for events
+//     that don't move money
+export class PaymentGatewayService {
+  constructor() {
+    this.providers = null;
+  }
+
+  // Providers are set up on first use, after dotenv has loaded the environment
+  loadProviders() {
+    if (this.providers) {
+      return this.providers;
+    }
+    this.providers = new Map();
+
+    // The fake provider takes no money and its checkout pages are public, so
+    // production only gets it with ENABLE_FAKE_PAYMENTS=true. Without a
+    // webhook secret its events couldn't be verified, so it stays off.
+    const fakeAllowed = process.env.NODE_ENV !== 'production' || process.env.ENABLE_FAKE_PAYMENTS === 'true';
+    if (fakeAllowed && process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+      this.register(new FakePaymentProvider());
+    } else if (fakeAllowed) {
+      logger.warn('Fake payment provider disabled: FAKE_PAYMENT_WEBHOOK_SECRET is not set');
+    }
+
+    return this.providers;
+  }
+
+  register(provider) {
+    this.loadProviders().set(provider.name, provider);
+  }
+
+  getProvider(name = process.env.PAYMENT_PROVIDER || 'fake') {
+    return this.loadProviders().get(name) || null;
+  }
+
+  // Start a checkout for the invoice's balance, less the early payment
+  // discount while it is on offer. Returns { url } or { error }.
+  async createCheckout(invoice, { successUrl, cancelUrl }) {
+    const provider = this.getProvider();
+    if (!provider) {
+      return { error: 'Online payments are not available' };
+    }
+
+    if (!PAYABLE_STATUSES.includes(invoice.status) || invoice.balanceDue <= 0) {
+      return { error: `Invoice ${invoice.invoiceNumber} has nothing left to pay` };
+    }
+
+    const offer = invoice.getEarlyPaymentOffer();
+    const session = await provider.createCheckoutSession({
+      invoiceId: invoice.id,
+      amount: offer?.amount > 0 ? offer.amount : invoice.balanceDue,
+      currency: invoice.currency,
+      description: `Invoice ${invoice.invoiceNumber}`,
+      successUrl,
+      cancelUrl
+    });
+
+    logger.info('Checkout session created', { provider: provider.name, invoiceId: invoice.id, sessionId: session.sessionId });
+
+    return { url: session.url };
+  }
+
+  // Verify a webhook delivery and record the payment it reports. Each event
+  // is processed once; a redelivered event is acknowledged as a duplicate.
+  // Returns { status, payment } or { error, statusCode }.
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = this.getProvider(providerName);
+    if (!provider) {
+      return { error: 'Unknown payment provider', statusCode: 404 };
+    }
+
+    if (!rawBody || !provider.verifyWebhookSignature(rawBody, headers)) {
+      logger.warn('Rejected payment webhook with an invalid signature', { provider: providerName });
+      return { error: 'Invalid webhook signature', statusCode: 400 };
+    }
+
+    let event;
+    try {
+      event = provider.mapEvent(rawBody);
+    } catch (error) {
+      logger.warn('Rejected malformed payment webhook', { provider: providerName, error: error.message });
+      return { error: 'Malformed webhook event', statusCode: 400 };
+    }
+
+    return await withTransaction(async (db) => {
+      // Locked so two checkouts completing at once can't both pay the balance
+      const invoice = event.invoiceId ? await Invoice.findByIdForUpdate(event.invoiceId, db) : null;
+      const claimed = await PaymentEvent.claim(db, {
+        provider: provider.name,
+        eventId: event.eventId,
+        eventType: event.eventType,
+        invoiceId: invoice?.id
+      });
+      if (!claimed) {
+        logger.info('Duplicate payment webhook ignored', { provider: provider.name, eventId: event.eventId });
+        return { status: 'duplicate', payment: null };
+      }
+
+      if (!event.payment) {
+        return { status: 'ignored', payment: null };
+      }
+
+      // Acknowledged so the provider stops retrying. Without the invoice
+      // there is no owner to show the payment to.
+      if (!invoice) {
+        logger.error('Payment webhook does not match an invoice', {
+          provider: provider.name,
+          eventId: event.eventId,
+          invoiceId: event.invoiceId
+        });
+        return { status: 'ignored', payment: null };
+      }
+
+      // A payment in another currency, or for more than is left to pay
+      // because other payments settled the balance first, goes to the
+      // reconciliation queue for the owner to link to an invoice or refund
+      if (event.payment.currency !== invoice.currency
+        || !PAYABLE_STATUSES.includes(invoice.status)
+        || event.payment.amount > invoice.balanceDue) {
+        const transaction = await BankTransaction.create({
+          userId: invoice.userId,
+          fingerprint: `${provider.name}:${event.eventId}`,
+          sourceFormat: provider.name,
+          bookingDate: event.payment.paymentDate,
+          amount: event.payment.amount,
+          currency: event.payment.currency,
+          reference: [`Invoice ${invoice.invoiceNumber}`, event.payment.reference].filter(Boolean).join(' ')
+        }, db);
+
+        logger.warn('Payment webhook queued for reconciliation', {
+          provider: provider.name,
+          eventId: event.eventId,
+          invoiceId: invoice.id,
+          transactionId: transaction?.id,
+          amount: event.payment.amount,
+          currency: event.payment.currency,
+          balanceDue: invoice.balanceDue
+        });
+        return { status: 'unmatched', payment: null };
+      }
+
+      const payment = await Payment.create({
+        ...event.payment,
+        userId: invoice.userId,
+        invoiceId: invoice.id,
+        notes: `Paid online via ${provider.name}`
+      }, db);
+      await PaymentEvent.attachPayment(db, claimed.id, payment.id);
+
+      logger.info('Online payment recorded', {
+        provider: provider.name,
+        eventId: event.eventId,
+        invoiceId: invoice.id,
+        paymentId: payment.id,
+        amount: payment.amount
+      });
+
+      return { status: 'processed', payment };
+    });
+  }
+}
+
+// Export a singleton instance
+export const paymentGatewayService = new PaymentGatewayService();
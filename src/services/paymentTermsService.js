@@ -0,0 +1,30 @@
+import { User } from '../models/index.js';
+import { getPaymentTermPresets, resolvePaymentTerms } from '../utils/paymentTerms.js';
+
+export class PaymentTermsService {
+  async getSettings(userId) {
+    const user = userId ? await User.findById(userId) : null;
+    return user?.settings || {};
+  }
+
+  async getPresets(userId) {
+    return getPaymentTermPresets(await this.getSettings(userId));
+  }
+
+  // Resolve request terms against the user's presets. Returns { terms } or
+  // { error }; terms is null when the request clears them.
+  async resolveTerms(userId, terms) {
+    if (!terms) {
+      return { terms: null };
+    }
+
+    const resolved = resolvePaymentTerms(terms, await this.getSettings(userId));
+    if (!resolved) {
+      return { error: `Unknown payment terms preset: ${terms.preset}` };
+    }
+    return { terms: resolved };
+  }
+}
+
+// Export a singleton instance
+export const paymentTermsService = new PaymentTermsService();
@@ -1,7 +1,7 @@
 import puppeteer from 'puppeteer';
 import { logger } from '../utils/logger.js';
 import { TemplateController } from '../controllers/templateController.js';
-import { Invoice } from '../models/index.js';
+import { Invoice, Quote, CreditNote } from '../models/index.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -25,14 +25,106 @@ export class PDFService {
   }
 
   async generateInvoicePDF(invoiceId, templateId = null) {
-    let browser = null;
-    
     try {
       logger.info('Starting PDF generation for invoice', { invoiceId, templateId });
       
       // Get the rendered HTML content from the template controller
       const htmlContent = await this.templateController.renderInvoiceWithTemplate(invoiceId, templateId);
+      const pdfBuffer = await this.renderPDF(htmlContent);
+      
+      // Save PDF to file system
+      const invoice = await Invoice.findById(invoiceId);
+      const filename = this.buildFilename('invoice', invoice.invoiceNumber);
+      const filepath = path.join(this.pdfOutputPath, filename);
+      
+      await fs.writeFile(filepath, pdfBuffer);
       
+      // Update invoice with PDF path
+      await Invoice.update(invoiceId, { pdfPath: filepath });
+      
+      logger.info('PDF generated successfully', { 
+        invoiceId, 
+        filename, 
+        size: pdfBuffer.length 
+      });
+
+      return {
+        success: true,
+        filename,
+        filepath,
+        buffer: pdfBuffer,
+        size: pdfBuffer.length
+      };
+
+    } catch (error) {
+      logger.error('Error generating PDF:', error);
+      throw error;
+    }
+  }
+
+  async generateQuotePDF(quoteId, templateId = null) {
+    try {
+      logger.info('Starting PDF generation for quote', { quoteId, templateId });
+      
+      const htmlContent = await this.templateController.renderQuoteWithTemplate(quoteId, templateId);
+      const quote = await Quote.findById(quoteId);
+      const result = await this.writePDF(htmlContent, this.buildFilename('quote', quote.quoteNumber));
+      
+      await Quote.update(quoteId, { pdfPath: result.filepath });
+      
+      logger.info('Quote PDF generated successfully', { quoteId, filename: result.filename, size: result.size });
+      return result;
+    } catch (error) {
+      logger.error('Error generating quote PDF:', error);
+      throw error;
+    }
+  }
+
+  async generateCreditNotePDF(creditNoteId, templateId = null) {
+    try {
+      logger.info('Starting PDF generation for credit note', { creditNoteId, templateId });
+      
+      const htmlContent = await this.templateController.renderCreditNoteWithTemplate(creditNoteId, templateId);
+      const creditNote = await CreditNote.findById(creditNoteId);
+      const result = await this.writePDF(htmlContent, this.buildFilename('credit-note', creditNote.creditNoteNumber));
+      
+      await CreditNote.update(creditNoteId, { pdfPath: result.filepath });
+      
+      logger.info('Credit note PDF generated successfully', { creditNoteId, filename: result.filename, size: result.size });
+      return result;
+    } catch (error) {
+      logger.error('Error generating credit note PDF:', error);
+      throw error;
+    }
+  }
+
+  // Render HTML to PDF and save it in the output directory
+  async writePDF(htmlContent, filename) {
+    const pdfBuffer = await this.renderPDF(htmlContent);
+    const filepath = path.join(this.pdfOutputPath, filename);
+    
+    await fs.writeFile(filepath, pdfBuffer);
+    
+    return {
+      success: true,
+      filename,
+      filepath,
+      buffer: pdfBuffer,
+      size: pdfBuffer.length
+    };
+  }
+
+  // Custom number formats may contain path separators such as "/"
+  buildFilename(documentType, documentNumber) {
+    const safeNumber = String(documentNumber).replace(/[^\w.-]+/g, '_');
+    return `${documentType}-${safeNumber}-${Date.now()}.pdf`;
+  }
+
+  // Render HTML to an A4 PDF buffer
+  async renderPDF(htmlContent) {
+    let browser = null;
+    
+    try {
       // Launch Puppeteer browser
       browser = await puppeteer.launch({
         headless: 'new',
@@ -71,35 +163,7 @@ export class PDFService {
         preferCSSPageSize: false
       };
 
-      const pdfBuffer = await page.pdf(pdfOptions);
-      
-      // Save PDF to file system
-      const invoice = Invoice.findById(invoiceId);
-      const filename = `invoice-${invoice.invoiceNumber}-${Date.now()}.pdf`;
-      const filepath = path.join(this.pdfOutputPath, filename);
-      
-      await fs.writeFile(filepath, pdfBuffer);
-      
-      // Update invoice with PDF path
-      Invoice.update(invoiceId, { pdfPath: filepath });
-      
-      logger.info('PDF generated successfully', { 
-        invoiceId, 
-        filename, 
-        size: pdfBuffer.length 
-      });
-
-      return {
-        success: true,
-        filename,
-        filepath,
-        buffer: pdfBuffer,
-        size: pdfBuffer.length
-      };
-
-    } catch (error) {
-      logger.error('Error generating PDF:', error);
-      throw error;
+      return await page.pdf(pdfOptions);
     } finally {
       if (browser) {
         try {
@@ -125,6 +189,24 @@ export class PDFService {
     };
   }
 
+  async getQuotePDFStream(quoteId, templateId = null) {
+    const result = await this.generateQuotePDF(quoteId, templateId);
+    return {
+      stream: result.buffer,
+      filename: result.filename,
+      contentType: 'application/pdf'
+    };
+  }
+
+  async getCreditNotePDFStream(creditNoteId, templateId = null) {
+    const result = await this.generateCreditNotePDF(creditNoteId, templateId);
+    return {
+      stream: result.buffer,
+      filename: result.filename,
+      contentType: 'application/pdf'
+    };
+  }
+
   // Preview invoice HTML (for debugging)
   async previewInvoiceHTML(invoiceId, templateId = null) {
     try {
@@ -196,7 +278,7 @@ export class PDFService {
   // Get PDF file info
   async getPDFInfo(invoiceId) {
     try {
-      const invoice = Invoice.findById(invoiceId);
+      const invoice = await Invoice.findById(invoiceId);
       if (!invoice || !invoice.pdfPath) {
         return null;
       }
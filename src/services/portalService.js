@@ -0,0 +1,190 @@
+import jwt from 'jsonwebtoken';
+import handlebars from 'handlebars';
+import { format } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { formatCurrency } from '../utils/currencies.js';
+import { Invoice } from '../models/index.js';
+
+const OPEN_STATUSES = ['sent', 'partially_paid', 'overdue', 'disputed'];
+
+// Invoices the client can acknowledge or dispute
+const RESPONDABLE_STATUSES = ['sent', 'partially_paid', 'overdue'];
+
+// Bar shown above the rendered invoice: PDF download and the client's other
+// open invoices, each with its own portal link
+const portalBar = handlebars.compile(`
+<div style="font-family: Arial, sans-serif; background: #f3f4f6; border-bottom: 1px solid #d1d5db; padding: 12px 24px; margin-bottom: 24px;">
+  <a href="{{pdfUrl}}" style="float: right; background: #2563eb; color: #fff; padding: 6px 14px; border-radius: 4px; text-decoration: none;">Download PDF</a>
+  {{#if payUrl}}<a href="{{payUrl}}" style="float: right; margin-right: 8px; background: #059669; color: #fff; padding: 6px 14px; border-radius: 4px; text-decoration: none;">Pay now {{balanceDue}}</a>{{/if}}
+  <strong>{{businessName}}</strong> &middot; Invoice {{invoiceNumber}}
+  {{#if acknowledgedAt}}<span style="margin-left: 12px; color: #047857;">Acknowledged {{acknowledgedAt}}</span>{{/if}}
+  {{#if paymentSubmitted}}
+  <div style="clear: both; margin-top: 10px; font-size: 14px; color: #047857;">Thank you, your payment has been received and will show here once it is confirmed.</div>
+  {{/if}}
+  {{#if dispute}}
+  <div style="clear: both; margin-top: 10px; font-size: 14px;">
+    {{#if dispute.isOpen}}Your dispute of {{dispute.raisedAt}} is being reviewed.{{/if}}
+    {{#if dispute.isCredited}}Your dispute of {{dispute.raisedAt}} was accepted and a credit note issued.{{/if}}
+    {{#if dispute.isRejected}}Your dispute of {{dispute.raisedAt}} was not accepted.{{/if}}
+    {{#if dispute.resolutionNote}}<em>{{dispute.resolutionNote}}</em>{{/if}}
+  </div>
+  {{/if}}
+  {{#if canRespond}}
+  <div style="clear: both; margin-top: 10px; font-size: 14px;">
+    {{#unless acknowledgedAt}}
+    <form method="post" action="{{actionUrl}}/acknowledge" style="display: inline;">
+      <button type="submit">Acknowledge invoice</button>
+    </form>
+    {{/unless}}
+    <details style="margin-top: 8px;">
+      <summary style="cursor: pointer;">Dispute this invoice</summary>
+      <form method="post" action="{{actionUrl}}/dispute" style="margin-top: 8px;">
+        <p style="margin: 0 0 6px;">Select the lines you disagree with, or none to dispute the whole invoice:</p>
+        {{#each lines}}
+        <label style="display: block;"><input type="checkbox" name="lineIndexes" value="{{lineIndex}}"> {{description}} ({{total}})</label>
+        {{/each}}
+        <textarea name="comment" rows="3" required maxlength="2000" placeholder="Tell us what is wrong" style="width: 100%; margin-top: 6px;"></textarea>
+        <button type="submit">Send dispute</button>
+      </form>
+    </details>
+  </div>
+  {{/if}}
+  {{#if openInvoices.length}}
+  <div style="clear: both; margin-top: 10px; font-size: 14px;">
+    Other open invoices:
+    <ul style="margin: 6px 0 0; padding-left: 20px;">
+      {{#each openInvoices}}
+      <li><a href="{{url}}">{{invoiceNumber}}</a> &ndash; {{balanceDue}} due {{dueDate}}</li>
+      {{/each}}
+    </ul>
+  </div>
+  {{/if}}
+</div>
+`);
+
+const messagePage = handlebars.compile(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>{{title}}</title></head>
+<body style="font-family: Arial, sans-serif; text-align: center; padding: 80px 20px; color: #374151;">
+  <h1 style="font-size: 22px;">{{title}}</h1>
+  <p>{{message}}</p>
+</body>
+</html>`);
+
+export class PortalService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+    this.linkExpiresIn = process.env.PORTAL_LINK_EXPIRES_IN || '30d';
+    this.baseUrl = (process.env.PORTAL_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  }
+
+  // Signed link token for one invoice. The portal audience keeps these from
+  // being accepted as user tokens and the other way round.
+  generateToken(invoice) {
+    return jwt.sign({ invoiceId: invoice.id, clientId: invoice.clientId }, this.jwtSecret, {
+      expiresIn: this.linkExpiresIn,
+      issuer: 'invoice-generator',
+      audience: 'invoice-portal'
+    });
+  }
+
+  verifyToken(token) {
+    try {
+      return jwt.verify(token, this.jwtSecret, {
+        issuer: 'invoice-generator',
+        audience: 'invoice-portal'
+      });
+    } catch (error) {
+      logger.warn('Portal token verification failed', { error: error.message });
+      return null;
+    }
+  }
+
+  getInvoiceUrl(invoice) {
+    return `${this.baseUrl}/portal/${this.generateToken(invoice)}`;
+  }
+
+  getPaymentUrl(invoice) {
+    return `${this.getInvoiceUrl(invoice)}/pay`;
+  }
+
+  // The invoice a token links to, or null when the token is invalid, expired
+  // or the invoice has since been deleted, moved to another client or is
+  // back in draft
+  async findInvoice(token) {
+    const payload = this.verifyToken(token);
+    if (!payload) {
+      return null;
+    }
+
+    const invoice = await Invoice.findById(payload.invoiceId);
+    if (!invoice || invoice.clientId !== payload.clientId || invoice.status === 'draft') {
+      return null;
+    }
+    return invoice;
+  }
+
+  // The client's other unpaid invoices, oldest due first
+  async getOpenInvoices(invoice) {
+    const invoices = await Invoice.findAll({ clientId: invoice.clientId });
+    return invoices
+      .filter(other => other.id !== invoice.id && OPEN_STATUSES.includes(other.status))
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+      .map(other => ({
+        invoiceNumber: other.invoiceNumber,
+        dueDate: format(new Date(other.dueDate), 'MMMM d, yyyy'),
+        balanceDue: formatCurrency(other.balanceDue, other.currency),
+        url: this.getInvoiceUrl(other)
+      }));
+  }
+
+  canRespond(invoice) {
+    return RESPONDABLE_STATUSES.includes(invoice.status);
+  }
+
+  canPay(invoice) {
+    return OPEN_STATUSES.includes(invoice.status) && invoice.balanceDue > 0;
+  }
+
+  // Put the portal bar at the top of the invoice's rendered template.
+  // `dispute` is the invoice's latest dispute, if any; `paymentSubmitted`
+  // is set when the client comes back from checkout.
+  buildInvoicePage(invoiceHtml, { invoice, token, openInvoices, dispute = null, paymentSubmitted = false }) {
+    const bar = portalBar({
+      businessName: process.env.BUSINESS_NAME || 'Your Business',
+      invoiceNumber: invoice.invoiceNumber,
+      pdfUrl: `/portal/${token}/pdf`,
+      payUrl: this.canPay(invoice) ? `/portal/${token}/pay` : null,
+      balanceDue: formatCurrency(invoice.balanceDue, invoice.currency),
+      paymentSubmitted,
+      actionUrl: `/portal/${token}`,
+      acknowledgedAt: invoice.acknowledgedAt ? format(new Date(invoice.acknowledgedAt), 'MMMM d, yyyy') : null,
+      dispute: dispute && {
+        isOpen: dispute.status === 'open',
+        isCredited: dispute.status === 'credited',
+        isRejected: dispute.status === 'rejected',
+        raisedAt: format(new Date(dispute.createdAt), 'MMMM d, yyyy'),
+        resolutionNote: dispute.resolutionNote
+      },
+      canRespond: this.canRespond(invoice),
+      lines: invoice.items.map((item, lineIndex) => ({
+        lineIndex,
+        description: item.description,
+        total: formatCurrency(item.total, invoice.currency)
+      })),
+      openInvoices
+    });
+
+    const bodyTag = /<body[^>]*>/i;
+    return bodyTag.test(invoiceHtml)
+      ? invoiceHtml.replace(bodyTag, match => `${match}${bar}`)
+      : `${bar}${invoiceHtml}`;
+  }
+
+  buildMessagePage(title, message) {
+    return messagePage({ title, message });
+  }
+}
+
+// Export a singleton instance
+export const portalService = new PortalService();
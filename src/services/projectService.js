@@ -0,0 +1,76 @@
+import { CreditNote, Invoice, TimeEntry } from '../models/index.js';
+import { roundCurrency } from '../utils/currencies.js';
+import * as money from '../utils/money.js';
+import { currencyService } from './currencyService.js';
+
+// Invoices that have been issued to the client and count as billed
+const BILLED_STATUSES = ['sent', 'partially_paid', 'paid', 'overdue', 'disputed'];
+
+export class ProjectService {
+  // Billing and budget figures in the project currency. Amounts come from
+  // currencyService.summarizeInvoices, so invoices in another currency are
+  // converted with their snapshotted rate or reported under `unconverted`.
+  // The amount budget is measured against billed amounts excluding tax.
+  async buildSummary(project) {
+    const invoices = await Invoice.findAll({ userId: project.userId, projectId: project.id });
+    const billedInvoices = invoices.filter(invoice => BILLED_STATUSES.includes(invoice.status));
+    const draftInvoices = invoices.filter(invoice => invoice.status === 'draft');
+
+    const { base, byCurrency, unconverted } = currencyService.summarizeInvoices(billedInvoices, project.currency);
+    const drafts = currencyService.summarizeInvoices(draftInvoices, project.currency);
+
+    // Credit note amounts are negative, so adding them nets the invoice down
+    const creditNotes = await CreditNote.findAll({ userId: project.userId, clientId: project.clientId, status: 'issued' });
+    let billedExcludingTax = money.ZERO;
+    for (const invoice of billedInvoices) {
+      const rate = currencyService.getInvoiceRate(invoice, project.currency);
+      if (rate === null) continue;
+
+      const documents = [invoice, ...creditNotes.filter(creditNote => creditNote.invoiceId === invoice.id)];
+      const netOfTax = money.sum(documents.map(document => money.subtract(document.total, document.taxAmount)));
+      billedExcludingTax = money.add(billedExcludingTax, money.multiply(netOfTax, rate));
+    }
+
+    const timeEntries = await TimeEntry.findAll({ userId: project.userId, projectId: project.id });
+    const trackedMinutes = money.sum(timeEntries.map(entry => entry.durationMinutes));
+    const billedMinutes = money.sum(timeEntries.filter(entry => entry.invoiceId).map(entry => entry.durationMinutes));
+    const toHours = (minutes) => money.toNumber(money.divide(minutes, 60, 2));
+    const round = (amount) => roundCurrency(amount, project.currency);
+
+    return {
+      currency: project.currency,
+      invoiceCount: billedInvoices.length,
+      draftCount: draftInvoices.length,
+      billedAmount: base.totalAmount,
+      billedAmountExcludingTax: round(billedExcludingTax),
+      creditedAmount: base.creditedAmount,
+      paidAmount: base.paidAmount,
+      outstandingAmount: base.outstandingAmount,
+      draftAmount: drafts.base.totalAmount,
+      byCurrency,
+      unconverted: {
+        count: unconverted.count + drafts.unconverted.count,
+        currencies: [...new Set([...unconverted.currencies, ...drafts.unconverted.currencies])]
+      },
+      budget: project.budgetAmount === null ? null : {
+        amount: project.budgetAmount,
+        remaining: round(money.subtract(project.budgetAmount, billedExcludingTax)),
+        percentUsed: project.budgetAmount > 0
+          ? money.toNumber(money.divide(money.multiply(billedExcludingTax, 100), project.budgetAmount, 1))
+          : null
+      },
+      hours: {
+        tracked: toHours(trackedMinutes),
+        billed: toHours(billedMinutes),
+        unbilled: toHours(money.subtract(trackedMinutes, billedMinutes)),
+        budget: project.budgetHours,
+        remaining: project.budgetHours === null
+          ? null
+          : money.toNumber(money.subtract(project.budgetHours, toHours(trackedMinutes)))
+      }
+    };
+  }
+}
+
+// Export a singleton instance
+export const projectService = new ProjectService();
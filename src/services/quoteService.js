@@ -0,0 +1,58 @@
+import { format } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { withTransaction } from '../config/database.js';
+import { Quote, Invoice } from '../models/index.js';
+
+export class QuoteService {
+  // Move every sent quote past its expiry date to expired
+  async processExpiredQuotes(asOfDate = new Date()) {
+    const today = format(asOfDate, 'yyyy-MM-dd');
+    const quotes = await Quote.markExpired(today);
+
+    if (quotes.length > 0) {
+      logger.info('Quotes marked as expired', {
+        count: quotes.length,
+        quoteIds: quotes.map(quote => quote.id)
+      });
+    }
+
+    return quotes;
+  }
+
+  // Create a draft invoice from an accepted quote. Returns null if the quote
+  // is not accepted anymore or has already been converted.
+  async convertToInvoice(quote, options = {}) {
+    const invoice = await withTransaction(async (db) => {
+      const claimed = await Quote.claimConversion(quote.id, db);
+      if (!claimed) {
+        return null;
+      }
+
+      return await Invoice.create({
+        userId: claimed.userId,
+        clientId: claimed.clientId,
+        quoteId: claimed.id,
+        issueDate: options.issueDate || format(new Date(), 'yyyy-MM-dd'),
+        paymentTerms: options.paymentTerms ?? claimed.paymentTerms,
+        items: claimed.items,
+        taxRate: claimed.taxRate,
+        discountType: claimed.discountType,
+        discountValue: claimed.discountValue,
+        discountBeforeTax: claimed.discountBeforeTax,
+        currency: claimed.currency,
+        notes: claimed.notes,
+        templateId: claimed.templateId,
+        status: 'draft'
+      }, db);
+    });
+
+    if (invoice) {
+      logger.info('Quote converted to invoice', { quoteId: quote.id, invoiceId: invoice.id });
+    }
+
+    return invoice;
+  }
+}
+
+// Export a singleton instance
+export const quoteService = new QuoteService();
@@ -0,0 +1,87 @@
+import { CatalogItem, ClientRate } from '../models/index.js';
+import * as money from '../utils/money.js';
+
+export class RateCardService {
+  // A client's rate for a catalog item in a currency, and where it comes
+  // from: the client's rate for that item, the client's hourly rate (hourly
+  // items in the client's own currency only) or the catalog default.
+  // `rate` is null when none of them applies.
+  getEffectiveRate(catalogItem, client, clientRates, currency) {
+    const clientRate = clientRates.find(rate => rate.catalogItemId === catalogItem.id && rate.currency === currency);
+    if (clientRate) {
+      return { rate: clientRate.rate, source: 'client_item' };
+    }
+
+    if (catalogItem.unit === 'hour' && client.hourlyRate !== null && client.currency === currency) {
+      return { rate: client.hourlyRate, source: 'client_hourly' };
+    }
+
+    const rate = catalogItem.getRate(currency);
+    return { rate, source: rate !== null ? 'catalog' : null };
+  }
+
+  // Every catalog item with the rate the client pays for it in a currency
+  async buildRateCard(client, currency = client.currency) {
+    const catalogItems = await CatalogItem.findAll({ userId: client.userId });
+    const clientRates = await ClientRate.findByClient(client.id, currency);
+
+    return {
+      clientId: client.id,
+      currency,
+      hourlyRate: client.currency === currency ? client.hourlyRate : null,
+      items: catalogItems.map(item => ({
+        catalogItemId: item.id,
+        name: item.name,
+        sku: item.sku,
+        unit: item.unit,
+        catalogRate: item.getRate(currency),
+        ...this.getEffectiveRate(item, client, clientRates, currency)
+      }))
+    };
+  }
+
+  // Fill in the rate of lines picked from the catalog and reject any line
+  // priced differently from the client's rate card. Lines for items with no
+  // rate in the currency keep the rate they were given. Returns { items } or
+  // { error }; unknown catalog items are reported by CatalogItem.findUnknownIds.
+  async applyRates(client, currency, items) {
+    const ids = CatalogItem.collectIds(items);
+    if (ids.length === 0) {
+      return { items };
+    }
+
+    const catalogItems = new Map(
+      (await CatalogItem.findAll({ userId: client.userId, ids })).map(item => [item.id, item])
+    );
+    const clientRates = await ClientRate.findByClient(client.id, currency);
+
+    const pricedItems = [];
+    for (const item of items) {
+      const catalogItem = item.catalogItemId && catalogItems.get(item.catalogItemId);
+      if (!catalogItem) {
+        pricedItems.push(item);
+        continue;
+      }
+
+      const { rate } = this.getEffectiveRate(catalogItem, client, clientRates, currency);
+      if (rate === null) {
+        if (item.rate === undefined) {
+          return { error: `"${catalogItem.name}" has no rate in ${currency}; give the line a rate` };
+        }
+        pricedItems.push(item);
+        continue;
+      }
+
+      if (item.rate !== undefined && money.compare(item.rate, rate) !== 0) {
+        return { error: `Rate for "${catalogItem.name}" must be ${rate} ${currency} for this client` };
+      }
+
+      pricedItems.push({ ...item, rate });
+    }
+
+    return { items: pricedItems };
+  }
+}
+
+// Export a singleton instance
+export const rateCardService = new RateCardService();
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { BankTransaction, Client, Invoice } from '../models/index.js';
+import { parseStatement, detectStatementFormat } from '../utils/bankStatements.js';
+import * as money from '../utils/money.js';
+import { currencyService } from './currencyService.js';
+
+const OPEN_STATUSES = ['sent', 'partially_paid', 'overdue', 'disputed'];
+
+// Points for each kind of evidence linking a transaction to an invoice. A
+// suggestion needs at least MATCH_THRESHOLD: the invoice number, or the
+// amount together with the client's name.
+const MATCH_WEIGHTS = {
+  invoice_number: 50,
+  amount: 30,
+  client_name: 20
+};
+const MATCH_THRESHOLD = 50;
+
+// Lowercased letters and digits only, so "INV-2024/0001" finds "inv20240001"
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export class ReconciliationService {
+  // Score each open invoice against the transaction and return the best
+  // { invoiceId, matchScore, matchReasons }, or null when nothing reaches
+  // the threshold or two invoices tie for the best score.
+  findMatch(transaction, openInvoices, clients) {
+    const reference = normalize(transaction.reference);
+    const text = normalize(`${transaction.reference} ${transaction.counterparty}`);
+    const clientsById = new Map(clients.map(client => [client.id, client]));
+
+    const candidates = openInvoices
+      .filter(invoice => invoice.currency === transaction.currency)
+      .map(invoice => {
+        const reasons = [];
+        const invoiceNumber = normalize(invoice.invoiceNumber);
+        if (invoiceNumber.length >= 3 && reference.includes(invoiceNumber)) {
+          reasons.push('invoice_number');
+        }
+        if (money.compare(transaction.amount, invoice.balanceDue) === 0) {
+          reasons.push('amount');
+        }
+        const client = clientsById.get(invoice.clientId);
+        const names = [client?.name, client?.company].map(normalize).filter(name => name.length >= 3);
+        if (names.some(name => text.includes(name))) {
+          reasons.push('client_name');
+        }
+
+        const score = reasons.reduce((total, reason) => total + MATCH_WEIGHTS[reason], 0);
+        return { invoiceId: invoice.id, matchScore: score, matchReasons: reasons };
+      })
+      .filter(candidate => candidate.matchScore >= MATCH_THRESHOLD)
+      .sort((a, b) => b.matchScore - a.matchScore);
+
+    if (candidates.length === 0) return null;
+    if (candidates.length > 1 && candidates[1].matchScore === candidates[0].matchScore) return null;
+    return candidates[0];
+  }
+
+  async getOpenInvoices(userId) {
+    const invoices = await Invoice.findAll({ userId });
+    return invoices.filter(invoice => OPEN_STATUSES.includes(invoice.status) && invoice.balanceDue > 0);
+  }
+
+  // Statements often lack transaction IDs, so those are identified by their
+  // contents plus how many identical lines came before them in the file.
+  // Re-importing an overlapping statement then skips what's already there.
+  fingerprint(format, transaction, seen) {
+    if (transaction.externalId) {
+      return `${format}:${transaction.externalId}`;
+    }
+
+    const key = [
+      transaction.bookingDate,
+      transaction.amount,
+      transaction.currency,
+      transaction.reference,
+      transaction.counterparty
+    ].join('|');
+    const occurrence = (seen.get(key) || 0) + 1;
+    seen.set(key, occurrence);
+
+    return `${format}:${crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex')}`;
+  }
+
+  // Parse a statement, store its incoming payments and suggest an invoice
+  // for each. Debits and zero amounts are skipped, as are transactions
+  // already imported. Returns a summary or { error }.
+  async importStatement(userId, { content, format, currency }) {
+    const statementFormat = format || detectStatementFormat(content);
+    const defaultCurrency = currency || await currencyService.getBaseCurrency(userId);
+    const { transactions, errors } = parseStatement(content, statementFormat, { currency: defaultCurrency });
+
+    if (transactions.length === 0 && errors.length === 0) {
+      return { error: `No transactions found in the ${statementFormat} statement` };
+    }
+
+    const [openInvoices, clients] = await Promise.all([
+      this.getOpenInvoices(userId),
+      Client.findAll(userId)
+    ]);
+
+    const summary = {
+      format: statementFormat,
+      imported: 0,
+      matched: 0,
+      unmatched: 0,
+      duplicates: 0,
+      skipped: 0,
+      errors,
+      transactions: []
+    };
+    const seen = new Map();
+
+    for (const transaction of transactions) {
+      const fingerprint = this.fingerprint(statementFormat, transaction, seen);
+      if (money.sign(transaction.amount) <= 0) {
+        summary.skipped++;
+        continue;
+      }
+
+      const data = { ...transaction, currency: transaction.currency || defaultCurrency };
+      const match = this.findMatch(data, openInvoices, clients);
+      const created = await BankTransaction.create({
+        ...data,
+        ...match,
+        userId,
+        fingerprint,
+        sourceFormat: statementFormat
+      });
+      if (!created) {
+        summary.duplicates++;
+        continue;
+      }
+
+      summary.imported++;
+      summary[created.status]++;
+      summary.transactions.push(created);
+    }
+
+    logger.info('Bank statement imported', {
+      userId,
+      format: statementFormat,
+      imported: summary.imported,
+      matched: summary.matched,
+      duplicates: summary.duplicates,
+      errors: errors.length
+    });
+
+    return summary;
+  }
+
+  // Record the transaction as a payment against the suggested invoice, or
+  // against invoiceId when the owner links it by hand.
+  // Returns { transaction, payment, invoice } or { error }.
+  async confirmTransaction(transaction, invoiceId = null) {
+    if (!['unmatched', 'matched'].includes(transaction.status)) {
+      return { error: `Transaction is already ${transaction.status}` };
+    }
+
+    const targetId = invoiceId || transaction.invoiceId;
+    if (!targetId) {
+      return { error: 'Transaction has no matched invoice; choose one to link it to' };
+    }
+
+    const invoice = await Invoice.findById(targetId);
+    if (!invoice || invoice.userId !== transaction.userId) {
+      return { error: 'Invoice not found' };
+    }
+
+    if (!OPEN_STATUSES.includes(invoice.status)) {
+      return { error: `Invoice ${invoice.invoiceNumber} is ${invoice.status} and cannot take a payment` };
+    }
+
+    if (invoice.currency !== transaction.currency) {
+      return { error: `Transaction is in ${transaction.currency} but invoice ${invoice.invoiceNumber} is in ${invoice.currency}` };
+    }
+
+    if (transaction.amount > invoice.balanceDue) {
+      return { error: `Payment exceeds the balance due of ${invoice.balanceDue.toFixed(2)}` };
+    }
+
+    const result = await BankTransaction.reconcile(transaction.id, invoice);
+    if (!result) {
+      return { error: 'Transaction has already been reconciled or ignored' };
+    }
+    if (!result.payment) {
+      const current = await Invoice.findById(invoice.id);
+      return { error: `Payment exceeds the balance due of ${current.balanceDue.toFixed(2)}` };
+    }
+
+    logger.info('Bank transaction reconciled', {
+      transactionId: transaction.id,
+      invoiceId: invoice.id,
+      paymentId: result.payment.id,
+      amount: result.payment.amount
+    });
+
+    return { ...result, invoice: await Invoice.findById(invoice.id) };
+  }
+}
+
+// Export a singleton instance
+export const reconciliationService = new ReconciliationService();
@@ -0,0 +1,99 @@
+import { format } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { withTransaction } from '../config/database.js';
+import { RecurringInvoice, Invoice } from '../models/index.js';
+import { emailService } from './emailService.js';
+
+export class RecurringInvoiceService {
+  // Generate invoices for every active schedule that has reached its next run date.
+  // Each schedule produces at most one invoice per call, so missed periods are
+  // caught up one tick at a time rather than in a single burst.
+  async processDueSchedules(asOfDate = new Date()) {
+    const today = format(asOfDate, 'yyyy-MM-dd');
+    const dueSchedules = await RecurringInvoice.findDue(today);
+
+    if (dueSchedules.length === 0) {
+      return [];
+    }
+
+    logger.info('Processing due recurring invoices', { count: dueSchedules.length, asOf: today });
+
+    const results = [];
+    for (const schedule of dueSchedules) {
+      try {
+        const invoice = await this.generateInvoice(schedule);
+        results.push({
+          recurringInvoiceId: schedule.id,
+          success: true,
+          invoiceId: invoice?.id || null,
+          skipped: !invoice
+        });
+      } catch (error) {
+        logger.error(`Failed to generate invoice for schedule ${schedule.id}:`, error);
+        results.push({
+          recurringInvoiceId: schedule.id,
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  async generateInvoice(schedule) {
+    const invoice = await withTransaction(async (db) => {
+      // Claiming the run first guarantees a single invoice per occurrence
+      // even if several instances process the same schedule
+      const claimed = await RecurringInvoice.claimRun(schedule, db);
+      if (!claimed) {
+        logger.info('Recurring invoice run already claimed, skipping', { recurringInvoiceId: schedule.id });
+        return null;
+      }
+
+      return await Invoice.create({
+        userId: schedule.userId,
+        clientId: schedule.clientId,
+        recurringInvoiceId: schedule.id,
+        issueDate: schedule.nextRunDate,
+        paymentTerms: schedule.paymentTerms,
+        items: schedule.items.map(item => ({
+          ...item,
+          total: Invoice.calculateLineTotal(item)
+        })),
+        taxRate: schedule.taxRate,
+        discountType: schedule.discountType,
+        discountValue: schedule.discountValue,
+        discountBeforeTax: schedule.discountBeforeTax,
+        currency: schedule.currency,
+        notes: schedule.notes,
+        templateId: schedule.templateId,
+        status: 'draft'
+      }, db);
+    });
+
+    if (!invoice) {
+      return null;
+    }
+
+    logger.info('Recurring invoice generated', {
+      recurringInvoiceId: schedule.id,
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoiceNumber
+    });
+
+    if (schedule.autoSend) {
+      try {
+        await emailService.sendInvoiceEmail(invoice.id);
+      } catch (error) {
+        // The invoice stays a draft so it can be sent manually
+        logger.error(`Failed to auto-send recurring invoice ${invoice.id}:`, error);
+      }
+    }
+
+    return invoice;
+  }
+}
+
+// Export a singleton instance
+export const recurringInvoiceService = new RecurringInvoiceService();
@@ -0,0 +1,78 @@
+import { format } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { Invoice, ReminderRule, ReminderLog } from '../models/index.js';
+import { emailService } from './emailService.js';
+
+// Reminders whose date passed longer ago than this are skipped instead of
+// being sent late (e.g. when a rule is created for old invoices)
+const CATCH_UP_DAYS = parseInt(process.env.REMINDER_CATCH_UP_DAYS || '7', 10);
+
+// Disputed invoices get no reminders until the dispute is resolved
+const REMINDABLE_STATUSES = ['sent', 'partially_paid', 'overdue'];
+
+export class ReminderService {
+  async processDueReminders(asOfDate = new Date()) {
+    const today = format(asOfDate, 'yyyy-MM-dd');
+    const dueReminders = await ReminderRule.findDueReminders(today, CATCH_UP_DAYS);
+
+    if (dueReminders.length === 0) {
+      return [];
+    }
+
+    logger.info('Processing due payment reminders', { count: dueReminders.length, asOf: today });
+
+    const rules = new Map();
+    const results = [];
+
+    for (const { invoiceId, ruleId } of dueReminders) {
+      try {
+        if (!rules.has(ruleId)) {
+          rules.set(ruleId, await ReminderRule.findById(ruleId));
+        }
+
+        const rule = rules.get(ruleId);
+        if (!rule) continue; // Rule deleted since the query ran
+
+        const result = await this.sendReminder(invoiceId, rule);
+        results.push({ invoiceId, ruleId, ...result });
+      } catch (error) {
+        logger.error(`Failed to process reminder for invoice ${invoiceId}:`, error);
+        results.push({ invoiceId, ruleId, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  async sendReminder(invoiceId, rule) {
+    const claim = await ReminderLog.claim({ id: invoiceId, userId: rule.userId }, rule);
+    if (!claim) {
+      return { success: true, skipped: true };
+    }
+
+    // Re-check right before sending: the invoice may have been paid or
+    // cancelled since the due reminders were queried
+    const invoice = await Invoice.findById(invoiceId);
+    const client = invoice ? await invoice.getClient() : null;
+    if (!invoice || !client || !REMINDABLE_STATUSES.includes(invoice.status) || client.remindersOptOut) {
+      await ReminderLog.release(claim.id);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const result = await emailService.sendReminderEmail(invoice, client, rule);
+      await ReminderLog.markSent(claim.id, {
+        recipients: [result.recipients, ...[].concat(result.cc)].filter(Boolean).join(', '),
+        subject: result.subject,
+        messageId: result.messageId
+      });
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      await ReminderLog.markFailed(claim.id, error.message);
+      throw error;
+    }
+  }
+}
+
+// Export a singleton instance
+export const reminderService = new ReminderService();
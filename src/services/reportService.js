@@ -0,0 +1,218 @@
+import { format, startOfYear } from 'date-fns';
+import { CatalogItem, CreditNote, Expense, Invoice } from '../models/index.js';
+import { roundCurrency } from '../utils/currencies.js';
+import * as money from '../utils/money.js';
+import { currencyService } from './currencyService.js';
+
+// Invoices that count as earned revenue
+const REVENUE_STATUSES = ['sent', 'partially_paid', 'paid', 'overdue', 'disputed'];
+
+export class ReportService {
+  getExpenseRate(expense, baseCurrency) {
+    if (expense.currency === baseCurrency) return 1;
+    if (expense.baseCurrency === baseCurrency && expense.exchangeRate) return expense.exchangeRate;
+    return null;
+  }
+
+  // Invoices issued in the period that count as revenue, with the issued
+  // credit notes against each of them
+  async findRevenueDocuments(userId, { startDate, endDate, clientId }) {
+    const invoices = (await Invoice.findAll({
+      userId,
+      clientId,
+      dateRange: { start: startDate, end: endDate }
+    })).filter(invoice => REVENUE_STATUSES.includes(invoice.status));
+
+    const creditNotesByInvoice = new Map();
+    for (const creditNote of await CreditNote.findAll({ userId, clientId, status: 'issued' })) {
+      if (!creditNotesByInvoice.has(creditNote.invoiceId)) {
+        creditNotesByInvoice.set(creditNote.invoiceId, []);
+      }
+      creditNotesByInvoice.get(creditNote.invoiceId).push(creditNote);
+    }
+
+    return { invoices, creditNotesByInvoice };
+  }
+
+  // Revenue (excluding tax, net of credit notes) against expenses in the
+  // user's base currency. Defaults to the current year to date. Documents
+  // without a usable exchange rate are left out and counted in `unconverted`.
+  async buildProfitReport(userId, filters = {}) {
+    const startDate = filters.startDate || format(startOfYear(new Date()), 'yyyy-MM-dd');
+    const endDate = filters.endDate || format(new Date(), 'yyyy-MM-dd');
+    const baseCurrency = await currencyService.getBaseCurrency(userId);
+    const unconverted = { invoices: 0, expenses: 0, currencies: [] };
+
+    const addUnconverted = (key, currency) => {
+      unconverted[key] += 1;
+      if (!unconverted.currencies.includes(currency)) {
+        unconverted.currencies.push(currency);
+      }
+    };
+
+    const { invoices, creditNotesByInvoice } = await this.findRevenueDocuments(userId, { ...filters, startDate, endDate });
+
+    let revenue = money.ZERO;
+    for (const invoice of invoices) {
+      const rate = currencyService.getInvoiceRate(invoice, baseCurrency);
+      if (rate === null) {
+        addUnconverted('invoices', invoice.currency);
+        continue;
+      }
+
+      // Credit note amounts are negative, so adding them nets the invoice down
+      const documents = [invoice, ...(creditNotesByInvoice.get(invoice.id) || [])];
+      const netOfTax = money.sum(documents.map(document => money.subtract(document.total, document.taxAmount)));
+      revenue = money.add(revenue, money.multiply(netOfTax, rate));
+    }
+
+    const expenses = await Expense.findAll({ userId, clientId: filters.clientId, startDate, endDate });
+    let expenseTotal = money.ZERO;
+    const byCategory = {};
+    const rebillable = { billed: money.ZERO, unbilled: money.ZERO };
+
+    for (const expense of expenses) {
+      const rate = this.getExpenseRate(expense, baseCurrency);
+      if (rate === null) {
+        addUnconverted('expenses', expense.currency);
+        continue;
+      }
+
+      const amount = money.multiply(expense.amount, rate);
+      expenseTotal = money.add(expenseTotal, amount);
+      byCategory[expense.category] = money.add(byCategory[expense.category] || money.ZERO, amount);
+
+      if (expense.rebillable) {
+        const key = expense.invoiceId ? 'billed' : 'unbilled';
+        rebillable[key] = money.add(rebillable[key], amount);
+      }
+    }
+
+    const profit = money.subtract(revenue, expenseTotal);
+    const round = (amount) => roundCurrency(amount, baseCurrency);
+
+    return {
+      startDate,
+      endDate,
+      baseCurrency,
+      revenue: round(revenue),
+      expenses: round(expenseTotal),
+      profit: round(profit),
+      // Profit as a percentage of revenue
+      margin: money.isZero(revenue) ? null : money.toNumber(money.divide(money.multiply(profit, 100), revenue, 2)),
+      invoiceCount: invoices.length,
+      expenseCount: expenses.length,
+      expensesByCategory: Object.fromEntries(
+        Object.entries(byCategory).map(([category, amount]) => [category, round(amount)])
+      ),
+      rebillableExpenses: {
+        billed: round(rebillable.billed),
+        unbilled: round(rebillable.unbilled)
+      },
+      unconverted
+    };
+  }
+
+  // Revenue per catalog item in the user's base currency, from line amounts
+  // after line discounts and net of credit notes. Lines not picked from the
+  // catalog are totalled under `uncataloged`. Document discounts and
+  // deposits deducted on final invoices aren't tied to a line, so they are
+  // listed separately; services less both add up to `revenue`.
+  async buildRevenueByServiceReport(userId, filters = {}) {
+    const startDate = filters.startDate || format(startOfYear(new Date()), 'yyyy-MM-dd');
+    const endDate = filters.endDate || format(new Date(), 'yyyy-MM-dd');
+    const baseCurrency = await currencyService.getBaseCurrency(userId);
+    const unconverted = { invoices: 0, currencies: [] };
+
+    const { invoices, creditNotesByInvoice } = await this.findRevenueDocuments(userId, { ...filters, startDate, endDate });
+
+    const services = new Map();
+    const uncataloged = { quantity: money.ZERO, revenue: money.ZERO, lineCount: 0 };
+    let discounts = money.ZERO;
+    let deposits = money.ZERO;
+
+    for (const invoice of invoices) {
+      const rate = currencyService.getInvoiceRate(invoice, baseCurrency);
+      if (rate === null) {
+        unconverted.invoices += 1;
+        if (!unconverted.currencies.includes(invoice.currency)) {
+          unconverted.currencies.push(invoice.currency);
+        }
+        continue;
+      }
+
+      const documents = [invoice, ...(creditNotesByInvoice.get(invoice.id) || [])];
+      for (const document of documents) {
+        for (const item of document.items) {
+          // Credit note lines point back at the invoice line they credit
+          const catalogItemId = item.catalogItemId ?? invoice.items[item.lineIndex]?.catalogItemId;
+          const lineTotal = item.total ?? Invoice.calculateLineTotal(item, { currency: document.currency });
+          const amount = money.multiply(lineTotal, rate);
+
+          let group = uncataloged;
+          if (catalogItemId) {
+            if (!services.has(catalogItemId)) {
+              services.set(catalogItemId, {
+                catalogItemId,
+                description: item.description,
+                quantity: money.ZERO,
+                revenue: money.ZERO,
+                invoiceIds: new Set()
+              });
+            }
+            group = services.get(catalogItemId);
+            group.invoiceIds.add(invoice.id);
+          } else {
+            group.lineCount += 1;
+          }
+
+          group.quantity = money.add(group.quantity, item.quantity);
+          group.revenue = money.add(group.revenue, amount);
+        }
+
+        discounts = money.add(discounts, money.multiply(document.discountAmount, rate));
+      }
+
+      deposits = money.add(deposits, money.multiply(invoice.depositAmount, rate));
+    }
+
+    const catalogItems = new Map(
+      (await CatalogItem.findAll({ userId, ids: [...services.keys()] })).map(item => [item.id, item])
+    );
+    const round = (amount) => roundCurrency(amount, baseCurrency);
+    const lineRevenue = money.add(money.sum([...services.values()].map(service => service.revenue)), uncataloged.revenue);
+
+    return {
+      startDate,
+      endDate,
+      baseCurrency,
+      revenue: round(money.subtract(money.subtract(lineRevenue, discounts), deposits)),
+      invoiceCount: invoices.length,
+      // Items deleted from the catalog since keep the description of their lines
+      services: [...services.values()]
+        .sort((a, b) => money.compare(b.revenue, a.revenue))
+        .map(service => {
+          const catalogItem = catalogItems.get(service.catalogItemId);
+          return {
+            catalogItemId: service.catalogItemId,
+            name: catalogItem?.name ?? service.description,
+            sku: catalogItem?.sku ?? null,
+            unit: catalogItem?.unit ?? null,
+            quantity: money.toNumber(service.quantity),
+            revenue: round(service.revenue),
+            invoiceCount: service.invoiceIds.size
+          };
+        }),
+      uncataloged: {
+        revenue: round(uncataloged.revenue),
+        lineCount: uncataloged.lineCount
+      },
+      documentDiscounts: round(discounts),
+      depositsDeducted: round(deposits),
+      unconverted
+    };
+  }
+}
+
+// Export a singleton instance
+export const reportService = new ReportService();
@@ -0,0 +1,100 @@
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || String(15 * 60 * 1000), 10);
+
+export class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  // Register a periodic background job. Handlers must be idempotent since
+  // every job also runs once immediately when the scheduler starts.
+  register(name, handler, intervalMs = DEFAULT_INTERVAL_MS) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      handler,
+      intervalMs,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastError: null
+    });
+
+    if (this.started) {
+      this.schedule(this.jobs.get(name));
+    }
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      this.schedule(job);
+    }
+
+    logger.info('Scheduler started', { jobs: [...this.jobs.keys()] });
+  }
+
+  schedule(job) {
+    job.timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+    // Don't keep the process alive just for background jobs
+    job.timer.unref?.();
+    this.runJob(job.name);
+  }
+
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job "${name}" not found`);
+    }
+
+    // Skip this tick if the previous run is still in progress
+    if (job.running) {
+      logger.warn('Skipping job run, previous run still in progress', { job: name });
+      return;
+    }
+
+    job.running = true;
+    try {
+      logger.debug('Running scheduled job', { job: name });
+      await job.handler();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date().toISOString();
+    }
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    }
+    this.started = false;
+    logger.info('Scheduler stopped');
+  }
+
+  getStatus() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastError: job.lastError
+    }));
+  }
+}
+
+// Export a singleton instance
+export const schedulerService = new SchedulerService();
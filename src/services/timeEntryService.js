@@ -0,0 +1,139 @@
+import { format, parseISO } from 'date-fns';
+import { logger } from '../utils/logger.js';
+import { withTransaction } from '../config/database.js';
+import { Invoice, TimeEntry } from '../models/index.js';
+import * as money from '../utils/money.js';
+
+// Entry dates come back from DATE columns as local dates or yyyy-MM-dd strings
+const toDateString = (value) => format(value instanceof Date ? value : parseISO(String(value)), 'yyyy-MM-dd');
+const formatDate = (value) => format(parseISO(value), 'MMM d, yyyy');
+
+export class TimeEntryService {
+  getGroupKey(entry, groupBy) {
+    if (groupBy === 'entry') return entry.id;
+    if (groupBy === 'task') return JSON.stringify([entry.project, entry.task]);
+    return entry.project;
+  }
+
+  getLineDescription(entries, groupBy) {
+    const [first] = entries;
+    if (groupBy === 'entry') {
+      return first.description || first.task || first.project || 'Time';
+    }
+    if (groupBy === 'task') {
+      return [first.project, first.task].filter(Boolean).join(': ') || 'Time';
+    }
+    return first.project || 'Time';
+  }
+
+  getLineDetails(entries, groupBy) {
+    const dates = entries.map(entry => toDateString(entry.entryDate)).sort();
+    const period = dates[0] === dates[dates.length - 1]
+      ? formatDate(dates[0])
+      : `${formatDate(dates[0])} - ${formatDate(dates[dates.length - 1])}`;
+
+    if (groupBy === 'entry') return period;
+    return `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}, ${period}`;
+  }
+
+  // One hourly line per project, project and task, or entry (and per rate,
+  // so a line never mixes rates).
+  // Entries without their own rate use options.hourlyRate; returns { error }
+  // if neither is set.
+  buildInvoiceItems(entries, options = {}) {
+    const groupBy = options.groupBy || 'project';
+    const groups = new Map();
+
+    for (const entry of entries) {
+      const rate = entry.hourlyRate ?? options.hourlyRate;
+      if (rate === undefined || rate === null) {
+        return { error: 'Time entries without an hourly rate need a default hourlyRate' };
+      }
+
+      const key = JSON.stringify([this.getGroupKey(entry, groupBy), rate]);
+      if (!groups.has(key)) {
+        groups.set(key, { rate, entries: [] });
+      }
+      groups.get(key).entries.push(entry);
+    }
+
+    // Hours are kept to 10 decimals so the line amount matches the exact
+    // minutes; documents show the quantity rounded
+    const items = [...groups.values()].map(({ rate, entries: groupEntries }) => {
+      const minutes = money.sum(groupEntries.map(entry => entry.durationMinutes));
+      return {
+        description: this.getLineDescription(groupEntries, groupBy),
+        details: this.getLineDetails(groupEntries, groupBy),
+        quantity: money.toNumber(money.divide(minutes, 60, 10)),
+        rate,
+        ...(options.taxCodes && { taxCodes: options.taxCodes })
+      };
+    });
+
+    return { items };
+  }
+
+  // Create a draft invoice from the client's unbilled time and link the
+  // entries to it in the same transaction. Returns { error } when there is
+  // nothing to bill or some requested entries can't be billed.
+  async createInvoiceFromTimeEntries(client, data) {
+    const result = await withTransaction(async (db) => {
+      const entries = await TimeEntry.lockUnbilled(db, {
+        userId: client.userId,
+        clientId: client.id,
+        projectId: data.projectId,
+        ids: data.timeEntryIds,
+        startDate: data.startDate,
+        endDate: data.endDate
+      });
+
+      if (data.timeEntryIds && entries.length !== data.timeEntryIds.length) {
+        const found = new Set(entries.map(entry => entry.id));
+        const unavailable = data.timeEntryIds.filter(id => !found.has(id));
+        return { error: `Time entries are already billed, running, non-billable or empty: ${unavailable.join(', ')}` };
+      }
+
+      if (entries.length === 0) {
+        return { error: 'No unbilled time entries for this client' };
+      }
+
+      const { items, error } = this.buildInvoiceItems(entries, data);
+      if (error) {
+        return { error };
+      }
+
+      const invoice = await Invoice.create({
+        userId: client.userId,
+        clientId: client.id,
+        projectId: data.projectId,
+        issueDate: data.issueDate || format(new Date(), 'yyyy-MM-dd'),
+        paymentTerms: data.paymentTerms,
+        items,
+        taxRate: data.taxRate,
+        discountType: data.discountType,
+        discountValue: data.discountValue,
+        discountBeforeTax: data.discountBeforeTax,
+        currency: data.currency || client.currency,
+        notes: data.notes,
+        templateId: data.templateId,
+        status: 'draft'
+      }, db);
+
+      await TimeEntry.markBilled(db, entries.map(entry => entry.id), invoice.id);
+
+      return { invoice, timeEntryIds: entries.map(entry => entry.id) };
+    });
+
+    if (result.invoice) {
+      logger.info('Invoice created from time entries', {
+        invoiceId: result.invoice.id,
+        timeEntryCount: result.timeEntryIds.length
+      });
+    }
+
+    return result;
+  }
+}
+
+// Export a singleton instance
+export const timeEntryService = new TimeEntryService();
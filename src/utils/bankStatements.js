@@ -0,0 +1,157 @@
+import { parseCsvRecords } from './csv.js';
+import * as money from './money.js';
+
+// Bank statement parsers. Each returns { transactions, errors } where a
+// transaction is { externalId, bookingDate (yyyy-MM-dd), amount (decimal
+// string, negative for debits), currency, reference, counterparty } and
+// errors are { row, error } for entries that couldn't be read.
+
+export const STATEMENT_FORMATS = ['csv', 'ofx', 'camt053'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Guess the format from the content: CAMT.053 is ISO 20022 XML with a
+// BkToCstmrStmt document, OFX has an OFX header or root element
+export const detectStatementFormat = (content) => {
+  const head = String(content).slice(0, 2000);
+  if (/BkToCstmrStmt|camt\.053/i.test(head)) return 'camt053';
+  if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+  return 'csv';
+};
+
+// "1,234.56" -> "1234.56"; returns null for anything that isn't an amount
+const parseAmount = (value) => {
+  const cleaned = String(value ?? '').replace(/[\s,]/g, '');
+  if (!/^[+-]?\d+(\.\d+)?$/.test(cleaned)) return null;
+  return money.formatDecimal(cleaned);
+};
+
+const first = (record, keys) => keys.map(key => record[key]).find(value => value) || '';
+
+// CSV with a header row. Recognised columns: date, amount (or separate
+// credit and debit columns), currency, reference and counterparty, under
+// the common names banks use for them. Dates must be YYYY-MM-DD.
+export const parseCsvStatement = (content, { currency } = {}) => {
+  const transactions = [];
+  const errors = [];
+
+  for (const record of parseCsvRecords(content)) {
+    const bookingDate = first(record, ['date', 'booking_date', 'transaction_date', 'value_date']);
+    if (!ISO_DATE.test(bookingDate) || Number.isNaN(Date.parse(bookingDate))) {
+      errors.push({ row: record.row, error: 'Date must be in YYYY-MM-DD format' });
+      continue;
+    }
+
+    let amount = parseAmount(record.amount);
+    if (amount === null && (record.credit || record.debit)) {
+      const credit = parseAmount(record.credit || '0');
+      const debit = parseAmount(record.debit || '0');
+      amount = credit !== null && debit !== null ? money.formatDecimal(money.subtract(credit, debit)) : null;
+    }
+    if (amount === null) {
+      errors.push({ row: record.row, error: 'Amount must be a number' });
+      continue;
+    }
+
+    transactions.push({
+      externalId: first(record, ['transaction_id', 'id']) || null,
+      bookingDate,
+      amount,
+      currency: (record.currency || currency || '').toUpperCase() || null,
+      reference: first(record, ['reference', 'description', 'details', 'memo', 'narrative', 'remittance_information']),
+      counterparty: first(record, ['counterparty', 'name', 'payer', 'payee', 'counterparty_name'])
+    });
+  }
+
+  return { transactions, errors };
+};
+
+// OFX 1.x (SGML, leaf elements unclosed) and 2.x (XML) statements
+export const parseOfxStatement = (content) => {
+  const text = String(content);
+  const currency = (/<CURDEF>\s*([A-Z]{3})/i.exec(text)?.[1] || '').toUpperCase() || null;
+  const value = (block, tag) => (new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block)?.[1] || '').trim();
+
+  const transactions = [];
+  const errors = [];
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  blocks.forEach((block, index) => {
+    const posted = /^(\d{4})(\d{2})(\d{2})/.exec(value(block, 'DTPOSTED'));
+    const amount = parseAmount(value(block, 'TRNAMT'));
+    if (!posted || amount === null) {
+      errors.push({ row: index + 1, error: 'Transaction has no posting date or amount' });
+      return;
+    }
+
+    transactions.push({
+      externalId: value(block, 'FITID') || null,
+      bookingDate: `${posted[1]}-${posted[2]}-${posted[3]}`,
+      amount,
+      currency,
+      reference: [value(block, 'MEMO'), value(block, 'CHECKNUM'), value(block, 'REFNUM')].filter(Boolean).join(' '),
+      counterparty: value(block, 'NAME') || value(block, 'PAYEE')
+    });
+  });
+
+  return { transactions, errors };
+};
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Elements are matched with or without a namespace prefix
+const xmlBlocks = (xml, tag) => xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>[\\s\\S]*?</(?:\\w+:)?${tag}>`, 'g')) || [];
+const xmlElement = (xml, tag) => new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*)>([\\s\\S]*?)</(?:\\w+:)?${tag}>`).exec(xml);
+const xmlText = (xml, tag) => {
+  const match = xmlElement(xml, tag);
+  return match ? decodeXml(match[2].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()) : '';
+};
+
+// ISO 20022 camt.053 bank-to-customer statements, one transaction per entry
+export const parseCamt053Statement = (content) => {
+  const transactions = [];
+  const errors = [];
+
+  xmlBlocks(String(content), 'Ntry').forEach((entry, index) => {
+    const amountElement = xmlElement(entry, 'Amt');
+    const amount = parseAmount(amountElement?.[2]);
+    const bookingDate = (xmlText(xmlElement(entry, 'BookgDt')?.[0] || '', 'Dt') ||
+      xmlText(xmlElement(entry, 'BookgDt')?.[0] || '', 'DtTm')).slice(0, 10);
+    if (amount === null || !ISO_DATE.test(bookingDate)) {
+      errors.push({ row: index + 1, error: 'Entry has no booking date or amount' });
+      return;
+    }
+
+    const isDebit = xmlText(entry, 'CdtDbtInd') === 'DBIT';
+    // The other party: the debtor pays us on a credit, the creditor is paid on a debit
+    const party = xmlElement(entry, isDebit ? 'Cdtr' : 'Dbtr')?.[0] || '';
+
+    transactions.push({
+      externalId: xmlText(entry, 'AcctSvcrRef') || xmlText(entry, 'NtryRef') || null,
+      bookingDate,
+      amount: isDebit ? money.formatDecimal(money.negate(amount)) : amount,
+      currency: (/Ccy="([A-Z]{3})"/.exec(amountElement[1])?.[1]) || null,
+      reference: [
+        ...xmlBlocks(entry, 'Ustrd').map(block => xmlText(block, 'Ustrd')),
+        xmlText(entry, 'EndToEndId').replace(/^NOTPROVIDED$/, ''),
+        xmlText(entry, 'AddtlNtryInf')
+      ].filter(Boolean).join(' '),
+      counterparty: xmlText(party, 'Nm')
+    });
+  });
+
+  return { transactions, errors };
+};
+
+export const parseStatement = (content, format = detectStatementFormat(content), options = {}) => {
+  switch (format) {
+    case 'ofx': return parseOfxStatement(content);
+    case 'camt053': return parseCamt053Statement(content);
+    default: return parseCsvStatement(content, options);
+  }
+};
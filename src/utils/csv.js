@@ -0,0 +1,59 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+// CRLF/LF line endings. Blank lines are dropped.
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = String(text).replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by normalized header
+// ("Base Currency" -> "base_currency"). Each record carries its 1-based row number (header = row 1).
+export const parseCsvRecords = (text, delimiter = ',') => {
+  const [header, ...rows] = parseCsv(text, delimiter);
+  if (!header) return [];
+
+  const keys = header.map(name => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+
+  return rows.map((fields, index) => ({
+    row: index + 2,
+    ...Object.fromEntries(keys.map((key, i) => [key, (fields[i] ?? '').trim()]))
+  }));
+};
@@ -0,0 +1,193 @@
+import { toDecimal, round, toNumber, formatDecimal } from './money.js';
+
+// ISO 4217 currencies: symbol and number of minor-unit digits
+export const CURRENCIES = {
+  AED: { name: 'UAE Dirham', symbol: 'د.إ', minorUnits: 2 },
+  AFN: { name: 'Afghani', symbol: '؋', minorUnits: 2 },
+  ALL: { name: 'Lek', symbol: 'L', minorUnits: 2 },
+  AMD: { name: 'Armenian Dram', symbol: '֏', minorUnits: 2 },
+  ANG: { name: 'Netherlands Antillean Guilder', symbol: 'ƒ', minorUnits: 2 },
+  AOA: { name: 'Kwanza', symbol: 'Kz', minorUnits: 2 },
+  ARS: { name: 'Argentine Peso', symbol: '$', minorUnits: 2 },
+  AUD: { name: 'Australian Dollar', symbol: 'A$', minorUnits: 2 },
+  AWG: { name: 'Aruban Florin', symbol: 'ƒ', minorUnits: 2 },
+  AZN: { name: 'Azerbaijan Manat', symbol: '₼', minorUnits: 2 },
+  BAM: { name: 'Convertible Mark', symbol: 'KM', minorUnits: 2 },
+  BBD: { name: 'Barbados Dollar', symbol: '$', minorUnits: 2 },
+  BDT: { name: 'Taka', symbol: '৳', minorUnits: 2 },
+  BGN: { name: 'Bulgarian Lev', symbol: 'лв', minorUnits: 2 },
+  BHD: { name: 'Bahraini Dinar', symbol: '.د.ب', minorUnits: 3 },
+  BIF: { name: 'Burundi Franc', symbol: 'FBu', minorUnits: 0 },
+  BMD: { name: 'Bermudian Dollar', symbol: '$', minorUnits: 2 },
+  BND: { name: 'Brunei Dollar', symbol: '$', minorUnits: 2 },
+  BOB: { name: 'Boliviano', symbol: 'Bs.', minorUnits: 2 },
+  BRL: { name: 'Brazilian Real', symbol: 'R$', minorUnits: 2 },
+  BSD: { name: 'Bahamian Dollar', symbol: '$', minorUnits: 2 },
+  BTN: { name: 'Ngultrum', symbol: 'Nu.', minorUnits: 2 },
+  BWP: { name: 'Pula', symbol: 'P', minorUnits: 2 },
+  BYN: { name: 'Belarusian Ruble', symbol: 'Br', minorUnits: 2 },
+  BZD: { name: 'Belize Dollar', symbol: 'BZ$', minorUnits: 2 },
+  CAD: { name: 'Canadian Dollar', symbol: 'C$', minorUnits: 2 },
+  CDF: { name: 'Congolese Franc', symbol: 'FC', minorUnits: 2 },
+  CHF: { name: 'Swiss Franc', symbol: 'CHF', minorUnits: 2 },
+  CLP: { name: 'Chilean Peso', symbol: '$', minorUnits: 0 },
+  CNY: { name: 'Yuan Renminbi', symbol: '¥', minorUnits: 2 },
+  COP: { name: 'Colombian Peso', symbol: '$', minorUnits: 2 },
+  CRC: { name: 'Costa Rican Colon', symbol: '₡', minorUnits: 2 },
+  CUP: { name: 'Cuban Peso', symbol: '$', minorUnits: 2 },
+  CVE: { name: 'Cabo Verde Escudo', symbol: '$', minorUnits: 2 },
+  CZK: { name: 'Czech Koruna', symbol: 'Kč', minorUnits: 2 },
+  DJF: { name: 'Djibouti Franc', symbol: 'Fdj', minorUnits: 0 },
+  DKK: { name: 'Danish Krone', symbol: 'kr', minorUnits: 2 },
+  DOP: { name: 'Dominican Peso', symbol: 'RD$', minorUnits: 2 },
+  DZD: { name: 'Algerian Dinar', symbol: 'د.ج', minorUnits: 2 },
+  EGP: { name: 'Egyptian Pound', symbol: 'E£', minorUnits: 2 },
+  ERN: { name: 'Nakfa', symbol: 'Nfk', minorUnits: 2 },
+  ETB: { name: 'Ethiopian Birr', symbol: 'Br', minorUnits: 2 },
+  EUR: { name: 'Euro', symbol: '€', minorUnits: 2 },
+  FJD: { name: 'Fiji Dollar', symbol: '$', minorUnits: 2 },
+  FKP: { name: 'Falkland Islands Pound', symbol: '£', minorUnits: 2 },
+  GBP: { name: 'Pound Sterling', symbol: '£', minorUnits: 2 },
+  GEL: { name: 'Lari', symbol: '₾', minorUnits: 2 },
+  GHS: { name: 'Ghana Cedi', symbol: 'GH₵', minorUnits: 2 },
+  GIP: { name: 'Gibraltar Pound', symbol: '£', minorUnits: 2 },
+  GMD: { name: 'Dalasi', symbol: 'D', minorUnits: 2 },
+  GNF: { name: 'Guinean Franc', symbol: 'FG', minorUnits: 0 },
+  GTQ: { name: 'Quetzal', symbol: 'Q', minorUnits: 2 },
+  GYD: { name: 'Guyana Dollar', symbol: '$', minorUnits: 2 },
+  HKD: { name: 'Hong Kong Dollar', symbol: 'HK$', minorUnits: 2 },
+  HNL: { name: 'Lempira', symbol: 'L', minorUnits: 2 },
+  HTG: { name: 'Gourde', symbol: 'G', minorUnits: 2 },
+  HUF: { name: 'Forint', symbol: 'Ft', minorUnits: 2 },
+  IDR: { name: 'Rupiah', symbol: 'Rp', minorUnits: 2 },
+  ILS: { name: 'New Israeli Sheqel', symbol: '₪', minorUnits: 2 },
+  INR: { name: 'Indian Rupee', symbol: '₹', minorUnits: 2 },
+  IQD: { name: 'Iraqi Dinar', symbol: 'ع.د', minorUnits: 3 },
+  IRR: { name: 'Iranian Rial', symbol: '﷼', minorUnits: 2 },
+  ISK: { name: 'Iceland Krona', symbol: 'kr', minorUnits: 0 },
+  JMD: { name: 'Jamaican Dollar', symbol: 'J$', minorUnits: 2 },
+  JOD: { name: 'Jordanian Dinar', symbol: 'JD', minorUnits: 3 },
+  JPY: { name: 'Yen', symbol: '¥', minorUnits: 0 },
+  KES: { name: 'Kenyan Shilling', symbol: 'KSh', minorUnits: 2 },
+  KGS: { name: 'Som', symbol: 'с', minorUnits: 2 },
+  KHR: { name: 'Riel', symbol: '៛', minorUnits: 2 },
+  KMF: { name: 'Comorian Franc', symbol: 'CF', minorUnits: 0 },
+  KRW: { name: 'Won', symbol: '₩', minorUnits: 0 },
+  KWD: { name: 'Kuwaiti Dinar', symbol: 'KD', minorUnits: 3 },
+  KYD: { name: 'Cayman Islands Dollar', symbol: '$', minorUnits: 2 },
+  KZT: { name: 'Tenge', symbol: '₸', minorUnits: 2 },
+  LAK: { name: 'Lao Kip', symbol: '₭', minorUnits: 2 },
+  LBP: { name: 'Lebanese Pound', symbol: 'ل.ل', minorUnits: 2 },
+  LKR: { name: 'Sri Lanka Rupee', symbol: 'Rs', minorUnits: 2 },
+  LRD: { name: 'Liberian Dollar', symbol: '$', minorUnits: 2 },
+  LSL: { name: 'Loti', symbol: 'L', minorUnits: 2 },
+  LYD: { name: 'Libyan Dinar', symbol: 'LD', minorUnits: 3 },
+  MAD: { name: 'Moroccan Dirham', symbol: 'MAD', minorUnits: 2 },
+  MDL: { name: 'Moldovan Leu', symbol: 'L', minorUnits: 2 },
+  MGA: { name: 'Malagasy Ariary', symbol: 'Ar', minorUnits: 2 },
+  MKD: { name: 'Denar', symbol: 'ден', minorUnits: 2 },
+  MMK: { name: 'Kyat', symbol: 'K', minorUnits: 2 },
+  MNT: { name: 'Tugrik', symbol: '₮', minorUnits: 2 },
+  MOP: { name: 'Pataca', symbol: 'MOP$', minorUnits: 2 },
+  MRU: { name: 'Ouguiya', symbol: 'UM', minorUnits: 2 },
+  MUR: { name: 'Mauritius Rupee', symbol: '₨', minorUnits: 2 },
+  MVR: { name: 'Rufiyaa', symbol: 'Rf', minorUnits: 2 },
+  MWK: { name: 'Malawi Kwacha', symbol: 'MK', minorUnits: 2 },
+  MXN: { name: 'Mexican Peso', symbol: 'MX$', minorUnits: 2 },
+  MYR: { name: 'Malaysian Ringgit', symbol: 'RM', minorUnits: 2 },
+  MZN: { name: 'Mozambique Metical', symbol: 'MT', minorUnits: 2 },
+  NAD: { name: 'Namibia Dollar', symbol: '$', minorUnits: 2 },
+  NGN: { name: 'Naira', symbol: '₦', minorUnits: 2 },
+  NIO: { name: 'Cordoba Oro', symbol: 'C$', minorUnits: 2 },
+  NOK: { name: 'Norwegian Krone', symbol: 'kr', minorUnits: 2 },
+  NPR: { name: 'Nepalese Rupee', symbol: '₨', minorUnits: 2 },
+  NZD: { name: 'New Zealand Dollar', symbol: 'NZ$', minorUnits: 2 },
+  OMR: { name: 'Rial Omani', symbol: 'ر.ع.', minorUnits: 3 },
+  PAB: { name: 'Balboa', symbol: 'B/.', minorUnits: 2 },
+  PEN: { name: 'Sol', symbol: 'S/', minorUnits: 2 },
+  PGK: { name: 'Kina', symbol: 'K', minorUnits: 2 },
+  PHP: { name: 'Philippine Peso', symbol: '₱', minorUnits: 2 },
+  PKR: { name: 'Pakistan Rupee', symbol: '₨', minorUnits: 2 },
+  PLN: { name: 'Zloty', symbol: 'zł', minorUnits: 2 },
+  PYG: { name: 'Guarani', symbol: '₲', minorUnits: 0 },
+  QAR: { name: 'Qatari Rial', symbol: 'QR', minorUnits: 2 },
+  RON: { name: 'Romanian Leu', symbol: 'lei', minorUnits: 2 },
+  RSD: { name: 'Serbian Dinar', symbol: 'дин.', minorUnits: 2 },
+  RUB: { name: 'Russian Ruble', symbol: '₽', minorUnits: 2 },
+  RWF: { name: 'Rwanda Franc', symbol: 'FRw', minorUnits: 0 },
+  SAR: { name: 'Saudi Riyal', symbol: 'SR', minorUnits: 2 },
+  SBD: { name: 'Solomon Islands Dollar', symbol: '$', minorUnits: 2 },
+  SCR: { name: 'Seychelles Rupee', symbol: '₨', minorUnits: 2 },
+  SDG: { name: 'Sudanese Pound', symbol: 'ج.س.', minorUnits: 2 },
+  SEK: { name: 'Swedish Krona', symbol: 'kr', minorUnits: 2 },
+  SGD: { name: 'Singapore Dollar', symbol: 'S$', minorUnits: 2 },
+  SHP: { name: 'Saint Helena Pound', symbol: '£', minorUnits: 2 },
+  SLE: { name: 'Leone', symbol: 'Le', minorUnits: 2 },
+  SOS: { name: 'Somali Shilling', symbol: 'Sh', minorUnits: 2 },
+  SRD: { name: 'Surinam Dollar', symbol: '$', minorUnits: 2 },
+  SSP: { name: 'South Sudanese Pound', symbol: '£', minorUnits: 2 },
+  STN: { name: 'Dobra', symbol: 'Db', minorUnits: 2 },
+  SYP: { name: 'Syrian Pound', symbol: '£S', minorUnits: 2 },
+  SZL: { name: 'Lilangeni', symbol: 'E', minorUnits: 2 },
+  THB: { name: 'Baht', symbol: '฿', minorUnits: 2 },
+  TJS: { name: 'Somoni', symbol: 'SM', minorUnits: 2 },
+  TMT: { name: 'Turkmenistan New Manat', symbol: 'm', minorUnits: 2 },
+  TND: { name: 'Tunisian Dinar', symbol: 'DT', minorUnits: 3 },
+  TOP: { name: 'Pa’anga', symbol: 'T$', minorUnits: 2 },
+  TRY: { name: 'Turkish Lira', symbol: '₺', minorUnits: 2 },
+  TTD: { name: 'Trinidad and Tobago Dollar', symbol: 'TT$', minorUnits: 2 },
+  TWD: { name: 'New Taiwan Dollar', symbol: 'NT$', minorUnits: 2 },
+  TZS: { name: 'Tanzanian Shilling', symbol: 'TSh', minorUnits: 2 },
+  UAH: { name: 'Hryvnia', symbol: '₴', minorUnits: 2 },
+  UGX: { name: 'Uganda Shilling', symbol: 'USh', minorUnits: 0 },
+  USD: { name: 'US Dollar', symbol: '$', minorUnits: 2 },
+  UYU: { name: 'Peso Uruguayo', symbol: '$U', minorUnits: 2 },
+  UZS: { name: 'Uzbekistan Sum', symbol: 'soʻm', minorUnits: 2 },
+  VES: { name: 'Bolívar Soberano', symbol: 'Bs.', minorUnits: 2 },
+  VND: { name: 'Dong', symbol: '₫', minorUnits: 0 },
+  VUV: { name: 'Vatu', symbol: 'VT', minorUnits: 0 },
+  WST: { name: 'Tala', symbol: 'WS$', minorUnits: 2 },
+  XAF: { name: 'CFA Franc BEAC', symbol: 'FCFA', minorUnits: 0 },
+  XCD: { name: 'East Caribbean Dollar', symbol: 'EC$', minorUnits: 2 },
+  XOF: { name: 'CFA Franc BCEAO', symbol: 'CFA', minorUnits: 0 },
+  XPF: { name: 'CFP Franc', symbol: '₣', minorUnits: 0 },
+  YER: { name: 'Yemeni Rial', symbol: '﷼', minorUnits: 2 },
+  ZAR: { name: 'Rand', symbol: 'R', minorUnits: 2 },
+  ZMW: { name: 'Zambian Kwacha', symbol: 'ZK', minorUnits: 2 },
+  ZWL: { name: 'Zimbabwe Dollar', symbol: 'Z$', minorUnits: 2 }
+};
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Unknown codes fall back to the code itself as symbol with two decimals
+export const getCurrency = (code) => {
+  return CURRENCIES[code] || { name: code, symbol: code, minorUnits: 2 };
+};
+
+// Reporting currency for a user: explicit base currency, else their default
+export const getBaseCurrency = (settings = {}) => {
+  return settings.baseCurrency || settings.defaultCurrency || DEFAULT_CURRENCY;
+};
+
+// Decimal rounded to the currency's minor unit (e.g. 0 decimals for JPY, 3 for KWD)
+export const roundMoney = (amount, code, mode = 'half-up') => {
+  return round(toDecimal(amount), getCurrency(code).minorUnits, mode);
+};
+
+export const roundCurrency = (amount, code, mode = 'half-up') => {
+  return toNumber(roundMoney(amount, code, mode));
+};
+
+// Amount as a fixed-precision string without symbol, e.g. "1234.50"
+export const formatAmount = (amount, code) => {
+  return formatDecimal(roundMoney(amount, code));
+};
+
+// Amount with symbol, e.g. "€1234.50" or "¥1235"
+export const formatCurrency = (amount, code) => {
+  const value = roundCurrency(amount, code);
+  const sign = value < 0 ? '-' : '';
+  return `${sign}${getCurrency(code).symbol}${formatAmount(Math.abs(value), code)}`;
+};
@@ -0,0 +1,68 @@
+import { format } from 'date-fns';
+
+// Default numbering per document type. The invoice default reproduces the
+// historical INV-YYYYMM-0001 format.
+export const DEFAULT_NUMBERING = {
+  invoice: {
+    prefix: 'INV',
+    pattern: '{PREFIX}-{YYYY}{MM}-{SEQ:4}',
+    resetPolicy: 'monthly',
+    startNumber: 1
+  },
+  quote: {
+    prefix: 'QUO',
+    pattern: '{PREFIX}-{YYYY}{MM}-{SEQ:4}',
+    resetPolicy: 'monthly',
+    startNumber: 1
+  },
+  credit_note: {
+    prefix: 'CN',
+    pattern: '{PREFIX}-{YYYY}{MM}-{SEQ:4}',
+    resetPolicy: 'monthly',
+    startNumber: 1
+  }
+};
+
+// Settings key in users.settings holding the numbering config for each scope
+export const NUMBERING_SETTINGS_KEYS = {
+  invoice: 'invoiceNumbering',
+  quote: 'quoteNumbering',
+  credit_note: 'creditNoteNumbering'
+};
+
+export const RESET_POLICIES = ['never', 'yearly', 'monthly'];
+
+export const resolveNumberingConfig = (settings = {}, scope = 'invoice') => ({
+  ...DEFAULT_NUMBERING[scope],
+  ...(settings[NUMBERING_SETTINGS_KEYS[scope]] || {})
+});
+
+// Counter bucket for the reset policy: one counter per month, per year or forever
+export const getPeriodKey = (resetPolicy, date) => {
+  switch (resetPolicy) {
+    case 'monthly':
+      return format(date, 'yyyy-MM');
+    case 'yearly':
+      return format(date, 'yyyy');
+    default:
+      return '';
+  }
+};
+
+// Short uppercase code derived from the client's company or name, e.g. "ACME"
+export const getClientCode = (client, length = 4) => {
+  const source = client?.company || client?.name || '';
+  return source.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, length) || 'CLNT';
+};
+
+// Expand {PREFIX}, {YYYY}, {YY}, {MM}, {DD}, {SEQ} / {SEQ:n} and {CLIENT} tokens
+export const formatDocumentNumber = (pattern, { prefix = '', sequence, date, client }) => {
+  return pattern
+    .replace(/\{PREFIX\}/g, prefix)
+    .replace(/\{YYYY\}/g, format(date, 'yyyy'))
+    .replace(/\{YY\}/g, format(date, 'yy'))
+    .replace(/\{MM\}/g, format(date, 'MM'))
+    .replace(/\{DD\}/g, format(date, 'dd'))
+    .replace(/\{CLIENT\}/g, () => getClientCode(client))
+    .replace(/\{SEQ(?::(\d+))?\}/g, (match, width) => String(sequence).padStart(parseInt(width || '1', 10), '0'));
+};
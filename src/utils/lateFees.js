@@ -0,0 +1,58 @@
+import * as money from './money.js';
+import { roundMoney } from './currencies.js';
+
+// Late fee policy: { enabled, type, value, graceDays, mode }
+//   flat     - value is a one-off amount in the invoice's currency
+//   percent  - value is a one-off percentage of the outstanding balance
+//   interest - value is a percentage of the outstanding balance charged for
+//              every started month (30 days) the invoice stays overdue
+// The fee is added to the invoice as a late fee line (mode 'line') or billed
+// on a separate late fee invoice (mode 'invoice').
+export const LATE_FEE_TYPES = ['flat', 'percent', 'interest'];
+export const LATE_FEE_MODES = ['line', 'invoice'];
+
+export const INTEREST_PERIOD_DAYS = 30;
+
+// A client's policy (clients.late_fee_policy) replaces the user's default
+// (settings.lateFees); either can switch fees off with enabled: false.
+// Returns null when no fee applies.
+export const resolveLateFeePolicy = (settings = {}, client = null) => {
+  const policy = client?.lateFeePolicy || settings?.lateFees;
+  if (!policy || policy.enabled === false || !LATE_FEE_TYPES.includes(policy.type)) return null;
+
+  return {
+    type: policy.type,
+    value: parseFloat(policy.value) || 0,
+    graceDays: parseInt(policy.graceDays, 10) || 0,
+    mode: LATE_FEE_MODES.includes(policy.mode) ? policy.mode : 'line'
+  };
+};
+
+// Number of fees due after daysOverdue days: one for flat and percent fees
+// once the grace period has passed, one per started month for interest
+export const countDuePeriods = (policy, daysOverdue) => {
+  const daysLate = daysOverdue - policy.graceDays;
+  if (daysLate <= 0) return 0;
+  if (policy.type !== 'interest') return 1;
+  return Math.ceil(daysLate / INTEREST_PERIOD_DAYS);
+};
+
+// Fee for one period, rounded to the currency. `balance` is the outstanding
+// amount the fee is charged on, excluding earlier late fees.
+export const calculateLateFee = (policy, balance, { currency, rounding = money.DEFAULT_ROUNDING } = {}) => {
+  const amount = policy.type === 'flat'
+    ? money.toDecimal(policy.value)
+    : money.multiply(balance, money.multiply(policy.value, '0.01'));
+  return money.toNumber(roundMoney(amount, currency, rounding.mode));
+};
+
+export const describeLateFee = (policy, period) => {
+  switch (policy.type) {
+    case 'percent':
+      return `Late fee (${policy.value}% of the overdue balance)`;
+    case 'interest':
+      return `Late payment interest, month ${period} (${policy.value}% per month)`;
+    default:
+      return 'Late fee';
+  }
+};
@@ -0,0 +1,154 @@
+// Exact decimal arithmetic for money. A decimal is { units, scale } with value
+// units / 10^scale, where units is a BigInt, so prices, quantities and rates
+// combine without binary floating-point drift. Results are only rounded where
+// a rounding mode is applied explicitly.
+
+// half-up rounds ties away from zero; half-even (banker's) rounds ties to the
+// nearest even digit
+export const ROUNDING_MODES = ['half-up', 'half-even'];
+
+// Tax is rounded for every line and tax, or once per tax on the document
+export const TAX_ROUNDING_MODES = ['per-line', 'per-invoice'];
+
+export const DEFAULT_ROUNDING = {
+  mode: 'half-up',
+  taxRounding: 'per-invoice'
+};
+
+export const resolveRounding = (settings = {}) => ({
+  ...DEFAULT_ROUNDING,
+  ...(settings.rounding || {})
+});
+
+export const ZERO = Object.freeze({ units: 0n, scale: 0 });
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+const isDecimal = (value) => typeof value === 'object' && value !== null && typeof value.units === 'bigint';
+
+// Parse a number, numeric string (e.g. a DECIMAL column) or decimal
+export const toDecimal = (value) => {
+  if (isDecimal(value)) return value;
+  if (value === null || value === undefined || value === '') return ZERO;
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Invalid decimal value: ${value}`);
+  }
+
+  // Shortest round-trip form of a number, e.g. 0.1 -> "0.1", 1e-7 -> "1e-7"
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Invalid decimal value: ${value}`);
+  }
+
+  const [, sign, whole = '', fraction = '', exponent = '0'] = match;
+  let units = BigInt(`${whole}${fraction}` || '0');
+  let scale = fraction.length - parseInt(exponent, 10);
+  if (scale < 0) {
+    units *= pow10(-scale);
+    scale = 0;
+  }
+
+  return { units: sign === '-' ? -units : units, scale };
+};
+
+const align = (a, b) => {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  const scale = Math.max(x.scale, y.scale);
+  return [x.units * pow10(scale - x.scale), y.units * pow10(scale - y.scale), scale];
+};
+
+// Integer division rounded with the given mode
+const divideUnits = (numerator, denominator, mode) => {
+  if (denominator === 0n) {
+    throw new Error('Division by zero');
+  }
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+  const awayFromZero = numerator < 0n ? quotient - 1n : quotient + 1n;
+
+  if (twiceRemainder < denominator) return quotient;
+  if (twiceRemainder > denominator) return awayFromZero;
+  if (mode === 'half-even') {
+    return quotient % 2n === 0n ? quotient : awayFromZero;
+  }
+  return awayFromZero;
+};
+
+export const add = (a, b) => {
+  const [x, y, scale] = align(a, b);
+  return { units: x + y, scale };
+};
+
+export const subtract = (a, b) => {
+  const [x, y, scale] = align(a, b);
+  return { units: x - y, scale };
+};
+
+export const multiply = (a, b) => {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  return { units: x.units * y.units, scale: x.scale + y.scale };
+};
+
+// a / b rounded to `digits` decimal places
+export const divide = (a, b, digits, mode = 'half-up') => {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  return {
+    units: divideUnits(x.units * pow10(y.scale + digits), y.units * pow10(x.scale), mode),
+    scale: digits
+  };
+};
+
+export const round = (value, digits, mode = 'half-up') => {
+  const { units, scale } = toDecimal(value);
+  if (scale <= digits) {
+    return { units: units * pow10(digits - scale), scale: digits };
+  }
+  return { units: divideUnits(units, pow10(scale - digits), mode), scale: digits };
+};
+
+export const sum = (values) => values.reduce((total, value) => add(total, value), ZERO);
+
+export const compare = (a, b) => {
+  const [x, y] = align(a, b);
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+};
+
+export const sign = (value) => {
+  const { units } = toDecimal(value);
+  if (units === 0n) return 0;
+  return units < 0n ? -1 : 1;
+};
+
+export const isZero = (value) => sign(value) === 0;
+
+export const negate = (value) => {
+  const { units, scale } = toDecimal(value);
+  return { units: -units, scale };
+};
+
+export const abs = (value) => (sign(value) < 0 ? negate(value) : toDecimal(value));
+
+export const min = (a, b) => (compare(a, b) <= 0 ? toDecimal(a) : toDecimal(b));
+
+// Plain decimal string, e.g. "-1234.50"
+export const formatDecimal = (value) => {
+  const { units, scale } = toDecimal(value);
+  const digits = (units < 0n ? -units : units).toString().padStart(scale + 1, '0');
+  const whole = digits.slice(0, digits.length - scale);
+  const fraction = scale > 0 ? `.${digits.slice(digits.length - scale)}` : '';
+  return `${units < 0n ? '-' : ''}${whole}${fraction}`;
+};
+
+// Convert back to a number for JSON responses and pg parameters; exact for
+// amounts already rounded to a currency's minor unit
+export const toNumber = (value) => Number(formatDecimal(value));
@@ -0,0 +1,70 @@
+import { addDays, format, parseISO } from 'date-fns';
+import * as money from './money.js';
+import { roundMoney } from './currencies.js';
+
+// Structured payment terms: { preset, name, dueDays, discountPercent,
+// discountDays }. "2/10 Net 30" takes 2% off when paid within 10 days of
+// the issue date and is otherwise due in full after 30 days.
+export const PAYMENT_TERM_PRESETS = [
+  { code: 'due_on_receipt', name: 'Due on receipt', dueDays: 0, discountPercent: 0, discountDays: 0 },
+  { code: 'net_15', name: 'Net 15', dueDays: 15, discountPercent: 0, discountDays: 0 },
+  { code: 'net_30', name: 'Net 30', dueDays: 30, discountPercent: 0, discountDays: 0 },
+  { code: 'net_60', name: 'Net 60', dueDays: 60, discountPercent: 0, discountDays: 0 },
+  { code: '2_10_net_30', name: '2/10 Net 30', dueDays: 30, discountPercent: 2, discountDays: 10 }
+];
+
+// "2/10 Net 30", "Net 30" or "Due on receipt"
+export const describePaymentTerms = ({ dueDays, discountPercent = 0, discountDays = 0 }) => {
+  const net = dueDays > 0 ? `Net ${dueDays}` : 'Due on receipt';
+  return discountPercent > 0 ? `${discountPercent}/${discountDays} ${net}` : net;
+};
+
+// Built-in presets plus the user's own (settings.paymentTermPresets); a
+// user preset with a built-in code replaces it
+export const getPaymentTermPresets = (settings = {}) => {
+  const presets = new Map(PAYMENT_TERM_PRESETS.map(preset => [preset.code, preset]));
+  for (const preset of settings?.paymentTermPresets || []) {
+    presets.set(preset.code, {
+      discountPercent: 0,
+      discountDays: 0,
+      ...preset,
+      name: preset.name || describePaymentTerms(preset)
+    });
+  }
+  return [...presets.values()];
+};
+
+// Normalize { preset } or explicit terms. Returns null for an unknown preset.
+export const resolvePaymentTerms = (terms, settings = {}) => {
+  if (terms.preset) {
+    const preset = getPaymentTermPresets(settings).find(candidate => candidate.code === terms.preset);
+    if (!preset) return null;
+    return {
+      preset: preset.code,
+      name: preset.name,
+      dueDays: preset.dueDays,
+      discountPercent: preset.discountPercent,
+      discountDays: preset.discountDays
+    };
+  }
+
+  const resolved = {
+    preset: null,
+    dueDays: terms.dueDays,
+    discountPercent: terms.discountPercent || 0,
+    discountDays: terms.discountPercent > 0 ? terms.discountDays || 0 : 0
+  };
+  return { ...resolved, name: terms.name || describePaymentTerms(resolved) };
+};
+
+// Last day (yyyy-MM-dd) a payment still earns the early payment discount
+export const getEarlyPaymentDeadline = (issueDate, discountDays) => {
+  const date = issueDate instanceof Date ? issueDate : parseISO(String(issueDate));
+  return format(addDays(date, discountDays), 'yyyy-MM-dd');
+};
+
+// Discount off `amount`, rounded half-up to the currency so the amount
+// offered on the document is the amount taken when the payment arrives
+export const calculateEarlyPaymentDiscount = (amount, percent, currency) => {
+  return money.toNumber(roundMoney(money.multiply(amount, money.multiply(percent, '0.01')), currency));
+};
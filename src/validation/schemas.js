@@ -1,11 +1,63 @@
 import Joi from 'joi';
+import { RESET_POLICIES } from '../utils/documentNumbers.js';
+import { CURRENCY_CODES } from '../utils/currencies.js';
+import { ROUNDING_MODES, TAX_ROUNDING_MODES } from '../utils/money.js';
+import { STATEMENT_FORMATS } from '../utils/bankStatements.js';
+import { LATE_FEE_TYPES, LATE_FEE_MODES } from '../utils/lateFees.js';
 
 // Common validation patterns
 const uuidSchema = Joi.string().uuid();
 const emailSchema = Joi.string().email();
 const dateSchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/);
-const currencySchema = Joi.string().valid('USD', 'EUR', 'GBP', 'CAD', 'AUD');
-const statusSchema = Joi.string().valid('draft', 'sent', 'paid', 'overdue', 'cancelled');
+const currencySchema = Joi.string().uppercase().valid(...CURRENCY_CODES)
+  .messages({
+    'any.only': '{{#label}} must be a valid ISO 4217 currency code'
+  });
+const statusSchema = Joi.string().valid('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'disputed', 'cancelled');
+const quoteStatusSchema = Joi.string().valid('draft', 'sent', 'accepted', 'declined', 'expired');
+const projectStatusSchema = Joi.string().valid('active', 'on_hold', 'completed', 'cancelled');
+const discountTypeSchema = Joi.string().valid('fixed', 'percent');
+const discountValueSchema = Joi.number().min(0)
+  .when('discountType', { is: 'percent', then: Joi.number().max(100) });
+const taxCodeSchema = Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).max(20)
+  .messages({
+    'string.pattern.base': '{{#label}} may only contain letters, digits, "-" and "_"'
+  });
+
+// Late fee policy; value is an amount for flat fees and a percentage
+// otherwise. { enabled: false } switches fees off.
+const lateFeePolicySchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  type: Joi.string().valid(...LATE_FEE_TYPES)
+    .when('enabled', { is: true, then: Joi.required() }),
+  value: Joi.number().positive().precision(4)
+    .when('type', { is: Joi.valid('percent', 'interest'), then: Joi.number().max(100) })
+    .when('enabled', { is: true, then: Joi.required() }),
+  graceDays: Joi.number().integer().min(0).max(365).default(0),
+  mode: Joi.string().valid(...LATE_FEE_MODES).default('line')
+});
+
+// Payment terms: a preset code, or explicit terms such as 2/10 Net 30
+// ({ dueDays: 30, discountPercent: 2, discountDays: 10 })
+const paymentTermsSchema = Joi.object({
+  preset: Joi.string().max(50),
+  name: Joi.string().max(100),
+  dueDays: Joi.number().integer().min(0).max(365),
+  discountPercent: Joi.number().min(0).max(100).precision(2),
+  discountDays: Joi.number().integer().min(0)
+    .when('dueDays', { is: Joi.exist(), then: Joi.number().max(Joi.ref('dueDays')) })
+}).xor('preset', 'dueDays');
+
+const paymentTermPresetSchema = Joi.object({
+  code: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).required()
+    .messages({
+      'string.pattern.base': '{{#label}} may only contain lowercase letters, digits and "_"'
+    }),
+  name: Joi.string().max(100),
+  dueDays: Joi.number().integer().min(0).max(365).required(),
+  discountPercent: Joi.number().min(0).max(100).precision(2).default(0),
+  discountDays: Joi.number().integer().min(0).max(Joi.ref('dueDays')).default(0)
+});
 
 // Address validation
 export const addressSchema = Joi.object({
@@ -27,7 +79,11 @@ export const clientValidation = {
     taxId: Joi.string().allow('').max(100),
     paymentTerms: Joi.number().integer().min(0).max(365).default(30),
     currency: currencySchema.default('USD'),
-    notes: Joi.string().allow('').max(1000)
+    notes: Joi.string().allow('').max(1000),
+    remindersOptOut: Joi.boolean().default(false),
+    hourlyRate: Joi.number().positive().precision(2).allow(null), // For hourly catalog items
+    lateFeePolicy: lateFeePolicySchema.allow(null), // Defaults to the user's late fee settings
+    terms: paymentTermsSchema.allow(null) // Sets paymentTerms to its due days
   }),
 
   update: Joi.object({
@@ -39,12 +95,56 @@ export const clientValidation = {
     taxId: Joi.string().allow('').max(100),
     paymentTerms: Joi.number().integer().min(0).max(365),
     currency: currencySchema,
-    notes: Joi.string().allow('').max(1000)
+    notes: Joi.string().allow('').max(1000),
+    remindersOptOut: Joi.boolean(),
+    hourlyRate: Joi.number().positive().precision(2).allow(null),
+    lateFeePolicy: lateFeePolicySchema.allow(null),
+    terms: paymentTermsSchema.allow(null)
   }).min(1), // At least one field must be present
 
   params: Joi.object({
     id: uuidSchema.required()
-  })
+  }),
+
+  // Rate card currency defaults to the client's
+  rateCardQuery: Joi.object({
+    currency: currencySchema.optional()
+  }),
+
+  rateParams: Joi.object({
+    id: uuidSchema.required(),
+    catalogItemId: uuidSchema.required()
+  }),
+
+  rate: Joi.object({
+    rate: Joi.number().positive().precision(2).required(),
+    currency: currencySchema.optional() // Defaults to the client's currency
+  }),
+
+  contactParams: Joi.object({
+    id: uuidSchema.required(),
+    contactId: uuidSchema.required()
+  }),
+
+  contact: Joi.object({
+    name: Joi.string().required().min(1).max(255),
+    role: Joi.string().allow('').max(100),
+    email: emailSchema.allow(null), // Required to receive invoices or reminders
+    phone: Joi.string().allow('').max(50),
+    receivesInvoices: Joi.boolean().default(false),
+    receivesReminders: Joi.boolean().default(false),
+    isPrimary: Joi.boolean().default(false)
+  }),
+
+  contactUpdate: Joi.object({
+    name: Joi.string().min(1).max(255),
+    role: Joi.string().allow('').max(100),
+    email: emailSchema.allow(null),
+    phone: Joi.string().allow('').max(50),
+    receivesInvoices: Joi.boolean(),
+    receivesReminders: Joi.boolean(),
+    isPrimary: Joi.boolean()
+  }).min(1)
 };
 
 // Invoice line item validation
@@ -53,40 +153,68 @@ export const lineItemSchema = Joi.object({
   details: Joi.string().allow('').max(500),
   quantity: Joi.number().positive().required(),
   rate: Joi.number().positive().required(),
+  // Registered tax codes for this line; [] marks it exempt, omit to use taxRate
+  taxCodes: Joi.array().items(taxCodeSchema).unique().optional(),
+  // Catalog item the line was picked from, kept for revenue by service
+  catalogItemId: uuidSchema.optional(),
+  // Fixed discounts are off the whole line, not per unit
+  discount: Joi.object({
+    type: discountTypeSchema.required(),
+    value: Joi.number().min(0).required()
+      .when('type', { is: 'percent', then: Joi.number().max(100) })
+  }).optional(),
   total: Joi.number().optional() // Will be calculated
 });
 
+// Invoice lines picked from the catalog may leave out the rate; it is filled
+// in from the client's rate card, which any given rate must also match
+const invoiceLineItemSchema = lineItemSchema.keys({
+  rate: Joi.number().positive()
+    .when('catalogItemId', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() })
+});
+
 // Invoice validation schemas
 export const invoiceValidation = {
   create: Joi.object({
     clientId: uuidSchema.required(),
+    projectId: uuidSchema.optional(), // Must belong to the same client
     invoiceNumber: Joi.string().max(50).optional(), // Will be generated if not provided
     issueDate: dateSchema.optional(), // Defaults to today
     dueDate: dateSchema.optional(), // Will be calculated from payment terms
-    paymentTerms: Joi.number().integer().min(0).max(365).default(30),
-    items: Joi.array().items(lineItemSchema).min(1).required(),
+    paymentTerms: Joi.number().integer().min(0).max(365), // Plain day count without a discount
+    terms: paymentTermsSchema, // Defaults to the client's, then the user's terms
+    items: Joi.array().items(invoiceLineItemSchema).min(1).required(),
     taxRate: Joi.number().min(0).max(1).default(0.08),
-    discountAmount: Joi.number().min(0).default(0),
+    discountAmount: Joi.number().min(0).default(0), // Fixed discount, kept for older clients
+    discountType: discountTypeSchema.default('fixed'),
+    discountValue: discountValueSchema, // Takes precedence over discountAmount
+    discountBeforeTax: Joi.boolean().default(false),
     currency: currencySchema.default('USD'),
     notes: Joi.string().allow('').max(1000),
     templateId: Joi.string().default('default'),
     status: statusSchema.default('draft')
-  }),
+  }).oxor('paymentTerms', 'terms'),
 
   update: Joi.object({
     clientId: uuidSchema,
+    projectId: uuidSchema.allow(null),
     invoiceNumber: Joi.string().max(50),
     issueDate: dateSchema,
     dueDate: dateSchema,
     paymentTerms: Joi.number().integer().min(0).max(365),
-    items: Joi.array().items(lineItemSchema).min(1),
+    terms: paymentTermsSchema,
+    items: Joi.array().items(invoiceLineItemSchema).min(1),
     taxRate: Joi.number().min(0).max(1),
     discountAmount: Joi.number().min(0),
+    discountType: discountTypeSchema,
+    discountValue: discountValueSchema,
+    discountBeforeTax: Joi.boolean(),
     currency: currencySchema,
     notes: Joi.string().allow('').max(1000),
     templateId: Joi.string(),
     status: statusSchema
-  }).min(1),
+  }).min(1).with('discountType', 'discountValue') // A new discount type needs its value
+    .oxor('paymentTerms', 'terms'),
 
   params: Joi.object({
     id: uuidSchema.required()
@@ -94,6 +222,7 @@ export const invoiceValidation = {
 
   query: Joi.object({
     clientId: uuidSchema.optional(),
+    projectId: uuidSchema.optional(),
     status: statusSchema.optional(),
     startDate: dateSchema.optional(),
     endDate: dateSchema.optional(),
@@ -105,6 +234,592 @@ export const invoiceValidation = {
 
   statusUpdate: Joi.object({
     status: statusSchema.required()
+  }),
+
+  overdueQuery: Joi.object({
+    clientId: uuidSchema.optional(),
+    asOf: dateSchema.optional() // Defaults to today
+  }),
+
+  // Bills the client's unbilled time; omit timeEntryIds to take every entry
+  // in the date range
+  fromTimeEntries: Joi.object({
+    clientId: uuidSchema.required(),
+    projectId: uuidSchema.optional(), // Only bill this project's time and link the invoice to it
+    timeEntryIds: Joi.array().items(uuidSchema).min(1).unique(),
+    startDate: dateSchema.optional(),
+    endDate: dateSchema.optional(),
+    groupBy: Joi.string().valid('project', 'task', 'entry').default('project'),
+    hourlyRate: Joi.number().positive(), // For entries without their own rate
+    taxCodes: Joi.array().items(taxCodeSchema).unique().optional(),
+    issueDate: dateSchema.optional(), // Defaults to today
+    paymentTerms: Joi.number().integer().min(0).max(365), // Defaults to the client's or user's terms
+    taxRate: Joi.number().min(0).max(1).default(0.08),
+    discountType: discountTypeSchema.default('fixed'),
+    discountValue: discountValueSchema,
+    discountBeforeTax: Joi.boolean().default(false),
+    currency: currencySchema, // Defaults to the client's currency
+    notes: Joi.string().allow('').max(1000),
+    templateId: Joi.string().default('default')
+  })
+};
+
+// Quote validation schemas
+export const quoteValidation = {
+  create: Joi.object({
+    clientId: uuidSchema.required(),
+    quoteNumber: Joi.string().max(50).optional(), // Will be generated if not provided
+    issueDate: dateSchema.optional(), // Defaults to today
+    expiryDate: dateSchema.optional(), // Defaults to issueDate + validDays
+    validDays: Joi.number().integer().min(1).max(365).default(30),
+    paymentTerms: Joi.number().integer().min(0).max(365).default(30),
+    items: Joi.array().items(lineItemSchema).min(1).required(),
+    taxRate: Joi.number().min(0).max(1).default(0.08),
+    discountAmount: Joi.number().min(0).default(0), // Fixed discount, kept for older clients
+    discountType: discountTypeSchema.default('fixed'),
+    discountValue: discountValueSchema, // Takes precedence over discountAmount
+    discountBeforeTax: Joi.boolean().default(false),
+    currency: currencySchema.default('USD'),
+    notes: Joi.string().allow('').max(1000),
+    templateId: Joi.string().default('default')
+  }),
+
+  update: Joi.object({
+    clientId: uuidSchema,
+    quoteNumber: Joi.string().max(50),
+    issueDate: dateSchema,
+    expiryDate: dateSchema,
+    paymentTerms: Joi.number().integer().min(0).max(365),
+    items: Joi.array().items(lineItemSchema).min(1),
+    taxRate: Joi.number().min(0).max(1),
+    discountAmount: Joi.number().min(0),
+    discountType: discountTypeSchema,
+    discountValue: discountValueSchema,
+    discountBeforeTax: Joi.boolean(),
+    currency: currencySchema,
+    notes: Joi.string().allow('').max(1000),
+    templateId: Joi.string()
+  }).min(1).with('discountType', 'discountValue'),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  }),
+
+  query: Joi.object({
+    clientId: uuidSchema.optional(),
+    status: quoteStatusSchema.optional()
+  }),
+
+  statusUpdate: Joi.object({
+    status: quoteStatusSchema.required()
+  }),
+
+  convert: Joi.object({
+    issueDate: dateSchema.optional(), // Defaults to today
+    paymentTerms: Joi.number().integer().min(0).max(365) // Defaults to the quote's terms
+  })
+};
+
+// Recurring invoice validation schemas
+const frequencySchema = Joi.string().valid('weekly', 'monthly', 'quarterly', 'yearly');
+
+export const recurringInvoiceValidation = {
+  create: Joi.object({
+    clientId: uuidSchema.required(),
+    name: Joi.string().allow('').max(255),
+    items: Joi.array().items(lineItemSchema).min(1).required(),
+    taxRate: Joi.number().min(0).max(1).default(0.08),
+    discountAmount: Joi.number().min(0).default(0), // Fixed discount, kept for older clients
+    discountType: discountTypeSchema.default('fixed'),
+    discountValue: discountValueSchema, // Takes precedence over discountAmount
+    discountBeforeTax: Joi.boolean().default(false),
+    currency: currencySchema.default('USD'),
+    paymentTerms: Joi.number().integer().min(0).max(365).default(30),
+    notes: Joi.string().allow('').max(1000),
+    templateId: Joi.string().default('default'),
+    frequency: frequencySchema.required(),
+    interval: Joi.number().integer().min(1).max(12).default(1),
+    dayOfMonth: Joi.number().integer().min(1).max(31)
+      .when('frequency', { is: 'weekly', then: Joi.forbidden() }),
+    startDate: dateSchema.optional(), // Defaults to today
+    endDate: dateSchema.optional(),
+    maxOccurrences: Joi.number().integer().min(1).optional(),
+    autoSend: Joi.boolean().default(false)
+  }),
+
+  update: Joi.object({
+    clientId: uuidSchema,
+    name: Joi.string().allow('').max(255),
+    items: Joi.array().items(lineItemSchema).min(1),
+    taxRate: Joi.number().min(0).max(1),
+    discountAmount: Joi.number().min(0),
+    discountType: discountTypeSchema,
+    discountValue: discountValueSchema,
+    discountBeforeTax: Joi.boolean(),
+    currency: currencySchema,
+    paymentTerms: Joi.number().integer().min(0).max(365),
+    notes: Joi.string().allow('').max(1000),
+    templateId: Joi.string(),
+    frequency: frequencySchema,
+    interval: Joi.number().integer().min(1).max(12),
+    dayOfMonth: Joi.number().integer().min(1).max(31).allow(null),
+    startDate: dateSchema,
+    endDate: dateSchema.allow(null),
+    maxOccurrences: Joi.number().integer().min(1).allow(null),
+    autoSend: Joi.boolean()
+  }).min(1).with('discountType', 'discountValue'),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Payment validation schemas
+export const paymentValidation = {
+  create: Joi.object({
+    amount: Joi.number().positive().precision(2).required(),
+    paymentDate: dateSchema.optional(), // Defaults to today
+    method: Joi.string().valid('bank_transfer', 'card', 'cash', 'check', 'paypal', 'other').default('other'),
+    reference: Joi.string().allow('').max(255),
+    notes: Joi.string().allow('').max(1000)
+  }),
+
+  params: Joi.object({
+    id: uuidSchema.required(),
+    paymentId: uuidSchema.optional()
+  })
+};
+
+// Late fee validation schemas
+export const lateFeeValidation = {
+  waive: Joi.object({
+    reason: Joi.string().allow('').max(1000)
+  }),
+
+  params: Joi.object({
+    id: uuidSchema.required(),
+    lateFeeId: uuidSchema.optional()
+  })
+};
+
+// Credit note validation schemas
+// Lines reference the original invoice's items by index; omitting quantity
+// credits whatever is left on that line, omitting items credits everything left
+export const creditNoteValidation = {
+  create: Joi.object({
+    items: Joi.array().items(Joi.object({
+      lineIndex: Joi.number().integer().min(0).required(),
+      quantity: Joi.number().positive()
+    })).unique('lineIndex'),
+    issueDate: dateSchema.optional(), // Defaults to today
+    reason: Joi.string().allow('').max(1000),
+    notes: Joi.string().allow('').max(1000)
+  }),
+
+  refund: Joi.object({
+    amount: Joi.number().positive().precision(2), // Defaults to the full refundable amount
+    paymentDate: dateSchema.optional(), // Defaults to today
+    method: Joi.string().valid('bank_transfer', 'card', 'cash', 'check', 'paypal', 'other').default('other'),
+    reference: Joi.string().allow('').max(255),
+    notes: Joi.string().allow('').max(1000)
+  }),
+
+  query: Joi.object({
+    clientId: uuidSchema.optional(),
+    invoiceId: uuidSchema.optional(),
+    status: Joi.string().valid('issued', 'void').optional()
+  }),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Dispute validation schemas
+export const disputeValidation = {
+  // Portal form: a single checkbox arrives as a string, several as an array
+  raise: Joi.object({
+    lineIndexes: Joi.array().items(Joi.number().integer().min(0)).single().unique().default([]), // Empty disputes the whole invoice
+    comment: Joi.string().trim().required().min(1).max(2000)
+      .messages({
+        'any.required': 'Please tell us what is wrong with the invoice',
+        'string.empty': 'Please tell us what is wrong with the invoice',
+        'string.max': 'Please keep your comment to {{#limit}} characters or fewer'
+      })
+  }),
+
+  // Credit note lines default to the disputed lines, in full
+  credit: Joi.object({
+    items: Joi.array().items(Joi.object({
+      lineIndex: Joi.number().integer().min(0).required(),
+      quantity: Joi.number().positive()
+    })).unique('lineIndex'),
+    issueDate: dateSchema.optional(), // Defaults to today
+    reason: Joi.string().allow('').max(1000), // Defaults to the client's comment
+    notes: Joi.string().allow('').max(1000),
+    resolutionNote: Joi.string().allow('').max(1000)
+  }),
+
+  reject: Joi.object({
+    resolutionNote: Joi.string().required().min(1).max(1000)
+  }),
+
+  query: Joi.object({
+    clientId: uuidSchema.optional(),
+    invoiceId: uuidSchema.optional(),
+    status: Joi.string().valid('open', 'credited', 'rejected').optional()
+  }),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Project validation schemas
+// A budget can be set as an amount, in hours, or both
+export const projectValidation = {
+  create: Joi.object({
+    clientId: uuidSchema.required(),
+    name: Joi.string().required().min(1).max(255),
+    description: Joi.string().allow('').max(1000),
+    billingMethod: Joi.string().valid('fixed', 'hourly', 'milestone').default('hourly'),
+    budgetAmount: Joi.number().min(0).precision(2).allow(null),
+    budgetHours: Joi.number().min(0).precision(2).allow(null),
+    hourlyRate: Joi.number().positive().precision(2).allow(null),
+    currency: currencySchema, // Defaults to the client's currency
+    status: projectStatusSchema.default('active'),
+    startDate: dateSchema.allow(null),
+    endDate: dateSchema.allow(null)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(255),
+    description: Joi.string().allow('').max(1000),
+    billingMethod: Joi.string().valid('fixed', 'hourly', 'milestone'),
+    budgetAmount: Joi.number().min(0).precision(2).allow(null),
+    budgetHours: Joi.number().min(0).precision(2).allow(null),
+    hourlyRate: Joi.number().positive().precision(2).allow(null),
+    currency: currencySchema,
+    status: projectStatusSchema,
+    startDate: dateSchema.allow(null),
+    endDate: dateSchema.allow(null)
+  }).min(1),
+
+  query: Joi.object({
+    clientId: uuidSchema.optional(),
+    status: projectStatusSchema.optional()
+  }),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Milestone validation schemas
+// A milestone belongs to either a project or a quote. Percentages are of
+// the project's budget amount or the quote total excluding tax.
+const milestoneTriggerSchema = Joi.string().valid('signing', 'start', 'delivery', 'acceptance', 'date', 'manual');
+
+export const milestoneValidation = {
+  create: Joi.object({
+    projectId: uuidSchema,
+    quoteId: uuidSchema,
+    label: Joi.string().trim().min(1).max(255).required(),
+    amountType: Joi.string().valid('percent', 'fixed').required(),
+    value: Joi.when('amountType', {
+      is: 'percent',
+      then: Joi.number().positive().max(100).precision(2).required(),
+      otherwise: Joi.number().positive().precision(2).required()
+    }),
+    dueTrigger: milestoneTriggerSchema.default('manual'),
+    dueDate: Joi.when('dueTrigger', { is: 'date', then: dateSchema.required(), otherwise: dateSchema.allow(null) }),
+    isDeposit: Joi.boolean().default(false),
+    position: Joi.number().integer().min(0) // Defaults to the end of the schedule
+  }).xor('projectId', 'quoteId'),
+
+  update: Joi.object({
+    label: Joi.string().trim().min(1).max(255),
+    amountType: Joi.string().valid('percent', 'fixed'),
+    value: Joi.number().positive().precision(2),
+    dueTrigger: milestoneTriggerSchema,
+    dueDate: dateSchema.allow(null),
+    isDeposit: Joi.boolean(),
+    position: Joi.number().integer().min(0)
+  }).min(1),
+
+  // Options for the generated invoice; tax defaults to the quote's
+  invoice: Joi.object({
+    issueDate: dateSchema.optional(), // Defaults to today
+    paymentTerms: Joi.number().integer().min(0).max(365), // Defaults to the quote's or client's terms
+    taxRate: Joi.number().min(0).max(1),
+    taxCodes: Joi.array().items(taxCodeSchema).unique().optional(),
+    notes: Joi.string().allow('').max(1000),
+    templateId: Joi.string()
+  }),
+
+  query: Joi.object({
+    projectId: uuidSchema,
+    quoteId: uuidSchema
+  }).xor('projectId', 'quoteId'),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Time entry validation schemas
+export const timeEntryValidation = {
+  create: Joi.object({
+    clientId: uuidSchema.required(),
+    projectId: uuidSchema.optional(),
+    project: Joi.string().allow('').max(255), // Defaults to the project's name
+    task: Joi.string().allow('').max(255),
+    entryDate: dateSchema.optional(), // Defaults to today
+    durationMinutes: Joi.number().integer().min(1).max(24 * 60).required(),
+    description: Joi.string().allow('').max(1000),
+    hourlyRate: Joi.number().positive().precision(2).allow(null),
+    billable: Joi.boolean().default(true)
+  }),
+
+  update: Joi.object({
+    clientId: uuidSchema,
+    projectId: uuidSchema.allow(null),
+    project: Joi.string().allow('').max(255),
+    task: Joi.string().allow('').max(255),
+    entryDate: dateSchema,
+    durationMinutes: Joi.number().integer().min(0).max(24 * 60),
+    description: Joi.string().allow('').max(1000),
+    hourlyRate: Joi.number().positive().precision(2).allow(null),
+    billable: Joi.boolean()
+  }).min(1),
+
+  startTimer: Joi.object({
+    clientId: uuidSchema.required(),
+    projectId: uuidSchema.optional(),
+    project: Joi.string().allow('').max(255),
+    task: Joi.string().allow('').max(255),
+    entryDate: dateSchema.optional(), // Defaults to today
+    description: Joi.string().allow('').max(1000),
+    hourlyRate: Joi.number().positive().precision(2).allow(null),
+    billable: Joi.boolean().default(true)
+  }),
+
+  query: Joi.object({
+    clientId: uuidSchema.optional(),
+    projectId: uuidSchema.optional(),
+    project: Joi.string().max(255).optional(),
+    billable: Joi.boolean().optional(),
+    billed: Joi.boolean().optional(),
+    startDate: dateSchema.optional(),
+    endDate: dateSchema.optional()
+  }),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Expense validation schemas
+// markupPercent is added on top of the amount when the expense is rebilled
+export const expenseValidation = {
+  create: Joi.object({
+    clientId: uuidSchema.optional(),
+    category: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().allow('').max(1000),
+    expenseDate: dateSchema.optional(), // Defaults to today
+    amount: Joi.number().positive().precision(2).required(),
+    currency: currencySchema.default('USD'),
+    rebillable: Joi.boolean().default(false),
+    markupPercent: Joi.number().min(0).max(1000).default(0)
+  }),
+
+  update: Joi.object({
+    clientId: uuidSchema.allow(null),
+    category: Joi.string().trim().min(1).max(100),
+    description: Joi.string().allow('').max(1000),
+    expenseDate: dateSchema,
+    amount: Joi.number().positive().precision(2),
+    currency: currencySchema,
+    rebillable: Joi.boolean(),
+    markupPercent: Joi.number().min(0).max(1000)
+  }).min(1),
+
+  // Attach rebillable expenses to a draft invoice; markupPercent overrides
+  // each expense's own markup
+  bill: Joi.object({
+    expenseIds: Joi.array().items(uuidSchema).min(1).unique().required(),
+    markupPercent: Joi.number().min(0).max(1000),
+    taxCodes: Joi.array().items(taxCodeSchema).unique().optional()
+  }),
+
+  query: Joi.object({
+    clientId: uuidSchema.optional(),
+    category: Joi.string().max(100).optional(),
+    rebillable: Joi.boolean().optional(),
+    billed: Joi.boolean().optional(),
+    startDate: dateSchema.optional(),
+    endDate: dateSchema.optional()
+  }),
+
+  receiptQuery: Joi.object({
+    filename: Joi.string().max(255).optional()
+  }),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Report validation schemas
+export const reportValidation = {
+  period: Joi.object({
+    startDate: dateSchema.optional(), // Defaults to the start of the year
+    endDate: dateSchema.optional(), // Defaults to today
+    clientId: uuidSchema.optional()
+  })
+};
+
+// Exchange rate validation schemas
+// rate = value of one unit of currency in baseCurrency
+export const exchangeRateValidation = {
+  create: Joi.object({
+    currency: currencySchema.required(),
+    baseCurrency: currencySchema.optional(), // Defaults to the user's base currency
+    rate: Joi.number().positive().required(),
+    rateDate: dateSchema.optional() // Defaults to today
+  }),
+
+  import: Joi.object({
+    csv: Joi.string().required().max(1024 * 1024)
+  }),
+
+  query: Joi.object({
+    currency: currencySchema,
+    baseCurrency: currencySchema
+  }),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Bank reconciliation validation schemas
+// Statements are posted as text; the format is detected when not given
+export const reconciliationValidation = {
+  import: Joi.object({
+    content: Joi.string().required().max(5 * 1024 * 1024),
+    format: Joi.string().valid(...STATEMENT_FORMATS).optional(),
+    currency: currencySchema.optional() // For CSV rows without a currency column; defaults to the user's base currency
+  }),
+
+  // invoiceId links the transaction by hand, overriding the suggested match
+  confirm: Joi.object({
+    invoiceId: uuidSchema.optional()
+  }),
+
+  confirmMany: Joi.object({
+    ids: Joi.array().items(uuidSchema).min(1).max(500).unique().required()
+  }),
+
+  query: Joi.object({
+    status: Joi.string().valid('unmatched', 'matched', 'reconciled', 'ignored').optional()
+  }),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Tax registry validation schemas
+// Compound taxes are charged on the line amount plus its non-compound taxes
+export const taxRateValidation = {
+  create: Joi.object({
+    code: taxCodeSchema.required(),
+    name: Joi.string().required().min(1).max(100),
+    rate: Joi.number().min(0).max(1).required(),
+    compound: Joi.boolean().default(false),
+    registrationNumber: Joi.string().allow('').max(100)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(100),
+    rate: Joi.number().min(0).max(1),
+    compound: Joi.boolean(),
+    registrationNumber: Joi.string().allow('').max(100)
+  }).min(1),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Catalog validation schemas
+// defaultRates maps a currency code to the item's rate in that currency
+const catalogUnitSchema = Joi.string().valid('hour', 'day', 'piece');
+const defaultRatesSchema = Joi.object().pattern(
+  Joi.string().valid(...CURRENCY_CODES),
+  Joi.number().positive().precision(2)
+);
+
+export const catalogValidation = {
+  create: Joi.object({
+    name: Joi.string().trim().required().min(1).max(255),
+    description: Joi.string().allow('').max(500),
+    unit: catalogUnitSchema.default('piece'),
+    defaultRates: defaultRatesSchema.default({}),
+    taxCode: taxCodeSchema.allow(null),
+    sku: Joi.string().trim().max(100).allow(null)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(255),
+    description: Joi.string().allow('').max(500),
+    unit: catalogUnitSchema,
+    defaultRates: defaultRatesSchema,
+    taxCode: taxCodeSchema.allow(null),
+    sku: Joi.string().trim().max(100).allow(null)
+  }).min(1),
+
+  query: Joi.object({
+    unit: catalogUnitSchema.optional(),
+    search: Joi.string().max(100).optional()
+  }),
+
+  // Autocomplete for line items; rates are given in `currency`, from the
+  // rate card of `clientId` when given
+  search: Joi.object({
+    q: Joi.string().trim().allow('').max(100).default(''),
+    currency: currencySchema.optional(),
+    clientId: uuidSchema.optional(),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  }),
+
+  params: Joi.object({
+    id: uuidSchema.required()
+  })
+};
+
+// Reminder rule validation schemas
+// offsetDays is relative to the due date: -3 = 3 days before, 0 = on, 7 = 7 days after
+export const reminderRuleValidation = {
+  create: Joi.object({
+    name: Joi.string().required().min(1).max(255),
+    offsetDays: Joi.number().integer().min(-365).max(365).required(),
+    subjectTemplate: Joi.string().required().min(1).max(200),
+    bodyTemplate: Joi.string().required().min(1).max(5000),
+    isActive: Joi.boolean().default(true)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(255),
+    offsetDays: Joi.number().integer().min(-365).max(365),
+    subjectTemplate: Joi.string().min(1).max(200),
+    bodyTemplate: Joi.string().min(1).max(5000),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  params: Joi.object({
+    id: uuidSchema.required()
   })
 };
 
@@ -132,6 +847,17 @@ export const templateValidation = {
 };
 
 // User validation schemas (for authentication)
+// Document numbering format, e.g. "{PREFIX}-{YYYY}-{SEQ:4}"
+const numberingSchema = Joi.object({
+  prefix: Joi.string().max(20).allow(''),
+  pattern: Joi.string().max(100).pattern(/\{SEQ(:\d+)?\}/)
+    .messages({
+      'string.pattern.base': 'Numbering pattern must contain a {SEQ} token'
+    }),
+  resetPolicy: Joi.string().valid(...RESET_POLICIES),
+  startNumber: Joi.number().integer().min(1)
+});
+
 export const userValidation = {
   register: Joi.object({
     email: emailSchema.required(),
@@ -169,8 +895,19 @@ export const userValidation = {
       defaultCurrency: currencySchema,
       defaultTaxRate: Joi.number().min(0).max(1),
       defaultPaymentTerms: Joi.number().integer().min(0).max(365),
+      baseCurrency: currencySchema,
       emailNotifications: Joi.boolean(),
-      autoGenerateInvoiceNumbers: Joi.boolean()
+      autoGenerateInvoiceNumbers: Joi.boolean(),
+      invoiceNumbering: numberingSchema,
+      quoteNumbering: numberingSchema,
+      creditNoteNumbering: numberingSchema,
+      rounding: Joi.object({
+        mode: Joi.string().valid(...ROUNDING_MODES),
+        taxRounding: Joi.string().valid(...TAX_ROUNDING_MODES)
+      }),
+      lateFees: lateFeePolicySchema,
+      defaultTerms: paymentTermsSchema, // For clients without their own terms
+      paymentTermPresets: Joi.array().items(paymentTermPresetSchema).unique('code')
     })
   }).min(1),
 
@@ -186,10 +923,11 @@ export const userValidation = {
 // Email validation schemas
 export const emailValidation = {
   sendInvoice: Joi.object({
+    // Defaults to the client's invoice contacts, or the client's email
     to: Joi.alternatives().try(
       emailSchema,
       Joi.array().items(emailSchema).min(1)
-    ).required(),
+    ).optional(),
     cc: Joi.alternatives().try(
       emailSchema,
       Joi.array().items(emailSchema)
@@ -250,6 +988,20 @@ export const validateParams = (schema) => validateRequest(schema, 'params');
 export default {
   client: clientValidation,
   invoice: invoiceValidation,
+  quote: quoteValidation,
+  payment: paymentValidation,
+  lateFee: lateFeeValidation,
+  creditNote: creditNoteValidation,
+  dispute: disputeValidation,
+  project: projectValidation,
+  timeEntry: timeEntryValidation,
+  expense: expenseValidation,
+  report: reportValidation,
+  exchangeRate: exchangeRateValidation,
+  reconciliation: reconciliationValidation,
+  taxRate: taxRateValidation,
+  recurringInvoice: recurringInvoiceValidation,
+  reminderRule: reminderRuleValidation,
   template: templateValidation,
   user: userValidation,
   email: emailValidation,
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { pool } from '../../src/config/database.js';
+import { Invoice, Payment } from '../../src/models/index.js';
+
+const invoice = (data = {}) => new Invoice({
+  id: 'invoice-1',
+  issue_date: '2024-05-01',
+  total: '1000.00',
+  amount_paid: '0',
+  currency: 'USD',
+  status: 'sent',
+  early_discount_percent: '2.00',
+  early_discount_days: 10,
+  ...data
+});
+
+describe('Invoice#getEarnedEarlyPaymentDiscount', () => {
+  test('writes off the rest of the balance when paid inside the window', () => {
+    expect(invoice({ amount_paid: '980.00' }).getEarnedEarlyPaymentDiscount('2024-05-11')).toBe(20);
+    expect(invoice({ amount_paid: '985.00' }).getEarnedEarlyPaymentDiscount('2024-05-05')).toBe(15);
+  });
+
+  test('earns nothing late, short or paid in full', () => {
+    expect(invoice({ amount_paid: '980.00' }).getEarnedEarlyPaymentDiscount('2024-05-12')).toBe(0);
+    expect(invoice({ amount_paid: '900.00' }).getEarnedEarlyPaymentDiscount('2024-05-05')).toBe(0);
+    expect(invoice({ amount_paid: '1000.00' }).getEarnedEarlyPaymentDiscount('2024-05-05')).toBe(0);
+    expect(invoice({ amount_paid: '980.00' }).getEarnedEarlyPaymentDiscount(null)).toBe(0);
+  });
+
+  test('measures against the total before a discount already taken', () => {
+    const discounted = invoice({ total: '980.00', amount_paid: '980.00', early_discount_amount: '20.00' });
+
+    expect(discounted.getEarnedEarlyPaymentDiscount('2024-05-05')).toBe(20);
+    expect(invoice({ total: '980.00', amount_paid: '500.00', early_discount_amount: '20.00' })
+      .getEarnedEarlyPaymentDiscount('2024-05-05')).toBe(0);
+  });
+});
+
+describe('Payment.delete', () => {
+  let state;
+
+  // A connection that keeps one invoice and its payments in memory
+  const connection = {
+    release: () => {},
+    query: async (sql, params = []) => {
+      if (sql.startsWith('DELETE FROM payments')) {
+        const deleted = state.payments.filter(payment => payment.id === params[0]);
+        state.payments = state.payments.filter(payment => payment.id !== params[0]);
+        return { rows: deleted.map(() => ({ invoice_id: 'invoice-1' })) };
+      }
+      if (sql.startsWith('SELECT MAX(payment_date)')) {
+        const dates = state.payments.map(payment => payment.date).sort();
+        return { rows: [{ last_payment_date: dates.at(-1) ?? null }] };
+      }
+      if (sql.startsWith('UPDATE invoices SET total')) {
+        state.total = state.total + state.discount - params[0];
+        state.discount = params[0];
+      }
+      return { rows: [] };
+    }
+  };
+
+  beforeEach(() => {
+    state = {
+      total: 980,
+      discount: 20,
+      payments: [
+        { id: 'payment-1', amount: 500, date: '2024-05-03' },
+        { id: 'payment-2', amount: 480, date: '2024-05-08' }
+      ]
+    };
+    jest.spyOn(pool, 'connect').mockImplementation(async () => connection);
+    jest.spyOn(Invoice, 'refreshBalance').mockImplementation(async () => {
+      const amountPaid = state.payments.reduce((sum, payment) => sum + payment.amount, 0);
+      return invoice({
+        total: state.total,
+        amount_paid: amountPaid,
+        early_discount_amount: state.discount,
+        status: amountPaid >= state.total ? 'paid' : 'sent'
+      });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('gives the discount back when the settling payment is deleted', async () => {
+    await expect(Payment.delete('payment-2')).resolves.toBe(true);
+
+    expect(state).toMatchObject({ total: 1000, discount: 0 });
+    await expect(Invoice.refreshBalance.mock.results.at(-1).value).resolves.toMatchObject({
+      status: 'sent',
+      balanceDue: 500
+    });
+  });
+
+  test('recomputes the discount from the payments left', async () => {
+    state.total = 995;
+    state.discount = 5;
+    state.payments = [
+      { id: 'payment-1', amount: 500, date: '2024-05-03' },
+      { id: 'payment-2', amount: 485, date: '2024-05-05' },
+      { id: 'payment-3', amount: 10, date: '2024-05-08' }
+    ];
+
+    await expect(Payment.delete('payment-3')).resolves.toBe(true);
+    expect(state).toMatchObject({ total: 985, discount: 15 });
+  });
+});
@@ -0,0 +1,57 @@
+import { jest } from '@jest/globals';
+import { Invoice, Client, User } from '../../src/models/index.js';
+
+const discountTerms = { preset: null, name: '2/10 Net 30', dueDays: 30, discountPercent: 2, discountDays: 10 };
+
+describe('Invoice.resolveTerms', () => {
+  let client;
+  let settings;
+
+  beforeEach(() => {
+    client = { id: 'client-1', paymentTerms: 45, terms: null };
+    settings = {};
+    jest.spyOn(Client, 'findById').mockImplementation(async () => client);
+    jest.spyOn(User, 'findById').mockImplementation(async () => ({ settings }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const resolve = (data = {}) => Invoice.resolveTerms({ clientId: 'client-1', userId: 'user-1', ...data });
+
+  test('keeps terms given for the invoice', async () => {
+    client.terms = { ...discountTerms, name: 'Net 60', dueDays: 60, discountPercent: 0, discountDays: 0 };
+
+    await expect(resolve({ terms: discountTerms })).resolves.toBe(discountTerms);
+    await expect(resolve({ paymentTerms: 15 })).resolves.toEqual({
+      preset: null,
+      name: null,
+      dueDays: 15,
+      discountPercent: 0,
+      discountDays: 0
+    });
+  });
+
+  test("ranks the source document's day count above client and user terms", async () => {
+    client.terms = discountTerms;
+    settings = { defaultTerms: { preset: 'net_60' } };
+
+    await expect(resolve({ paymentTerms: 30 })).resolves.toMatchObject({ name: null, dueDays: 30, discountPercent: 0 });
+  });
+
+  test("falls back to the client's terms, then the user's default terms", async () => {
+    settings = { defaultTerms: { preset: '2_10_net_30' } };
+    await expect(resolve()).resolves.toMatchObject({ preset: '2_10_net_30', dueDays: 30, discountPercent: 2 });
+
+    client.terms = discountTerms;
+    await expect(resolve()).resolves.toBe(discountTerms);
+  });
+
+  test("uses the client's day count without structured terms", async () => {
+    await expect(resolve()).resolves.toMatchObject({ name: null, dueDays: 45 });
+
+    client = null;
+    await expect(resolve()).resolves.toMatchObject({ dueDays: 30 });
+  });
+});
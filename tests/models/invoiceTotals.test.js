@@ -0,0 +1,124 @@
+import { Invoice } from '../../src/models/index.js';
+
+const line = (quantity, rate, extra = {}) => ({ description: 'Work', quantity, rate, ...extra });
+
+describe('Invoice.calculateLineTotal', () => {
+  test('multiplies exactly and rounds to the currency', () => {
+    expect(Invoice.calculateLineTotal(line(3, 19.99), { currency: 'USD' })).toBe(59.97);
+    expect(Invoice.calculateLineTotal(line(0.3333333333, 75), { currency: 'USD' })).toBe(25);
+    expect(Invoice.calculateLineTotal(line(3, 333.5), { currency: 'JPY' })).toBe(1001);
+  });
+
+  test('takes line discounts off the whole line', () => {
+    expect(Invoice.calculateLineTotal(line(4, 50, { discount: { type: 'percent', value: 10 } }), { currency: 'USD' })).toBe(180);
+    expect(Invoice.calculateLineTotal(line(4, 50, { discount: { type: 'fixed', value: 30 } }), { currency: 'USD' })).toBe(170);
+    expect(Invoice.calculateLineTotal(line(1, 20, { discount: { type: 'fixed', value: 50 } }), { currency: 'USD' })).toBe(0);
+  });
+});
+
+describe('Invoice.calculateTotals', () => {
+  test('taxes lines at the document rate', () => {
+    const totals = Invoice.calculateTotals([line(10, 100), line(1, 0.1)], { taxRate: 0.08, currency: 'USD' });
+
+    expect(totals.subtotal).toBe(1000.1);
+    expect(totals.taxAmount).toBe(80.01);
+    expect(totals.total).toBe(1080.11);
+    expect(totals.items.map(item => item.total)).toEqual([1000, 0.1]);
+  });
+
+  test('takes an after-tax discount off the taxed total', () => {
+    const totals = Invoice.calculateTotals([line(1, 200)], {
+      taxRate: 0.1,
+      discount: { type: 'percent', value: 10, beforeTax: false },
+      currency: 'USD'
+    });
+
+    expect(totals.taxAmount).toBe(20);
+    expect(totals.discountAmount).toBe(22);
+    expect(totals.total).toBe(198);
+  });
+
+  test('reduces the taxable amount with a before-tax discount', () => {
+    const totals = Invoice.calculateTotals([line(1, 200)], {
+      taxRate: 0.1,
+      discount: { type: 'fixed', value: 50, beforeTax: true },
+      currency: 'USD'
+    });
+
+    expect(totals.discountAmount).toBe(50);
+    expect(totals.taxAmount).toBe(15);
+    expect(totals.total).toBe(165);
+  });
+
+  test('applies registered and compound taxes per line', () => {
+    const taxRates = new Map([
+      ['GST', { code: 'GST', name: 'GST', rate: 0.05, compound: false }],
+      ['QST', { code: 'QST', name: 'QST', rate: 0.1, compound: true }]
+    ]);
+    const totals = Invoice.calculateTotals([
+      line(1, 100, { taxCodes: ['GST', 'QST'] }),
+      line(1, 50, { taxCodes: [] })
+    ], { taxRate: 0.08, taxRates, currency: 'USD' });
+
+    expect(totals.taxBreakdown.map(tax => [tax.code, tax.taxableAmount, tax.amount])).toEqual([
+      ['GST', 100, 5],
+      ['QST', 105, 10.5]
+    ]);
+    expect(totals.total).toBe(165.5);
+  });
+
+  test('rounds tax per line or once per invoice', () => {
+    const items = [line(1, 0.05), line(1, 0.05), line(1, 0.05)];
+    const options = { taxRate: 0.1, currency: 'USD' };
+
+    expect(Invoice.calculateTotals(items, { ...options, rounding: { mode: 'half-up', taxRounding: 'per-invoice' } }).taxAmount).toBe(0.02);
+    expect(Invoice.calculateTotals(items, { ...options, rounding: { mode: 'half-up', taxRounding: 'per-line' } }).taxAmount).toBe(0.03);
+  });
+
+  test('deducts deposits and reverses their tax', () => {
+    const totals = Invoice.calculateTotals([line(1, 1000)], {
+      taxRate: 0.1,
+      deposits: [{ invoiceNumber: 'INV-1', amount: 300 }],
+      currency: 'USD'
+    });
+
+    expect(totals.depositAmount).toBe(300);
+    expect(totals.taxAmount).toBe(70);
+    expect(totals.total).toBe(770);
+  });
+
+  test('adds late fees and takes off an early payment discount last', () => {
+    const totals = Invoice.calculateTotals([line(1, 100)], {
+      taxRate: 0.1,
+      discount: { type: 'percent', value: 10, beforeTax: false },
+      lateFeeAmount: 15,
+      earlyDiscountAmount: 2,
+      currency: 'USD'
+    });
+
+    expect(totals.discountAmount).toBe(11);
+    expect(totals.total).toBe(112);
+  });
+});
+
+describe('Invoice#getEarlyPaymentOffer', () => {
+  const invoice = (data = {}) => new Invoice({
+    issue_date: '2024-05-01',
+    total: '1000.00',
+    amount_paid: '0',
+    currency: 'USD',
+    early_discount_percent: '2.00',
+    early_discount_days: 10,
+    ...data
+  });
+
+  test('offers the discount until the end of the window', () => {
+    expect(invoice().getEarlyPaymentOffer('2024-05-11')).toEqual({ deadline: '2024-05-11', savings: 20, amount: 980 });
+    expect(invoice().getEarlyPaymentOffer('2024-05-12')).toBeNull();
+  });
+
+  test('has no offer without a discount or once it was taken', () => {
+    expect(invoice({ early_discount_percent: '0' }).getEarlyPaymentOffer('2024-05-02')).toBeNull();
+    expect(invoice({ early_discount_amount: '20.00' }).getEarlyPaymentOffer('2024-05-02')).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+import { jest } from '@jest/globals';
+import { pool } from '../../src/config/database.js';
+import { Invoice, User } from '../../src/models/index.js';
+
+describe('Invoice.update', () => {
+  const row = {
+    id: 'invoice-1',
+    user_id: 'user-1',
+    items: [{ description: 'Work', quantity: 1, rate: 100 }],
+    tax_rate: '0',
+    total: '100.00',
+    amount_paid: '100.00',
+    currency: 'USD',
+    status: 'paid'
+  };
+  let db;
+
+  beforeEach(() => {
+    db = {
+      query: jest.fn(async () => ({ rows: [row] }))
+    };
+    jest.spyOn(pool, 'query').mockRejectedValue(new Error('read outside the transaction'));
+    jest.spyOn(User, 'findById').mockResolvedValue({ settings: {} });
+    jest.spyOn(Invoice, 'refreshBalance').mockResolvedValue(new Invoice({ ...row, status: 'sent' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refreshes the balance when the tax rate or discount changes the total', async () => {
+    await expect(Invoice.update('invoice-1', { taxRate: 0.1 }, db)).resolves.toMatchObject({ status: 'sent' });
+    await Invoice.update('invoice-1', { discountType: 'fixed', discountValue: 10 }, db);
+
+    expect(Invoice.refreshBalance).toHaveBeenCalledTimes(2);
+    expect(Invoice.refreshBalance).toHaveBeenCalledWith('invoice-1', db);
+  });
+
+  test('leaves the balance alone when only other fields change', async () => {
+    await expect(Invoice.update('invoice-1', { notes: 'Thanks' }, db)).resolves.toMatchObject({ status: 'paid' });
+
+    expect(Invoice.refreshBalance).not.toHaveBeenCalled();
+  });
+
+  test('reads the current invoice through the given connection', async () => {
+    await Invoice.update('invoice-1', { taxRate: 0.1 }, db);
+
+    expect(db.query.mock.calls[0]).toEqual(['SELECT * FROM invoices WHERE id = $1', ['invoice-1']]);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+import { jest } from '@jest/globals';
+import { Invoice, Payment } from '../../src/models/index.js';
+
+describe('Payment.create', () => {
+  let db;
+
+  beforeEach(() => {
+    db = {
+      query: jest.fn(async (sql, params) => ({
+        rows: [{ id: 'payment-1', invoice_id: params[1], amount: params[2], kind: params[7] }]
+      }))
+    };
+    jest.spyOn(Invoice, 'findByIdForUpdate').mockResolvedValue(new Invoice({
+      id: 'invoice-1',
+      status: 'partially_paid',
+      total: '100.00',
+      amount_paid: '60.00',
+      currency: 'USD'
+    }));
+    jest.spyOn(Invoice, 'refreshEarlyPaymentDiscount').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records payments up to the balance due of the locked invoice', async () => {
+    await expect(Payment.create({ invoiceId: 'invoice-1', amount: 40 }, db)).resolves.toMatchObject({ amount: 40 });
+
+    expect(Invoice.findByIdForUpdate).toHaveBeenCalledWith('invoice-1', db);
+    expect(Invoice.refreshEarlyPaymentDiscount).toHaveBeenCalledWith('invoice-1', db);
+  });
+
+  test('rejects payments above the balance due', async () => {
+    await expect(Payment.create({ invoiceId: 'invoice-1', amount: 40.01 }, db)).resolves.toBeNull();
+
+    expect(db.query).not.toHaveBeenCalled();
+    expect(Invoice.refreshEarlyPaymentDiscount).not.toHaveBeenCalled();
+  });
+
+  test('records refunds of an overpaid invoice', async () => {
+    await expect(Payment.create({ invoiceId: 'invoice-1', amount: -25, kind: 'refund' }, db))
+      .resolves.toMatchObject({ amount: -25, kind: 'refund' });
+
+    expect(Invoice.findByIdForUpdate).not.toHaveBeenCalled();
+  });
+});
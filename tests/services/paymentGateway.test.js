@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import { format, subDays } from 'date-fns';
+import { pool } from '../../src/config/database.js';
+import { BankTransaction, Invoice, Payment, PaymentEvent } from '../../src/models/index.js';
+import { FakePaymentProvider } from '../../src/services/fakePaymentProvider.js';
+import { PaymentGatewayService } from '../../src/services/paymentGatewayService.js';
+
+const SECRET = 'test-webhook-secret';
+
+const completedEvent = async (provider) => {
+  const { sessionId } = await provider.createCheckoutSession({
+    invoiceId: 'invoice-1',
+    amount: 120.5,
+    currency: 'EUR',
+    description: 'Invoice INV-1'
+  });
+  return Buffer.from(JSON.stringify(provider.completeSession(provider.getSession(sessionId))));
+};
+
+describe('FakePaymentProvider', () => {
+  test('verifies webhooks it signed', async () => {
+    const provider = new FakePaymentProvider({ webhookSecret: SECRET });
+    const rawBody = await completedEvent(provider);
+
+    expect(provider.verifyWebhookSignature(rawBody, { 'x-fake-signature': provider.sign(rawBody) })).toBe(true);
+  });
+
+  test('rejects missing, wrong and tampered signatures', async () => {
+    const provider = new FakePaymentProvider({ webhookSecret: SECRET });
+    const rawBody = await completedEvent(provider);
+    const signature = provider.sign(rawBody);
+    const tampered = Buffer.from(rawBody.toString('utf8').replace('120.5', '1205'));
+
+    expect(provider.verifyWebhookSignature(rawBody, {})).toBe(false);
+    expect(provider.verifyWebhookSignature(rawBody, { 'x-fake-signature': 'abc' })).toBe(false);
+    expect(provider.verifyWebhookSignature(tampered, { 'x-fake-signature': signature })).toBe(false);
+    expect(new FakePaymentProvider({ webhookSecret: 'other' }).verifyWebhookSignature(rawBody, { 'x-fake-signature': signature })).toBe(false);
+  });
+
+  test('refuses to sign or verify without a secret', async () => {
+    const provider = new FakePaymentProvider({ webhookSecret: '' });
+    const rawBody = await completedEvent(provider);
+    const forged = new FakePaymentProvider({ webhookSecret: 'fake-payment-webhook-secret' }).sign(rawBody);
+
+    expect(() => provider.sign(rawBody)).toThrow('FAKE_PAYMENT_WEBHOOK_SECRET is not set');
+    expect(provider.verifyWebhookSignature(rawBody, { 'x-fake-signature': forged })).toBe(false);
+  });
+
+  test('maps completed checkouts to card payments', async () => {
+    const provider = new FakePaymentProvider({ webhookSecret: SECRET });
+    const event = provider.mapEvent(await completedEvent(provider));
+
+    expect(event).toMatchObject({
+      eventType: 'checkout.completed',
+      invoiceId: 'invoice-1',
+      payment: { amount: 120.5, currency: 'EUR', method: 'card' }
+    });
+    expect(event.payment.paymentDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  });
+});
+
+describe('PaymentGatewayService', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  const withEnv = (values) => {
+    for (const key of ['NODE_ENV', 'ENABLE_FAKE_PAYMENTS', 'FAKE_PAYMENT_WEBHOOK_SECRET']) {
+      delete process.env[key];
+    }
+    Object.assign(process.env, values);
+    return new PaymentGatewayService();
+  };
+
+  test('registers the fake provider outside production when its secret is set', () => {
+    expect(withEnv({ NODE_ENV: 'development', FAKE_PAYMENT_WEBHOOK_SECRET: SECRET }).getProvider('fake')).not.toBeNull();
+    expect(withEnv({ NODE_ENV: 'development' }).getProvider('fake')).toBeNull();
+  });
+
+  test('keeps the fake provider out of production unless enabled', () => {
+    expect(withEnv({ NODE_ENV: 'production', FAKE_PAYMENT_WEBHOOK_SECRET: SECRET }).getProvider('fake')).toBeNull();
+    expect(withEnv({
+      NODE_ENV: 'production',
+      ENABLE_FAKE_PAYMENTS: 'true',
+      FAKE_PAYMENT_WEBHOOK_SECRET: SECRET
+    }).getProvider('fake')).not.toBeNull();
+  });
+
+  test('rejects webhooks for unknown providers', async () => {
+    const service = withEnv({ NODE_ENV: 'development', FAKE_PAYMENT_WEBHOOK_SECRET: SECRET });
+
+    await expect(service.handleWebhook('stripe', Buffer.from('{}'), {})).resolves.toEqual({
+      error: 'Unknown payment provider',
+      statusCode: 404
+    });
+  });
+
+  test('rejects webhooks with an invalid signature before recording anything', async () => {
+    const service = withEnv({ NODE_ENV: 'development', FAKE_PAYMENT_WEBHOOK_SECRET: SECRET });
+    const rawBody = await completedEvent(service.getProvider('fake'));
+    const forged = new FakePaymentProvider({ webhookSecret: 'guessed' }).sign(rawBody);
+
+    await expect(service.handleWebhook('fake', rawBody, { 'x-fake-signature': forged })).resolves.toEqual({
+      error: 'Invalid webhook signature',
+      statusCode: 400
+    });
+    await expect(service.handleWebhook('fake', null, {})).resolves.toEqual({
+      error: 'Invalid webhook signature',
+      statusCode: 400
+    });
+  });
+
+  test('charges the discounted balance while an early payment discount is on offer', async () => {
+    const service = withEnv({ NODE_ENV: 'development', FAKE_PAYMENT_WEBHOOK_SECRET: SECRET });
+    const provider = service.getProvider('fake');
+    jest.spyOn(provider, 'createCheckoutSession');
+    const invoice = (daysAgo) => new Invoice({
+      id: 'invoice-1',
+      invoice_number: 'INV-1',
+      status: 'sent',
+      issue_date: format(subDays(new Date(), daysAgo), 'yyyy-MM-dd'),
+      total: '1000.00',
+      amount_paid: '200.00',
+      currency: 'USD',
+      early_discount_percent: '2.00',
+      early_discount_days: 10
+    });
+
+    await service.createCheckout(invoice(5), {});
+    await service.createCheckout(invoice(15), {});
+
+    expect(provider.createCheckoutSession.mock.calls.map(([session]) => session.amount)).toEqual([780, 800]);
+  });
+
+  describe('payments that cannot be recorded', () => {
+    let service;
+    let invoice;
+
+    beforeEach(() => {
+      service = withEnv({ NODE_ENV: 'development', FAKE_PAYMENT_WEBHOOK_SECRET: SECRET });
+      invoice = new Invoice({
+        id: 'invoice-1',
+        user_id: 'user-1',
+        invoice_number: 'INV-1',
+        status: 'partially_paid',
+        total: '200.00',
+        amount_paid: '100.00',
+        currency: 'EUR'
+      });
+      jest.spyOn(pool, 'connect').mockResolvedValue({ query: async () => ({ rows: [] }), release: () => {} });
+      jest.spyOn(Invoice, 'findByIdForUpdate').mockImplementation(async () => invoice);
+      jest.spyOn(PaymentEvent, 'claim').mockResolvedValue(new PaymentEvent({ id: 'event-1' }));
+      jest.spyOn(BankTransaction, 'create').mockImplementation(async (data) => new BankTransaction({ id: 'transaction-1', ...data }));
+      jest.spyOn(Payment, 'create');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const deliver = async () => {
+      const provider = service.getProvider('fake');
+      const rawBody = await completedEvent(provider);
+      return await service.handleWebhook('fake', rawBody, { 'x-fake-signature': provider.sign(rawBody) });
+    };
+
+    test('queues a payment above the balance due for reconciliation', async () => {
+      await expect(deliver()).resolves.toEqual({ status: 'unmatched', payment: null });
+
+      expect(Payment.create).not.toHaveBeenCalled();
+      expect(BankTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        sourceFormat: 'fake',
+        amount: 120.5,
+        currency: 'EUR',
+        reference: expect.stringContaining('Invoice INV-1')
+      }), expect.anything());
+    });
+
+    test('queues a payment in another currency', async () => {
+      invoice = new Invoice({ ...invoice, total: 500, currency: 'USD' });
+
+      await expect(deliver()).resolves.toEqual({ status: 'unmatched', payment: null });
+      expect(BankTransaction.create).toHaveBeenCalledWith(expect.objectContaining({ currency: 'EUR' }), expect.anything());
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import {
+  detectStatementFormat,
+  parseCsvStatement,
+  parseOfxStatement,
+  parseCamt053Statement,
+  parseStatement
+} from '../../src/utils/bankStatements.js';
+
+const OFX_SGML = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>EUR
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240315120000
+<TRNAMT>1,250.00
+<FITID>TX-1
+<NAME>Acme GmbH
+<MEMO>Invoice INV-2024-0007
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240316
+<TRNAMT>-42.10
+<FITID>TX-2
+<PAYEE>Office Supplies
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<TRNAMT>10.00
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const CAMT_053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Ntry>
+        <NtryRef>E1</NtryRef>
+        <Amt Ccy="CHF">980.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <BookgDt><Dt>2024-04-02</Dt></BookgDt>
+        <AcctSvcrRef>REF-001</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+          <RltdPties><Dbtr><Nm>Smith &amp; Sons</Nm></Dbtr></RltdPties>
+          <RmtInf><Ustrd>INV-0042</Ustrd><Ustrd>April retainer</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="CHF">15.50</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <BookgDt><DtTm>2024-04-03T09:30:00</DtTm></BookgDt>
+        <NtryDtls><TxDtls>
+          <RltdPties><Cdtr><Nm>Bank fees</Nm></Cdtr></RltdPties>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="CHF">1.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+describe('detectStatementFormat', () => {
+  test('recognises CAMT.053, OFX and falls back to CSV', () => {
+    expect(detectStatementFormat(CAMT_053)).toBe('camt053');
+    expect(detectStatementFormat(OFX_SGML)).toBe('ofx');
+    expect(detectStatementFormat('Date,Amount\n2024-01-01,5')).toBe('csv');
+  });
+});
+
+describe('parseCsvStatement', () => {
+  test('reads amounts, common column names and the default currency', () => {
+    const csv = [
+      'Date,Amount,Description,Name,Transaction ID',
+      '2024-03-01,"1,500.00",Payment INV-0001,Acme Ltd,abc-1',
+      '2024-03-02,-20,Card fee,,'
+    ].join('\n');
+
+    const { transactions, errors } = parseCsvStatement(csv, { currency: 'usd' });
+
+    expect(errors).toEqual([]);
+    expect(transactions).toEqual([
+      {
+        externalId: 'abc-1',
+        bookingDate: '2024-03-01',
+        amount: '1500.00',
+        currency: 'USD',
+        reference: 'Payment INV-0001',
+        counterparty: 'Acme Ltd'
+      },
+      {
+        externalId: null,
+        bookingDate: '2024-03-02',
+        amount: '-20',
+        currency: 'USD',
+        reference: 'Card fee',
+        counterparty: ''
+      }
+    ]);
+  });
+
+  test('nets separate credit and debit columns', () => {
+    const csv = 'Booking Date,Credit,Debit,Currency\n2024-03-05,100.50,,eur\n2024-03-06,,30.25,EUR';
+
+    const { transactions } = parseCsvStatement(csv);
+
+    expect(transactions.map(t => [t.amount, t.currency])).toEqual([['100.50', 'EUR'], ['-30.25', 'EUR']]);
+  });
+
+  test('reports rows with bad dates or amounts by row number', () => {
+    const csv = 'Date,Amount\n03/01/2024,10\n2024-03-02,ten\n2024-03-03,5';
+
+    const { transactions, errors } = parseCsvStatement(csv);
+
+    expect(transactions).toHaveLength(1);
+    expect(errors).toEqual([
+      { row: 2, error: 'Date must be in YYYY-MM-DD format' },
+      { row: 3, error: 'Amount must be a number' }
+    ]);
+  });
+});
+
+describe('parseOfxStatement', () => {
+  test('reads SGML transactions with the statement currency', () => {
+    const { transactions, errors } = parseOfxStatement(OFX_SGML);
+
+    expect(transactions).toEqual([
+      {
+        externalId: 'TX-1',
+        bookingDate: '2024-03-15',
+        amount: '1250.00',
+        currency: 'EUR',
+        reference: 'Invoice INV-2024-0007',
+        counterparty: 'Acme GmbH'
+      },
+      {
+        externalId: 'TX-2',
+        bookingDate: '2024-03-16',
+        amount: '-42.10',
+        currency: 'EUR',
+        reference: '',
+        counterparty: 'Office Supplies'
+      }
+    ]);
+    expect(errors).toEqual([{ row: 3, error: 'Transaction has no posting date or amount' }]);
+  });
+
+  test('reads closed XML elements', () => {
+    const xml = '<OFX><CURDEF>GBP</CURDEF><STMTTRN><DTPOSTED>20240101</DTPOSTED><TRNAMT>5.00</TRNAMT><FITID>X</FITID></STMTTRN></OFX>';
+
+    const { transactions } = parseOfxStatement(xml);
+
+    expect(transactions[0]).toMatchObject({ externalId: 'X', bookingDate: '2024-01-01', amount: '5.00', currency: 'GBP' });
+  });
+});
+
+describe('parseCamt053Statement', () => {
+  test('reads credits and debits with remittance information', () => {
+    const { transactions, errors } = parseCamt053Statement(CAMT_053);
+
+    expect(transactions).toEqual([
+      {
+        externalId: 'REF-001',
+        bookingDate: '2024-04-02',
+        amount: '980.00',
+        currency: 'CHF',
+        reference: 'INV-0042 April retainer',
+        counterparty: 'Smith & Sons'
+      },
+      {
+        externalId: null,
+        bookingDate: '2024-04-03',
+        amount: '-15.50',
+        currency: 'CHF',
+        reference: '',
+        counterparty: 'Bank fees'
+      }
+    ]);
+    expect(errors).toEqual([{ row: 3, error: 'Entry has no booking date or amount' }]);
+  });
+
+  test('matches namespace-prefixed elements', () => {
+    const xml = CAMT_053.replace(/<(\/?)(\w+)/g, '<$1ns2:$2');
+
+    const { transactions } = parseCamt053Statement(xml);
+
+    expect(transactions.map(t => t.amount)).toEqual(['980.00', '-15.50']);
+  });
+});
+
+describe('parseStatement', () => {
+  test('picks the parser from the detected format', () => {
+    expect(parseStatement(OFX_SGML).transactions).toHaveLength(2);
+    expect(parseStatement(CAMT_053).transactions).toHaveLength(2);
+    expect(parseStatement('Date,Amount\n2024-01-01,5', 'csv', { currency: 'JPY' }).transactions[0].currency).toBe('JPY');
+  });
+});
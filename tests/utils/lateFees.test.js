@@ -0,0 +1,67 @@
+import {
+  resolveLateFeePolicy,
+  countDuePeriods,
+  calculateLateFee,
+  describeLateFee
+} from '../../src/utils/lateFees.js';
+
+describe('resolveLateFeePolicy', () => {
+  test("uses the client's policy over the user's default", () => {
+    const settings = { lateFees: { type: 'flat', value: 25 } };
+    const client = { lateFeePolicy: { type: 'interest', value: '1.5', graceDays: '5', mode: 'invoice' } };
+
+    expect(resolveLateFeePolicy(settings, client)).toEqual({ type: 'interest', value: 1.5, graceDays: 5, mode: 'invoice' });
+    expect(resolveLateFeePolicy(settings, { lateFeePolicy: null })).toEqual({ type: 'flat', value: 25, graceDays: 0, mode: 'line' });
+  });
+
+  test('returns null when fees are off or unknown', () => {
+    expect(resolveLateFeePolicy({})).toBeNull();
+    expect(resolveLateFeePolicy({ lateFees: { type: 'flat', value: 25 } }, { lateFeePolicy: { enabled: false } })).toBeNull();
+    expect(resolveLateFeePolicy({ lateFees: { type: 'weekly', value: 1 } })).toBeNull();
+  });
+});
+
+describe('countDuePeriods', () => {
+  test('charges one-off fees once the grace period has passed', () => {
+    const policy = { type: 'flat', graceDays: 7 };
+
+    expect(countDuePeriods(policy, 7)).toBe(0);
+    expect(countDuePeriods(policy, 8)).toBe(1);
+    expect(countDuePeriods(policy, 120)).toBe(1);
+  });
+
+  test('charges interest for every started month', () => {
+    const policy = { type: 'interest', graceDays: 0 };
+
+    expect(countDuePeriods(policy, 0)).toBe(0);
+    expect(countDuePeriods(policy, 1)).toBe(1);
+    expect(countDuePeriods(policy, 30)).toBe(1);
+    expect(countDuePeriods(policy, 31)).toBe(2);
+  });
+});
+
+describe('calculateLateFee', () => {
+  test('charges flat fees regardless of the balance', () => {
+    expect(calculateLateFee({ type: 'flat', value: 25 }, 1000, { currency: 'USD' })).toBe(25);
+  });
+
+  test('charges percentages of the balance rounded to the currency', () => {
+    expect(calculateLateFee({ type: 'percent', value: 1.5 }, 333.33, { currency: 'USD' })).toBe(5);
+    expect(calculateLateFee({ type: 'interest', value: 2 }, 1234, { currency: 'JPY' })).toBe(25);
+  });
+
+  test('follows the rounding mode', () => {
+    const policy = { type: 'percent', value: 5 };
+
+    expect(calculateLateFee(policy, 0.5, { currency: 'USD' })).toBe(0.03);
+    expect(calculateLateFee(policy, 0.5, { currency: 'USD', rounding: { mode: 'half-even' } })).toBe(0.02);
+  });
+});
+
+describe('describeLateFee', () => {
+  test('describes each fee type', () => {
+    expect(describeLateFee({ type: 'flat', value: 25 }, 1)).toBe('Late fee');
+    expect(describeLateFee({ type: 'percent', value: 1.5 }, 1)).toBe('Late fee (1.5% of the overdue balance)');
+    expect(describeLateFee({ type: 'interest', value: 2 }, 3)).toBe('Late payment interest, month 3 (2% per month)');
+  });
+});
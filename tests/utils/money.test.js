@@ -0,0 +1,88 @@
+import * as money from '../../src/utils/money.js';
+
+const fmt = (value) => money.formatDecimal(value);
+
+describe('money', () => {
+  describe('toDecimal', () => {
+    test('parses numbers, numeric strings and exponents', () => {
+      expect(money.toDecimal(0.1)).toEqual({ units: 1n, scale: 1 });
+      expect(money.toDecimal('-12.50')).toEqual({ units: -1250n, scale: 2 });
+      expect(money.toDecimal('1e-7')).toEqual({ units: 1n, scale: 7 });
+      expect(money.toDecimal('2e3')).toEqual({ units: 2000n, scale: 0 });
+    });
+
+    test('treats empty values as zero', () => {
+      expect(money.toDecimal(null)).toBe(money.ZERO);
+      expect(money.toDecimal(undefined)).toBe(money.ZERO);
+      expect(money.toDecimal('')).toBe(money.ZERO);
+    });
+
+    test('rejects values that are not numbers', () => {
+      expect(() => money.toDecimal('abc')).toThrow('Invalid decimal value');
+      expect(() => money.toDecimal(NaN)).toThrow('Invalid decimal value');
+      expect(() => money.toDecimal(Infinity)).toThrow('Invalid decimal value');
+    });
+  });
+
+  test('adds and subtracts without floating-point drift', () => {
+    expect(fmt(money.add(0.1, 0.2))).toBe('0.3');
+    expect(fmt(money.subtract('1.00', 0.9))).toBe('0.10');
+    expect(fmt(money.sum([0.1, 0.1, 0.1]))).toBe('0.3');
+  });
+
+  test('multiplies exactly', () => {
+    expect(fmt(money.multiply(19.99, 3))).toBe('59.97');
+    expect(fmt(money.multiply('1.15', '0.08'))).toBe('0.0920');
+  });
+
+  describe('divide', () => {
+    test('rounds to the requested digits', () => {
+      expect(fmt(money.divide(20, 60, 2))).toBe('0.33');
+      expect(fmt(money.divide(1, 3, 10))).toBe('0.3333333333');
+      expect(fmt(money.divide(-2, 3, 2))).toBe('-0.67');
+    });
+
+    test('throws on division by zero', () => {
+      expect(() => money.divide(1, 0, 2)).toThrow('Division by zero');
+    });
+  });
+
+  describe('round', () => {
+    test('rounds ties away from zero with half-up', () => {
+      expect(fmt(money.round('2.345', 2))).toBe('2.35');
+      expect(fmt(money.round('-2.345', 2))).toBe('-2.35');
+    });
+
+    test('rounds ties to even with half-even', () => {
+      expect(fmt(money.round('2.345', 2, 'half-even'))).toBe('2.34');
+      expect(fmt(money.round('2.355', 2, 'half-even'))).toBe('2.36');
+    });
+
+    test('pads values with fewer digits', () => {
+      expect(fmt(money.round(5, 2))).toBe('5.00');
+    });
+  });
+
+  test('compares, signs and bounds values', () => {
+    expect(money.compare('1.10', 1.1)).toBe(0);
+    expect(money.compare(1, 2)).toBe(-1);
+    expect(money.compare(-1, -2)).toBe(1);
+    expect(money.sign('-0.01')).toBe(-1);
+    expect(money.isZero('0.00')).toBe(true);
+    expect(fmt(money.abs(-3.5))).toBe('3.5');
+    expect(fmt(money.min(2, '1.99'))).toBe('1.99');
+  });
+
+  test('formats and converts decimals', () => {
+    expect(money.formatDecimal({ units: -5n, scale: 3 })).toBe('-0.005');
+    expect(money.toNumber(money.add(1234.5, '0.05'))).toBe(1234.55);
+  });
+
+  test('merges rounding settings over the defaults', () => {
+    expect(money.resolveRounding({ rounding: { mode: 'half-even' } })).toEqual({
+      mode: 'half-even',
+      taxRounding: 'per-invoice'
+    });
+    expect(money.resolveRounding()).toEqual(money.DEFAULT_ROUNDING);
+  });
+});
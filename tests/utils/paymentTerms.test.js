@@ -0,0 +1,82 @@
+import {
+  describePaymentTerms,
+  getPaymentTermPresets,
+  resolvePaymentTerms,
+  getEarlyPaymentDeadline,
+  calculateEarlyPaymentDiscount
+} from '../../src/utils/paymentTerms.js';
+
+describe('describePaymentTerms', () => {
+  test('names net, discount and due-on-receipt terms', () => {
+    expect(describePaymentTerms({ dueDays: 30 })).toBe('Net 30');
+    expect(describePaymentTerms({ dueDays: 30, discountPercent: 2, discountDays: 10 })).toBe('2/10 Net 30');
+    expect(describePaymentTerms({ dueDays: 0 })).toBe('Due on receipt');
+  });
+});
+
+describe('getPaymentTermPresets', () => {
+  test('adds user presets and lets them replace built-in codes', () => {
+    const presets = getPaymentTermPresets({
+      paymentTermPresets: [
+        { code: 'net_30', name: 'Thirty days', dueDays: 30 },
+        { code: 'net_45_1', dueDays: 45, discountPercent: 1, discountDays: 15 }
+      ]
+    });
+
+    expect(presets.find(preset => preset.code === 'net_30').name).toBe('Thirty days');
+    expect(presets.find(preset => preset.code === 'net_45_1')).toEqual({
+      code: 'net_45_1',
+      name: '1/15 Net 45',
+      dueDays: 45,
+      discountPercent: 1,
+      discountDays: 15
+    });
+    expect(presets.some(preset => preset.code === 'due_on_receipt')).toBe(true);
+  });
+});
+
+describe('resolvePaymentTerms', () => {
+  test('expands a preset', () => {
+    expect(resolvePaymentTerms({ preset: '2_10_net_30' })).toEqual({
+      preset: '2_10_net_30',
+      name: '2/10 Net 30',
+      dueDays: 30,
+      discountPercent: 2,
+      discountDays: 10
+    });
+  });
+
+  test('returns null for an unknown preset', () => {
+    expect(resolvePaymentTerms({ preset: 'net_90' })).toBeNull();
+  });
+
+  test('normalizes explicit terms and names them', () => {
+    expect(resolvePaymentTerms({ dueDays: 14 })).toEqual({
+      preset: null,
+      name: 'Net 14',
+      dueDays: 14,
+      discountPercent: 0,
+      discountDays: 0
+    });
+    expect(resolvePaymentTerms({ dueDays: 60, discountPercent: 3, discountDays: 20, name: 'Special' }).name).toBe('Special');
+  });
+
+  test('drops the window when there is no discount', () => {
+    expect(resolvePaymentTerms({ dueDays: 30, discountDays: 10 }).discountDays).toBe(0);
+  });
+});
+
+describe('getEarlyPaymentDeadline', () => {
+  test('adds the window to the issue date', () => {
+    expect(getEarlyPaymentDeadline('2024-02-25', 10)).toBe('2024-03-06');
+    expect(getEarlyPaymentDeadline(new Date(2024, 0, 31), 0)).toBe('2024-01-31');
+  });
+});
+
+describe('calculateEarlyPaymentDiscount', () => {
+  test('rounds half-up to the currency', () => {
+    expect(calculateEarlyPaymentDiscount(1000, 2, 'USD')).toBe(20);
+    expect(calculateEarlyPaymentDiscount(100.25, 2, 'USD')).toBe(2.01);
+    expect(calculateEarlyPaymentDiscount(1234, 1.5, 'JPY')).toBe(19);
+  });
+});